@@ -1,35 +1,274 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+const { randomUUID, randomBytes, scrypt, createHmac, timingSafeEqual } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { GoogleGenAI } = require('@google/genai');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// Browsers only let the listed origins (CORS_ORIGINS, comma-separated) call the API from other sites
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+
+app.use(cors({ origin: corsOrigins, credentials: true }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, '..')));
 
 // Get tokens from environment
 const githubToken = process.env.GITHUB_TOKEN;
 const geminiApiKey = process.env.GEMINI_API_KEY;
 const githubUsername = process.env.GITHUB_USERNAME || 'compusophy-bot';
+// Another GitHub API server for the GITHUB_TOKEN account, e.g. the fake one the tests run against
+const githubApiUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+
+// OpenAI-compatible chat completions server (OpenAI itself, llama.cpp, Ollama, ...)
+const openaiBaseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const openaiApiKey = process.env.OPENAI_API_KEY;
+
+// How many rounds of tool calls one chat message may run before the agent stops and reports back
+const agentMaxSteps = Math.max(1, parseInt(process.env.AGENT_MAX_STEPS, 10) || 8);
 
 // Simple favicon handler
 app.get('/favicon.ico', (req, res) => {
     res.status(204).end();
 });
 
-// GitHub API helper functions
-async function githubFetch(endpoint, options = {}) {
-    const url = endpoint.startsWith('http') ? endpoint : `https://api.github.com${endpoint}`;
+// The web interface. Nothing else in the project directory is served, least of all the
+// stored conversations in data/.
+const PUBLIC_FILES = ['index.html', 'app.html', 'login.html', 'script.js', 'style.css'];
+
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'index.html'));
+});
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, '..', file));
+    });
+});
+
+// Login. AUTH_USERS lists local users, [{ "username": "me", "password": "scrypt:..." }] with hashes
+// from `npm run hash-password -- <password>`, and AUTH_SECRET is one password shared by everyone.
+// AUTH_DISABLED=true turns login off, for a server that only you can reach.
+const authDisabled = process.env.AUTH_DISABLED === 'true';
+const authSecret = process.env.AUTH_SECRET || '';
+// The one name every AUTH_SECRET login gets (see checkLogin)
+const SHARED_SECRET_USER = 'user';
+const authUsers = loadAuthUsers();
+// Signs the session cookies; without it every restart logs everyone out
+const sessionSecret = process.env.SESSION_SECRET || randomBytes(32).toString('hex');
+const sessionMaxAge = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_COOKIE = 'session';
+
+function loadAuthUsers() {
+    let users;
+    try {
+        users = JSON.parse(process.env.AUTH_USERS || '[]');
+    } catch (error) {
+        console.error(`AUTH_USERS is not valid JSON: ${error.message}`);
+        return [];
+    }
+    return users.filter(user => {
+        if (!user.username || !/^scrypt:[0-9a-f]+:[0-9a-f]+$/.test(user.password || '')) {
+            console.error(`Skipping AUTH_USERS entry ${user.username || '(no username)'}: needs a username and a scrypt password hash`);
+            return false;
+        }
+        if (user.username === SHARED_SECRET_USER) {
+            console.error(`Skipping AUTH_USERS entry ${user.username}: the name is taken by the AUTH_SECRET login`);
+            return false;
+        }
+        return true;
+    });
+}
+
+function authConfigError() {
+    if (authDisabled || authSecret || authUsers.length > 0) {
+        return null;
+    }
+    return 'Login is not configured: set AUTH_USERS or AUTH_SECRET (or AUTH_DISABLED=true)';
+}
+
+function scryptHash(password, salt) {
+    return new Promise((resolve, reject) => {
+        scrypt(password, salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    return `scrypt:${salt.toString('hex')}:${(await scryptHash(password, salt)).toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [, salt, hash] = stored.split(':');
+    return safeEqual(await scryptHash(password, Buffer.from(salt, 'hex')), Buffer.from(hash, 'hex'));
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// The name to log in as, or null. Local users need their own password. Everyone with the shared
+// secret is the same user, SHARED_SECRET_USER, whatever name they type, since the secret cannot tell
+// them apart and the name is what keeps one user's conversations from another's.
+async function checkLogin(username, password) {
+    const user = authUsers.find(u => u.username === username);
+    if (user) {
+        return (await verifyPassword(password, user.password)) ? user.username : null;
+    }
+    if (authSecret && safeEqual(password, authSecret)) {
+        return SHARED_SECRET_USER;
+    }
+    return null;
+}
+
+function sign(value) {
+    return createHmac('sha256', sessionSecret).update(value).digest('base64url');
+}
+
+// Sessions live in the cookie itself, signed, so they hold across restarts (with SESSION_SECRET)
+// and across the instances of a serverless host: <base64url { username, expires }>.<signature>
+function createSessionCookie(username) {
+    const payload = Buffer.from(JSON.stringify({ username, expires: Date.now() + sessionMaxAge })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+function readSession(req) {
+    const cookie = (req.headers.cookie || '').split(';')
+        .map(pair => pair.trim().split('='))
+        .find(([name]) => name === SESSION_COOKIE);
+    const [payload, signature] = (cookie?.[1] || '').split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+        return null;
+    }
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return session.expires > Date.now() ? { ...session, cookie: cookie[1] } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Tied to the session cookie, so a page on another site can neither read it nor guess it
+function csrfToken(session) {
+    return sign(`csrf:${session.cookie}`);
+}
+
+function setSessionCookie(req, res, value, maxAge) {
+    const secure = req.secure || req.get('x-forwarded-proto') === 'https';
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAge / 1000)}${secure ? '; Secure' : ''}`);
+}
+
+// Requests that change something must come from this site or an allowed origin
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+app.use((req, res, next) => {
+    const origin = req.get('origin');
+    if (!origin || SAFE_METHODS.includes(req.method) || corsOrigins.includes(origin)) {
+        return next();
+    }
+    let host = null;
+    try {
+        host = new URL(origin).host;
+    } catch (error) {
+        // An unparsable origin is refused below
+    }
+    if (host !== req.get('host')) {
+        return res.status(403).json({ error: 'Cross-origin request refused' });
+    }
+    next();
+});
+
+app.get('/session', (req, res) => {
+    if (authDisabled) {
+        return res.json({ authenticated: true, username: null, csrfToken: null, loginDisabled: true });
+    }
+    const session = readSession(req);
+    res.json({
+        authenticated: Boolean(session),
+        username: session ? session.username : null,
+        csrfToken: session ? csrfToken(session) : null,
+        // Local users log in with their name, the shared secret needs none
+        askUsername: authUsers.length > 0,
+        error: authConfigError() || undefined
+    });
+});
+
+app.post('/login', async (req, res) => {
+    try {
+        const configError = authConfigError();
+        if (configError) {
+            return res.status(503).json({ error: configError });
+        }
+        const { username, password } = req.body;
+        if (!password) {
+            return res.status(400).json({ error: 'Password required' });
+        }
+        const name = await checkLogin((username || '').trim(), password);
+        if (!name) {
+            console.log(`Failed login${username ? ` for ${username}` : ''}`);
+            return res.status(401).json({ error: 'Wrong username or password' });
+        }
+        const cookie = createSessionCookie(name);
+        setSessionCookie(req, res, cookie, sessionMaxAge);
+        res.json({ success: `Logged in as ${name}`, username: name, csrfToken: csrfToken({ cookie }) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Everything below needs a session, and its POST requests the session's CSRF token in an
+// X-CSRF-Token header. Nothing reaches the tools, the model or a hosting account without them.
+app.use((req, res, next) => {
+    if (authDisabled) {
+        return next();
+    }
+    const session = readSession(req);
+    if (!session) {
+        return res.status(401).json({ error: authConfigError() || 'Not logged in' });
+    }
+    if (!SAFE_METHODS.includes(req.method) && !safeEqual(req.get('x-csrf-token') || '', csrfToken(session))) {
+        return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+    }
+    req.user = session.username;
+    next();
+});
+
+// Behind the CSRF check, so another site cannot log anyone out
+app.post('/logout', (req, res) => {
+    setSessionCookie(req, res, '', 0);
+    res.json({ success: 'Logged out' });
+});
+
+// The hosting account the current tool call runs as (see withAccount)
+const accountStorage = new AsyncLocalStorage();
+
+function currentAccount() {
+    return accountStorage.getStore() || hostingAccounts[0];
+}
+
+function host() {
+    return hostingProviders[currentAccount().provider];
+}
+
+// Hosting API helper functions. Requests go to the current account's server with its token
+async function hostFetch(endpoint, options = {}) {
+    const account = currentAccount();
+    if (!account.apiUrl) {
+        throw new Error(`${account.id} is a local workspace and has no web API`);
+    }
+    const url = endpoint.startsWith('http') ? endpoint : `${account.apiUrl}${endpoint}`;
     const response = await fetch(url, {
         ...options,
         headers: {
-            'Authorization': `token ${githubToken}`,
-            'Accept': 'application/vnd.github.v3+json',
+            'Authorization': `token ${account.token}`,
+            'Accept': hostingProviders[account.provider].accept,
             'Content-Type': 'application/json',
             ...options.headers
         }
@@ -37,6 +276,256 @@ async function githubFetch(endpoint, options = {}) {
     return response;
 }
 
+// Largest list a single tool call collects before reporting it as truncated
+const MAX_LIST_ITEMS = 1000;
+
+function nextPageUrl(linkHeader) {
+    const match = linkHeader && linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+}
+
+// Fetch every page of a list endpoint by following Link rel="next" headers.
+// Stops at maxItems and flags the list as truncated when more items remain.
+async function hostFetchAll(endpoint, { maxItems = MAX_LIST_ITEMS, itemsKey = null } = {}) {
+    const items = [];
+    let url = endpoint;
+    while (url) {
+        const response = await hostFetch(url);
+        if (!response.ok) {
+            return { ok: false, status: response.status, statusText: response.statusText, items, truncated: false };
+        }
+        const data = await response.json();
+        items.push(...(itemsKey ? data[itemsKey] : data));
+        url = nextPageUrl(response.headers.get('link'));
+        if (items.length >= maxItems) {
+            return { ok: true, items: items.slice(0, maxItems), truncated: Boolean(url) || items.length > maxItems };
+        }
+    }
+    return { ok: true, items, truncated: false };
+}
+
+// LLM providers. Every adapter takes the same request and returns the same response,
+// so call sites never deal with a provider's own format:
+//   request:  { model, system, contents, tools, onText, signal }
+//             contents are Gemini-style turns: { role: 'user' | 'model' | 'function', parts }
+//             with parts { text }, { functionCall: { name, args } } or { functionResponse: { name, response } }
+//             onText, when given, streams the reply and receives each piece of text as it arrives
+//   response: { text, functionCalls: [{ name, args }] }
+const llmProviders = {
+    gemini: {
+        defaultModel: 'gemini-flash-lite-latest',
+        missingConfig: () => (geminiApiKey ? null : 'GEMINI_API_KEY'),
+        async generate({ model, system, contents, tools, onText, signal }) {
+            const ai = new GoogleGenAI({ apiKey: geminiApiKey });
+            const config = { thinkingConfig: { thinkingBudget: 0 } };
+            if (tools) {
+                config.tools = [{ functionDeclarations: tools }];
+            }
+            const request = {
+                model,
+                contents: system ? [{ role: 'user', parts: [{ text: system }] }, ...contents] : contents,
+                config
+            };
+            let parts = [];
+            if (onText) {
+                // The SDK takes no abort signal, so a cancelled stream is simply left unread
+                for await (const chunk of await ai.models.generateContentStream(request)) {
+                    signal?.throwIfAborted();
+                    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+                    chunkParts.filter(part => part.text).forEach(part => onText(part.text));
+                    parts.push(...chunkParts);
+                }
+            } else {
+                const response = await ai.models.generateContent(request);
+                parts = response.candidates?.[0]?.content?.parts || [];
+            }
+            return {
+                text: parts.filter(part => part.text).map(part => part.text).join(''),
+                functionCalls: parts.filter(part => part.functionCall)
+                    .map(part => ({ name: part.functionCall.name, args: part.functionCall.args || {} }))
+            };
+        }
+    },
+    openai: {
+        defaultModel: 'gpt-4o-mini',
+        // Local servers usually need no key, so only the hosted API requires one
+        missingConfig: () => (openaiApiKey || process.env.OPENAI_BASE_URL ? null : 'OPENAI_API_KEY or OPENAI_BASE_URL'),
+        async generate({ model, system, contents, tools, onText, signal }) {
+            const body = { model, messages: toOpenAIMessages(system, contents) };
+            if (tools) {
+                body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+            }
+            if (onText) {
+                body.stream = true;
+            }
+            const response = await fetch(`${openaiBaseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(openaiApiKey ? { 'Authorization': `Bearer ${openaiApiKey}` } : {})
+                },
+                body: JSON.stringify(body),
+                signal
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Model request failed: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+            const message = onText
+                ? await readOpenAIStream(response, onText)
+                : (await response.json()).choices?.[0]?.message || {};
+            return {
+                text: message.content || '',
+                functionCalls: (message.tool_calls || []).map(call => ({
+                    name: call.function.name,
+                    args: parseToolArguments(call.function.arguments)
+                }))
+            };
+        }
+    }
+};
+
+// Puts a streamed reply back together into the message a non-streamed request returns.
+// Tool calls arrive in pieces keyed by their index, their arguments as fragments of JSON.
+async function readOpenAIStream(response, onText) {
+    const message = { content: '', tool_calls: [] };
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const data = line.match(/^data:\s*(.*)$/)?.[1];
+            if (!data || data === '[DONE]') {
+                continue;
+            }
+            const delta = JSON.parse(data).choices?.[0]?.delta || {};
+            if (delta.content) {
+                message.content += delta.content;
+                onText(delta.content);
+            }
+            (delta.tool_calls || []).forEach(piece => {
+                const call = message.tool_calls[piece.index] ||= { function: { name: '', arguments: '' } };
+                call.function.name += piece.function?.name || '';
+                call.function.arguments += piece.function?.arguments || '';
+            });
+        }
+    }
+    message.tool_calls = message.tool_calls.filter(Boolean);
+    return message;
+}
+
+// Models pick the call to answer by id, while Gemini pairs calls and responses by order,
+// so each function turn answers the calls of the model turn right before it
+function toOpenAIMessages(system, contents) {
+    const messages = system ? [{ role: 'system', content: system }] : [];
+    let callIds = [];
+    contents.forEach((content, turn) => {
+        const parts = content.parts || [];
+        const text = parts.filter(part => part.text).map(part => part.text).join('');
+        const calls = parts.filter(part => part.functionCall);
+        const results = parts.filter(part => part.functionResponse);
+
+        if (calls.length > 0) {
+            callIds = calls.map((part, index) => `call_${turn}_${index}`);
+            messages.push({
+                role: 'assistant',
+                content: text || null,
+                tool_calls: calls.map((part, index) => ({
+                    id: callIds[index],
+                    type: 'function',
+                    function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+                }))
+            });
+        } else if (results.length > 0) {
+            results.forEach((part, index) => messages.push({
+                role: 'tool',
+                tool_call_id: callIds[index] || `call_${turn}_${index}`,
+                content: JSON.stringify(part.functionResponse.response)
+            }));
+        } else {
+            messages.push({ role: content.role === 'model' ? 'assistant' : 'user', content: text });
+        }
+    });
+    return messages;
+}
+
+function parseToolArguments(json) {
+    try {
+        return JSON.parse(json || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+// Provider and model per task, e.g. INTENT_PROVIDER=openai INTENT_MODEL=llama3.1.
+// Tasks fall back to LLM_PROVIDER / LLM_MODEL, then to the provider's default model.
+const LLM_TASKS = ['chat', 'intent', 'codegen'];
+
+function llmConfig(task) {
+    const prefix = task.toUpperCase();
+    const provider = process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini';
+    const adapter = llmProviders[provider];
+    if (!adapter) {
+        throw new Error(`Unknown LLM provider "${provider}" for ${task} (available: ${Object.keys(llmProviders).join(', ')})`);
+    }
+    const model = process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || adapter.defaultModel;
+    return { provider, model, adapter };
+}
+
+// Names the missing setting of the first task whose provider is not configured
+function llmConfigError(tasks = LLM_TASKS) {
+    for (const task of tasks) {
+        const { provider, adapter } = llmConfig(task);
+        const missing = adapter.missingConfig();
+        if (missing) {
+            return `${missing} not configured (needed by the ${provider} provider for ${task})`;
+        }
+    }
+    return null;
+}
+
+async function generateText(task, { system, contents, tools, onText, signal }) {
+    signal?.throwIfAborted();
+    const { model, adapter } = llmConfig(task);
+    return adapter.generate({ model, system, contents, tools, onText, signal });
+}
+
+// Shorthand for a single prompt without history or tools
+async function generateFromPrompt(task, prompt) {
+    const response = await generateText(task, { contents: [{ role: 'user', parts: [{ text: prompt }] }] });
+    return response.text;
+}
+
+// Schema for a list of file changes, shared by commit_changes and create_pr
+const fileChangesSchema = {
+    type: 'array',
+    description: 'The file changes to apply',
+    items: {
+        type: 'object',
+        properties: {
+            action: {
+                type: 'string',
+                description: 'add, edit, delete or rename'
+            },
+            path: {
+                type: 'string',
+                description: 'File path (the current path for renames)'
+            },
+            content: {
+                type: 'string',
+                description: 'Full new file content (add/edit; optional for rename)'
+            },
+            newPath: {
+                type: 'string',
+                description: 'Destination path (rename only)'
+            }
+        },
+        required: ['action', 'path']
+    }
+};
+
 // Tool definitions for AI
 const tools = [
     {
@@ -56,13 +545,25 @@ const tools = [
                 type: {
                     type: 'string',
                     description: 'Filter by repo type: all, owner, public, private, member (default: owner)'
+                },
+                owner: {
+                    type: 'string',
+                    description: 'Organization to list instead of your own account (optional)'
                 }
             }
         }
     },
+    {
+        name: 'list_owners',
+        description: 'Lists the accounts repositories can be listed and created in: your user plus the organizations you belong to',
+        parameters: {
+            type: 'object',
+            properties: {}
+        }
+    },
     {
         name: 'create_repo',
-        description: 'CALL THIS to create a new GitHub repository. Required when user wants to create/make a new repo.',
+        description: 'CALL THIS to create a new GitHub repository. Required when user wants to create/make a new repo. Can generate it from a template repository, or start it with a .gitignore template and a license.',
         parameters: {
             type: 'object',
             properties: {
@@ -81,64 +582,88 @@ const tools = [
                 autoInit: {
                     type: 'boolean',
                     description: 'Initialize with README, default true'
+                },
+                template: {
+                    type: 'string',
+                    description: 'Template repository to generate from (format: owner/repo-name, or just repo-name for your own templates)'
+                },
+                includeAllBranches: {
+                    type: 'boolean',
+                    description: 'Copy all branches of the template, not just the default branch (default: false)'
+                },
+                gitignoreTemplate: {
+                    type: 'string',
+                    description: '.gitignore template name, e.g. Node, Python, Go (not with template)'
+                },
+                licenseTemplate: {
+                    type: 'string',
+                    description: 'License keyword, e.g. mit, apache-2.0, gpl-3.0 (not with template)'
+                },
+                organization: {
+                    type: 'string',
+                    description: 'Create the repository in this organization instead of your account'
                 }
             },
             required: ['name']
         }
     },
     {
-        name: 'delete_repo',
-        description: 'CALL THIS to delete a GitHub repository. CAUTION: Permanent deletion! Required when user wants to delete/remove a repo.',
+        name: 'fork_repo',
+        description: 'Forks a repository into your account or an organization',
         parameters: {
             type: 'object',
             properties: {
                 repo: {
                     type: 'string',
-                    description: 'Repository name in format username/repo-name (REQUIRED)'
+                    description: 'Repository to fork (format: owner/repo-name)'
+                },
+                organization: {
+                    type: 'string',
+                    description: 'Fork into this organization instead of your account'
+                },
+                name: {
+                    type: 'string',
+                    description: 'Name of the fork (default: same as the original)'
+                },
+                defaultBranchOnly: {
+                    type: 'boolean',
+                    description: 'Only copy the default branch (default: false)'
                 }
             },
             required: ['repo']
         }
     },
     {
-        name: 'list_files',
-        description: 'Lists files and directories in a GitHub repository at a given path',
+        name: 'delete_repo',
+        description: 'CALL THIS to delete a GitHub repository. CAUTION: Permanent deletion! Required when user wants to delete/remove a repo.',
         parameters: {
             type: 'object',
             properties: {
                 repo: {
                     type: 'string',
-                    description: 'Repository name (format: username/repo-name)'
-                },
-                path: {
-                    type: 'string',
-                    description: 'The directory path to list files from (empty string for root)'
+                    description: 'Repository name in format username/repo-name (REQUIRED)'
                 }
             },
             required: ['repo']
         }
     },
     {
-        name: 'read_file',
-        description: 'Reads the content of a file from a GitHub repository',
+        name: 'get_repo_settings',
+        description: 'Shows the settings of a repository: visibility, description, homepage, topics, default branch, merge options and whether it is archived',
         parameters: {
             type: 'object',
             properties: {
                 repo: {
                     type: 'string',
                     description: 'Repository name (format: username/repo-name)'
-                },
-                path: {
-                    type: 'string',
-                    description: 'The file path to read'
                 }
             },
-            required: ['repo', 'path']
+            required: ['repo']
         }
     },
     {
-        name: 'update_file',
-        description: 'Updates or creates a file in a GitHub repository',
+        name: 'update_repo',
+        description: 'Changes repository settings. Only the given settings are changed. Use this to rename, make private or public, set the description, homepage, topics or default branch, configure the merge button, or archive and unarchive.',
         parameters: {
             type: 'object',
             properties: {
@@ -146,25 +671,58 @@ const tools = [
                     type: 'string',
                     description: 'Repository name (format: username/repo-name)'
                 },
-                path: {
+                name: {
                     type: 'string',
-                    description: 'The file path to update or create'
+                    description: 'New repository name (without the owner)'
                 },
-                content: {
+                private: {
+                    type: 'boolean',
+                    description: 'true to make the repository private, false to make it public'
+                },
+                description: {
                     type: 'string',
-                    description: 'The new content for the file'
+                    description: 'Short description'
                 },
-                message: {
+                homepage: {
                     type: 'string',
-                    description: 'Commit message'
+                    description: 'Homepage URL'
+                },
+                topics: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Topics; replaces the existing topics'
+                },
+                defaultBranch: {
+                    type: 'string',
+                    description: 'Existing branch to make the default branch'
+                },
+                allowMergeCommit: {
+                    type: 'boolean',
+                    description: 'Allow merge commits'
+                },
+                allowSquashMerge: {
+                    type: 'boolean',
+                    description: 'Allow squash merging'
+                },
+                allowRebaseMerge: {
+                    type: 'boolean',
+                    description: 'Allow rebase merging'
+                },
+                deleteBranchOnMerge: {
+                    type: 'boolean',
+                    description: 'Delete head branches automatically after merging'
+                },
+                archived: {
+                    type: 'boolean',
+                    description: 'true to archive (read-only), false to unarchive'
                 }
             },
-            required: ['repo', 'path', 'content', 'message']
+            required: ['repo']
         }
     },
     {
-        name: 'create_pr',
-        description: 'Creates a pull request with changes to a file',
+        name: 'list_files',
+        description: 'Lists files and directories in a GitHub repository at a given path',
         parameters: {
             type: 'object',
             properties: {
@@ -172,43 +730,43 @@ const tools = [
                     type: 'string',
                     description: 'Repository name (format: username/repo-name)'
                 },
-                title: {
-                    type: 'string',
-                    description: 'PR title'
-                },
-                body: {
-                    type: 'string',
-                    description: 'PR description'
-                },
-                filePath: {
+                path: {
                     type: 'string',
-                    description: 'Path to the file to modify'
+                    description: 'The directory path to list files from (empty string for root)'
                 },
-                content: {
+                ref: {
                     type: 'string',
-                    description: 'New content for the file'
+                    description: 'Branch, tag or commit SHA to list from (default: the default branch)'
                 }
             },
-            required: ['repo', 'title', 'filePath', 'content']
+            required: ['repo']
         }
     },
     {
-        name: 'list_prs',
-        description: 'Lists open pull requests in a repository',
+        name: 'list_tree',
+        description: 'Lists every file and directory in a repository recursively, optionally under a path. Use this for an overview of a whole project or to find files by name',
         parameters: {
             type: 'object',
             properties: {
                 repo: {
                     type: 'string',
                     description: 'Repository name (format: username/repo-name)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Only list entries under this directory (default: the whole repository)'
+                },
+                ref: {
+                    type: 'string',
+                    description: 'Branch, tag or commit SHA to list from (default: the default branch)'
                 }
             },
             required: ['repo']
         }
     },
     {
-        name: 'merge_pr',
-        description: 'Merges a pull request',
+        name: 'read_file',
+        description: 'Reads the content of a file from a GitHub repository. Binary files (images, archives, ...) return only their size and type',
         parameters: {
             type: 'object',
             properties: {
@@ -216,17 +774,21 @@ const tools = [
                     type: 'string',
                     description: 'Repository name (format: username/repo-name)'
                 },
-                prNumber: {
-                    type: 'number',
-                    description: 'The PR number to merge'
+                path: {
+                    type: 'string',
+                    description: 'The file path to read'
+                },
+                ref: {
+                    type: 'string',
+                    description: 'Branch, tag or commit SHA to read from (default: the default branch)'
                 }
             },
-            required: ['repo', 'prNumber']
+            required: ['repo', 'path']
         }
     },
     {
-        name: 'delete_file',
-        description: 'Deletes a file from a GitHub repository',
+        name: 'update_file',
+        description: 'Updates or creates a file in a GitHub repository',
         parameters: {
             type: 'object',
             properties: {
@@ -236,263 +798,5546 @@ const tools = [
                 },
                 path: {
                     type: 'string',
-                    description: 'The file path to delete'
+                    description: 'The file path to update or create'
+                },
+                content: {
+                    type: 'string',
+                    description: 'The new content for the file'
+                },
+                message: {
+                    type: 'string',
+                    description: 'Commit message'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Branch to commit to (default: the default branch)'
+                }
+            },
+            required: ['repo', 'path', 'content', 'message']
+        }
+    },
+    {
+        name: 'create_pr',
+        description: 'Creates a pull request. The changes are committed as one commit to a head branch, which is then opened against the base branch.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                title: {
+                    type: 'string',
+                    description: 'PR title'
+                },
+                body: {
+                    type: 'string',
+                    description: 'PR description'
+                },
+                changes: {
+                    ...fileChangesSchema,
+                    description: 'The file changes to include (may be omitted when head is an existing branch with commits)'
+                },
+                base: {
+                    type: 'string',
+                    description: 'Branch to merge into (default: the repository default branch)'
+                },
+                head: {
+                    type: 'string',
+                    description: 'Branch name for the changes; created from base if it does not exist (default: ai-agent-<timestamp>)'
+                },
+                commitMessage: {
+                    type: 'string',
+                    description: 'Commit message for the changes (default: the PR title)'
+                },
+                draft: {
+                    type: 'boolean',
+                    description: 'Open the PR as a draft, default false'
+                },
+                reviewers: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Logins of users to request reviews from'
+                },
+                labels: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Label names to apply'
+                }
+            },
+            required: ['repo', 'title']
+        }
+    },
+    {
+        name: 'list_prs',
+        description: 'Lists open pull requests in a repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'merge_pr',
+        description: 'Merges a pull request. Refuses when the PR is closed, a draft, has conflicts, failing or pending checks, or lacks required approvals, unless force is set.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number to merge'
+                },
+                method: {
+                    type: 'string',
+                    description: 'Merge strategy: merge, squash or rebase (default: merge)'
+                },
+                commitTitle: {
+                    type: 'string',
+                    description: 'Custom title for the merge or squash commit (optional)'
+                },
+                commitMessage: {
+                    type: 'string',
+                    description: 'Custom message body for the merge or squash commit (optional)'
+                },
+                force: {
+                    type: 'boolean',
+                    description: 'Merge even though checks are failing or pending or approvals are missing. Only set when the user explicitly asks to override.'
+                },
+                deleteBranch: {
+                    type: 'boolean',
+                    description: 'Delete the head branch after merging (default: true for ai-agent-* branches, false otherwise)'
+                }
+            },
+            required: ['repo', 'prNumber']
+        }
+    },
+    {
+        name: 'check_pr_merge',
+        description: 'Pre-merge report for a pull request: conflicts, failing and pending checks, approvals and required reviews. Use this when users ask whether a PR can be merged.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number to check'
+                }
+            },
+            required: ['repo', 'prNumber']
+        }
+    },
+    {
+        name: 'list_pr_files',
+        description: 'Lists the files changed by a pull request with per-file additions, deletions and patch hunks. Use this before commenting on specific lines.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number'
+                }
+            },
+            required: ['repo', 'prNumber']
+        }
+    },
+    {
+        name: 'get_pr_diff',
+        description: 'Gets the full unified diff of a pull request along with its title, description, branches and author. Use this to review a PR.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number'
+                }
+            },
+            required: ['repo', 'prNumber']
+        }
+    },
+    {
+        name: 'comment_pr_line',
+        description: 'Posts a review comment on a specific line (or range of lines) of a file in a pull request diff',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Path of the file to comment on'
+                },
+                line: {
+                    type: 'number',
+                    description: 'Line number in the file the comment applies to (last line for a range)'
+                },
+                startLine: {
+                    type: 'number',
+                    description: 'First line of a multi-line comment (optional)'
+                },
+                side: {
+                    type: 'string',
+                    description: 'RIGHT for the new version of the file, LEFT for the old one (default: RIGHT)'
+                },
+                body: {
+                    type: 'string',
+                    description: 'Comment text'
+                }
+            },
+            required: ['repo', 'prNumber', 'path', 'line', 'body']
+        }
+    },
+    {
+        name: 'submit_pr_review',
+        description: 'Submits a pull request review: APPROVE, REQUEST_CHANGES or COMMENT, with an overall summary and optional line comments posted together',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number'
+                },
+                event: {
+                    type: 'string',
+                    description: 'APPROVE, REQUEST_CHANGES or COMMENT'
+                },
+                body: {
+                    type: 'string',
+                    description: 'Overall review summary (required for REQUEST_CHANGES and COMMENT)'
+                },
+                comments: {
+                    type: 'array',
+                    description: 'Line comments to include in the review',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: {
+                                type: 'string',
+                                description: 'Path of the file'
+                            },
+                            line: {
+                                type: 'number',
+                                description: 'Line number in the file'
+                            },
+                            side: {
+                                type: 'string',
+                                description: 'RIGHT (new version, default) or LEFT (old version)'
+                            },
+                            body: {
+                                type: 'string',
+                                description: 'Comment text'
+                            }
+                        },
+                        required: ['path', 'line', 'body']
+                    }
+                }
+            },
+            required: ['repo', 'prNumber', 'event']
+        }
+    },
+    {
+        name: 'review_pr',
+        description: 'CALL THIS when the user asks to review a pull request. Reads the diff, writes a review with line comments and posts it to GitHub.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number to review'
+                },
+                event: {
+                    type: 'string',
+                    description: 'Only set when the user explicitly asks to APPROVE or REQUEST_CHANGES; otherwise the review is posted as COMMENT'
+                },
+                focus: {
+                    type: 'string',
+                    description: 'What the user wants the review to concentrate on, e.g. "security" (optional)'
+                }
+            },
+            required: ['repo', 'prNumber']
+        }
+    },
+    {
+        name: 'list_pr_reviews',
+        description: 'Summarizes the existing reviews and review comment threads on a pull request',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                prNumber: {
+                    type: 'number',
+                    description: 'The PR number'
+                }
+            },
+            required: ['repo', 'prNumber']
+        }
+    },
+    {
+        name: 'delete_file',
+        description: 'Deletes a file from a GitHub repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'The file path to delete'
                 },
                 message: {
                     type: 'string',
                     description: 'Commit message for the deletion'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Branch to delete the file from (default: the default branch)'
+                }
+            },
+            required: ['repo', 'path']
+        }
+    },
+    {
+        name: 'list_issues',
+        description: 'Lists issues in a repository. Use this when users want to see, triage or filter issues (pull requests are excluded).',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                state: {
+                    type: 'string',
+                    description: 'Filter by state: open, closed, all (default: open)'
+                },
+                labels: {
+                    type: 'string',
+                    description: 'Comma-separated list of label names the issues must have'
+                },
+                assignee: {
+                    type: 'string',
+                    description: 'Filter by assignee login, "none" for unassigned or "*" for any'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'create_issue',
+        description: 'CALL THIS to open a new issue in a repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                title: {
+                    type: 'string',
+                    description: 'Issue title (REQUIRED)'
+                },
+                body: {
+                    type: 'string',
+                    description: 'Issue description (optional)'
+                },
+                labels: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Label names to apply (optional)'
+                },
+                assignees: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Logins of users to assign (optional)'
+                }
+            },
+            required: ['repo', 'title']
+        }
+    },
+    {
+        name: 'comment_issue',
+        description: 'Adds a comment to an issue',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                issueNumber: {
+                    type: 'number',
+                    description: 'The issue number to comment on'
+                },
+                body: {
+                    type: 'string',
+                    description: 'Comment text'
+                }
+            },
+            required: ['repo', 'issueNumber', 'body']
+        }
+    },
+    {
+        name: 'update_issue',
+        description: 'Edits an issue: adds or removes labels and assignees, or changes its title and description',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                issueNumber: {
+                    type: 'number',
+                    description: 'The issue number to edit'
+                },
+                title: {
+                    type: 'string',
+                    description: 'New issue title (optional)'
+                },
+                body: {
+                    type: 'string',
+                    description: 'New issue description (optional)'
+                },
+                addLabels: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Label names to add'
+                },
+                removeLabels: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Label names to remove'
+                },
+                addAssignees: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Logins of users to assign'
+                },
+                removeAssignees: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Logins of users to unassign'
+                }
+            },
+            required: ['repo', 'issueNumber']
+        }
+    },
+    {
+        name: 'close_issue',
+        description: 'Closes an issue, optionally leaving a closing comment',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                issueNumber: {
+                    type: 'number',
+                    description: 'The issue number to close'
+                },
+                reason: {
+                    type: 'string',
+                    description: 'Why the issue is closed: completed or not_planned (default: completed)'
+                },
+                comment: {
+                    type: 'string',
+                    description: 'Comment to post before closing (optional)'
+                }
+            },
+            required: ['repo', 'issueNumber']
+        }
+    },
+    {
+        name: 'reopen_issue',
+        description: 'Reopens a closed issue',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                issueNumber: {
+                    type: 'number',
+                    description: 'The issue number to reopen'
+                }
+            },
+            required: ['repo', 'issueNumber']
+        }
+    },
+    {
+        name: 'commit_changes',
+        description: 'CALL THIS to change several files at once. Adds, edits, deletes and renames are written as ONE commit, and either all of them land or none do. Prefer this over repeated update_file calls.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                message: {
+                    type: 'string',
+                    description: 'Commit message'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Branch to commit to (default: the default branch)'
+                },
+                changes: fileChangesSchema,
+                baseSha: {
+                    type: 'string',
+                    description: 'Commit SHA the changes were based on; the commit is refused if the branch has moved past it (optional)'
+                }
+            },
+            required: ['repo', 'message', 'changes']
+        }
+    },
+    {
+        name: 'move_file',
+        description: 'CALL THIS to move or rename a file in ONE commit, keeping its history. Never overwrites an existing file unless overwrite is true, which needs the user\'s confirmation',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Current path of the file'
+                },
+                newPath: {
+                    type: 'string',
+                    description: 'New path of the file'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Branch to commit to (default: the default branch)'
+                },
+                message: {
+                    type: 'string',
+                    description: 'Commit message (default: "Move <path> to <newPath>")'
+                },
+                overwrite: {
+                    type: 'boolean',
+                    description: 'Replace a file that already exists at newPath (only after the user confirmed it)'
+                }
+            },
+            required: ['repo', 'path', 'newPath']
+        }
+    },
+    {
+        name: 'move_directory',
+        description: 'CALL THIS to move or rename a directory with everything in it as ONE commit. Never overwrites existing files unless overwrite is true, which needs the user\'s confirmation',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Current path of the directory'
+                },
+                newPath: {
+                    type: 'string',
+                    description: 'New path of the directory'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Branch to commit to (default: the default branch)'
+                },
+                message: {
+                    type: 'string',
+                    description: 'Commit message (default: "Move <path> to <newPath>")'
+                },
+                overwrite: {
+                    type: 'boolean',
+                    description: 'Replace files that already exist under newPath (only after the user confirmed it)'
+                }
+            },
+            required: ['repo', 'path', 'newPath']
+        }
+    },
+    {
+        name: 'list_branches',
+        description: 'Lists the branches of a repository and marks the default branch',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'create_branch',
+        description: 'CALL THIS to create a new branch in a repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Name of the new branch (REQUIRED)'
+                },
+                from: {
+                    type: 'string',
+                    description: 'Branch, tag or commit SHA to start from (default: the default branch)'
+                }
+            },
+            required: ['repo', 'branch']
+        }
+    },
+    {
+        name: 'delete_branch',
+        description: 'Deletes a branch from a repository. The default branch cannot be deleted.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Name of the branch to delete'
+                }
+            },
+            required: ['repo', 'branch']
+        }
+    },
+    {
+        name: 'compare_branches',
+        description: 'Compares two branches (or tags/SHAs): commits ahead and behind, and the files that differ',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                base: {
+                    type: 'string',
+                    description: 'Base branch (default: the default branch)'
+                },
+                head: {
+                    type: 'string',
+                    description: 'Branch to compare against the base'
+                }
+            },
+            required: ['repo', 'head']
+        }
+    },
+    {
+        name: 'list_commits',
+        description: 'Lists the commit history of a repository, or of a single file or directory when a path is given',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Only commits touching this file or directory (optional)'
+                },
+                ref: {
+                    type: 'string',
+                    description: 'Branch, tag or SHA to start from (default: the default branch)'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum number of commits, up to 1000 (default: 30)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'diff_revisions',
+        description: 'Shows the line-by-line diff between two revisions (commit SHAs, branches or tags), optionally limited to one path',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                base: {
+                    type: 'string',
+                    description: 'Older revision'
+                },
+                head: {
+                    type: 'string',
+                    description: 'Newer revision'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Only show changes to this file or directory (optional)'
+                }
+            },
+            required: ['repo', 'base', 'head']
+        }
+    },
+    {
+        name: 'restore_file',
+        description: 'Restores a file to the content it had at an earlier commit by committing that content back',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'The file path to restore'
+                },
+                sha: {
+                    type: 'string',
+                    description: 'Commit SHA holding the version to restore'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Branch to commit the restored file to (default: the default branch)'
+                },
+                message: {
+                    type: 'string',
+                    description: 'Commit message (default: "Restore <path> to <sha>")'
+                }
+            },
+            required: ['repo', 'path', 'sha']
+        }
+    },
+    {
+        name: 'search_code',
+        description: 'Searches code across repositories with GitHub code search. By default only the user\'s own repositories are searched. Use this when users ask where something is defined or used.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'Text or identifier to search for (REQUIRED)'
+                },
+                repo: {
+                    type: 'string',
+                    description: 'Limit to one repository (format: username/repo-name)'
+                },
+                language: {
+                    type: 'string',
+                    description: 'Limit to a language, e.g. javascript, python'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Limit to files under this path, e.g. src/components'
+                },
+                owner: {
+                    type: 'string',
+                    description: 'Organization to search instead of your own account (optional)'
+                },
+                scope: {
+                    type: 'string',
+                    description: 'mine (the user\'s repositories, default) or all (all public code on GitHub); ignored when repo is set'
+                }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'list_workflows',
+        description: 'Lists the GitHub Actions workflows defined in a repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'list_workflow_runs',
+        description: 'Lists recent GitHub Actions runs with their status. Use this when users ask whether CI passed.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                branch: {
+                    type: 'string',
+                    description: 'Only runs for this branch (optional)'
+                },
+                workflow: {
+                    type: 'string',
+                    description: 'Only runs of this workflow, by file name (e.g. ci.yml) or ID (optional)'
+                },
+                status: {
+                    type: 'string',
+                    description: 'Filter: success, failure, in_progress, queued, completed (optional)'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum number of runs, up to 1000 (default: 10)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'get_workflow_run',
+        description: 'Shows the jobs of a workflow run and which steps failed',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                runId: {
+                    type: 'number',
+                    description: 'The workflow run ID'
+                }
+            },
+            required: ['repo', 'runId']
+        }
+    },
+    {
+        name: 'get_job_log',
+        description: 'Fetches the log of a failing job, trimmed to the errors and the last lines, so it can be explained. Pass a jobId, or a runId to use the first failed job of that run.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                jobId: {
+                    type: 'number',
+                    description: 'The job ID'
+                },
+                runId: {
+                    type: 'number',
+                    description: 'The workflow run ID (used when jobId is not given)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'rerun_workflow',
+        description: 'Re-runs a workflow run, by default only its failed jobs',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                runId: {
+                    type: 'number',
+                    description: 'The workflow run ID'
+                },
+                failedOnly: {
+                    type: 'boolean',
+                    description: 'Only re-run failed jobs, default true'
+                }
+            },
+            required: ['repo', 'runId']
+        }
+    },
+    {
+        name: 'dispatch_workflow',
+        description: 'Triggers a workflow that has a workflow_dispatch trigger',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                workflow: {
+                    type: 'string',
+                    description: 'Workflow file name (e.g. deploy.yml) or ID'
+                },
+                ref: {
+                    type: 'string',
+                    description: 'Branch or tag to run on (default: the default branch)'
+                },
+                inputs: {
+                    type: 'string',
+                    description: 'Workflow inputs as a JSON object, e.g. {"environment": "staging"} (optional)'
+                }
+            },
+            required: ['repo', 'workflow']
+        }
+    },
+    {
+        name: 'list_tags',
+        description: 'Lists the tags of a repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum number of tags, up to 1000 (default: 30)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'create_tag',
+        description: 'Creates a tag on a branch, tag or commit. Gives it a message (annotated tag) when one is provided.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                tag: {
+                    type: 'string',
+                    description: 'Tag name (e.g. v1.2.0)'
+                },
+                from: {
+                    type: 'string',
+                    description: 'Branch, tag or commit SHA to tag (default: the default branch)'
+                },
+                message: {
+                    type: 'string',
+                    description: 'Tag message (optional)'
+                }
+            },
+            required: ['repo', 'tag']
+        }
+    },
+    {
+        name: 'delete_tag',
+        description: 'Deletes a tag',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                tag: {
+                    type: 'string',
+                    description: 'Tag name'
+                }
+            },
+            required: ['repo', 'tag']
+        }
+    },
+    {
+        name: 'list_releases',
+        description: 'Lists the releases of a repository, including drafts',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum number of releases, up to 1000 (default: 10)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'create_release',
+        description: 'Creates a release. The tag is created from target if it does not exist yet.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                tag: {
+                    type: 'string',
+                    description: 'Tag name (e.g. v1.2.0)'
+                },
+                name: {
+                    type: 'string',
+                    description: 'Release title (default: the tag name)'
+                },
+                body: {
+                    type: 'string',
+                    description: 'Release notes in Markdown'
+                },
+                target: {
+                    type: 'string',
+                    description: 'Branch or commit SHA to tag when the tag does not exist (default: the default branch)'
+                },
+                draft: {
+                    type: 'boolean',
+                    description: 'Save as an unpublished draft'
+                },
+                prerelease: {
+                    type: 'boolean',
+                    description: 'Mark as a pre-release'
+                }
+            },
+            required: ['repo', 'tag']
+        }
+    },
+    {
+        name: 'publish_release',
+        description: 'Publishes a draft release, optionally replacing its notes',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                tag: {
+                    type: 'string',
+                    description: 'Tag name of the draft release'
+                },
+                body: {
+                    type: 'string',
+                    description: 'Final release notes in Markdown (optional)'
+                }
+            },
+            required: ['repo', 'tag']
+        }
+    },
+    {
+        name: 'delete_release',
+        description: 'Deletes a release, and its tag when deleteTag is true',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                tag: {
+                    type: 'string',
+                    description: 'Tag name of the release'
+                },
+                deleteTag: {
+                    type: 'boolean',
+                    description: 'Also delete the tag (default: false)'
+                }
+            },
+            required: ['repo', 'tag']
+        }
+    },
+    {
+        name: 'draft_release_notes',
+        description: 'Collects the merged PRs and commits since the previous release and drafts categorized release notes. Saves them as a draft release for review when createDraft is true; publish it with publish_release.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                tag: {
+                    type: 'string',
+                    description: 'Tag of the new release (e.g. v1.3.0)'
+                },
+                previousTag: {
+                    type: 'string',
+                    description: 'Tag to compare against (default: the latest release, or the latest tag)'
+                },
+                target: {
+                    type: 'string',
+                    description: 'Branch being released (default: the default branch)'
+                },
+                createDraft: {
+                    type: 'boolean',
+                    description: 'Save the notes as a draft release (requires tag)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'list_collaborators',
+        description: 'Lists the collaborators of a repository and their permission levels',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                affiliation: {
+                    type: 'string',
+                    description: 'outside (outside collaborators only), direct or all (default: all)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'add_collaborator',
+        description: 'Invites a GitHub user to collaborate on a repository with the given permission',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                username: {
+                    type: 'string',
+                    description: 'GitHub username to invite'
+                },
+                permission: {
+                    type: 'string',
+                    description: 'read, triage, write, maintain or admin (default: write)'
+                }
+            },
+            required: ['repo', 'username']
+        }
+    },
+    {
+        name: 'update_collaborator',
+        description: 'Changes the permission of a collaborator or of a pending invitation',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                username: {
+                    type: 'string',
+                    description: 'GitHub username'
+                },
+                permission: {
+                    type: 'string',
+                    description: 'read, triage, write, maintain or admin'
+                }
+            },
+            required: ['repo', 'username', 'permission']
+        }
+    },
+    {
+        name: 'remove_collaborator',
+        description: 'Removes a collaborator\'s access to a repository. The user is asked to confirm first.',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                username: {
+                    type: 'string',
+                    description: 'GitHub username'
+                }
+            },
+            required: ['repo', 'username']
+        }
+    },
+    {
+        name: 'list_invitations',
+        description: 'Lists pending collaborator invitations of a repository',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                }
+            },
+            required: ['repo']
+        }
+    },
+    {
+        name: 'cancel_invitation',
+        description: 'Cancels a pending collaborator invitation, by invitee username or invitation ID',
+        parameters: {
+            type: 'object',
+            properties: {
+                repo: {
+                    type: 'string',
+                    description: 'Repository name (format: username/repo-name)'
+                },
+                username: {
+                    type: 'string',
+                    description: 'GitHub username of the invitee'
+                },
+                invitationId: {
+                    type: 'number',
+                    description: 'Invitation ID (alternative to username)'
+                }
+            },
+            required: ['repo']
+        }
+    }
+];
+
+// Longest PR diff handed to the model; bigger diffs are cut off and flagged
+const MAX_DIFF_LENGTH = 60000;
+
+// Escape user-provided text (issue titles, labels...) before it goes into chat HTML
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Prefix a bare repo name with the selected owner, or the configured account
+function qualifyRepoName(repoName, owner = hostingAccounts[0].username) {
+    return repoName.includes('/') ? repoName : `${owner}/${repoName}`;
+}
+
+// Contents API endpoint for a path, optionally pinned to a branch, tag or SHA
+function contentsUrl(repo, filePath, ref) {
+    const encodedPath = (filePath || '').split('/').map(encodeURIComponent).join('/');
+    const url = `/repos/${repo}/contents/${encodedPath}`;
+    return ref ? `${url}?ref=${encodeURIComponent(ref)}` : url;
+}
+
+// Tool-side file read: failures come back as { error, status } so a missing file can be told apart
+async function fetchFileBuffer(repo, filePath, ref) {
+    try {
+        return await host().readFile(repo, filePath, ref);
+    } catch (error) {
+        return { error: error.message, status: error.status };
+    }
+}
+
+// A NUL byte in the first 8000 bytes (git's heuristic) or invalid UTF-8 means the
+// file cannot round-trip through a text editor
+function isBinaryContent(buffer) {
+    if (buffer.subarray(0, 8000).includes(0)) {
+        return true;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return false;
+    } catch (e) {
+        return true;
+    }
+}
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    ico: 'image/x-icon',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    zip: 'application/zip'
+};
+
+function mimeType(filePath) {
+    const extension = filePath.includes('.') ? filePath.split('.').pop().toLowerCase() : '';
+    return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+async function getDefaultBranch(repo) {
+    return (await host().getRepo(repo)).defaultBranch;
+}
+
+function formatRepoSettings(repo) {
+    return {
+        fullName: repo.full_name,
+        name: repo.name,
+        private: repo.private,
+        description: repo.description || '',
+        homepage: repo.homepage || '',
+        topics: repo.topics || [],
+        defaultBranch: repo.default_branch,
+        allowMergeCommit: repo.allow_merge_commit,
+        allowSquashMerge: repo.allow_squash_merge,
+        allowRebaseMerge: repo.allow_rebase_merge,
+        deleteBranchOnMerge: repo.delete_branch_on_merge,
+        archived: repo.archived,
+        url: repo.html_url
+    };
+}
+
+function describeRepoSettings(settings) {
+    const mergeMethods = [
+        settings.allowMergeCommit && 'merge commit',
+        settings.allowSquashMerge && 'squash',
+        settings.allowRebaseMerge && 'rebase'
+    ].filter(Boolean);
+
+    let text = `Visibility: ${settings.private ? 'private' : 'public'}${settings.archived ? ' (archived, read-only)' : ''}<br>`;
+    text += `Description: ${escapeHtml(settings.description || '(none)')}<br>`;
+    text += `Homepage: ${escapeHtml(settings.homepage || '(none)')}<br>`;
+    text += `Topics: ${escapeHtml(settings.topics.join(', ') || '(none)')}<br>`;
+    text += `Default branch: ${escapeHtml(settings.defaultBranch)}<br>`;
+    text += `Merge button: ${mergeMethods.join(', ')}${settings.deleteBranchOnMerge ? '; branches are deleted after merging' : ''}`;
+    return text;
+}
+
+// The API calls the read and write roles pull and push
+const PERMISSION_ALIASES = { read: 'pull', write: 'push' };
+const PERMISSIONS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
+function normalizePermission(permission) {
+    const value = (permission || 'write').toLowerCase();
+    const normalized = PERMISSION_ALIASES[value] || value;
+    return PERMISSIONS.includes(normalized) ? normalized : null;
+}
+
+// Deleting a repository always waits for the user to type "yes"
+async function repoDeletionConfirmation(repo) {
+    try {
+        await withAccount({ repo }, args => host().getRepo(args.repo));
+    } catch (error) {
+        if (error.status === 404) {
+            return { response: `Repository "${repo}" not found.` };
+        }
+        return { response: `Error checking repository: ${error.message}` };
+    }
+
+    return {
+        response: `DANGER: You are about to PERMANENTLY DELETE "${repo}"\n\nThis will delete ALL code, issues, and history forever.\n\nType "yes" to confirm deletion, or anything else to cancel.`,
+        pendingDeletion: repo
+    };
+}
+
+// Removing access goes through the same "yes" confirmation as deleting a repository
+function collaboratorRemovalConfirmation(repo, username) {
+    return {
+        response: `You are about to REMOVE ${username}'s access to "${repo}"\n\nThey will no longer be able to see or push to it.\n\nType "yes" to confirm, or anything else to cancel.`,
+        pendingDeletion: `${repo}:::${username}`,
+        deletionType: 'collaborator'
+    };
+}
+
+// Overwriting files with a move goes through the same "yes" confirmation as deletions
+function moveOverwriteConfirmation(toolName, args, conflicts) {
+    const shown = conflicts.slice(0, 10).join('\n');
+    const more = conflicts.length > 10 ? `\n...and ${conflicts.length - 10} more` : '';
+    return {
+        response: `Moving ${args.path} to ${args.newPath} would OVERWRITE:\n\n${shown}${more}\n\nType "yes" to overwrite, or anything else to cancel.`,
+        pendingDeletion: [args.repo, args.path, args.newPath, args.branch || '', toolName === 'move_directory' ? 'dir' : 'file'].join(':::'),
+        deletionType: 'move'
+    };
+}
+
+async function findInvitation(repo, { username, invitationId }) {
+    const page = await hostFetchAll(`/repos/${repo}/invitations?per_page=100`);
+    if (!page.ok) {
+        throw new Error(`Failed to list invitations: ${page.statusText}`);
+    }
+    const invitations = page.items;
+    return invitations.find(invitation => invitationId
+        ? invitation.id === Number(invitationId)
+        : invitation.invitee?.login.toLowerCase() === String(username).toLowerCase()) || null;
+}
+
+// Releases by tag, including drafts (which the releases/tags endpoint does not return)
+async function findRelease(repo, tag) {
+    const page = await hostFetchAll(`/repos/${repo}/releases?per_page=100`);
+    if (!page.ok) {
+        throw new Error(`Failed to list releases: ${page.statusText}`);
+    }
+    const releases = page.items;
+    return releases.find(release => release.tag_name === tag) || null;
+}
+
+function formatRelease(release) {
+    return {
+        id: release.id,
+        tag: release.tag_name,
+        name: release.name || release.tag_name,
+        draft: release.draft,
+        prerelease: release.prerelease,
+        publishedAt: release.published_at,
+        url: release.html_url
+    };
+}
+
+// Prefix each diff line with its line number in the new file and collect the
+// "path:line" pairs GitHub accepts for RIGHT-side review comments
+function annotateDiff(diff) {
+    const commentable = new Set();
+    const annotated = [];
+    let currentPath = null;
+    let newLine = 0;
+
+    diff.split('\n').forEach(line => {
+        if (line.startsWith('+++ ')) {
+            currentPath = line === '+++ /dev/null' ? null : line.replace(/^\+\+\+ b\//, '');
+            annotated.push(line);
+        } else if (line.startsWith('@@')) {
+            const match = line.match(/\+(\d+)/);
+            newLine = match ? parseInt(match[1], 10) : 0;
+            annotated.push(line);
+        } else if (currentPath && (line.startsWith('+') || line.startsWith(' '))) {
+            commentable.add(`${currentPath}:${newLine}`);
+            annotated.push(`${String(newLine).padStart(5)} ${line}`);
+            newLine++;
+        } else if (currentPath && line.startsWith('-') && !line.startsWith('--- ')) {
+            annotated.push(`      ${line}`);
+        } else {
+            annotated.push(line);
+        }
+    });
+
+    return { annotated: annotated.join('\n'), commentable };
+}
+
+// Lines of a job log kept around each error and at the end
+const LOG_CONTEXT_LINES = 20;
+const LOG_TAIL_LINES = 150;
+
+// Keep error lines with some context plus the end of the log, dropping timestamps
+function trimJobLog(log) {
+    const lines = log.split(/\r?\n/).map(line => line.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z /, ''));
+    const keep = new Set();
+
+    lines.forEach((line, index) => {
+        if (/##\[error\]|\berror\b|failed/i.test(line)) {
+            for (let i = Math.max(0, index - LOG_CONTEXT_LINES); i <= Math.min(lines.length - 1, index + 2); i++) {
+                keep.add(i);
+            }
+        }
+    });
+    for (let i = Math.max(0, lines.length - LOG_TAIL_LINES); i < lines.length; i++) {
+        keep.add(i);
+    }
+
+    const trimmed = [];
+    let previous = -1;
+    Array.from(keep).sort((a, b) => a - b).forEach(index => {
+        if (index !== previous + 1) {
+            trimmed.push(`... (${index - previous - 1} lines omitted) ...`);
+        }
+        trimmed.push(lines[index]);
+        previous = index;
+    });
+
+    return { log: trimmed.join('\n'), totalLines: lines.length, truncated: keep.size < lines.length };
+}
+
+function formatRun(run) {
+    return {
+        id: run.id,
+        name: run.name,
+        runNumber: run.run_number,
+        branch: run.head_branch,
+        event: run.event,
+        status: run.status,
+        conclusion: run.conclusion,
+        sha: run.head_sha.substring(0, 7),
+        createdAt: run.created_at,
+        url: run.html_url
+    };
+}
+
+// Human readable state of a run or job
+function runStatusLabel(status, conclusion) {
+    if (status !== 'completed') {
+        return status === 'in_progress' ? 'in progress' : status;
+    }
+    return { success: 'passed', failure: 'failed', timed_out: 'timed out', action_required: 'needs approval' }[conclusion] || conclusion;
+}
+
+// Longest tree listing shown in chat; the tool result itself keeps up to MAX_LIST_ITEMS entries
+const TREE_DISPLAY_LIMIT = 200;
+
+// Appended to list output so a partial list never reads as complete
+function truncationNote(result) {
+    return result.truncated ? '<br>This list is incomplete: there are more than shown.' : '';
+}
+
+function formatIssue(issue) {
+    return {
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        labels: (issue.labels || []).map(l => typeof l === 'string' ? l : l.name),
+        assignees: (issue.assignees || []).map(a => a.login),
+        author: issue.user ? issue.user.login : null,
+        comments: issue.comments,
+        url: issue.html_url,
+        updatedAt: issue.updated_at
+    };
+}
+
+// Why git cannot store a file under this path, or null when it can. `git update-index`
+// leaves such paths out without an error, so they are refused before anything is written.
+function commitPathError(filePath) {
+    if (typeof filePath !== 'string' || filePath === '') {
+        return 'a path is required';
+    }
+    if (path.isAbsolute(filePath) || /^[a-z]:/i.test(filePath)) {
+        return 'the path must be relative to the repository root';
+    }
+    const segments = filePath.split('/');
+    if (segments.includes('..')) {
+        return 'the path must not leave the repository';
+    }
+    if (segments.some(segment => segment.toLowerCase() === '.git')) {
+        return 'files inside .git cannot be committed';
+    }
+    if (segments.some(segment => segment === '' || segment === '.')) {
+        return 'the path has empty or "." parts';
+    }
+    return null;
+}
+
+// Writes a set of file changes as a single commit. Every change is checked against the
+// files on the branch before anything is written, then the provider applies them all at
+// once (see writeCommit), so a rejected change never leaves the branch half-updated.
+//
+// changes: [{ action: 'add' | 'edit' | 'delete' | 'rename', path, content, newPath, overwrite }]
+// Renames onto existing files are collected and refused together as conflicts unless overwrite is set.
+async function commitChanges(repo, { branch, message, changes, baseSha }) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+        return { error: 'No changes to commit' };
+    }
+    for (const change of changes) {
+        const paths = change.action === 'rename' && change.newPath !== undefined ? [change.path, change.newPath] : [change.path];
+        for (const filePath of paths) {
+            const pathError = commitPathError(filePath);
+            if (pathError) {
+                return { error: `Cannot ${change.action} ${filePath}: ${pathError}` };
+            }
+        }
+    }
+
+    const provider = host();
+    const targetBranch = branch || await getDefaultBranch(repo);
+    const headSha = (await provider.getBranch(repo, targetBranch)).sha;
+
+    if (baseSha && baseSha !== headSha) {
+        return { error: `Branch ${targetBranch} has moved since ${baseSha.substring(0, 7)} (now at ${headSha.substring(0, 7)}). Reload and try again.` };
+    }
+
+    // Index the existing files so adds, edits, deletes and renames can be validated up front
+    const { treeSha } = await provider.resolveRef(repo, headSha);
+    const baseTree = await provider.getTree(repo, treeSha);
+    const existing = new Map(baseTree.entries.filter(e => e.type === 'blob').map(e => [e.path, e]));
+
+    async function findFile(filePath) {
+        if (existing.has(filePath)) {
+            return existing.get(filePath);
+        }
+        if (!baseTree.truncated) {
+            return null;
+        }
+        // Very large repos return a truncated tree, so ask for the path directly
+        try {
+            const file = await provider.readFile(repo, filePath, headSha);
+            return { path: filePath, mode: '100644', sha: file.sha };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Each planned change carries the file it replaces (current) and, for renames, the one it overwrites (target)
+    const plan = [];
+    const conflicts = [];
+    for (const change of changes) {
+        const current = await findFile(change.path);
+
+        switch (change.action) {
+            case 'add':
+            case 'edit': {
+                if (change.action === 'add' && current) {
+                    return { error: `Cannot add ${change.path}: it already exists` };
+                }
+                if (change.action === 'edit' && !current) {
+                    return { error: `Cannot edit ${change.path}: file not found` };
+                }
+                plan.push({ action: change.action, path: change.path, content: change.content ?? '', current });
+                break;
+            }
+            case 'delete': {
+                if (!current) {
+                    return { error: `Cannot delete ${change.path}: file not found` };
+                }
+                plan.push({ action: 'delete', path: change.path, current });
+                break;
+            }
+            case 'rename': {
+                if (!current) {
+                    return { error: `Cannot rename ${change.path}: file not found` };
+                }
+                if (!change.newPath) {
+                    return { error: `Cannot rename ${change.path}: newPath is required` };
+                }
+                const target = await findFile(change.newPath);
+                if (target && !change.overwrite) {
+                    conflicts.push(change.newPath);
+                    break;
+                }
+                plan.push({ action: 'rename', path: change.path, newPath: change.newPath, content: change.content, current, target });
+                break;
+            }
+            default:
+                return { error: `Unknown change action "${change.action}" for ${change.path}` };
+        }
+    }
+
+    if (conflicts.length > 0) {
+        return {
+            error: `Cannot rename onto existing ${conflicts.length === 1 ? 'file' : 'files'}: ${conflicts.join(', ')}`,
+            conflicts
+        };
+    }
+
+    const commit = await provider.writeCommit(repo, {
+        branch: targetBranch,
+        headSha,
+        treeSha,
+        message: message || `Update ${plan.length} ${plan.length === 1 ? 'file' : 'files'}`,
+        plan
+    });
+
+    return {
+        success: `Committed ${plan.length} ${plan.length === 1 ? 'change' : 'changes'} to ${targetBranch}`,
+        branch: targetBranch,
+        sha: commit.sha,
+        url: commit.url,
+        changes: plan.map(({ action, path, newPath }) => (newPath ? { action, path, newPath } : { action, path }))
+    };
+}
+
+// Turns a PR (in the shape GitHub and Gitea share) and its checks and reviews into the merge decision.
+// hardBlockers can never be overridden; blockers can be with merge_pr's force flag.
+function mergeVerdict(pr, checks, reviews) {
+    const hardBlockers = [];
+    if (pr.merged) {
+        hardBlockers.push('it is already merged');
+    } else if (pr.state !== 'open') {
+        hardBlockers.push('it is closed');
+    }
+    if (pr.draft) {
+        hardBlockers.push('it is still a draft');
+    }
+    const conflicts = pr.mergeable === false || pr.mergeable_state === 'dirty';
+    if (conflicts) {
+        hardBlockers.push(`it has merge conflicts with ${pr.base.ref}`);
+    }
+
+    const blockers = [];
+    if (checks.failed.length > 0) {
+        blockers.push(`${checks.failed.length} failing ${checks.failed.length === 1 ? 'check' : 'checks'} (${checks.failed.join(', ')})`);
+    }
+    if (checks.pending.length > 0) {
+        blockers.push(`${checks.pending.length} ${checks.pending.length === 1 ? 'check' : 'checks'} still running (${checks.pending.join(', ')})`);
+    }
+    if (reviews.changesRequested.length > 0) {
+        blockers.push(`changes requested by ${reviews.changesRequested.join(', ')}`);
+    }
+    if (reviews.required && reviews.approvals.length < reviews.required) {
+        blockers.push(`${reviews.approvals.length} of ${reviews.required} required approvals`);
+    }
+
+    return {
+        number: pr.number,
+        title: pr.title,
+        state: pr.merged ? 'merged' : pr.state,
+        draft: pr.draft,
+        base: pr.base.ref,
+        head: pr.head.ref,
+        headRepo: pr.head.repo ? pr.head.repo.full_name : null,
+        headSha: pr.head.sha,
+        mergeable: pr.mergeable,
+        mergeableState: pr.mergeable_state ?? null,
+        conflicts,
+        checks,
+        reviews,
+        hardBlockers,
+        blockers,
+        canMerge: hardBlockers.length === 0 && blockers.length === 0
+    };
+}
+
+// Hosting adapters throw these so callers can still tell a missing resource (404) from other failures
+function hostingError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Repository, commit and pull request fields GitHub and Gitea report the same way
+function normalizeRepo(repo) {
+    return {
+        name: repo.name,
+        fullName: repo.full_name,
+        description: repo.description,
+        private: repo.private,
+        url: repo.html_url,
+        updatedAt: repo.updated_at,
+        defaultBranch: repo.default_branch
+    };
+}
+
+function normalizeCommit(commit) {
+    return {
+        sha: commit.sha,
+        shortSha: commit.sha.substring(0, 7),
+        message: commit.commit.message.split('\n')[0],
+        author: commit.author ? commit.author.login : commit.commit.author.name,
+        date: commit.commit.author.date,
+        url: commit.html_url
+    };
+}
+
+function normalizePull(pr) {
+    return {
+        number: pr.number,
+        title: pr.title,
+        body: pr.body,
+        url: pr.html_url,
+        author: pr.user ? pr.user.login : null,
+        head: pr.head.ref,
+        base: pr.base.ref,
+        draft: pr.draft
+    };
+}
+
+async function fetchRepo(repo) {
+    const response = await hostFetch(`/repos/${repo}`);
+    if (!response.ok) {
+        throw hostingError(`Failed to get repository ${repo}: ${response.statusText}`, response.status);
+    }
+    return normalizeRepo(await response.json());
+}
+
+async function deleteRepository(repo) {
+    const response = await hostFetch(`/repos/${repo}`, {
+        method: 'DELETE'
+    });
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw hostingError(`Failed to delete repo: ${response.statusText} - ${errorText}`, response.status);
+    }
+}
+
+async function readBlob(repo, sha) {
+    const response = await hostFetch(`/repos/${repo}/git/blobs/${sha}`);
+    if (!response.ok) {
+        throw hostingError(`Failed to read file: ${response.statusText}`, response.status);
+    }
+    return (await response.json()).content;
+}
+
+// Files over 1 MB come back from GitHub's contents API without content (Gitea leaves it out
+// past its own limit), so those are read through the blobs API
+async function readContentsFile(repo, filePath, ref) {
+    const response = await hostFetch(contentsUrl(repo, filePath, ref));
+    if (!response.ok) {
+        throw hostingError(`Failed to read file: ${response.statusText}`, response.status);
+    }
+    const data = await response.json();
+    if (Array.isArray(data)) {
+        throw hostingError(`${filePath} is a directory`);
+    }
+
+    let encoded = data.content || '';
+    if (data.encoding === 'none' || data.content == null) {
+        encoded = await readBlob(repo, data.sha);
+    }
+    return { buffer: Buffer.from(encoded, 'base64'), sha: data.sha, size: data.size };
+}
+
+async function deleteContentsFile(repo, filePath, { message, branch }) {
+    // Get the file to get its SHA
+    const fileResponse = await hostFetch(contentsUrl(repo, filePath, branch));
+    if (!fileResponse.ok) {
+        const statusText = await fileResponse.text();
+        throw hostingError(`Failed to get file info: ${statusText}`, fileResponse.status);
+    }
+    const fileData = await fileResponse.json();
+
+    const deleteBody = {
+        message,
+        sha: fileData.sha
+    };
+    if (branch) {
+        deleteBody.branch = branch;
+    }
+    const deleteResponse = await hostFetch(contentsUrl(repo, filePath), {
+        method: 'DELETE',
+        body: JSON.stringify(deleteBody)
+    });
+    if (!deleteResponse.ok) {
+        const errorText = await deleteResponse.text();
+        throw hostingError(`Failed to delete file: ${errorText}`, deleteResponse.status);
+    }
+}
+
+function normalizeFile(f) {
+    return {
+        path: f.filename,
+        previousPath: f.previous_filename,
+        status: f.status,
+        additions: f.additions,
+        deletions: f.deletions,
+        // Binary and very large files have no patch
+        patch: f.patch || null
+    };
+}
+
+async function fetchPullFiles(repo, prNumber) {
+    const page = await hostFetchAll(`/repos/${repo}/pulls/${prNumber}/files?per_page=100`);
+    if (!page.ok) {
+        throw hostingError(`Failed to list PR files: ${page.statusText}`, page.status);
+    }
+    return { truncated: page.truncated, items: page.items.map(normalizeFile) };
+}
+
+// GitHub's words for how two revisions relate
+function compareStatus(aheadBy, behindBy) {
+    if (aheadBy === 0) {
+        return behindBy === 0 ? 'identical' : 'behind';
+    }
+    return behindBy === 0 ? 'ahead' : 'diverged';
+}
+
+// Line counts and a unified patch (the hunks with three lines of context, like GitHub's) of a text
+// change. The lines both sides share at the start and end are set aside first; a changed middle too
+// long to diff line by line counts as replaced and gets no patch.
+const LINE_DIFF_MAX_CELLS = 4000000;
+
+function lineDiff(before, after) {
+    const lines = text => (text ? text.replace(/\n$/, '').split('\n') : []);
+    const a = lines(before);
+    const b = lines(after);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > LINE_DIFF_MAX_CELLS) {
+        return { additions: m, deletions: n, patch: null };
+    }
+
+    // Longest common subsequences of every pair of suffixes, so the walk below can go forwards
+    const width = m + 1;
+    const common = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            common[i * width + j] = a[start + i] === b[start + j]
+                ? common[(i + 1) * width + j + 1] + 1
+                : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+        }
+    }
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    for (let i = 0, j = 0; i < n || j < m;) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            ops.push([' ', a[start + i++]]);
+            j++;
+        } else if (i < n && (j === m || common[(i + 1) * width + j] >= common[i * width + j + 1])) {
+            ops.push(['-', a[start + i++]]);
+        } else {
+            ops.push(['+', b[start + j++]]);
+        }
+    }
+    ops.push(...a.slice(endA).map(line => [' ', line]));
+
+    // Changes at most six unchanged lines apart share a hunk, as in git
+    const hunks = [];
+    ops.forEach((op, index) => {
+        if (op[0] === ' ') {
+            return;
+        }
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.to <= 6) {
+            last.to = index + 1;
+        } else {
+            hunks.push({ from: index, to: index + 1 });
+        }
+    });
+    const range = (first, count) => (count === 1 ? `${first}` : `${count === 0 ? first - 1 : first},${count}`);
+    const patch = hunks.map(({ from, to }) => {
+        const shown = ops.slice(Math.max(0, from - 3), Math.min(ops.length, to + 3));
+        const earlier = ops.slice(0, Math.max(0, from - 3));
+        const oldStart = earlier.filter(op => op[0] !== '+').length + 1;
+        const newStart = earlier.filter(op => op[0] !== '-').length + 1;
+        const oldLines = shown.filter(op => op[0] !== '+').length;
+        const newLines = shown.filter(op => op[0] !== '-').length;
+        return [`@@ -${range(oldStart, oldLines)} +${range(newStart, newLines)} @@`, ...shown.map(([sign, line]) => sign + line)].join('\n');
+    }).join('\n');
+    return {
+        additions: ops.filter(op => op[0] === '+').length,
+        deletions: ops.filter(op => op[0] === '-').length,
+        patch: patch || null
+    };
+}
+
+// Gitea has no draft flag on older servers; a "WIP:" title prefix means the same
+function giteaPull(pr) {
+    return { ...pr, draft: pr.draft ?? /^\s*(WIP:|\[WIP\])/i.test(pr.title) };
+}
+
+// Local workspace repositories are plain git repositories in the account's directory, driven
+// through the git command line. Failures carry git's own message.
+const ZERO_SHA = '0'.repeat(40);
+
+function runGit(cwd, args, { input, env, encoding = 'utf8' } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = execFile('git', args, {
+            cwd,
+            env: { ...process.env, ...env },
+            encoding,
+            maxBuffer: 256 * 1024 * 1024
+        }, (error, stdout, stderr) => {
+            if (error) {
+                const gitError = new Error(String(stderr || '').trim() || error.message);
+                gitError.exitCode = error.code;
+                reject(gitError);
+                return;
+            }
+            resolve(stdout);
+        });
+        // git may exit without reading its input; the exit status tells what happened
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+// "local/project" -> <root>/project. The workspace has one owner, the account's username.
+function workspaceRepoDir(repo) {
+    const account = currentAccount();
+    const [owner, name, ...rest] = String(repo).split('/');
+    if (rest.length > 0 || !name || !/^[\w.-]+$/.test(name) || name.startsWith('.')
+        || owner.toLowerCase() !== account.username.toLowerCase()) {
+        throw hostingError(`Repository ${repo} not found in the workspace`, 404);
+    }
+    return path.join(account.root, name);
+}
+
+// Only directories that are a repository of their own count, not folders inside some other one
+async function openWorkspaceRepo(repo) {
+    const dir = workspaceRepoDir(repo);
+    const gitDir = fs.existsSync(dir)
+        ? await runGit(dir, ['rev-parse', '--absolute-git-dir']).then(out => out.trim(), () => null)
+        : null;
+    const realDir = gitDir && fs.realpathSync(dir);
+    if (!gitDir || (gitDir !== realDir && gitDir !== path.join(realDir, '.git'))) {
+        throw hostingError(`Repository ${repo} not found in the workspace`, 404);
+    }
+    return { dir, gitDir, bare: gitDir === realDir };
+}
+
+// Anything git would read as an option is not a revision
+function workspaceRevision(ref) {
+    if (ref && ref.startsWith('-')) {
+        throw hostingError(`Invalid revision ${ref}`, 400);
+    }
+    return ref || 'HEAD';
+}
+
+async function workspaceCommitSha(dir, rev) {
+    return runGit(dir, ['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]).then(out => out.trim(), () => null);
+}
+
+// commit-tree needs an author, so repos without one configured commit as the workspace owner
+async function workspaceIdentity(dir) {
+    const username = currentAccount().username;
+    const identity = {};
+    if (!(await runGit(dir, ['config', 'user.name']).catch(() => '')).trim()) {
+        identity.GIT_AUTHOR_NAME = identity.GIT_COMMITTER_NAME = username;
+    }
+    if (!(await runGit(dir, ['config', 'user.email']).catch(() => '')).trim()) {
+        identity.GIT_AUTHOR_EMAIL = identity.GIT_COMMITTER_EMAIL = `${username}@localhost`;
+    }
+    return identity;
+}
+
+// Moves a branch from oldSha (null for a new one) to newSha, unless something else moved it first.
+// A branch that is checked out gets its working tree updated like a checkout would; local
+// changes in the way undo the move instead of being overwritten.
+async function moveWorkspaceBranch({ dir, bare }, branch, newSha, oldSha) {
+    try {
+        await runGit(dir, ['update-ref', `refs/heads/${branch}`, newSha, oldSha || ZERO_SHA]);
+    } catch (error) {
+        throw new Error(`Branch ${branch} moved while committing. No changes were applied; reload and try again.`);
+    }
+
+    const checkedOut = await runGit(dir, ['symbolic-ref', '--quiet', 'HEAD']).then(ref => ref.trim() === `refs/heads/${branch}`, () => false);
+    if (bare || !checkedOut) {
+        return;
+    }
+    const oldTree = oldSha ? `${oldSha}^{tree}` : (await runGit(dir, ['mktree'])).trim();
+    try {
+        await runGit(dir, ['read-tree', '-m', '-u', oldTree, `${newSha}^{tree}`]);
+    } catch (error) {
+        await runGit(dir, oldSha
+            ? ['update-ref', `refs/heads/${branch}`, oldSha, newSha]
+            : ['update-ref', '-d', `refs/heads/${branch}`, newSha]);
+        throw hostingError(`${branch} is checked out with uncommitted changes to the same files; commit or stash them first. No changes were applied.`, 409);
+    }
+}
+
+// Pull requests are records of which branch goes into which, kept next to the repository's git data
+const WORKSPACE_PULLS_FILE = 'workspace-pulls.json';
+
+async function readWorkspacePulls(gitDir) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(gitDir, WORKSPACE_PULLS_FILE), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+async function writeWorkspacePulls(gitDir, pulls) {
+    await fs.promises.writeFile(path.join(gitDir, WORKSPACE_PULLS_FILE), JSON.stringify(pulls, null, 2));
+}
+
+async function findWorkspacePull(gitDir, prNumber) {
+    const pulls = await readWorkspacePulls(gitDir);
+    const pull = pulls.find(p => p.number === Number(prNumber));
+    if (!pull) {
+        throw hostingError(`Failed to get PR #${prNumber}: Not Found`, 404);
+    }
+    return { pulls, pull };
+}
+
+function workspacePull(pull) {
+    return {
+        number: pull.number,
+        title: pull.title,
+        body: pull.body,
+        url: null,
+        author: pull.author,
+        head: pull.head,
+        base: pull.base,
+        draft: pull.draft
+    };
+}
+
+const WORKSPACE_DIFF_STATUS = { A: 'added', M: 'modified', D: 'removed', R: 'renamed', C: 'copied', T: 'changed' };
+
+// The files a git diff range changes, in the shape GitHub lists them
+async function workspaceDiff(dir, range) {
+    const names = (await runGit(dir, ['diff', '--name-status', '-z', '-M', range])).split('\0');
+    const stats = (await runGit(dir, ['diff', '--numstat', '-z', '-M', range])).split('\0');
+    const patches = (await runGit(dir, ['diff', '-M', range])).split(/^(?=diff --git )/m).filter(Boolean);
+
+    const files = [];
+    while (names.length > 1) {
+        const status = names.shift();
+        const previousPath = /^[RC]/.test(status) ? names.shift() : undefined;
+        const filePath = names.shift();
+        // numstat lists renames as "added\tdeleted\t" followed by both paths
+        const [additions, deletions, statPath] = stats.shift().split('\t');
+        if (!statPath) {
+            stats.splice(0, 2);
+        }
+        const patch = patches[files.length] || '';
+        const hunks = patch.indexOf('\n@@');
+        files.push({
+            path: filePath,
+            previousPath,
+            status: WORKSPACE_DIFF_STATUS[status[0]] || 'changed',
+            additions: Number(additions) || 0,
+            deletions: Number(deletions) || 0,
+            // Binary files have no patch
+            patch: hunks === -1 ? null : patch.slice(hunks + 1).replace(/\n$/, '')
+        });
+    }
+    return files;
+}
+
+// Commits as git log prints them with WORKSPACE_LOG_FORMAT
+const WORKSPACE_LOG_FORMAT = '--format=%H%x00%an%x00%aI%x00%s';
+
+function workspaceCommits(output) {
+    return output.split('\n').filter(Boolean).map(line => {
+        const [sha, author, date, message] = line.split('\0');
+        return { sha, shortSha: sha.substring(0, 7), message, author, date, url: null };
+    });
+}
+
+// Hosting providers. Every adapter implements the same operations on the current account
+// (see withAccount) and returns the same shapes, so tools never deal with a provider's API:
+//   users:    listOrgs()
+//   repos:    listRepos({ owner, isOrg, type }), getRepo(repo), createRepo(options),
+//             generateRepo(template, options), deleteRepo(repo)
+//   contents: listDirectory(repo, path, ref), readFile(repo, path, ref) -> { buffer, sha, size },
+//             writeFile(repo, path, { content, message, branch, sha }), deleteFile(repo, path, { message, branch }),
+//             getTree(repo, sha), writeCommit(repo, { branch, headSha, treeSha, message, plan }) (see commitChanges)
+//   commits:  listCommits(repo, { path, ref, limit }) -> newest first, only those touching path when given,
+//             compare(repo, base, head) -> { status, aheadBy, behindBy, commits, files } like GitHub's base...head
+//   branches: listBranches(repo), getBranch(repo, branch), resolveRef(repo, ref) -> { sha, treeSha },
+//             createBranch(repo, branch, sha), deleteBranch(repo, branch)
+//   pulls:    listPulls(repo), createPull(repo, { title, body, head, base, draft }), listPullFiles(repo, number),
+//             mergeReport(repo, number) (see mergeVerdict), mergePull(repo, number, { method, title, message, sha })
+// Lists come back as { items, truncated }. Failures throw (see hostingError); executeTool turns them into { error }.
+const hostingProviders = {
+    github: {
+        name: 'GitHub',
+        accept: 'application/vnd.github.v3+json',
+        // github.com's API has a host of its own; GitHub Enterprise Server serves it under /api/v3
+        apiUrl: url => (!url || /^https?:\/\/(www\.)?github\.com\/?$/i.test(url)
+            ? 'https://api.github.com'
+            : `${url.replace(/\/+$/, '')}/api/v3`),
+
+        async listOrgs() {
+            const page = await hostFetchAll('/user/orgs?per_page=100');
+            if (!page.ok) {
+                throw hostingError(`Failed to list organizations: ${page.statusText}`, page.status);
+            }
+            return {
+                truncated: page.truncated,
+                items: page.items.map(org => ({ login: org.login, description: org.description }))
+            };
+        },
+
+        async listRepos({ owner, isOrg, type }) {
+            // Organizations have no "owner" type, everything in them is theirs
+            const repoType = type && !(isOrg && type === 'owner') ? type : (isOrg ? 'all' : 'owner');
+            const page = await hostFetchAll(isOrg
+                ? `/orgs/${owner}/repos?type=${repoType}&per_page=100&sort=updated`
+                : `/user/repos?type=${repoType}&per_page=100&sort=updated`);
+            if (!page.ok) {
+                throw hostingError(`Failed to list repos: ${page.statusText}`, page.status);
+            }
+            return { truncated: page.truncated, items: page.items.map(normalizeRepo) };
+        },
+
+        getRepo: fetchRepo,
+
+        async createRepo({ organization, name, description, private: isPrivate, autoInit, gitignoreTemplate, licenseTemplate }) {
+            const requestBody = { name, description, private: isPrivate, auto_init: autoInit };
+            if (gitignoreTemplate) requestBody.gitignore_template = gitignoreTemplate;
+            if (licenseTemplate) requestBody.license_template = licenseTemplate.toLowerCase();
+
+            const response = await hostFetch(organization ? `/orgs/${organization}/repos` : '/user/repos', {
+                method: 'POST',
+                body: JSON.stringify(requestBody)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create repo: ${response.statusText} - ${errorText}`, response.status);
+            }
+            return normalizeRepo(await response.json());
+        },
+
+        async generateRepo(template, { owner, name, description, private: isPrivate, includeAllBranches }) {
+            const response = await hostFetch(`/repos/${template}/generate`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    owner,
+                    name,
+                    description,
+                    private: isPrivate,
+                    include_all_branches: includeAllBranches
+                })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create repo from template ${template}: ${response.statusText} - ${errorText}`, response.status);
+            }
+            return normalizeRepo(await response.json());
+        },
+
+        deleteRepo: deleteRepository,
+
+        async listDirectory(repo, dirPath, ref) {
+            const response = await hostFetch(contentsUrl(repo, dirPath, ref));
+            if (!response.ok) {
+                throw hostingError(`Failed to list files: ${response.statusText}`, response.status);
+            }
+            const files = await response.json();
+            if (!Array.isArray(files)) {
+                throw hostingError(`${dirPath} is not a directory`);
+            }
+            return {
+                // The contents API stops at 1000 entries per directory; list_tree has no such limit
+                truncated: files.length >= 1000,
+                items: files.map(f => ({ name: f.name, type: f.type, path: f.path, sha: f.sha }))
+            };
+        },
+
+        readFile: readContentsFile,
+
+        async writeFile(repo, filePath, { content, message, branch, sha }) {
+            const requestBody = {
+                message,
+                content: Buffer.from(content).toString('base64')
+            };
+            if (sha) {
+                requestBody.sha = sha;
+            }
+            if (branch) {
+                requestBody.branch = branch;
+            }
+
+            const response = await hostFetch(contentsUrl(repo, filePath), {
+                method: 'PUT',
+                body: JSON.stringify(requestBody)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to update file: ${response.statusText} - ${errorText}`, response.status);
+            }
+        },
+
+        deleteFile: deleteContentsFile,
+
+        async getTree(repo, sha) {
+            const response = await hostFetch(`/repos/${repo}/git/trees/${sha}?recursive=1`);
+            if (!response.ok) {
+                throw hostingError(`Failed to get tree ${sha}: ${response.statusText}`, response.status);
+            }
+            const tree = await response.json();
+            return { truncated: Boolean(tree.truncated), entries: tree.tree };
+        },
+
+        // Blobs -> tree -> commit -> ref update through the Git Data API. Nothing is visible on the
+        // branch until the ref update, and that update is not forced, so a branch that moved meanwhile
+        // rejects the whole change instead of getting half of it.
+        async writeCommit(repo, { branch, headSha, treeSha, message, plan }) {
+            async function createBlob(content) {
+                const response = await hostFetch(`/repos/${repo}/git/blobs`, {
+                    method: 'POST',
+                    body: JSON.stringify({ content: content ?? '', encoding: 'utf-8' })
+                });
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`Failed to create blob: ${response.statusText} - ${errorText}`);
+                }
+                return (await response.json()).sha;
+            }
+
+            const treeEntries = [];
+            for (const change of plan) {
+                switch (change.action) {
+                    case 'add':
+                    case 'edit':
+                        treeEntries.push({
+                            path: change.path,
+                            mode: change.current ? change.current.mode : '100644',
+                            type: 'blob',
+                            sha: await createBlob(change.content)
+                        });
+                        break;
+                    case 'delete':
+                        treeEntries.push({ path: change.path, mode: change.current.mode, type: 'blob', sha: null });
+                        break;
+                    case 'rename': {
+                        // Reuse the existing blob unless the content changes too, so git sees a pure rename
+                        const blobSha = change.content !== undefined ? await createBlob(change.content) : change.current.sha;
+                        treeEntries.push({ path: change.path, mode: change.current.mode, type: 'blob', sha: null });
+                        treeEntries.push({ path: change.newPath, mode: change.current.mode, type: 'blob', sha: blobSha });
+                        break;
+                    }
+                }
+            }
+
+            const newTreeResponse = await hostFetch(`/repos/${repo}/git/trees`, {
+                method: 'POST',
+                body: JSON.stringify({ base_tree: treeSha, tree: treeEntries })
+            });
+            if (!newTreeResponse.ok) {
+                const errorText = await newTreeResponse.text();
+                throw new Error(`Failed to create tree: ${newTreeResponse.statusText} - ${errorText}`);
+            }
+            const newTree = await newTreeResponse.json();
+
+            const commitResponse = await hostFetch(`/repos/${repo}/git/commits`, {
+                method: 'POST',
+                body: JSON.stringify({ message, tree: newTree.sha, parents: [headSha] })
+            });
+            if (!commitResponse.ok) {
+                const errorText = await commitResponse.text();
+                throw new Error(`Failed to create commit: ${commitResponse.statusText} - ${errorText}`);
+            }
+            const commit = await commitResponse.json();
+
+            const updateRefResponse = await hostFetch(`/repos/${repo}/git/refs/heads/${branch}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ sha: commit.sha, force: false })
+            });
+            if (!updateRefResponse.ok) {
+                if (updateRefResponse.status === 422) {
+                    throw new Error(`Branch ${branch} moved while committing. No changes were applied; reload and try again.`);
+                }
+                const errorText = await updateRefResponse.text();
+                throw new Error(`Failed to update branch ${branch}: ${updateRefResponse.statusText} - ${errorText}`);
+            }
+            return { sha: commit.sha, url: commit.html_url };
+        },
+
+        async listCommits(repo, { path: filePath, ref, limit }) {
+            const params = new URLSearchParams({ per_page: String(Math.min(limit, 100)) });
+            if (filePath) params.set('path', filePath);
+            if (ref) params.set('sha', ref);
+
+            const page = await hostFetchAll(`/repos/${repo}/commits?${params}`, { maxItems: limit });
+            if (!page.ok) {
+                throw hostingError(`Failed to list commits: ${page.statusText}`, page.status);
+            }
+            return { truncated: page.truncated, items: page.items.map(normalizeCommit) };
+        },
+
+        async compare(repo, base, head) {
+            const response = await hostFetch(`/repos/${repo}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`);
+            if (!response.ok) {
+                throw hostingError(`Failed to compare ${base}...${head}: ${response.statusText}`, response.status);
+            }
+            const comparison = await response.json();
+            return {
+                status: comparison.status,
+                aheadBy: comparison.ahead_by,
+                behindBy: comparison.behind_by,
+                commits: comparison.commits.map(normalizeCommit),
+                files: (comparison.files || []).map(normalizeFile)
+            };
+        },
+
+        async listBranches(repo) {
+            const page = await hostFetchAll(`/repos/${repo}/branches?per_page=100`);
+            if (!page.ok) {
+                throw hostingError(`Failed to list branches: ${page.statusText}`, page.status);
+            }
+            return {
+                truncated: page.truncated,
+                items: page.items.map(b => ({ name: b.name, sha: b.commit.sha, protected: b.protected }))
+            };
+        },
+
+        async getBranch(repo, branch) {
+            const response = await hostFetch(`/repos/${repo}/git/ref/heads/${branch}`);
+            if (!response.ok) {
+                throw hostingError(`Failed to get branch ${branch}: ${response.statusText}`, response.status);
+            }
+            return { name: branch, sha: (await response.json()).object.sha };
+        },
+
+        // The commits endpoint resolves branches, tags and SHAs alike, but also diffs the commit,
+        // so full SHAs go to the cheaper Git Data API instead
+        async resolveRef(repo, ref) {
+            if (/^[0-9a-f]{40}$/i.test(ref || '')) {
+                const response = await hostFetch(`/repos/${repo}/git/commits/${ref}`);
+                if (!response.ok) {
+                    throw hostingError(`Failed to get commit ${ref}: ${response.statusText}`, response.status);
+                }
+                const commit = await response.json();
+                return { sha: commit.sha, treeSha: commit.tree.sha };
+            }
+
+            const response = await hostFetch(`/repos/${repo}/commits/${encodeURIComponent(ref || 'HEAD')}`);
+            if (!response.ok) {
+                throw hostingError(`Failed to find ${ref || 'the default branch'}: ${response.statusText}`, response.status);
+            }
+            const commit = await response.json();
+            return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+        },
+
+        async createBranch(repo, branch, sha) {
+            const response = await hostFetch(`/repos/${repo}/git/refs`, {
+                method: 'POST',
+                body: JSON.stringify({ ref: `refs/heads/${branch}`, sha })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create branch: ${response.statusText} - ${errorText}`, response.status);
+            }
+        },
+
+        async deleteBranch(repo, branch) {
+            const response = await hostFetch(`/repos/${repo}/git/refs/heads/${branch}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to delete branch: ${response.statusText} - ${errorText}`, response.status);
+            }
+        },
+
+        async listPulls(repo) {
+            const page = await hostFetchAll(`/repos/${repo}/pulls?state=open&per_page=100`);
+            if (!page.ok) {
+                throw hostingError(`Failed to list PRs: ${page.statusText}`, page.status);
+            }
+            return { truncated: page.truncated, items: page.items.map(normalizePull) };
+        },
+
+        async createPull(repo, { title, body, head, base, draft }) {
+            const response = await hostFetch(`/repos/${repo}/pulls`, {
+                method: 'POST',
+                body: JSON.stringify({ title, body, head, base, draft })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create PR: ${response.statusText} - ${errorText}`, response.status);
+            }
+            const pr = await response.json();
+            return { number: pr.number, url: pr.html_url, draft: pr.draft };
+        },
+
+        listPullFiles: fetchPullFiles,
+
+        async mergeReport(repo, prNumber) {
+            // GitHub computes mergeability in the background, so it can be null at first
+            let pr;
+            for (let attempt = 0; attempt < 3; attempt++) {
+                const prResponse = await hostFetch(`/repos/${repo}/pulls/${prNumber}`);
+                if (!prResponse.ok) {
+                    throw hostingError(`Failed to get PR #${prNumber}: ${prResponse.statusText}`, prResponse.status);
+                }
+                pr = await prResponse.json();
+                if (pr.state !== 'open' || pr.mergeable !== null) {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+
+            const headSha = pr.head.sha;
+
+            // Check runs (GitHub Actions and apps) and commit statuses (older CI integrations)
+            const checks = { passed: [], failed: [], pending: [] };
+            const checkRunsPage = await hostFetchAll(`/repos/${repo}/commits/${headSha}/check-runs?per_page=100`, { itemsKey: 'check_runs' });
+            if (checkRunsPage.ok) {
+                checkRunsPage.items.forEach(run => {
+                    if (run.status !== 'completed') {
+                        checks.pending.push(run.name);
+                    } else if (['success', 'neutral', 'skipped'].includes(run.conclusion)) {
+                        checks.passed.push(run.name);
+                    } else {
+                        checks.failed.push(run.name);
+                    }
+                });
+            }
+            const statusResponse = await hostFetch(`/repos/${repo}/commits/${headSha}/status`);
+            if (statusResponse.ok) {
+                const { statuses } = await statusResponse.json();
+                statuses.forEach(status => {
+                    if (status.state === 'success') {
+                        checks.passed.push(status.context);
+                    } else if (status.state === 'pending') {
+                        checks.pending.push(status.context);
+                    } else {
+                        checks.failed.push(status.context);
+                    }
+                });
+            }
+
+            // Latest review per reviewer
+            const reviews = { approvals: [], changesRequested: [], required: null };
+            const reviewsPage = await hostFetchAll(`/repos/${repo}/pulls/${prNumber}/reviews?per_page=100`);
+            if (reviewsPage.ok) {
+                const latest = new Map();
+                reviewsPage.items
+                    .filter(r => ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(r.state) && r.user)
+                    .forEach(r => latest.set(r.user.login, r.state));
+                latest.forEach((state, login) => {
+                    if (state === 'APPROVED') reviews.approvals.push(login);
+                    if (state === 'CHANGES_REQUESTED') reviews.changesRequested.push(login);
+                });
+            }
+            // Unprotected branches (and tokens without admin rights) answer 404/403 here
+            const protectionResponse = await hostFetch(`/repos/${repo}/branches/${pr.base.ref}/protection/required_pull_request_reviews`);
+            if (protectionResponse.ok) {
+                const protection = await protectionResponse.json();
+                reviews.required = protection.required_approving_review_count || 0;
+            }
+
+            return mergeVerdict(pr, checks, reviews);
+        },
+
+        async mergePull(repo, prNumber, { method, title, message, sha }) {
+            const requestBody = { merge_method: method, sha };
+            if (title) {
+                requestBody.commit_title = title;
+            }
+            if (message) {
+                requestBody.commit_message = message;
+            }
+
+            const response = await hostFetch(`/repos/${repo}/pulls/${prNumber}/merge`, {
+                method: 'PUT',
+                body: JSON.stringify(requestBody)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to merge PR: ${response.statusText} - ${errorText}`, response.status);
+            }
+            return { sha: (await response.json()).sha };
+        }
+    },
+
+    // Gitea and Forgejo (a Gitea fork with the same API)
+    gitea: {
+        name: 'Gitea',
+        accept: 'application/json',
+        apiUrl: url => `${url.replace(/\/+$/, '')}/api/v1`,
+
+        async listOrgs() {
+            const page = await hostFetchAll('/user/orgs?limit=50');
+            if (!page.ok) {
+                throw hostingError(`Failed to list organizations: ${page.statusText}`, page.status);
+            }
+            return {
+                truncated: page.truncated,
+                items: page.items.map(org => ({ login: org.username, description: org.description }))
+            };
+        },
+
+        async listRepos({ owner, isOrg, type }) {
+            const page = await hostFetchAll(isOrg ? `/orgs/${owner}/repos?limit=50` : '/user/repos?limit=50');
+            if (!page.ok) {
+                throw hostingError(`Failed to list repos: ${page.statusText}`, page.status);
+            }
+
+            // Gitea lists everything the user can see, so GitHub's repo types are applied here
+            const username = currentAccount().username.toLowerCase();
+            const filters = {
+                owner: r => r.owner.login.toLowerCase() === username,
+                member: r => r.owner.login.toLowerCase() !== username,
+                public: r => !r.private,
+                private: r => r.private
+            };
+            const repoType = type && !(isOrg && type === 'owner') ? type : (isOrg ? 'all' : 'owner');
+            const repos = filters[repoType] ? page.items.filter(filters[repoType]) : page.items;
+            repos.sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at));
+            return { truncated: page.truncated, items: repos.map(normalizeRepo) };
+        },
+
+        getRepo: fetchRepo,
+
+        async createRepo({ organization, name, description, private: isPrivate, autoInit, gitignoreTemplate, licenseTemplate }) {
+            const requestBody = { name, description, private: isPrivate, auto_init: autoInit };
+            if (autoInit) requestBody.readme = 'Default';
+            if (gitignoreTemplate) requestBody.gitignores = gitignoreTemplate;
+            if (licenseTemplate) requestBody.license = licenseTemplate;
+
+            const response = await hostFetch(organization ? `/orgs/${organization}/repos` : '/user/repos', {
+                method: 'POST',
+                body: JSON.stringify(requestBody)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create repo: ${response.statusText} - ${errorText}`, response.status);
+            }
+            return normalizeRepo(await response.json());
+        },
+
+        async generateRepo(template, { owner, name, description, private: isPrivate }) {
+            const response = await hostFetch(`/repos/${template}/generate`, {
+                method: 'POST',
+                body: JSON.stringify({ owner, name, description, private: isPrivate, git_content: true })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create repo from template ${template}: ${response.statusText} - ${errorText}`, response.status);
+            }
+            return normalizeRepo(await response.json());
+        },
+
+        deleteRepo: deleteRepository,
+
+        async listDirectory(repo, dirPath, ref) {
+            const response = await hostFetch(contentsUrl(repo, dirPath, ref));
+            if (!response.ok) {
+                throw hostingError(`Failed to list files: ${response.statusText}`, response.status);
+            }
+            const files = await response.json();
+            if (!Array.isArray(files)) {
+                throw hostingError(`${dirPath} is not a directory`);
+            }
+            return {
+                truncated: false,
+                items: files.map(f => ({ name: f.name, type: f.type, path: f.path, sha: f.sha }))
+            };
+        },
+
+        readFile: readContentsFile,
+
+        // Creating and updating are separate calls here; updates need the current sha
+        async writeFile(repo, filePath, { content, message, branch, sha }) {
+            const requestBody = {
+                message,
+                content: Buffer.from(content).toString('base64')
+            };
+            if (sha) {
+                requestBody.sha = sha;
+            }
+            if (branch) {
+                requestBody.branch = branch;
+            }
+
+            const response = await hostFetch(contentsUrl(repo, filePath), {
+                method: sha ? 'PUT' : 'POST',
+                body: JSON.stringify(requestBody)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to update file: ${response.statusText} - ${errorText}`, response.status);
+            }
+        },
+
+        deleteFile: deleteContentsFile,
+
+        // Gitea pages through big recursive trees instead of cutting them off
+        async getTree(repo, sha) {
+            const entries = [];
+            for (let page = 1; ; page++) {
+                const response = await hostFetch(`/repos/${repo}/git/trees/${sha}?recursive=true&per_page=1000&page=${page}`);
+                if (!response.ok) {
+                    throw hostingError(`Failed to get tree ${sha}: ${response.statusText}`, response.status);
+                }
+                const tree = await response.json();
+                entries.push(...(tree.tree || []));
+                if (!tree.truncated) {
+                    return { truncated: false, entries };
+                }
+            }
+        },
+
+        // A single change-files call commits the whole plan. Gitea checks the sha of every file
+        // it edits or deletes, so a file that changed after the plan was made fails the commit.
+        // Plain adds carry no sha, so the branch head is compared with the one the plan was made on first.
+        async writeCommit(repo, { branch, headSha, message, plan }) {
+            if ((await this.getBranch(repo, branch)).sha !== headSha) {
+                throw new Error(`Branch ${branch} moved while committing. No changes were applied; reload and try again.`);
+            }
+
+            const files = [];
+            for (const change of plan) {
+                switch (change.action) {
+                    case 'add':
+                        files.push({ operation: 'create', path: change.path, content: Buffer.from(change.content).toString('base64') });
+                        break;
+                    case 'edit':
+                        files.push({ operation: 'update', path: change.path, sha: change.current.sha, content: Buffer.from(change.content).toString('base64') });
+                        break;
+                    case 'delete':
+                        files.push({ operation: 'delete', path: change.path, sha: change.current.sha });
+                        break;
+                    case 'rename':
+                        if (change.target) {
+                            files.push({ operation: 'delete', path: change.newPath, sha: change.target.sha });
+                        }
+                        files.push({
+                            operation: 'update',
+                            path: change.newPath,
+                            from_path: change.path,
+                            sha: change.current.sha,
+                            content: change.content !== undefined
+                                ? Buffer.from(change.content).toString('base64')
+                                : await readBlob(repo, change.current.sha)
+                        });
+                        break;
+                }
+            }
+
+            const response = await hostFetch(`/repos/${repo}/contents`, {
+                method: 'POST',
+                body: JSON.stringify({ branch, message, files })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to commit to ${branch}: ${response.statusText} - ${errorText}`, response.status);
+            }
+            const { commit } = await response.json();
+            return { sha: commit.sha, url: commit.html_url };
+        },
+
+        async listCommits(repo, { path: filePath, ref, limit }) {
+            const params = new URLSearchParams({ limit: String(Math.min(limit, 50)), stat: 'false', verification: 'false', files: 'false' });
+            if (filePath) params.set('path', filePath);
+            if (ref) params.set('sha', ref);
+
+            const page = await hostFetchAll(`/repos/${repo}/commits?${params}`, { maxItems: limit });
+            if (!page.ok) {
+                throw hostingError(`Failed to list commits: ${page.statusText}`, page.status);
+            }
+            return { truncated: page.truncated, items: page.items.map(normalizeCommit) };
+        },
+
+        // The compare API only lists the commits one side has over the other, newest first. The
+        // files are diffed here, from the trees of where the two split and of head.
+        async compare(repo, base, head) {
+            const commitsBetween = async (from, to) => {
+                const response = await hostFetch(`/repos/${repo}/compare/${encodeURIComponent(from)}...${encodeURIComponent(to)}?verification=false&files=false`);
+                if (!response.ok) {
+                    throw hostingError(`Failed to compare ${base}...${head}: ${response.statusText}`, response.status);
+                }
+                return (await response.json()).commits || [];
+            };
+            const ahead = (await commitsBetween(base, head)).reverse();
+            const behindBy = (await commitsBetween(head, base)).length;
+
+            // Where they split is the parent outside the range that every other such parent leads to
+            const inRange = new Set(ahead.map(commit => commit.sha));
+            const outside = [...new Set(ahead.flatMap(commit => commit.parents.map(parent => parent.sha)))].filter(sha => !inRange.has(sha));
+            let splitSha = outside[0] || null;
+            for (const sha of outside.slice(1)) {
+                if ((await commitsBetween(splitSha, sha)).length > 0) {
+                    splitSha = sha;
+                }
+            }
+
+            const files = [];
+            if (ahead.length > 0) {
+                const blobs = async sha => {
+                    const tree = sha ? await this.getTree(repo, (await this.resolveRef(repo, sha)).treeSha) : { entries: [] };
+                    return new Map(tree.entries.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha]));
+                };
+                const headSha = ahead[ahead.length - 1].sha;
+                const [before, after] = [await blobs(splitSha), await blobs(headSha)];
+                const read = async (filePath, blobSha, ref) => (blobSha ? (await this.readFile(repo, filePath, ref)).buffer : null);
+                for (const filePath of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+                    if (before.get(filePath) === after.get(filePath)) {
+                        continue;
+                    }
+                    const oldContent = await read(filePath, before.get(filePath), splitSha);
+                    const newContent = await read(filePath, after.get(filePath), headSha);
+                    const binary = [oldContent, newContent].some(buffer => buffer && buffer.includes(0));
+                    files.push({
+                        path: filePath,
+                        status: !oldContent ? 'added' : !newContent ? 'removed' : 'modified',
+                        ...(binary
+                            ? { additions: 0, deletions: 0, patch: null }
+                            : lineDiff(oldContent && oldContent.toString('utf8'), newContent && newContent.toString('utf8')))
+                    });
+                }
+            }
+
+            return {
+                status: compareStatus(ahead.length, behindBy),
+                aheadBy: ahead.length,
+                behindBy,
+                commits: ahead.map(normalizeCommit),
+                files
+            };
+        },
+
+        async listBranches(repo) {
+            const page = await hostFetchAll(`/repos/${repo}/branches?limit=50`);
+            if (!page.ok) {
+                throw hostingError(`Failed to list branches: ${page.statusText}`, page.status);
+            }
+            return {
+                truncated: page.truncated,
+                items: page.items.map(b => ({ name: b.name, sha: b.commit.id, protected: b.protected }))
+            };
+        },
+
+        async getBranch(repo, branch) {
+            const response = await hostFetch(`/repos/${repo}/branches/${branch}`);
+            if (!response.ok) {
+                throw hostingError(`Failed to get branch ${branch}: ${response.statusText}`, response.status);
+            }
+            return { name: branch, sha: (await response.json()).commit.id };
+        },
+
+        // The commit list starts from any branch, tag or SHA, and from the default branch without one
+        async resolveRef(repo, ref) {
+            const from = ref ? `sha=${encodeURIComponent(ref)}&` : '';
+            const response = await hostFetch(`/repos/${repo}/commits?${from}limit=1&stat=false&verification=false&files=false`);
+            if (!response.ok) {
+                throw hostingError(`Failed to find ${ref || 'the default branch'}: ${response.statusText}`, response.status);
+            }
+            const [commit] = await response.json();
+            if (!commit) {
+                throw hostingError(`Failed to find ${ref || 'the default branch'}: it has no commits`, 404);
+            }
+            return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+        },
+
+        async createBranch(repo, branch, sha) {
+            const response = await hostFetch(`/repos/${repo}/branches`, {
+                method: 'POST',
+                body: JSON.stringify({ new_branch_name: branch, old_ref_name: sha })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create branch: ${response.statusText} - ${errorText}`, response.status);
+            }
+        },
+
+        async deleteBranch(repo, branch) {
+            const response = await hostFetch(`/repos/${repo}/branches/${branch}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to delete branch: ${response.statusText} - ${errorText}`, response.status);
+            }
+        },
+
+        async listPulls(repo) {
+            const page = await hostFetchAll(`/repos/${repo}/pulls?state=open&limit=50`);
+            if (!page.ok) {
+                throw hostingError(`Failed to list PRs: ${page.statusText}`, page.status);
+            }
+            return { truncated: page.truncated, items: page.items.map(pr => normalizePull(giteaPull(pr))) };
+        },
+
+        async createPull(repo, { title, body, head, base, draft }) {
+            const response = await hostFetch(`/repos/${repo}/pulls`, {
+                method: 'POST',
+                body: JSON.stringify({ title: draft ? `WIP: ${title}` : title, body, head, base })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to create PR: ${response.statusText} - ${errorText}`, response.status);
+            }
+            const pr = await response.json();
+            return { number: pr.number, url: pr.html_url, draft: Boolean(draft) };
+        },
+
+        listPullFiles: fetchPullFiles,
+
+        async mergeReport(repo, prNumber) {
+            const prResponse = await hostFetch(`/repos/${repo}/pulls/${prNumber}`);
+            if (!prResponse.ok) {
+                throw hostingError(`Failed to get PR #${prNumber}: ${prResponse.statusText}`, prResponse.status);
+            }
+            const pr = giteaPull(await prResponse.json());
+
+            // CI reports to Gitea through commit statuses only
+            const checks = { passed: [], failed: [], pending: [] };
+            const statusResponse = await hostFetch(`/repos/${repo}/commits/${pr.head.sha}/status`);
+            if (statusResponse.ok) {
+                const { statuses } = await statusResponse.json();
+                (statuses || []).forEach(status => {
+                    const state = status.status || status.state;
+                    if (state === 'success') {
+                        checks.passed.push(status.context);
+                    } else if (state === 'pending') {
+                        checks.pending.push(status.context);
+                    } else {
+                        checks.failed.push(status.context);
+                    }
+                });
+            }
+
+            // Latest review per reviewer
+            const reviews = { approvals: [], changesRequested: [], required: null };
+            const reviewsPage = await hostFetchAll(`/repos/${repo}/pulls/${prNumber}/reviews?limit=50`);
+            if (reviewsPage.ok) {
+                const latest = new Map();
+                reviewsPage.items
+                    .filter(r => ['APPROVED', 'REQUEST_CHANGES'].includes(r.state) && r.user)
+                    .forEach(r => latest.set(r.user.login, r.dismissed ? 'DISMISSED' : r.state));
+                latest.forEach((state, login) => {
+                    if (state === 'APPROVED') reviews.approvals.push(login);
+                    if (state === 'REQUEST_CHANGES') reviews.changesRequested.push(login);
+                });
+            }
+            const protectionResponse = await hostFetch(`/repos/${repo}/branch_protections/${encodeURIComponent(pr.base.ref)}`);
+            if (protectionResponse.ok) {
+                const protection = await protectionResponse.json();
+                reviews.required = protection.required_approvals || 0;
+            }
+
+            return mergeVerdict(pr, checks, reviews);
+        },
+
+        async mergePull(repo, prNumber, { method, title, message, sha }) {
+            const response = await hostFetch(`/repos/${repo}/pulls/${prNumber}/merge`, {
+                method: 'POST',
+                body: JSON.stringify({ Do: method, MergeTitleField: title, MergeMessageField: message, head_commit_id: sha })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw hostingError(`Failed to merge PR: ${response.statusText} - ${errorText}`, response.status);
+            }
+
+            // The merge answer has no body, so the merge commit is read back from the PR
+            const prResponse = await hostFetch(`/repos/${repo}/pulls/${prNumber}`);
+            return { sha: prResponse.ok ? (await prResponse.json()).merge_commit_sha : null };
+        }
+    },
+
+    // Git repositories in a local directory (WORKSPACE_DIR). Pull requests are local branches
+    // waiting to be merged into another one.
+    local: {
+        name: 'Local workspace',
+
+        async listOrgs() {
+            return { truncated: false, items: [] };
+        },
+
+        async listRepos({ owner, isOrg, type }) {
+            if (isOrg) {
+                throw hostingError(`The workspace has no organization ${owner}`, 404);
+            }
+            const { root, username } = currentAccount();
+            const entries = await fs.promises.readdir(root, { withFileTypes: true });
+            const repos = [];
+            for (const entry of entries.filter(e => e.isDirectory())) {
+                const repo = await this.getRepo(`${username}/${entry.name}`).catch(() => null);
+                if (repo) {
+                    repos.push(repo);
+                }
+            }
+
+            // Every workspace repo is the owner's own and nobody else can see it
+            if (type === 'public' || type === 'member') {
+                return { truncated: false, items: [] };
+            }
+            repos.sort((a, b) => (Date.parse(b.updatedAt) || 0) - (Date.parse(a.updatedAt) || 0));
+            return { truncated: false, items: repos };
+        },
+
+        async getRepo(repo) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const defaultBranch = await runGit(dir, ['symbolic-ref', '--quiet', '--short', 'HEAD']).catch(() => '');
+            const updatedAt = await runGit(dir, ['for-each-ref', '--sort=-committerdate', '--count=1', '--format=%(committerdate:iso-strict)', 'refs/heads']);
+            const name = path.basename(dir);
+            return {
+                name,
+                fullName: `${currentAccount().username}/${name}`,
+                description: null,
+                private: true,
+                url: null,
+                updatedAt: updatedAt.trim() || null,
+                defaultBranch: defaultBranch.trim() || 'main'
+            };
+        },
+
+        async createRepo({ organization, name, autoInit, gitignoreTemplate, licenseTemplate, description }) {
+            if (organization) {
+                throw hostingError(`The workspace has no organization ${organization}`, 404);
+            }
+            if (gitignoreTemplate || licenseTemplate) {
+                throw hostingError('.gitignore and license templates are not available in the workspace', 422);
+            }
+            const repo = `${currentAccount().username}/${name}`;
+            const dir = workspaceRepoDir(repo);
+            if (fs.existsSync(dir)) {
+                throw hostingError(`Failed to create repo: ${name} already exists in the workspace`, 422);
+            }
+            await fs.promises.mkdir(dir, { recursive: true });
+            await runGit(dir, ['init', '--quiet', '--initial-branch=main']);
+
+            if (autoInit) {
+                await this.writeCommit(repo, {
+                    branch: 'main',
+                    headSha: null,
+                    treeSha: null,
+                    message: 'Initial commit',
+                    plan: [{ action: 'add', path: 'README.md', content: `# ${name}\n${description ? `\n${description}\n` : ''}` }]
+                });
+            }
+            return this.getRepo(repo);
+        },
+
+        async generateRepo(template) {
+            throw hostingError(`Cannot create a repo from template ${template}: templates are not available in the workspace`, 422);
+        },
+
+        async deleteRepo(repo) {
+            const { dir } = await openWorkspaceRepo(repo);
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        },
+
+        async listDirectory(repo, dirPath, ref) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const rev = workspaceRevision(ref);
+            // A repo without commits is an empty directory
+            if (!ref && !(await workspaceCommitSha(dir, 'HEAD'))) {
+                return { truncated: false, items: [] };
+            }
+
+            const prefix = (dirPath || '').replace(/^\/+|\/+$/g, '');
+            let output;
+            try {
+                output = await runGit(dir, ['ls-tree', '-z', `${rev}:${prefix}`]);
+            } catch (error) {
+                throw hostingError(`Failed to list files: ${error.message}`, 404);
+            }
+            const types = { blob: 'file', tree: 'dir', commit: 'submodule' };
+            return {
+                truncated: false,
+                items: output.split('\0').filter(Boolean).map(line => {
+                    const [meta, name] = line.split('\t');
+                    const [mode, type, sha] = meta.split(' ');
+                    return {
+                        name,
+                        type: mode === '120000' ? 'symlink' : types[type],
+                        path: prefix ? `${prefix}/${name}` : name,
+                        sha
+                    };
+                })
+            };
+        },
+
+        async readFile(repo, filePath, ref) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const object = `${workspaceRevision(ref)}:${filePath.replace(/^\/+/, '')}`;
+            const type = await runGit(dir, ['cat-file', '-t', object]).then(out => out.trim(), () => null);
+            if (!type) {
+                throw hostingError('Failed to read file: Not Found', 404);
+            }
+            if (type !== 'blob') {
+                throw hostingError(`${filePath} is a directory`);
+            }
+            const sha = (await runGit(dir, ['rev-parse', object])).trim();
+            const buffer = await runGit(dir, ['cat-file', 'blob', sha], { encoding: 'buffer' });
+            return { buffer, sha, size: buffer.length };
+        },
+
+        // Single files go through the same commit path as everything else
+        async writeFile(repo, filePath, { content, message, branch, sha }) {
+            const result = await commitChanges(repo, {
+                branch,
+                message,
+                changes: [{ action: sha ? 'edit' : 'add', path: filePath, content }]
+            });
+            if (result.error) {
+                throw hostingError(`Failed to update file: ${result.error}`, 422);
+            }
+        },
+
+        async deleteFile(repo, filePath, { message, branch }) {
+            const result = await commitChanges(repo, { branch, message, changes: [{ action: 'delete', path: filePath }] });
+            if (result.error) {
+                throw hostingError(`Failed to delete file: ${result.error}`, 404);
+            }
+        },
+
+        async getTree(repo, sha) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const output = await runGit(dir, ['ls-tree', '-r', '-t', '-z', '--long', workspaceRevision(sha)]);
+            return {
+                truncated: false,
+                entries: output.split('\0').filter(Boolean).map(line => {
+                    const [meta, entryPath] = line.split('\t');
+                    const [mode, type, entrySha, size] = meta.split(/ +/);
+                    return { path: entryPath, mode, type, sha: entrySha, size: size === '-' ? undefined : Number(size) };
+                })
+            };
+        },
+
+        // The plan is applied to a scratch index built from the base tree, so neither the
+        // repository's own index nor its working tree is touched until the branch moves.
+        // update-index drops paths it cannot store, so those and plans that change nothing are refused.
+        async writeCommit(repo, { branch, headSha, treeSha, message, plan }) {
+            for (const change of plan) {
+                for (const filePath of change.action === 'rename' ? [change.path, change.newPath] : [change.path]) {
+                    const pathError = commitPathError(filePath);
+                    if (pathError) {
+                        throw hostingError(`Failed to commit ${filePath}: ${pathError}`, 422);
+                    }
+                }
+            }
+
+            const workspace = await openWorkspaceRepo(repo);
+            const { dir } = workspace;
+            const scratch = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'workspace-index-'));
+            const env = { GIT_INDEX_FILE: path.join(scratch, 'index'), ...await workspaceIdentity(dir) };
+            const writeBlob = async content => (await runGit(dir, ['hash-object', '-w', '--stdin'], { input: content ?? '' })).trim();
+
+            try {
+                await runGit(dir, treeSha ? ['read-tree', treeSha] : ['read-tree', '--empty'], { env });
+                const entries = [];
+                for (const change of plan) {
+                    switch (change.action) {
+                        case 'add':
+                        case 'edit':
+                            entries.push(`${change.current ? change.current.mode : '100644'} ${await writeBlob(change.content)}\t${change.path}`);
+                            break;
+                        case 'delete':
+                            entries.push(`0 ${ZERO_SHA}\t${change.path}`);
+                            break;
+                        case 'rename': {
+                            // Reuse the existing blob unless the content changes too, so git sees a pure rename
+                            const blobSha = change.content !== undefined ? await writeBlob(change.content) : change.current.sha;
+                            entries.push(`0 ${ZERO_SHA}\t${change.path}`);
+                            entries.push(`${change.current.mode} ${blobSha}\t${change.newPath}`);
+                            break;
+                        }
+                    }
+                }
+                await runGit(dir, ['update-index', '-z', '--index-info'], { env, input: entries.map(entry => `${entry}\0`).join('') });
+
+                const newTree = (await runGit(dir, ['write-tree'], { env })).trim();
+                if (newTree === treeSha) {
+                    throw hostingError(`Nothing to commit: the changes leave ${branch} as it is`, 422);
+                }
+                const sha = (await runGit(dir, ['commit-tree', newTree, ...(headSha ? ['-p', headSha] : []), '-m', message], { env })).trim();
+                await moveWorkspaceBranch(workspace, branch, sha, headSha);
+                return { sha, url: null };
+            } finally {
+                await fs.promises.rm(scratch, { recursive: true, force: true });
+            }
+        },
+
+        // One more commit than asked for is read to tell whether the list goes on
+        async listCommits(repo, { path: filePath, ref, limit }) {
+            const { dir } = await openWorkspaceRepo(repo);
+            // A repo without commits has no history
+            if (!ref && !(await workspaceCommitSha(dir, 'HEAD'))) {
+                return { truncated: false, items: [] };
+            }
+
+            const args = ['log', `--max-count=${limit + 1}`, WORKSPACE_LOG_FORMAT, workspaceRevision(ref), '--'];
+            if (filePath) {
+                args.push(filePath.replace(/^\/+/, ''));
+            }
+            let output;
+            try {
+                output = await runGit(dir, args);
+            } catch (error) {
+                throw hostingError(`Failed to list commits: ${error.message}`, 404);
+            }
+            const commits = workspaceCommits(output);
+            return { truncated: commits.length > limit, items: commits.slice(0, limit) };
+        },
+
+        // What head has over base, diffed from where they split like GitHub's base...head
+        async compare(repo, base, head) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const [baseSha, headSha] = await Promise.all([base, head].map(ref => workspaceCommitSha(dir, workspaceRevision(ref))));
+            if (!baseSha || !headSha) {
+                throw hostingError(`Failed to compare ${base}...${head}: ${baseSha ? head : base} not found`, 404);
+            }
+            if (!(await runGit(dir, ['merge-base', baseSha, headSha]).catch(() => ''))) {
+                throw hostingError(`Failed to compare ${base}...${head}: they have no history in common`, 422);
+            }
+
+            const [behindBy, aheadBy] = (await runGit(dir, ['rev-list', '--left-right', '--count', `${baseSha}...${headSha}`])).trim().split(/\s+/).map(Number);
+            return {
+                status: compareStatus(aheadBy, behindBy),
+                aheadBy,
+                behindBy,
+                commits: workspaceCommits(await runGit(dir, ['log', '--reverse', WORKSPACE_LOG_FORMAT, `${baseSha}..${headSha}`, '--'])),
+                files: await workspaceDiff(dir, `${baseSha}...${headSha}`)
+            };
+        },
+
+        async listBranches(repo) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const output = await runGit(dir, ['for-each-ref', '--format=%(refname:lstrip=2)%00%(objectname)', 'refs/heads']);
+            return {
+                truncated: false,
+                items: output.split('\n').filter(Boolean).map(line => {
+                    const [name, sha] = line.split('\0');
+                    return { name, sha, protected: false };
+                })
+            };
+        },
+
+        async getBranch(repo, branch) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const sha = await workspaceCommitSha(dir, `refs/heads/${branch}`);
+            if (!sha) {
+                throw hostingError(`Failed to get branch ${branch}: Not Found`, 404);
+            }
+            return { name: branch, sha };
+        },
+
+        async resolveRef(repo, ref) {
+            const { dir } = await openWorkspaceRepo(repo);
+            const sha = await workspaceCommitSha(dir, workspaceRevision(ref));
+            if (!sha) {
+                throw hostingError(`Failed to find ${ref || 'the default branch'}: Not Found`, 404);
+            }
+            return { sha, treeSha: (await runGit(dir, ['rev-parse', `${sha}^{tree}`])).trim() };
+        },
+
+        async createBranch(repo, branch, sha) {
+            const { dir } = await openWorkspaceRepo(repo);
+            try {
+                await runGit(dir, ['check-ref-format', '--branch', branch]);
+            } catch (error) {
+                throw hostingError(`Failed to create branch: ${branch} is not a valid branch name`, 422);
+            }
+            try {
+                await runGit(dir, ['update-ref', `refs/heads/${branch}`, sha, ZERO_SHA]);
+            } catch (error) {
+                throw hostingError(`Failed to create branch: ${error.message}`, 422);
+            }
+        },
+
+        async deleteBranch(repo, branch) {
+            const { dir } = await openWorkspaceRepo(repo);
+            if (!(await workspaceCommitSha(dir, `refs/heads/${branch}`))) {
+                throw hostingError(`Failed to delete branch: ${branch} not found`, 404);
+            }
+            try {
+                await runGit(dir, ['branch', '-D', branch]);
+            } catch (error) {
+                throw hostingError(`Failed to delete branch: ${error.message}`, 422);
+            }
+        },
+
+        async listPulls(repo) {
+            const { gitDir } = await openWorkspaceRepo(repo);
+            const pulls = await readWorkspacePulls(gitDir);
+            return { truncated: false, items: pulls.filter(p => p.state === 'open').map(workspacePull) };
+        },
+
+        async createPull(repo, { title, body, head, base, draft }) {
+            const { gitDir } = await openWorkspaceRepo(repo);
+            await this.getBranch(repo, head);
+            await this.getBranch(repo, base);
+            if (head === base) {
+                throw hostingError(`Failed to create PR: ${head} cannot be merged into itself`, 422);
+            }
+
+            const pulls = await readWorkspacePulls(gitDir);
+            const existing = pulls.find(p => p.state === 'open' && p.head === head && p.base === base);
+            if (existing) {
+                throw hostingError(`Failed to create PR: #${existing.number} already merges ${head} into ${base}`, 422);
+            }
+            const pull = {
+                number: pulls.reduce((max, p) => Math.max(max, p.number), 0) + 1,
+                title,
+                body,
+                author: currentAccount().username,
+                head,
+                base,
+                draft: Boolean(draft),
+                state: 'open',
+                createdAt: new Date().toISOString()
+            };
+            await writeWorkspacePulls(gitDir, [...pulls, pull]);
+            return { number: pull.number, url: null, draft: pull.draft };
+        },
+
+        // Merged PRs keep the commits they merged, so their files still list after the branch is gone
+        async listPullFiles(repo, prNumber) {
+            const { dir, gitDir } = await openWorkspaceRepo(repo);
+            const { pull } = await findWorkspacePull(gitDir, prNumber);
+            const range = pull.state === 'merged'
+                ? `${pull.baseSha}...${pull.headSha}`
+                : `refs/heads/${pull.base}...refs/heads/${pull.head}`;
+            return { truncated: false, items: await workspaceDiff(dir, range) };
+        },
+
+        async mergeReport(repo, prNumber) {
+            const { dir, gitDir } = await openWorkspaceRepo(repo);
+            const { pull } = await findWorkspacePull(gitDir, prNumber);
+            const headSha = pull.state === 'merged' ? pull.headSha : await workspaceCommitSha(dir, `refs/heads/${pull.head}`);
+            const baseSha = await workspaceCommitSha(dir, `refs/heads/${pull.base}`);
+
+            // A merge that git can do without conflicts; null when a branch has gone missing
+            let mergeable = null;
+            if (pull.state === 'open' && headSha && baseSha) {
+                mergeable = await runGit(dir, ['merge-tree', '--write-tree', '--no-messages', baseSha, headSha])
+                    .then(() => true, error => (error.exitCode === 1 ? false : null));
+            }
+
+            const pr = {
+                number: pull.number,
+                title: pull.title,
+                state: pull.state === 'open' ? 'open' : 'closed',
+                merged: pull.state === 'merged',
+                draft: pull.draft,
+                mergeable,
+                base: { ref: pull.base },
+                head: { ref: pull.head, sha: headSha, repo: { full_name: repo } }
+            };
+            // Nothing runs checks or reviews in the workspace
+            return mergeVerdict(pr, { passed: [], failed: [], pending: [] }, { approvals: [], changesRequested: [], required: null });
+        },
+
+        async mergePull(repo, prNumber, { method, title, message, sha }) {
+            const workspace = await openWorkspaceRepo(repo);
+            const { dir, gitDir } = workspace;
+            const { pulls, pull } = await findWorkspacePull(gitDir, prNumber);
+            const headSha = await workspaceCommitSha(dir, `refs/heads/${pull.head}`);
+            const baseSha = await workspaceCommitSha(dir, `refs/heads/${pull.base}`);
+            if (!headSha || !baseSha) {
+                throw hostingError(`Failed to merge PR: branch ${headSha ? pull.base : pull.head} not found`, 404);
+            }
+            if (sha && sha !== headSha) {
+                throw hostingError(`Failed to merge PR: ${pull.head} has new commits since it was checked; check it again`, 409);
+            }
+
+            let mergedSha;
+            if (method === 'rebase') {
+                // Replaying commits is left to git itself; here only a fast-forward is a rebase without rewriting anything
+                const fastForward = await runGit(dir, ['merge-base', '--is-ancestor', baseSha, headSha]).then(() => true, () => false);
+                if (!fastForward) {
+                    throw hostingError(`Failed to merge PR: ${pull.base} has moved on since ${pull.head} branched off, so it cannot be rebased without rewriting commits; merge or squash instead`, 405);
+                }
+                mergedSha = headSha;
+            } else {
+                let tree;
+                try {
+                    tree = (await runGit(dir, ['merge-tree', '--write-tree', '--no-messages', baseSha, headSha])).split('\n')[0];
+                } catch (error) {
+                    throw hostingError(`Failed to merge PR: ${error.exitCode === 1 ? `it has merge conflicts with ${pull.base}` : error.message}`, 405);
+                }
+                const parents = method === 'squash' ? ['-p', baseSha] : ['-p', baseSha, '-p', headSha];
+                const commitMessage = [
+                    title || (method === 'squash' ? `${pull.title} (#${pull.number})` : `Merge branch '${pull.head}' into ${pull.base}`),
+                    message
+                ].filter(Boolean).join('\n\n');
+                const env = await workspaceIdentity(dir);
+                mergedSha = (await runGit(dir, ['commit-tree', tree, ...parents, '-m', commitMessage], { env })).trim();
+            }
+            await moveWorkspaceBranch(workspace, pull.base, mergedSha, baseSha);
+
+            Object.assign(pull, { state: 'merged', mergedAt: new Date().toISOString(), mergedSha, baseSha, headSha });
+            await writeWorkspacePulls(gitDir, pulls);
+            return { sha: mergedSha };
+        }
+    }
+};
+
+// Hosting accounts. GITHUB_TOKEN configures a GitHub account, and HOSTING_ACCOUNTS adds more as JSON:
+//   [{ "id": "work", "provider": "gitea", "url": "https://git.example.com", "token": "...", "username": "me" }]
+// provider is github (url only for GitHub Enterprise), gitea or forgejo. WORKSPACE_DIR adds the git
+// repositories in a local directory as the "workspace" account. The first account is the default
+// one: its repos are written owner/name, everybody else's id:owner/name.
+const HOSTING_PROVIDER_ALIASES = { forgejo: 'gitea' };
+const hostingAccounts = loadHostingAccounts();
+
+function loadHostingAccounts() {
+    let configured = [];
+    try {
+        configured = JSON.parse(process.env.HOSTING_ACCOUNTS || '[]');
+    } catch (e) {
+        console.error(`HOSTING_ACCOUNTS is not valid JSON: ${e.message}`);
+    }
+
+    const accounts = [];
+    if (process.env.WORKSPACE_DIR) {
+        accounts.push({
+            id: 'workspace',
+            provider: 'local',
+            root: path.resolve(process.env.WORKSPACE_DIR),
+            username: process.env.WORKSPACE_OWNER || 'local'
+        });
+    }
+    (Array.isArray(configured) ? configured : []).forEach(entry => {
+        const provider = HOSTING_PROVIDER_ALIASES[entry.provider] || entry.provider;
+        if (!entry.id || /[:/]/.test(entry.id) || !hostingProviders[provider]?.apiUrl || !entry.token || !entry.username
+            || (provider !== 'github' && !entry.url)) {
+            console.error(`Skipping hosting account ${entry.id || '(no id)'}: it needs an id without ":" or "/", a provider (github, gitea or forgejo), a token, a username and, except on github.com, a url`);
+            return;
+        }
+        if (entry.id === 'github' || accounts.some(account => account.id === entry.id)) {
+            console.error(`Skipping hosting account ${entry.id}: the id is already taken`);
+            return;
+        }
+        accounts.push({
+            id: entry.id,
+            provider,
+            apiUrl: hostingProviders[provider].apiUrl(entry.url),
+            token: entry.token,
+            username: entry.username
+        });
+    });
+
+    // Without a GitHub token the first configured account becomes the default
+    if (githubToken || accounts.length === 0) {
+        accounts.unshift({ id: 'github', provider: 'github', apiUrl: githubApiUrl, token: githubToken, username: githubUsername });
+    }
+    return accounts;
+}
+
+// "work:me/project" -> the work account and "me/project". Plain names have no account of their own.
+function parseAccountRef(ref) {
+    const match = typeof ref === 'string' && ref.match(/^([^/:]+):(.+)$/);
+    if (!match) {
+        return { account: null, name: ref };
+    }
+    const account = hostingAccounts.find(a => a.id === match[1]);
+    if (!account) {
+        throw new Error(`Unknown hosting account "${match[1]}" in ${ref}`);
+    }
+    return { account, name: match[2] };
+}
+
+// The other way round: a repo or owner name of the current account as the rest of the app writes it
+function accountRef(name, account = currentAccount()) {
+    return !name || account === hostingAccounts[0] ? name : `${account.id}:${name}`;
+}
+
+// Tool arguments that can name a repo or owner on another account
+const ACCOUNT_REF_ARGS = ['repo', 'owner', 'organization', 'template'];
+
+// Runs fn(args) as the account the args point at, with the account prefixes stripped.
+// Args without a prefix keep the account of the call they are nested in, or the default one.
+function withAccount(args, fn) {
+    let account = null;
+    const localArgs = { ...args };
+    ACCOUNT_REF_ARGS.forEach(key => {
+        const parsed = parseAccountRef(localArgs[key]);
+        if (!parsed.account) {
+            return;
+        }
+        if (account && account !== parsed.account) {
+            throw new Error(`Cannot mix accounts ${account.id} and ${parsed.account.id} in one call`);
+        }
+        account = parsed.account;
+        localArgs[key] = parsed.name;
+    });
+    return accountStorage.run(account || currentAccount(), () => fn(localArgs));
+}
+
+// Runs fn once as each account. A failing extra account becomes a warning so one unreachable
+// server doesn't hide the others; the default account's failures are the caller's.
+async function acrossAccounts(fn) {
+    const results = [];
+    const warnings = [];
+    for (const account of hostingAccounts) {
+        try {
+            results.push(await accountStorage.run(account, () => fn(account)));
+        } catch (error) {
+            if (account === hostingAccounts[0]) {
+                throw error;
+            }
+            warnings.push(`${account.id}: ${error.message}`);
+        }
+    }
+    return { results, warnings };
+}
+
+// Tools built only on the hosting interface, so they work on every provider.
+// Everything else talks to GitHub's API directly and is refused on other providers.
+const HOSTING_TOOLS = [
+    'list_tools', 'list_repos', 'list_owners', 'create_repo', 'delete_repo',
+    'list_files', 'list_tree', 'read_file', 'update_file', 'delete_file',
+    'commit_changes', 'move_file', 'move_directory', 'list_commits', 'diff_revisions', 'restore_file',
+    'list_branches', 'create_branch', 'delete_branch', 'compare_branches',
+    'list_prs', 'create_pr', 'list_pr_files', 'merge_pr', 'check_pr_merge'
+];
+
+// Tool execution functions
+async function executeTool(toolName, args) {
+    try {
+        return await withAccount(args || {}, localArgs => runTool(toolName, localArgs));
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+async function runTool(toolName, args) {
+    const account = currentAccount();
+    if (account.provider !== 'github' && !HOSTING_TOOLS.includes(toolName) && tools.some(tool => tool.name === toolName)) {
+        return { error: `${toolName} is only available on GitHub, and ${account.id} is a ${host().name} account` };
+    }
+
+    try {
+        switch (toolName) {
+            case 'list_tools': {
+                return {
+                    tools: tools.map(tool => ({
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters.properties
+                    }))
+                };
+            }
+
+            case 'list_repos': {
+                const owner = args.owner || account.username;
+                const isOrg = owner.toLowerCase() !== account.username.toLowerCase();
+                const page = await host().listRepos({ owner, isOrg, type: args.type });
+                return { 
+                    owner: accountRef(owner),
+                    truncated: page.truncated,
+                    repos: page.items.map(r => ({ 
+                        name: r.name, 
+                        fullName: accountRef(r.fullName),
+                        account: account.id,
+                        description: r.description,
+                        private: r.private,
+                        url: r.url,
+                        updatedAt: r.updatedAt
+                    })) 
+                };
+            }
+
+            // Owners of every configured account, written the way repo names are
+            case 'list_owners': {
+                const { results, warnings } = await acrossAccounts(async current => {
+                    const orgs = await host().listOrgs();
+                    return [
+                        { login: accountRef(current.username), type: 'User', account: current.id },
+                        ...orgs.items.map(org => ({ login: accountRef(org.login), type: 'Organization', description: org.description, account: current.id }))
+                    ];
+                });
+                return { owners: results.flat(), warnings };
+            }
+
+            case 'create_repo': {
+                // The account's own name means a personal repo, same as no organization
+                const organization = args.organization && args.organization.toLowerCase() !== account.username.toLowerCase()
+                    ? args.organization
+                    : undefined;
+
+                if (args.template) {
+                    if (args.gitignoreTemplate || args.licenseTemplate) {
+                        return { error: 'A .gitignore or license template cannot be combined with a repository template' };
+                    }
+
+                    const template = qualifyRepoName(args.template, account.username);
+                    const repo = await host().generateRepo(template, {
+                        owner: organization || account.username,
+                        name: args.name,
+                        description: args.description || '',
+                        private: args.private || false,
+                        includeAllBranches: args.includeAllBranches || false
+                    });
+                    return { success: `Repository ${repo.fullName} created from template ${template}`, url: repo.url, fullName: accountRef(repo.fullName), template };
+                }
+
+                const repo = await host().createRepo({
+                    organization,
+                    name: args.name,
+                    description: args.description || '',
+                    private: args.private || false,
+                    autoInit: args.autoInit !== false, // default true
+                    gitignoreTemplate: args.gitignoreTemplate,
+                    licenseTemplate: args.licenseTemplate
+                });
+                return { success: `Repository ${repo.fullName} created successfully`, url: repo.url, fullName: accountRef(repo.fullName) };
+            }
+
+            case 'fork_repo': {
+                const requestBody = {};
+                if (args.organization) requestBody.organization = args.organization;
+                if (args.name) requestBody.name = args.name;
+                if (args.defaultBranchOnly) requestBody.default_branch_only = true;
+
+                const response = await hostFetch(`/repos/${args.repo}/forks`, {
+                    method: 'POST',
+                    body: JSON.stringify(requestBody)
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to fork repo: ${response.statusText} - ${errorText}` };
+                }
+
+                // GitHub copies the contents in the background
+                const fork = await response.json();
+                return { success: `Forked ${args.repo} to ${fork.full_name}`, url: fork.html_url, fullName: accountRef(fork.full_name), source: accountRef(args.repo) };
+            }
+
+            case 'delete_repo': {
+                await host().deleteRepo(args.repo);
+                return { success: `Repository ${args.repo} deleted successfully` };
+            }
+
+            case 'get_repo_settings': {
+                const response = await hostFetch(`/repos/${args.repo}`);
+                if (!response.ok) {
+                    return { error: `Failed to get repository settings: ${response.statusText}` };
+                }
+                return { settings: formatRepoSettings(await response.json()) };
+            }
+
+            case 'update_repo': {
+                const fields = {
+                    name: 'name',
+                    private: 'private',
+                    description: 'description',
+                    homepage: 'homepage',
+                    defaultBranch: 'default_branch',
+                    allowMergeCommit: 'allow_merge_commit',
+                    allowSquashMerge: 'allow_squash_merge',
+                    allowRebaseMerge: 'allow_rebase_merge',
+                    deleteBranchOnMerge: 'delete_branch_on_merge'
+                };
+                const update = {};
+                Object.entries(fields).forEach(([arg, field]) => {
+                    if (args[arg] !== undefined && args[arg] !== null) update[field] = args[arg];
+                });
+
+                const changed = Object.keys(fields).filter(arg => update[fields[arg]] !== undefined);
+                if (Array.isArray(args.topics)) changed.push('topics');
+                if (typeof args.archived === 'boolean') changed.push('archived');
+                if (changed.length === 0) {
+                    return { error: 'No settings to change' };
+                }
+                if (update.allow_merge_commit === false && update.allow_squash_merge === false && update.allow_rebase_merge === false) {
+                    return { error: 'At least one merge method must stay enabled' };
+                }
+
+                const patchRepo = async (repo, body) => {
+                    const response = await hostFetch(`/repos/${repo}`, {
+                        method: 'PATCH',
+                        body: JSON.stringify(body)
+                    });
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        throw new Error(`Failed to update repository: ${response.statusText} - ${errorText}`);
+                    }
+                    return response.json();
+                };
+
+                // Archived repositories are read-only, so unarchive first and archive last
+                let repo = args.repo;
+                if (args.archived === false) {
+                    await patchRepo(repo, { archived: false });
+                }
+                if (Object.keys(update).length > 0) {
+                    repo = (await patchRepo(repo, update)).full_name;
+                }
+                if (Array.isArray(args.topics)) {
+                    const topicsResponse = await hostFetch(`/repos/${repo}/topics`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ names: args.topics.map(topic => topic.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean) })
+                    });
+                    if (!topicsResponse.ok) {
+                        const errorText = await topicsResponse.text();
+                        return { error: `Failed to update topics: ${topicsResponse.statusText} - ${errorText}`, repo: accountRef(repo), previousRepo: accountRef(args.repo), renamed: repo !== args.repo };
+                    }
+                }
+                if (args.archived === true) {
+                    await patchRepo(repo, { archived: true });
+                }
+
+                const current = await executeTool('get_repo_settings', { repo });
+                if (current.error) {
+                    return current;
+                }
+
+                return {
+                    success: `Repository ${repo} updated`,
+                    repo: accountRef(repo),
+                    previousRepo: accountRef(args.repo),
+                    renamed: repo !== args.repo,
+                    changed,
+                    settings: current.settings
+                };
+            }
+
+            case 'list_files': {
+                const listing = await host().listDirectory(args.repo, args.path, args.ref);
+                return {
+                    truncated: listing.truncated,
+                    files: listing.items.map(f => ({ name: f.name, type: f.type, path: f.path }))
+                };
+            }
+
+            case 'list_tree': {
+                const commit = await host().resolveRef(args.repo, args.ref);
+                const prefix = (args.path || '').replace(/^\/+|\/+$/g, '');
+
+                // Start from the directory itself so large repos are less likely to hit GitHub's tree limit
+                let treeSha = commit.treeSha;
+                if (prefix) {
+                    const parent = prefix.includes('/') ? prefix.substring(0, prefix.lastIndexOf('/')) : '';
+                    const listing = await host().listDirectory(args.repo, parent, commit.sha).catch(() => ({ items: [] }));
+                    const dir = listing.items.find(e => e.path === prefix && e.type === 'dir');
+                    if (!dir) {
+                        return { error: `Directory ${prefix} not found at ${args.ref || 'the default branch'}` };
+                    }
+                    treeSha = dir.sha;
+                }
+
+                const tree = await host().getTree(args.repo, treeSha);
+                const types = { tree: 'dir', blob: 'file', commit: 'submodule' };
+                const entries = tree.entries.map(e => ({
+                    path: prefix ? `${prefix}/${e.path}` : e.path,
+                    type: types[e.type] || e.type,
+                    size: e.size ?? null
+                }));
+                return {
+                    repo: accountRef(args.repo),
+                    ref: args.ref || null,
+                    sha: commit.sha,
+                    path: prefix || null,
+                    fileCount: entries.filter(e => e.type === 'file').length,
+                    truncated: Boolean(tree.truncated) || entries.length > MAX_LIST_ITEMS,
+                    entries: entries.slice(0, MAX_LIST_ITEMS)
+                };
+            }
+
+            case 'read_file': {
+                const file = await fetchFileBuffer(args.repo, args.path, args.ref);
+                if (file.error) {
+                    return { error: file.error };
+                }
+                if (isBinaryContent(file.buffer)) {
+                    return { binary: true, content: null, mimeType: mimeType(args.path), size: file.size, sha: file.sha, path: args.path, ref: args.ref || null };
+                }
+                const content = file.buffer.toString('utf-8');
+                return { content, size: file.size, sha: file.sha, path: args.path, ref: args.ref || null };
+            }
+
+            case 'update_file': {
+                // Get current file SHA if it exists
+                let currentSha = null;
+                const currentFile = await fetchFileBuffer(args.repo, args.path, args.branch);
+                if (!currentFile.error) {
+                    if (isBinaryContent(currentFile.buffer)) {
+                        return { error: `${args.path} is a binary file and cannot be overwritten with text` };
+                    }
+                    currentSha = currentFile.sha;
+                }
+
+                await host().writeFile(args.repo, args.path, {
+                    content: args.content,
+                    message: args.message,
+                    branch: args.branch,
+                    sha: currentSha
+                });
+                return { success: `File ${args.path} ${currentSha ? 'updated' : 'created'} successfully${args.branch ? ` on ${args.branch}` : ''}` };
+            }
+
+            case 'create_pr': {
+                const base = args.base || await getDefaultBranch(args.repo);
+                const head = args.head || `ai-agent-${Date.now()}`;
+                const changes = args.changes || [];
+
+                // Reuse the head branch if it already exists, otherwise branch off base
+                let createdBranch = false;
+                const headExists = await host().getBranch(args.repo, head).then(() => true, () => false);
+                if (!headExists) {
+                    if (changes.length === 0) {
+                        return { error: `Branch ${head} does not exist and there are no changes to put on it` };
+                    }
+                    const branchResult = await executeTool('create_branch', { repo: args.repo, branch: head, from: base });
+                    if (branchResult.error) {
+                        return branchResult;
+                    }
+                    createdBranch = true;
+                }
+
+                if (changes.length > 0) {
+                    const commitResult = await commitChanges(args.repo, {
+                        branch: head,
+                        message: args.commitMessage || args.title,
+                        changes
+                    }).catch(error => ({ error: error.message }));
+                    if (commitResult.error) {
+                        // Don't leave an empty branch behind
+                        if (createdBranch) {
+                            await host().deleteBranch(args.repo, head).catch(() => {});
+                        }
+                        return commitResult;
+                    }
+                }
+
+                const pr = await host().createPull(args.repo, {
+                    title: args.title,
+                    body: args.body || 'Changes made via AI agent',
+                    head,
+                    base,
+                    draft: args.draft || false
+                });
+
+                // Reviewers and labels are best effort: the PR exists either way
+                const warnings = [];
+                let reviewers = [];
+                let labels = [];
+                if (!account.apiUrl && ((args.reviewers && args.reviewers.length > 0) || (args.labels && args.labels.length > 0))) {
+                    warnings.push('Reviewers and labels were left out: local workspace PRs have neither');
+                } else if (args.reviewers && args.reviewers.length > 0) {
+                    const reviewersResponse = await hostFetch(`/repos/${args.repo}/pulls/${pr.number}/requested_reviewers`, {
+                        method: 'POST',
+                        body: JSON.stringify({ reviewers: args.reviewers })
+                    });
+                    if (reviewersResponse.ok) {
+                        reviewers = args.reviewers;
+                    } else {
+                        warnings.push(`Could not request reviewers: ${reviewersResponse.statusText}`);
+                    }
+                }
+                if (account.apiUrl && args.labels && args.labels.length > 0) {
+                    const labelsResponse = await hostFetch(`/repos/${args.repo}/issues/${pr.number}/labels`, {
+                        method: 'POST',
+                        body: JSON.stringify({ labels: args.labels })
+                    });
+                    if (labelsResponse.ok) {
+                        labels = args.labels;
+                    } else {
+                        warnings.push(`Could not add labels: ${labelsResponse.statusText}`);
+                    }
+                }
+
+                // Summarize the diff that was opened
+                const diff = { files: [], additions: 0, deletions: 0 };
+                const filesPage = await host().listPullFiles(args.repo, pr.number).catch(() => null);
+                if (filesPage) {
+                    diff.files = filesPage.items.map(({ patch, ...file }) => file);
+                    diff.additions = diff.files.reduce((sum, f) => sum + f.additions, 0);
+                    diff.deletions = diff.files.reduce((sum, f) => sum + f.deletions, 0);
+                }
+
+                return {
+                    success: `PR created: #${pr.number}`,
+                    url: pr.url,
+                    number: pr.number,
+                    base,
+                    head,
+                    draft: pr.draft,
+                    reviewers,
+                    labels,
+                    diff,
+                    warnings
+                };
+            }
+
+            case 'list_prs': {
+                const page = await host().listPulls(args.repo);
+                return { truncated: page.truncated, prs: page.items };
+            }
+
+            case 'merge_pr': {
+                const method = args.method || 'merge';
+                if (!['merge', 'squash', 'rebase'].includes(method)) {
+                    return { error: `Invalid merge method "${method}": use merge, squash or rebase` };
+                }
+
+                const report = await host().mergeReport(args.repo, args.prNumber);
+
+                // Closed, draft and conflicting PRs can't be merged at all; the rest can be overridden
+                if (report.hardBlockers.length > 0 || (report.blockers.length > 0 && !args.force)) {
+                    const reasons = [...report.hardBlockers, ...report.blockers].join('; ');
+                    const hint = report.hardBlockers.length === 0 ? ' Ask again with force to merge anyway.' : '';
+                    return { error: `Refusing to merge PR #${args.prNumber}: ${reasons}.${hint}`, report };
+                }
+
+                let merge;
+                try {
+                    merge = await host().mergePull(args.repo, args.prNumber, {
+                        method,
+                        title: args.commitTitle || (method === 'merge' ? `Merge pull request #${args.prNumber}` : undefined),
+                        message: args.commitMessage,
+                        // Fail if new commits were pushed after the report was made
+                        sha: report.headSha
+                    });
+                } catch (error) {
+                    return { error: error.message, report };
+                }
+
+                const result = {
+                    success: `PR #${args.prNumber} merged successfully`,
+                    method,
+                    sha: merge.sha,
+                    forced: report.blockers.length > 0,
+                    overridden: report.blockers,
+                    deletedBranch: null
+                };
+
+                // Agent branches are throwaway, so they are cleaned up unless asked otherwise
+                const deleteBranch = args.deleteBranch ?? report.head.startsWith('ai-agent-');
+                if (deleteBranch) {
+                    if (report.headRepo !== args.repo) {
+                        result.warning = `Head branch ${report.head} lives in ${report.headRepo} and was not deleted`;
+                    } else {
+                        try {
+                            await host().deleteBranch(args.repo, report.head);
+                            result.deletedBranch = report.head;
+                        } catch (error) {
+                            result.warning = `Merged, but could not delete branch ${report.head}: ${error.message}`;
+                        }
+                    }
+                }
+
+                return result;
+            }
+
+            case 'check_pr_merge': {
+                return await host().mergeReport(args.repo, args.prNumber);
+            }
+
+            case 'list_pr_files': {
+                const page = await host().listPullFiles(args.repo, args.prNumber);
+                return { prNumber: args.prNumber, truncated: page.truncated, files: page.items };
+            }
+
+            case 'get_pr_diff': {
+                const prResponse = await hostFetch(`/repos/${args.repo}/pulls/${args.prNumber}`);
+                if (!prResponse.ok) {
+                    return { error: `Failed to get PR: ${prResponse.statusText}` };
+                }
+                const pr = await prResponse.json();
+
+                const diffResponse = await hostFetch(`/repos/${args.repo}/pulls/${args.prNumber}`, {
+                    headers: { 'Accept': 'application/vnd.github.v3.diff' }
+                });
+                if (!diffResponse.ok) {
+                    return { error: `Failed to get PR diff: ${diffResponse.statusText}` };
+                }
+                const diff = await diffResponse.text();
+
+                return {
+                    number: pr.number,
+                    title: pr.title,
+                    body: pr.body,
+                    author: pr.user ? pr.user.login : null,
+                    state: pr.state,
+                    base: pr.base.ref,
+                    head: pr.head.ref,
+                    headSha: pr.head.sha,
+                    changedFiles: pr.changed_files,
+                    additions: pr.additions,
+                    deletions: pr.deletions,
+                    diff: diff.length > MAX_DIFF_LENGTH ? diff.substring(0, MAX_DIFF_LENGTH) : diff,
+                    truncated: diff.length > MAX_DIFF_LENGTH
+                };
+            }
+
+            case 'comment_pr_line': {
+                // Review comments are anchored to a commit, use the PR head
+                const prResponse = await hostFetch(`/repos/${args.repo}/pulls/${args.prNumber}`);
+                if (!prResponse.ok) {
+                    return { error: `Failed to get PR: ${prResponse.statusText}` };
+                }
+                const pr = await prResponse.json();
+
+                const requestBody = {
+                    body: args.body,
+                    commit_id: pr.head.sha,
+                    path: args.path,
+                    line: args.line,
+                    side: args.side === 'LEFT' ? 'LEFT' : 'RIGHT'
+                };
+                if (args.startLine && args.startLine < args.line) {
+                    requestBody.start_line = args.startLine;
+                    requestBody.start_side = requestBody.side;
+                }
+
+                const response = await hostFetch(`/repos/${args.repo}/pulls/${args.prNumber}/comments`, {
+                    method: 'POST',
+                    body: JSON.stringify(requestBody)
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to comment on ${args.path}:${args.line} (the line must be part of the diff): ${response.statusText} - ${errorText}` };
+                }
+
+                const comment = await response.json();
+                return { success: `Comment posted on ${args.path}:${args.line}`, url: comment.html_url };
+            }
+
+            case 'submit_pr_review': {
+                const event = (args.event || '').toUpperCase();
+                if (!['APPROVE', 'REQUEST_CHANGES', 'COMMENT'].includes(event)) {
+                    return { error: `Invalid review event "${args.event}": use APPROVE, REQUEST_CHANGES or COMMENT` };
+                }
+                if (event !== 'APPROVE' && !args.body) {
+                    return { error: `A review summary is required for ${event}` };
+                }
+
+                const requestBody = { event, body: args.body || '' };
+                if (args.comments && args.comments.length > 0) {
+                    requestBody.comments = args.comments.map(c => ({
+                        path: c.path,
+                        line: c.line,
+                        side: c.side === 'LEFT' ? 'LEFT' : 'RIGHT',
+                        body: c.body
+                    }));
+                }
+
+                const response = await hostFetch(`/repos/${args.repo}/pulls/${args.prNumber}/reviews`, {
+                    method: 'POST',
+                    body: JSON.stringify(requestBody)
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to submit review: ${response.statusText} - ${errorText}` };
+                }
+
+                const review = await response.json();
+                return {
+                    success: `Review submitted on PR #${args.prNumber}`,
+                    event,
+                    comments: requestBody.comments ? requestBody.comments.length : 0,
+                    url: review.html_url
+                };
+            }
+
+            case 'review_pr': {
+                const pr = await executeTool('get_pr_diff', { repo: args.repo, prNumber: args.prNumber });
+                if (pr.error) {
+                    return pr;
+                }
+                if (pr.state !== 'open') {
+                    return { error: `PR #${args.prNumber} is ${pr.state}` };
+                }
+
+                const { annotated, commentable } = annotateDiff(pr.diff);
+
+                const reviewPrompt = `You are a senior code reviewer. Review this pull request.
+
+Title: ${pr.title}
+Author: ${pr.author}
+Description: ${pr.body || '(none)'}
+${args.focus ? `Focus on: ${args.focus}\n` : ''}${pr.truncated ? 'NOTE: the diff was too large and has been cut off.\n' : ''}
+Each added or unchanged line of the diff below is prefixed with its line number in the new file.
+
+${annotated}
+
+Respond ONLY with JSON in this format:
+{
+  "summary": "overall assessment in a few sentences",
+  "verdict": "APPROVE" | "REQUEST_CHANGES" | "COMMENT",
+  "comments": [{ "path": "file/path", "line": 12, "body": "specific, actionable comment" }]
+}
+
+Rules:
+- Only comment on real problems: bugs, security issues, missing error handling, confusing code
+- Use the line numbers shown in the diff; only comment on lines prefixed with a number
+- Do not comment on style nits unless they hide a bug
+- An empty comments array is fine for a good PR
+
+JSON:`;
+
+                const reviewResponse = await generateFromPrompt('codegen', reviewPrompt);
+
+                let review;
+                try {
+                    const reviewText = (reviewResponse || '').replace(/```json\n?|\n?```/g, '').trim();
+                    review = JSON.parse(reviewText);
+                } catch (e) {
+                    return { error: `Failed to parse the generated review: ${e.message}` };
+                }
+
+                // GitHub rejects the whole review if one comment points outside the diff
+                const comments = (review.comments || []).filter(c => commentable.has(`${c.path}:${c.line}`));
+                const skippedComments = (review.comments || []).length - comments.length;
+
+                const result = await executeTool('submit_pr_review', {
+                    repo: args.repo,
+                    prNumber: args.prNumber,
+                    // Approving or blocking is the user's call, not the model's
+                    event: args.event || 'COMMENT',
+                    body: `${review.summary || 'Automated review'}\n\nSuggested verdict: ${review.verdict || 'COMMENT'}`,
+                    comments
+                });
+                if (result.error) {
+                    return result;
+                }
+
+                return {
+                    ...result,
+                    summary: review.summary,
+                    verdict: review.verdict,
+                    postedComments: comments,
+                    skippedComments
+                };
+            }
+
+            case 'list_pr_reviews': {
+                const reviewsPage = await hostFetchAll(`/repos/${args.repo}/pulls/${args.prNumber}/reviews?per_page=100`);
+                if (!reviewsPage.ok) {
+                    return { error: `Failed to list reviews: ${reviewsPage.statusText}` };
+                }
+                const reviews = reviewsPage.items;
+
+                const commentsPage = await hostFetchAll(`/repos/${args.repo}/pulls/${args.prNumber}/comments?per_page=100`);
+                if (!commentsPage.ok) {
+                    return { error: `Failed to list review comments: ${commentsPage.statusText}` };
+                }
+                const comments = commentsPage.items;
+
+                // Replies point at the first comment of their thread
+                const threads = new Map();
+                comments.forEach(c => {
+                    const threadId = c.in_reply_to_id || c.id;
+                    if (!threads.has(threadId)) {
+                        threads.set(threadId, { path: c.path, line: c.line || c.original_line, outdated: c.line === null, comments: [] });
+                    }
+                    threads.get(threadId).comments.push({ author: c.user ? c.user.login : null, body: c.body });
+                });
+
+                return {
+                    prNumber: args.prNumber,
+                    // Pending reviews are drafts only their author can see
+                    reviews: reviews.filter(r => r.state !== 'PENDING').map(r => ({
+                        author: r.user ? r.user.login : null,
+                        state: r.state,
+                        body: r.body,
+                        submittedAt: r.submitted_at
+                    })),
+                    threads: Array.from(threads.values())
+                };
+            }
+
+            case 'delete_file': {
+                await host().deleteFile(args.repo, args.path, {
+                    message: args.message || `Delete ${args.path}`,
+                    branch: args.branch
+                });
+                return { success: `File ${args.path} deleted successfully` };
+            }
+
+            case 'list_issues': {
+                const params = new URLSearchParams({
+                    state: args.state || 'open',
+                    per_page: '100',
+                    sort: 'updated'
+                });
+                if (args.labels) params.set('labels', args.labels);
+                if (args.assignee) params.set('assignee', args.assignee);
+
+                const page = await hostFetchAll(`/repos/${args.repo}/issues?${params}`);
+                if (!page.ok) {
+                    return { error: `Failed to list issues: ${page.statusText}` };
+                }
+                const issues = page.items;
+                // The issues endpoint also returns pull requests
+                return {
+                    repo: args.repo,
+                    truncated: page.truncated,
+                    issues: issues.filter(i => !i.pull_request).map(formatIssue)
+                };
+            }
+
+            case 'create_issue': {
+                const requestBody = {
+                    title: args.title,
+                    body: args.body || ''
+                };
+                if (args.labels && args.labels.length > 0) requestBody.labels = args.labels;
+                if (args.assignees && args.assignees.length > 0) requestBody.assignees = args.assignees;
+
+                const response = await hostFetch(`/repos/${args.repo}/issues`, {
+                    method: 'POST',
+                    body: JSON.stringify(requestBody)
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to create issue: ${response.statusText} - ${errorText}` };
+                }
+
+                const issue = await response.json();
+                return { success: `Issue #${issue.number} created`, issue: formatIssue(issue) };
+            }
+
+            case 'comment_issue': {
+                const response = await hostFetch(`/repos/${args.repo}/issues/${args.issueNumber}/comments`, {
+                    method: 'POST',
+                    body: JSON.stringify({ body: args.body })
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to comment on issue: ${response.statusText} - ${errorText}` };
+                }
+
+                const comment = await response.json();
+                return { success: `Comment added to issue #${args.issueNumber}`, url: comment.html_url };
+            }
+
+            case 'update_issue': {
+                const issuePath = `/repos/${args.repo}/issues/${args.issueNumber}`;
+
+                const patch = {};
+                if (args.title) patch.title = args.title;
+                if (args.body !== undefined) patch.body = args.body;
+                if (Object.keys(patch).length > 0) {
+                    const response = await hostFetch(issuePath, {
+                        method: 'PATCH',
+                        body: JSON.stringify(patch)
+                    });
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { error: `Failed to edit issue: ${response.statusText} - ${errorText}` };
+                    }
+                }
+
+                if (args.addLabels && args.addLabels.length > 0) {
+                    const response = await hostFetch(`${issuePath}/labels`, {
+                        method: 'POST',
+                        body: JSON.stringify({ labels: args.addLabels })
+                    });
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { error: `Failed to add labels: ${response.statusText} - ${errorText}` };
+                    }
+                }
+
+                for (const label of args.removeLabels || []) {
+                    const response = await hostFetch(`${issuePath}/labels/${encodeURIComponent(label)}`, {
+                        method: 'DELETE'
+                    });
+                    // A label that isn't on the issue is already "removed"
+                    if (!response.ok && response.status !== 404) {
+                        const errorText = await response.text();
+                        return { error: `Failed to remove label ${label}: ${response.statusText} - ${errorText}` };
+                    }
+                }
+
+                if (args.addAssignees && args.addAssignees.length > 0) {
+                    const response = await hostFetch(`${issuePath}/assignees`, {
+                        method: 'POST',
+                        body: JSON.stringify({ assignees: args.addAssignees })
+                    });
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { error: `Failed to add assignees: ${response.statusText} - ${errorText}` };
+                    }
+                }
+
+                if (args.removeAssignees && args.removeAssignees.length > 0) {
+                    const response = await hostFetch(`${issuePath}/assignees`, {
+                        method: 'DELETE',
+                        body: JSON.stringify({ assignees: args.removeAssignees })
+                    });
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { error: `Failed to remove assignees: ${response.statusText} - ${errorText}` };
+                    }
+                }
+
+                const response = await hostFetch(issuePath);
+                if (!response.ok) {
+                    return { error: `Failed to get issue: ${response.statusText}` };
+                }
+                const issue = await response.json();
+                return { success: `Issue #${args.issueNumber} updated`, issue: formatIssue(issue) };
+            }
+
+            case 'close_issue': {
+                if (args.comment) {
+                    const commentResult = await executeTool('comment_issue', {
+                        repo: args.repo,
+                        issueNumber: args.issueNumber,
+                        body: args.comment
+                    });
+                    if (commentResult.error) {
+                        return commentResult;
+                    }
+                }
+
+                const response = await hostFetch(`/repos/${args.repo}/issues/${args.issueNumber}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({
+                        state: 'closed',
+                        state_reason: args.reason === 'not_planned' ? 'not_planned' : 'completed'
+                    })
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to close issue: ${response.statusText} - ${errorText}` };
+                }
+
+                return { success: `Issue #${args.issueNumber} closed` };
+            }
+
+            case 'reopen_issue': {
+                const response = await hostFetch(`/repos/${args.repo}/issues/${args.issueNumber}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ state: 'open' })
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to reopen issue: ${response.statusText} - ${errorText}` };
+                }
+
+                return { success: `Issue #${args.issueNumber} reopened` };
+            }
+
+            case 'commit_changes': {
+                return await commitChanges(args.repo, {
+                    branch: args.branch,
+                    message: args.message,
+                    changes: args.changes,
+                    baseSha: args.baseSha
+                });
+            }
+
+            case 'move_file': {
+                const result = await commitChanges(args.repo, {
+                    branch: args.branch,
+                    message: args.message || `Move ${args.path} to ${args.newPath}`,
+                    changes: [{ action: 'rename', path: args.path, newPath: args.newPath, overwrite: args.overwrite }]
+                });
+                if (result.error) {
+                    return result;
+                }
+                return {
+                    success: `Moved ${args.path} to ${args.newPath} on ${result.branch}`,
+                    path: args.path,
+                    newPath: args.newPath,
+                    branch: result.branch,
+                    sha: result.sha,
+                    url: result.url
+                };
+            }
+
+            case 'move_directory': {
+                const from = (args.path || '').replace(/^\/+|\/+$/g, '');
+                const to = (args.newPath || '').replace(/^\/+|\/+$/g, '');
+                if (!from || !to) {
+                    return { error: 'Both the directory and its new path are required' };
+                }
+                if (to === from || to.startsWith(`${from}/`)) {
+                    return { error: `Cannot move ${from} into itself` };
+                }
+
+                const tree = await executeTool('list_tree', { repo: args.repo, path: from, ref: args.branch });
+                if (tree.error) {
+                    return { error: tree.error };
+                }
+                if (tree.truncated) {
+                    return { error: `${from} has more than ${MAX_LIST_ITEMS} entries, which is too many to move in one commit` };
+                }
+                const files = tree.entries.filter(entry => entry.type === 'file');
+                if (files.length === 0) {
+                    return { error: `${from} contains no files to move` };
+                }
+
+                // Pin the commit to the tree that was listed so no file added meanwhile is left behind
+                const result = await commitChanges(args.repo, {
+                    branch: args.branch,
+                    baseSha: tree.sha,
+                    message: args.message || `Move ${from} to ${to}`,
+                    changes: files.map(file => ({
+                        action: 'rename',
+                        path: file.path,
+                        newPath: to + file.path.substring(from.length),
+                        overwrite: args.overwrite
+                    }))
+                });
+                if (result.error) {
+                    return result;
+                }
+                return {
+                    success: `Moved ${from} to ${to} (${files.length} ${files.length === 1 ? 'file' : 'files'}) on ${result.branch}`,
+                    path: from,
+                    newPath: to,
+                    fileCount: files.length,
+                    branch: result.branch,
+                    sha: result.sha,
+                    url: result.url
+                };
+            }
+
+            case 'list_commits': {
+                const limit = Math.min(args.limit || 30, MAX_LIST_ITEMS);
+                const page = await host().listCommits(args.repo, { path: args.path, ref: args.ref, limit });
+                return {
+                    repo: args.repo,
+                    path: args.path || null,
+                    truncated: page.truncated,
+                    commits: page.items
+                };
+            }
+
+            case 'diff_revisions': {
+                let { files } = await host().compare(args.repo, args.base, args.head);
+                if (args.path) {
+                    const prefix = args.path.replace(/\/$/, '');
+                    files = files.filter(f =>
+                        [f.path, f.previousPath].some(name => name && (name === prefix || name.startsWith(`${prefix}/`)))
+                    );
+                }
+
+                return {
+                    base: args.base,
+                    head: args.head,
+                    path: args.path || null,
+                    files
+                };
+            }
+
+            case 'restore_file': {
+                const oldVersion = await executeTool('read_file', { repo: args.repo, path: args.path, ref: args.sha });
+                if (oldVersion.error) {
+                    return { error: `Failed to read ${args.path} at ${args.sha.substring(0, 7)}: ${oldVersion.error}` };
+                }
+                if (oldVersion.binary) {
+                    return { error: `${args.path} is a binary file and cannot be restored as text` };
+                }
+
+                const result = await executeTool('update_file', {
+                    repo: args.repo,
+                    path: args.path,
+                    content: oldVersion.content,
+                    message: args.message || `Restore ${args.path} to ${args.sha.substring(0, 7)}`,
+                    branch: args.branch
+                });
+                if (result.error) {
+                    return result;
+                }
+
+                return { success: `File ${args.path} restored to ${args.sha.substring(0, 7)}`, path: args.path, sha: args.sha };
+            }
+
+            case 'search_code': {
+                const qualifiers = [args.query];
+                if (args.repo) {
+                    qualifiers.push(`repo:${args.repo}`);
+                } else if (args.scope !== 'all') {
+                    const owner = args.owner || account.username;
+                    qualifiers.push(owner.toLowerCase() === account.username.toLowerCase() ? `user:${owner}` : `org:${owner}`);
+                }
+                if (args.language) qualifiers.push(`language:${args.language}`);
+                if (args.path) qualifiers.push(`path:${args.path}`);
+
+                const response = await hostFetch(`/search/code?q=${encodeURIComponent(qualifiers.join(' '))}&per_page=20`, {
+                    // Ask for text matches so results come with snippets
+                    headers: { 'Accept': 'application/vnd.github.text-match+json' }
+                });
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to search code: ${response.statusText} - ${errorText}` };
+                }
+                const data = await response.json();
+
+                return {
+                    query: args.query,
+                    totalCount: data.total_count,
+                    incomplete: data.incomplete_results,
+                    results: data.items.map(item => ({
+                        repo: item.repository.full_name,
+                        path: item.path,
+                        url: item.html_url,
+                        snippets: (item.text_matches || [])
+                            .filter(m => m.property === 'content')
+                            .map(m => ({
+                                fragment: m.fragment,
+                                matches: m.matches.map(match => match.text)
+                            }))
+                    }))
+                };
+            }
+
+            case 'list_workflows': {
+                const page = await hostFetchAll(`/repos/${args.repo}/actions/workflows?per_page=100`, { itemsKey: 'workflows' });
+                if (!page.ok) {
+                    return { error: `Failed to list workflows: ${page.statusText}` };
                 }
-            },
-            required: ['repo', 'path']
-        }
-    }
-];
+                const workflows = page.items;
+                return {
+                    repo: args.repo,
+                    truncated: page.truncated,
+                    workflows: workflows.map(w => ({
+                        id: w.id,
+                        name: w.name,
+                        file: w.path.split('/').pop(),
+                        state: w.state,
+                        url: w.html_url
+                    }))
+                };
+            }
+
+            case 'list_workflow_runs': {
+                const limit = Math.min(args.limit || 10, MAX_LIST_ITEMS);
+                const params = new URLSearchParams({
+                    per_page: String(Math.min(limit, 100))
+                });
+                if (args.branch) params.set('branch', args.branch);
+                if (args.status) params.set('status', args.status);
+
+                const endpoint = args.workflow
+                    ? `/repos/${args.repo}/actions/workflows/${encodeURIComponent(args.workflow)}/runs`
+                    : `/repos/${args.repo}/actions/runs`;
+                const page = await hostFetchAll(`${endpoint}?${params}`, { maxItems: limit, itemsKey: 'workflow_runs' });
+                if (!page.ok) {
+                    return { error: `Failed to list workflow runs: ${page.statusText}` };
+                }
+                return { repo: args.repo, branch: args.branch || null, truncated: page.truncated, runs: page.items.map(formatRun) };
+            }
+
+            case 'get_workflow_run': {
+                const runResponse = await hostFetch(`/repos/${args.repo}/actions/runs/${args.runId}`);
+                if (!runResponse.ok) {
+                    return { error: `Failed to get workflow run: ${runResponse.statusText}` };
+                }
+                const run = await runResponse.json();
+
+                const jobsPage = await hostFetchAll(`/repos/${args.repo}/actions/runs/${args.runId}/jobs?per_page=100`, { itemsKey: 'jobs' });
+                if (!jobsPage.ok) {
+                    return { error: `Failed to list jobs: ${jobsPage.statusText}` };
+                }
+                const jobs = jobsPage.items;
 
-// Tool execution functions
-async function executeTool(toolName, args) {
-    try {
-        switch (toolName) {
-            case 'list_tools': {
                 return {
-                    tools: tools.map(tool => ({
-                        name: tool.name,
-                        description: tool.description,
-                        parameters: tool.parameters.properties
+                    run: formatRun(run),
+                    jobs: jobs.map(job => ({
+                        id: job.id,
+                        name: job.name,
+                        status: job.status,
+                        conclusion: job.conclusion,
+                        failedSteps: (job.steps || [])
+                            .filter(step => step.conclusion === 'failure')
+                            .map(step => step.name),
+                        url: job.html_url
                     }))
                 };
             }
 
-            case 'list_repos': {
-                const type = args.type || 'owner';
-                const response = await githubFetch(`/user/repos?type=${type}&per_page=100&sort=updated`);
+            case 'get_job_log': {
+                let jobId = args.jobId;
+                let jobName = null;
+                if (!jobId) {
+                    if (!args.runId) {
+                        return { error: 'Either jobId or runId is required' };
+                    }
+                    const run = await executeTool('get_workflow_run', { repo: args.repo, runId: args.runId });
+                    if (run.error) {
+                        return run;
+                    }
+                    const failedJob = run.jobs.find(job => job.conclusion === 'failure');
+                    if (!failedJob) {
+                        return { error: `Run ${args.runId} has no failed jobs` };
+                    }
+                    jobId = failedJob.id;
+                    jobName = failedJob.name;
+                }
+
+                // Redirects to a short-lived download URL
+                const response = await hostFetch(`/repos/${args.repo}/actions/jobs/${jobId}/logs`);
                 if (!response.ok) {
-                    return { error: `Failed to list repos: ${response.statusText}` };
+                    return { error: `Failed to download job log: ${response.statusText}` };
                 }
-                const repos = await response.json();
-                return { 
-                    repos: repos.map(r => ({ 
-                        name: r.name, 
-                        fullName: r.full_name,
-                        description: r.description,
-                        private: r.private,
-                        url: r.html_url,
-                        updatedAt: r.updated_at
-                    })) 
-                };
+                const trimmed = trimJobLog(await response.text());
+                return { jobId, jobName, ...trimmed };
             }
 
-            case 'create_repo': {
-                const requestBody = {
-                    name: args.name,
-                    description: args.description || '',
-                    private: args.private || false,
-                    auto_init: args.autoInit !== false // default true
+            case 'rerun_workflow': {
+                const failedOnly = args.failedOnly !== false;
+                const response = await hostFetch(`/repos/${args.repo}/actions/runs/${args.runId}/${failedOnly ? 'rerun-failed-jobs' : 'rerun'}`, {
+                    method: 'POST'
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to re-run workflow: ${response.statusText} - ${errorText}` };
+                }
+
+                return { success: `Re-running ${failedOnly ? 'failed jobs of ' : ''}run ${args.runId}`, failedOnly };
+            }
+
+            case 'dispatch_workflow': {
+                let inputs = args.inputs || {};
+                if (typeof inputs === 'string') {
+                    try {
+                        inputs = JSON.parse(inputs);
+                    } catch (e) {
+                        return { error: `Workflow inputs must be a JSON object: ${e.message}` };
+                    }
+                }
+                const ref = args.ref || await getDefaultBranch(args.repo);
+
+                const response = await hostFetch(`/repos/${args.repo}/actions/workflows/${encodeURIComponent(args.workflow)}/dispatches`, {
+                    method: 'POST',
+                    body: JSON.stringify({ ref, inputs })
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to trigger workflow: ${response.statusText} - ${errorText}` };
+                }
+
+                return { success: `Workflow ${args.workflow} triggered on ${ref}`, ref, inputs };
+            }
+
+            case 'list_tags': {
+                const limit = Math.min(args.limit || 30, MAX_LIST_ITEMS);
+                const page = await hostFetchAll(`/repos/${args.repo}/tags?per_page=${Math.min(limit, 100)}`, { maxItems: limit });
+                if (!page.ok) {
+                    return { error: `Failed to list tags: ${page.statusText}` };
+                }
+                const tags = page.items;
+                return {
+                    repo: args.repo,
+                    truncated: page.truncated,
+                    tags: tags.map(tag => ({ name: tag.name, sha: tag.commit.sha.substring(0, 7) }))
                 };
+            }
+
+            case 'create_tag': {
+                const from = args.from || await getDefaultBranch(args.repo);
+
+                const fromResponse = await hostFetch(`/repos/${args.repo}/commits/${encodeURIComponent(from)}`);
+                if (!fromResponse.ok) {
+                    return { error: `Failed to find ${from}: ${fromResponse.statusText}` };
+                }
+                const fromCommit = await fromResponse.json();
+
+                // An annotated tag is a tag object that the ref points to
+                let refSha = fromCommit.sha;
+                if (args.message) {
+                    const tagObjectResponse = await hostFetch(`/repos/${args.repo}/git/tags`, {
+                        method: 'POST',
+                        body: JSON.stringify({
+                            tag: args.tag,
+                            message: args.message,
+                            object: fromCommit.sha,
+                            type: 'commit'
+                        })
+                    });
+                    if (!tagObjectResponse.ok) {
+                        const errorText = await tagObjectResponse.text();
+                        return { error: `Failed to create tag: ${tagObjectResponse.statusText} - ${errorText}` };
+                    }
+                    refSha = (await tagObjectResponse.json()).sha;
+                }
 
-                const response = await githubFetch('/user/repos', {
+                const response = await hostFetch(`/repos/${args.repo}/git/refs`, {
                     method: 'POST',
-                    body: JSON.stringify(requestBody)
+                    body: JSON.stringify({
+                        ref: `refs/tags/${args.tag}`,
+                        sha: refSha
+                    })
                 });
 
                 if (!response.ok) {
                     const errorText = await response.text();
-                    return { error: `Failed to create repo: ${response.statusText} - ${errorText}` };
+                    return { error: `Failed to create tag: ${response.statusText} - ${errorText}` };
                 }
 
-                const repo = await response.json();
-                return { success: `Repository ${repo.full_name} created successfully`, url: repo.html_url, fullName: repo.full_name };
+                return { success: `Tag ${args.tag} created at ${from}`, tag: args.tag, sha: fromCommit.sha };
             }
 
-            case 'delete_repo': {
-                const response = await githubFetch(`/repos/${args.repo}`, {
+            case 'delete_tag': {
+                const response = await hostFetch(`/repos/${args.repo}/git/refs/tags/${args.tag}`, {
                     method: 'DELETE'
                 });
 
                 if (!response.ok) {
                     const errorText = await response.text();
-                    return { error: `Failed to delete repo: ${response.statusText} - ${errorText}` };
+                    return { error: `Failed to delete tag: ${response.statusText} - ${errorText}` };
                 }
 
-                return { success: `Repository ${args.repo} deleted successfully` };
+                return { success: `Tag ${args.tag} deleted` };
             }
 
-            case 'list_files': {
-                const filePath = args.path || '';
-                const response = await githubFetch(`/repos/${args.repo}/contents/${encodeURIComponent(filePath)}`);
+            case 'list_releases': {
+                const limit = Math.min(args.limit || 10, MAX_LIST_ITEMS);
+                const page = await hostFetchAll(`/repos/${args.repo}/releases?per_page=${Math.min(limit, 100)}`, { maxItems: limit });
+                if (!page.ok) {
+                    return { error: `Failed to list releases: ${page.statusText}` };
+                }
+                return { repo: args.repo, truncated: page.truncated, releases: page.items.map(formatRelease) };
+            }
+
+            case 'create_release': {
+                const response = await hostFetch(`/repos/${args.repo}/releases`, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        tag_name: args.tag,
+                        name: args.name || args.tag,
+                        body: args.body || '',
+                        target_commitish: args.target || await getDefaultBranch(args.repo),
+                        draft: Boolean(args.draft),
+                        prerelease: Boolean(args.prerelease)
+                    })
+                });
+
                 if (!response.ok) {
-                    return { error: `Failed to list files: ${response.statusText}` };
+                    const errorText = await response.text();
+                    return { error: `Failed to create release: ${response.statusText} - ${errorText}` };
                 }
-                const files = await response.json();
-                return { files: files.map(f => ({ name: f.name, type: f.type, path: f.path })) };
+
+                const release = formatRelease(await response.json());
+                return { success: `Release ${release.name} ${release.draft ? 'saved as a draft' : 'published'}`, release };
             }
 
-            case 'read_file': {
-                const response = await githubFetch(`/repos/${args.repo}/contents/${encodeURIComponent(args.path)}`);
+            case 'publish_release': {
+                const existing = await findRelease(args.repo, args.tag);
+                if (!existing) {
+                    return { error: `No release found for tag ${args.tag}` };
+                }
+                if (!existing.draft) {
+                    return { error: `Release ${args.tag} is already published` };
+                }
+
+                const update = { draft: false };
+                if (args.body) update.body = args.body;
+
+                const response = await hostFetch(`/repos/${args.repo}/releases/${existing.id}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify(update)
+                });
+
                 if (!response.ok) {
-                    return { error: `Failed to read file: ${response.statusText}` };
+                    const errorText = await response.text();
+                    return { error: `Failed to publish release: ${response.statusText} - ${errorText}` };
                 }
-                const data = await response.json();
-                const content = Buffer.from(data.content, 'base64').toString('utf-8');
-                return { content, sha: data.sha, path: args.path };
+
+                const release = formatRelease(await response.json());
+                return { success: `Release ${release.name} published`, release };
             }
 
-            case 'update_file': {
-                // Get current file SHA if it exists
-                let currentSha = null;
-                const getResponse = await githubFetch(`/repos/${args.repo}/contents/${encodeURIComponent(args.path)}`);
-                if (getResponse.ok) {
-                    const currentFile = await getResponse.json();
-                    currentSha = currentFile.sha;
+            case 'delete_release': {
+                const existing = await findRelease(args.repo, args.tag);
+                if (!existing) {
+                    return { error: `No release found for tag ${args.tag}` };
                 }
 
-                const requestBody = {
-                    message: args.message,
-                    content: Buffer.from(args.content).toString('base64')
+                const response = await hostFetch(`/repos/${args.repo}/releases/${existing.id}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to delete release: ${response.statusText} - ${errorText}` };
+                }
+
+                if (args.deleteTag) {
+                    const tagResult = await executeTool('delete_tag', { repo: args.repo, tag: args.tag });
+                    if (tagResult.error) {
+                        return { success: `Release ${args.tag} deleted`, warnings: [tagResult.error] };
+                    }
+                    return { success: `Release and tag ${args.tag} deleted` };
+                }
+
+                return { success: `Release ${args.tag} deleted` };
+            }
+
+            case 'draft_release_notes': {
+                const target = args.target || await getDefaultBranch(args.repo);
+
+                let previousTag = args.previousTag;
+                if (!previousTag) {
+                    const latestResponse = await hostFetch(`/repos/${args.repo}/releases/latest`);
+                    if (latestResponse.ok) {
+                        previousTag = (await latestResponse.json()).tag_name;
+                    } else {
+                        const tags = await executeTool('list_tags', { repo: args.repo, limit: 1 });
+                        previousTag = tags.tags?.[0]?.name;
+                    }
+                }
+
+                let commits;
+                let since = null;
+                if (previousTag) {
+                    const compareResponse = await hostFetch(`/repos/${args.repo}/compare/${encodeURIComponent(previousTag)}...${encodeURIComponent(target)}`);
+                    if (!compareResponse.ok) {
+                        return { error: `Failed to compare ${previousTag} with ${target}: ${compareResponse.statusText}` };
+                    }
+                    const comparison = await compareResponse.json();
+                    commits = comparison.commits;
+                    since = comparison.base_commit.commit.committer.date;
+                } else {
+                    const commitsResponse = await hostFetch(`/repos/${args.repo}/commits?sha=${encodeURIComponent(target)}&per_page=100`);
+                    if (!commitsResponse.ok) {
+                        return { error: `Failed to list commits: ${commitsResponse.statusText}` };
+                    }
+                    commits = await commitsResponse.json();
+                }
+
+                if (commits.length === 0) {
+                    return { error: `Nothing to release: ${target} has no commits since ${previousTag}` };
+                }
+
+                const qualifiers = [`repo:${args.repo}`, 'is:pr', 'is:merged', `base:${target}`];
+                if (since) qualifiers.push(`merged:>${since}`);
+                const prsResponse = await hostFetch(`/search/issues?q=${encodeURIComponent(qualifiers.join(' '))}&per_page=100`);
+                if (!prsResponse.ok) {
+                    return { error: `Failed to search merged pull requests: ${prsResponse.statusText}` };
+                }
+                const prs = (await prsResponse.json()).items;
+
+                const notesPrompt = `You are writing release notes for ${args.repo}${args.tag ? ` ${args.tag}` : ''}.
+
+Merged pull requests since ${previousTag || 'the first commit'}:
+${prs.map(pr => `- #${pr.number} ${pr.title} (@${pr.user.login})${pr.labels.length ? ` [${pr.labels.map(l => l.name).join(', ')}]` : ''}`).join('\n') || '(none)'}
+
+Commits:
+${commits.map(c => `- ${c.sha.substring(0, 7)} ${c.commit.message.split('\n')[0]}`).join('\n')}
+
+Write the release notes in Markdown:
+- Group changes under these headings, leaving out empty ones: ## Features, ## Bug Fixes, ## Documentation, ## Maintenance
+- One bullet per change; prefer the pull request (with its #number) over its individual commits
+- Skip merge commits and commits that only bump versions
+- No introduction or closing remarks
+
+Release notes:`;
+
+                const notesResponse = await generateFromPrompt('chat', notesPrompt);
+
+                const notes = (notesResponse || '').replace(/^```(?:markdown)?\n?|\n?```$/g, '').trim();
+                if (!notes) {
+                    return { error: 'Failed to generate release notes' };
+                }
+
+                const result = {
+                    repo: args.repo,
+                    tag: args.tag || null,
+                    previousTag: previousTag || null,
+                    target,
+                    commitCount: commits.length,
+                    prCount: prs.length,
+                    notes
+                };
+
+                if (args.createDraft) {
+                    if (!args.tag) {
+                        return { ...result, warnings: ['No tag given, so no draft release was saved'] };
+                    }
+                    const draft = await executeTool('create_release', {
+                        repo: args.repo,
+                        tag: args.tag,
+                        body: notes,
+                        target,
+                        draft: true
+                    });
+                    if (draft.error) {
+                        return { ...result, warnings: [draft.error] };
+                    }
+                    result.draft = draft.release;
+                }
+
+                return result;
+            }
+
+            case 'list_collaborators': {
+                const affiliation = args.affiliation || 'all';
+                const page = await hostFetchAll(`/repos/${args.repo}/collaborators?affiliation=${affiliation}&per_page=100`);
+                if (!page.ok) {
+                    return { error: `Failed to list collaborators: ${page.statusText}` };
+                }
+                const collaborators = page.items;
+                return {
+                    repo: args.repo,
+                    truncated: page.truncated,
+                    collaborators: collaborators.map(c => ({
+                        login: c.login,
+                        permission: c.role_name,
+                        url: c.html_url
+                    }))
                 };
-                if (currentSha) {
-                    requestBody.sha = currentSha;
+            }
+
+            case 'add_collaborator': {
+                const permission = normalizePermission(args.permission);
+                if (!permission) {
+                    return { error: `Unknown permission "${args.permission}". Use read, triage, write, maintain or admin.` };
                 }
 
-                const response = await githubFetch(`/repos/${args.repo}/contents/${encodeURIComponent(args.path)}`, {
+                const response = await hostFetch(`/repos/${args.repo}/collaborators/${args.username}`, {
                     method: 'PUT',
-                    body: JSON.stringify(requestBody)
+                    body: JSON.stringify({ permission })
                 });
 
                 if (!response.ok) {
                     const errorText = await response.text();
-                    return { error: `Failed to update file: ${response.statusText} - ${errorText}` };
+                    return { error: `Failed to invite ${args.username}: ${response.statusText} - ${errorText}` };
+                }
+
+                // 201 creates an invitation, 204 means they already had access
+                if (response.status === 204) {
+                    return { success: `${args.username} already has access to ${args.repo}`, invited: false };
                 }
-                return { success: `File ${args.path} updated successfully` };
+                const invitation = await response.json();
+                return { success: `Invited ${args.username} to ${args.repo}`, invited: true, invitationId: invitation.id, permission: invitation.permissions };
             }
 
-            case 'create_pr': {
-                const branchName = `ai-agent-${Date.now()}`;
+            case 'update_collaborator': {
+                const permission = normalizePermission(args.permission);
+                if (!permission) {
+                    return { error: `Unknown permission "${args.permission}". Use read, triage, write, maintain or admin.` };
+                }
+
+                const checkResponse = await hostFetch(`/repos/${args.repo}/collaborators/${args.username}`);
+                if (checkResponse.status === 404) {
+                    // Not a collaborator yet, so change the pending invitation instead
+                    const invitation = await findInvitation(args.repo, { username: args.username });
+                    if (!invitation) {
+                        return { error: `${args.username} is not a collaborator on ${args.repo} and has no pending invitation` };
+                    }
 
-                // Get main branch SHA
-                const mainBranchResponse = await githubFetch(`/repos/${args.repo}/git/ref/heads/main`);
-                if (!mainBranchResponse.ok) {
-                    return { error: 'Failed to get main branch' };
+                    const response = await hostFetch(`/repos/${args.repo}/invitations/${invitation.id}`, {
+                        method: 'PATCH',
+                        body: JSON.stringify({ permissions: { pull: 'read', push: 'write' }[permission] || permission })
+                    });
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { error: `Failed to update invitation: ${response.statusText} - ${errorText}` };
+                    }
+                    return { success: `Invitation for ${args.username} changed to ${args.permission}`, invitation: true };
                 }
-                const mainBranch = await mainBranchResponse.json();
 
-                // Create new branch
-                const createBranchResponse = await githubFetch(`/repos/${args.repo}/git/refs`, {
-                    method: 'POST',
-                    body: JSON.stringify({
-                        ref: `refs/heads/${branchName}`,
-                        sha: mainBranch.object.sha
-                    })
+                const response = await hostFetch(`/repos/${args.repo}/collaborators/${args.username}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ permission })
                 });
 
-                if (!createBranchResponse.ok) {
-                    return { error: 'Failed to create branch' };
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to change permission: ${response.statusText} - ${errorText}` };
                 }
 
-                // Get current file
-                const getResponse = await githubFetch(`/repos/${args.repo}/contents/${encodeURIComponent(args.filePath)}`);
-                if (!getResponse.ok) {
-                    return { error: 'Failed to get file' };
+                return { success: `${args.username} now has ${args.permission} access to ${args.repo}`, invitation: false };
+            }
+
+            case 'remove_collaborator': {
+                const response = await hostFetch(`/repos/${args.repo}/collaborators/${args.username}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to remove collaborator: ${response.statusText} - ${errorText}` };
                 }
-                const currentFile = await getResponse.json();
 
-                // Update file on new branch
-                const updateResponse = await githubFetch(`/repos/${args.repo}/contents/${encodeURIComponent(args.filePath)}`, {
-                    method: 'PUT',
-                    body: JSON.stringify({
-                        message: 'Update from AI agent',
-                        content: Buffer.from(args.content).toString('base64'),
-                        sha: currentFile.sha,
-                        branch: branchName
-                    })
+                return { success: `Removed ${args.username}'s access to ${args.repo}` };
+            }
+
+            case 'list_invitations': {
+                const page = await hostFetchAll(`/repos/${args.repo}/invitations?per_page=100`);
+                if (!page.ok) {
+                    return { error: `Failed to list invitations: ${page.statusText}` };
+                }
+                const invitations = page.items;
+                return {
+                    repo: args.repo,
+                    truncated: page.truncated,
+                    invitations: invitations.map(invitation => ({
+                        id: invitation.id,
+                        invitee: invitation.invitee?.login || invitation.email,
+                        inviter: invitation.inviter?.login,
+                        permission: invitation.permissions,
+                        createdAt: invitation.created_at,
+                        expired: invitation.expired
+                    }))
+                };
+            }
+
+            case 'cancel_invitation': {
+                if (!args.username && !args.invitationId) {
+                    return { error: 'Either username or invitationId is required' };
+                }
+
+                const invitation = await findInvitation(args.repo, args);
+                if (!invitation) {
+                    return { error: `No pending invitation for ${args.username || `ID ${args.invitationId}`} on ${args.repo}` };
+                }
+
+                const response = await hostFetch(`/repos/${args.repo}/invitations/${invitation.id}`, {
+                    method: 'DELETE'
                 });
 
-                if (!updateResponse.ok) {
-                    return { error: 'Failed to update file on branch' };
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    return { error: `Failed to cancel invitation: ${response.statusText} - ${errorText}` };
+                }
+
+                return { success: `Invitation for ${invitation.invitee?.login || invitation.email} cancelled` };
+            }
+
+            case 'list_branches': {
+                const defaultBranch = await getDefaultBranch(args.repo);
+                const page = await host().listBranches(args.repo);
+                return {
+                    repo: accountRef(args.repo),
+                    truncated: page.truncated,
+                    defaultBranch,
+                    branches: page.items.map(b => ({ ...b, isDefault: b.name === defaultBranch }))
+                };
+            }
+
+            case 'create_branch': {
+                const from = args.from || await getDefaultBranch(args.repo);
+                const fromCommit = await host().resolveRef(args.repo, from);
+                await host().createBranch(args.repo, args.branch, fromCommit.sha);
+                return { success: `Branch ${args.branch} created from ${from}`, branch: args.branch, sha: fromCommit.sha };
+            }
+
+            case 'delete_branch': {
+                const defaultBranch = await getDefaultBranch(args.repo);
+                if (args.branch === defaultBranch) {
+                    return { error: `Refusing to delete ${args.branch}: it is the default branch` };
                 }
 
-                // Create PR
-                const prResponse = await githubFetch(`/repos/${args.repo}/pulls`, {
-                    method: 'POST',
-                    body: JSON.stringify({
-                        title: args.title,
-                        body: args.body || 'Changes made via AI agent',
-                        head: branchName,
-                        base: 'main'
-                    })
-                });
+                await host().deleteBranch(args.repo, args.branch);
+                return { success: `Branch ${args.branch} deleted` };
+            }
+
+            case 'compare_branches': {
+                const base = args.base || await getDefaultBranch(args.repo);
+                const comparison = await host().compare(args.repo, base, args.head);
+                return {
+                    base,
+                    head: args.head,
+                    status: comparison.status,
+                    aheadBy: comparison.aheadBy,
+                    behindBy: comparison.behindBy,
+                    commits: comparison.commits.map(c => ({ sha: c.shortSha, message: c.message, author: c.author })),
+                    files: comparison.files.map(f => ({
+                        path: f.path,
+                        status: f.status,
+                        additions: f.additions,
+                        deletions: f.deletions
+                    }))
+                };
+            }
+
+            default:
+                return { error: `Unknown tool: ${toolName}` };
+        }
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Chat-ready HTML for tool results that read better as lists than as AI prose.
+// Each formatter receives a successful result and the args the tool was called with.
+const toolFormatters = {
+    list_issues: (result) => {
+        let text = `<strong>Issues in ${escapeHtml(result.repo)}:</strong><br><br>`;
+        if (!result.issues || result.issues.length === 0) {
+            return text + 'No matching issues found.';
+        }
+        result.issues.forEach((issue, index) => {
+            text += `${index + 1}. <strong>#${issue.number}</strong> ${escapeHtml(issue.title)}`;
+            if (issue.state === 'closed') text += ' (closed)';
+            if (issue.labels.length > 0) text += ` [${issue.labels.map(escapeHtml).join(', ')}]`;
+            if (issue.assignees.length > 0) text += ` - assigned to ${issue.assignees.map(escapeHtml).join(', ')}`;
+            text += '<br>';
+        });
+        return text + `<br>Total: ${result.issues.length} ${result.issues.length === 1 ? 'issue' : 'issues'}` + truncationNote(result);
+    },
+    create_issue: (result) =>
+        `Issue <strong>#${result.issue.number}</strong> created: ${escapeHtml(result.issue.title)}`,
+    comment_issue: (result, args) =>
+        `Comment added to issue <strong>#${args.issueNumber}</strong>.`,
+    update_issue: (result) => {
+        const issue = result.issue;
+        let text = `Issue <strong>#${issue.number}</strong> updated.`;
+        text += `<br>Labels: ${issue.labels.length > 0 ? issue.labels.map(escapeHtml).join(', ') : 'none'}`;
+        text += `<br>Assignees: ${issue.assignees.length > 0 ? issue.assignees.map(escapeHtml).join(', ') : 'none'}`;
+        return text;
+    },
+    close_issue: (result, args) => `Issue <strong>#${args.issueNumber}</strong> closed.`,
+    reopen_issue: (result, args) => `Issue <strong>#${args.issueNumber}</strong> reopened.`,
+    commit_changes: (result) => {
+        const labels = { add: 'added', edit: 'edited', delete: 'deleted', rename: 'renamed' };
+        let text = `Committed <strong>${result.changes.length} ${result.changes.length === 1 ? 'change' : 'changes'}</strong> to <strong>${escapeHtml(result.branch)}</strong> as ${result.sha.substring(0, 7)}:<br><br>`;
+        result.changes.forEach(change => {
+            text += `${labels[change.action]}: ${escapeHtml(change.path)}`;
+            if (change.newPath) text += ` &rarr; ${escapeHtml(change.newPath)}`;
+            text += '<br>';
+        });
+        return text;
+    },
+    move_file: (result) =>
+        `Moved <strong>${escapeHtml(result.path)}</strong> to <strong>${escapeHtml(result.newPath)}</strong> on ${escapeHtml(result.branch)} as ${result.sha.substring(0, 7)}.`,
+    move_directory: (result) =>
+        `Moved <strong>${escapeHtml(result.path)}/</strong> to <strong>${escapeHtml(result.newPath)}/</strong> (${result.fileCount} ${result.fileCount === 1 ? 'file' : 'files'}) on ${escapeHtml(result.branch)} as ${result.sha.substring(0, 7)}.`,
+    create_pr: (result) => {
+        let text = `Opened ${result.draft ? 'draft ' : ''}PR <strong>#${result.number}</strong>: `;
+        text += `<strong>${escapeHtml(result.head)}</strong> into <strong>${escapeHtml(result.base)}</strong><br>${result.url ? `${escapeHtml(result.url)}<br>` : ''}<br>`;
+        if (result.diff.files.length > 0) {
+            text += `<strong>${result.diff.files.length} ${result.diff.files.length === 1 ? 'file' : 'files'} changed</strong> (+${result.diff.additions} -${result.diff.deletions}):<br>`;
+            result.diff.files.forEach(file => {
+                const name = file.previousPath
+                    ? `${escapeHtml(file.previousPath)} &rarr; ${escapeHtml(file.path)}`
+                    : escapeHtml(file.path);
+                text += `${name} (${file.status}, +${file.additions} -${file.deletions})<br>`;
+            });
+        }
+        if (result.reviewers.length > 0) text += `<br>Reviewers requested: ${result.reviewers.map(escapeHtml).join(', ')}`;
+        if (result.labels.length > 0) text += `<br>Labels: ${result.labels.map(escapeHtml).join(', ')}`;
+        result.warnings.forEach(warning => {
+            text += `<br>Warning: ${escapeHtml(warning)}`;
+        });
+        return text;
+    },
+    merge_pr: (result, args) => {
+        let text = `PR <strong>#${args.prNumber}</strong> merged (${result.method}) as ${result.sha.substring(0, 7)}.`;
+        if (result.forced) text += `<br>Merged despite: ${result.overridden.map(escapeHtml).join('; ')}`;
+        if (result.deletedBranch) text += `<br>Branch <strong>${escapeHtml(result.deletedBranch)}</strong> deleted.`;
+        if (result.warning) text += `<br>${escapeHtml(result.warning)}`;
+        return text;
+    },
+    check_pr_merge: (result) => {
+        let text = `<strong>Merge check for PR #${result.number}</strong> (${escapeHtml(result.head)} into ${escapeHtml(result.base)}): `;
+        text += result.canMerge ? 'ready to merge' : 'not ready';
+        text += '<br><br>';
+        text += `Conflicts: ${result.conflicts ? 'yes' : result.mergeable === null ? 'unknown (still computing)' : 'none'}<br>`;
+        text += `Checks: ${result.checks.passed.length} passed, ${result.checks.failed.length} failed, ${result.checks.pending.length} pending<br>`;
+        text += `Approvals: ${result.reviews.approvals.length}${result.reviews.required !== null ? ` of ${result.reviews.required} required` : ''}`;
+        if (result.reviews.changesRequested.length > 0) {
+            text += `, changes requested by ${result.reviews.changesRequested.map(escapeHtml).join(', ')}`;
+        }
+        const reasons = [...result.hardBlockers, ...result.blockers];
+        if (reasons.length > 0) {
+            text += '<br><br><strong>Blocking:</strong><br>';
+            reasons.forEach(reason => {
+                text += `${escapeHtml(reason)}<br>`;
+            });
+        }
+        return text;
+    },
+    list_pr_files: (result) => {
+        let text = `<strong>Files changed in PR #${result.prNumber}:</strong><br><br>`;
+        result.files.forEach((file, index) => {
+            const name = file.previousPath
+                ? `${escapeHtml(file.previousPath)} &rarr; ${escapeHtml(file.path)}`
+                : escapeHtml(file.path);
+            text += `${index + 1}. <strong>${name}</strong> (${file.status}, +${file.additions} -${file.deletions})<br>`;
+        });
+        return text + `<br>Total: ${result.files.length} ${result.files.length === 1 ? 'file' : 'files'}` + truncationNote(result);
+    },
+    comment_pr_line: (result, args) =>
+        `Comment posted on <strong>${escapeHtml(args.path)}:${args.line}</strong> in PR #${args.prNumber}.`,
+    submit_pr_review: (result, args) => {
+        const verbs = { APPROVE: 'Approved', REQUEST_CHANGES: 'Requested changes on', COMMENT: 'Reviewed' };
+        let text = `${verbs[result.event]} PR <strong>#${args.prNumber}</strong>`;
+        if (result.comments > 0) text += ` with ${result.comments} line ${result.comments === 1 ? 'comment' : 'comments'}`;
+        return text + '.';
+    },
+    review_pr: (result, args) => {
+        let text = `Posted a review on PR <strong>#${args.prNumber}</strong> (${result.event.toLowerCase().replace('_', ' ')}).<br><br>`;
+        text += `${escapeHtml(result.summary)}<br>Suggested verdict: <strong>${escapeHtml(result.verdict)}</strong>`;
+        if (result.postedComments.length > 0) {
+            text += '<br><br><strong>Line comments:</strong><br>';
+            result.postedComments.forEach(comment => {
+                text += `${escapeHtml(comment.path)}:${comment.line} - ${escapeHtml(comment.body)}<br>`;
+            });
+        }
+        if (result.skippedComments > 0) {
+            text += `<br>${result.skippedComments} ${result.skippedComments === 1 ? 'comment was' : 'comments were'} skipped because ${result.skippedComments === 1 ? 'it pointed' : 'they pointed'} outside the diff.`;
+        }
+        return text;
+    },
+    list_pr_reviews: (result) => {
+        let text = `<strong>Reviews on PR #${result.prNumber}:</strong><br><br>`;
+        if (result.reviews.length === 0 && result.threads.length === 0) {
+            return text + 'No reviews yet.';
+        }
+        result.reviews.forEach(review => {
+            text += `<strong>${escapeHtml(review.author)}</strong>: ${review.state.toLowerCase().replace('_', ' ')}`;
+            if (review.body) text += ` - ${escapeHtml(review.body)}`;
+            text += '<br>';
+        });
+        if (result.threads.length > 0) {
+            text += `<br><strong>${result.threads.length} comment ${result.threads.length === 1 ? 'thread' : 'threads'}:</strong><br>`;
+            result.threads.forEach(thread => {
+                text += `<br>${escapeHtml(thread.path)}:${thread.line}${thread.outdated ? ' (outdated)' : ''}<br>`;
+                thread.comments.forEach(comment => {
+                    text += `&nbsp;&nbsp;<strong>${escapeHtml(comment.author)}</strong>: ${escapeHtml(comment.body)}<br>`;
+                });
+            });
+        }
+        return text;
+    },
+    list_commits: (result) => {
+        let text = `<strong>History of ${escapeHtml(result.path || result.repo)}:</strong><br><br>`;
+        if (result.commits.length === 0) {
+            return text + 'No commits found.';
+        }
+        result.commits.forEach(commit => {
+            text += `<strong>${commit.shortSha}</strong> ${escapeHtml(commit.message)} (${escapeHtml(commit.author)}, ${new Date(commit.date).toLocaleDateString()})<br>`;
+        });
+        return text + truncationNote(result);
+    },
+    restore_file: (result) =>
+        `File <strong>${escapeHtml(result.path)}</strong> restored to the version from ${result.sha.substring(0, 7)}.`,
+    search_code: (result) => {
+        let text = `<strong>Code search for "${escapeHtml(result.query)}":</strong><br><br>`;
+        if (result.results.length === 0) {
+            return text + 'No matches found.';
+        }
+        result.results.forEach(item => {
+            const snippet = item.snippets[0];
+            // The client opens the file and jumps to this text
+            const term = snippet && snippet.matches.length > 0 ? snippet.matches[0] : result.query;
+            text += `<div class="search-result" data-repo="${escapeHtml(item.repo)}" data-path="${escapeHtml(item.path)}" data-term="${escapeHtml(term)}" onclick="openSearchResult(this)">`;
+            text += `<strong>${escapeHtml(item.repo)}</strong> ${escapeHtml(item.path)}`;
+            if (snippet) text += `<pre class="search-snippet">${escapeHtml(snippet.fragment)}</pre>`;
+            text += '</div>';
+        });
+        text += `<br>Showing ${result.results.length} of ${result.totalCount} ${result.totalCount === 1 ? 'match' : 'matches'}`;
+        if (result.incomplete) text += ' (GitHub timed out, results may be incomplete)';
+        return text;
+    },
+    list_workflows: (result) => {
+        let text = `<strong>Workflows in ${escapeHtml(result.repo)}:</strong><br><br>`;
+        if (result.workflows.length === 0) {
+            return text + 'This repository has no workflows.';
+        }
+        result.workflows.forEach((workflow, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(workflow.name)}</strong> (${escapeHtml(workflow.file)})`;
+            if (workflow.state !== 'active') text += ` - ${workflow.state.replace(/_/g, ' ')}`;
+            text += '<br>';
+        });
+        return text + `<br>Total: ${result.workflows.length} ${result.workflows.length === 1 ? 'workflow' : 'workflows'}` + truncationNote(result);
+    },
+    list_workflow_runs: (result) => {
+        let text = `<strong>Recent runs in ${escapeHtml(result.repo)}${result.branch ? ` on ${escapeHtml(result.branch)}` : ''}:</strong><br><br>`;
+        if (result.runs.length === 0) {
+            return text + 'No workflow runs found.';
+        }
+        result.runs.forEach((run, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(run.name)} #${run.runNumber}</strong>: ${runStatusLabel(run.status, run.conclusion)}`;
+            text += ` (${escapeHtml(run.branch)}, ${run.event}, ${run.sha}) - run ${run.id}<br>`;
+        });
+        return text + `<br>Total: ${result.runs.length} ${result.runs.length === 1 ? 'run' : 'runs'}` + truncationNote(result);
+    },
+    get_workflow_run: (result) => {
+        const run = result.run;
+        let text = `<strong>${escapeHtml(run.name)} #${run.runNumber}</strong>: ${runStatusLabel(run.status, run.conclusion)}<br>`;
+        text += `${escapeHtml(run.branch)} at ${run.sha}, triggered by ${run.event}<br><br>`;
+        result.jobs.forEach((job, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(job.name)}</strong>: ${runStatusLabel(job.status, job.conclusion)}`;
+            if (job.failedSteps.length > 0) text += ` - failed at ${job.failedSteps.map(escapeHtml).join(', ')}`;
+            text += '<br>';
+        });
+        return text;
+    },
+    rerun_workflow: (result, args) =>
+        `Re-running ${result.failedOnly ? 'the failed jobs of ' : ''}run <strong>${args.runId}</strong>.`,
+    dispatch_workflow: (result, args) =>
+        `Workflow <strong>${escapeHtml(args.workflow)}</strong> triggered on <strong>${escapeHtml(result.ref)}</strong>.`,
+    fork_repo: (result) =>
+        `Forked <strong>${escapeHtml(result.source)}</strong> to <strong>${escapeHtml(result.fullName)}</strong>. GitHub may take a moment to copy the files.`,
+    get_repo_settings: (result) =>
+        `<strong>Settings of ${escapeHtml(result.settings.fullName)}:</strong><br><br>${describeRepoSettings(result.settings)}`,
+    update_repo: (result) => {
+        const text = result.renamed
+            ? `Repository renamed from <strong>${escapeHtml(result.previousRepo)}</strong> to <strong>${escapeHtml(result.repo)}</strong>.<br><br>`
+            : `Repository <strong>${escapeHtml(result.repo)}</strong> updated.<br><br>`;
+        return text + describeRepoSettings(result.settings);
+    },
+    list_collaborators: (result) => {
+        let text = `<strong>Collaborators on ${escapeHtml(result.repo)}:</strong><br><br>`;
+        if (result.collaborators.length === 0) {
+            return text + 'No collaborators yet.';
+        }
+        result.collaborators.forEach((collaborator, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(collaborator.login)}</strong> - ${collaborator.permission}<br>`;
+        });
+        return text + `<br>Total: ${result.collaborators.length} ${result.collaborators.length === 1 ? 'collaborator' : 'collaborators'}` + truncationNote(result);
+    },
+    add_collaborator: (result, args) => result.invited
+        ? `Invited <strong>${escapeHtml(args.username)}</strong> with ${result.permission} access. They need to accept the invitation.`
+        : `<strong>${escapeHtml(args.username)}</strong> already has access to ${escapeHtml(args.repo)}.`,
+    update_collaborator: (result) => escapeHtml(result.success) + '.',
+    remove_collaborator: (result) => escapeHtml(result.success) + '.',
+    list_invitations: (result) => {
+        let text = `<strong>Pending invitations for ${escapeHtml(result.repo)}:</strong><br><br>`;
+        if (result.invitations.length === 0) {
+            return text + 'No pending invitations.';
+        }
+        result.invitations.forEach((invitation, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(invitation.invitee)}</strong> - ${invitation.permission}`;
+            if (invitation.expired) text += ' (expired)';
+            text += '<br>';
+        });
+        return text + `<br>Total: ${result.invitations.length} ${result.invitations.length === 1 ? 'invitation' : 'invitations'}` + truncationNote(result);
+    },
+    cancel_invitation: (result) => escapeHtml(result.success) + '.',
+    list_tags: (result) => {
+        let text = `<strong>Tags in ${escapeHtml(result.repo)}:</strong><br><br>`;
+        if (result.tags.length === 0) {
+            return text + 'This repository has no tags yet.';
+        }
+        result.tags.forEach((tag, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(tag.name)}</strong> (${tag.sha})<br>`;
+        });
+        return text + `<br>Total: ${result.tags.length} ${result.tags.length === 1 ? 'tag' : 'tags'}` + truncationNote(result);
+    },
+    create_tag: (result) =>
+        `Tag <strong>${escapeHtml(result.tag)}</strong> created at ${result.sha.substring(0, 7)}.`,
+    delete_tag: (result, args) =>
+        `Tag <strong>${escapeHtml(args.tag)}</strong> deleted.`,
+    list_releases: (result) => {
+        let text = `<strong>Releases in ${escapeHtml(result.repo)}:</strong><br><br>`;
+        if (result.releases.length === 0) {
+            return text + 'This repository has no releases yet.';
+        }
+        result.releases.forEach((release, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(release.name)}</strong> (${escapeHtml(release.tag)})`;
+            if (release.draft) text += ' - draft';
+            else if (release.prerelease) text += ' - pre-release';
+            text += '<br>';
+        });
+        return text + `<br>Total: ${result.releases.length} ${result.releases.length === 1 ? 'release' : 'releases'}` + truncationNote(result);
+    },
+    create_release: (result) =>
+        `Release <strong>${escapeHtml(result.release.name)}</strong> ${result.release.draft ? 'saved as a draft' : 'published'}.<br><a href="${result.release.url}" target="_blank">View on GitHub</a>`,
+    publish_release: (result) =>
+        `Release <strong>${escapeHtml(result.release.name)}</strong> published.<br><a href="${result.release.url}" target="_blank">View on GitHub</a>`,
+    delete_release: (result) => {
+        let text = `${escapeHtml(result.success)}.`;
+        (result.warnings || []).forEach(warning => { text += `<br>Warning: ${escapeHtml(warning)}`; });
+        return text;
+    },
+    draft_release_notes: (result) => {
+        let text = `<strong>Draft release notes for ${escapeHtml(result.tag || result.target)}</strong><br>`;
+        text += `${result.prCount} merged ${result.prCount === 1 ? 'PR' : 'PRs'} and ${result.commitCount} ${result.commitCount === 1 ? 'commit' : 'commits'} since ${escapeHtml(result.previousTag || 'the first commit')}<br><br>`;
+        text += escapeHtml(result.notes).replace(/\n/g, '<br>');
+        if (result.draft) {
+            text += `<br><br>Saved as a draft release. <a href="${result.draft.url}" target="_blank">Review it on GitHub</a>, then ask me to publish ${escapeHtml(result.tag)}.`;
+        } else {
+            text += '<br><br>Review the notes, then ask me to save them as a draft or publish the release.';
+        }
+        (result.warnings || []).forEach(warning => { text += `<br>Warning: ${escapeHtml(warning)}`; });
+        return text;
+    },
+    list_tree: (result) => {
+        const shown = result.entries.slice(0, TREE_DISPLAY_LIMIT);
+        let text = `<strong>Files in ${escapeHtml(result.repo)}${result.path ? `/${escapeHtml(result.path)}` : ''}${result.ref ? ` (${escapeHtml(result.ref)})` : ''}:</strong><br><br>`;
+        shown.forEach(entry => {
+            text += entry.type === 'dir' ? `${escapeHtml(entry.path)}/<br>` : `${escapeHtml(entry.path)}<br>`;
+        });
+        if (result.entries.length > shown.length) {
+            text += `...and ${result.entries.length - shown.length} more<br>`;
+        }
+        return text + `<br>Total: ${result.fileCount} ${result.fileCount === 1 ? 'file' : 'files'}` + truncationNote(result);
+    },
+    list_branches: (result) => {
+        let text = `<strong>Branches in ${escapeHtml(result.repo)}:</strong><br><br>`;
+        result.branches.forEach((branch, index) => {
+            text += `${index + 1}. <strong>${escapeHtml(branch.name)}</strong>`;
+            if (branch.isDefault) text += ' (default)';
+            if (branch.protected) text += ' (protected)';
+            text += '<br>';
+        });
+        return text + `<br>Total: ${result.branches.length} ${result.branches.length === 1 ? 'branch' : 'branches'}` + truncationNote(result);
+    },
+    create_branch: (result, args) =>
+        `Branch <strong>${escapeHtml(args.branch)}</strong> created at ${result.sha.substring(0, 7)}.`,
+    delete_branch: (result, args) => `Branch <strong>${escapeHtml(args.branch)}</strong> deleted.`,
+    compare_branches: (result) => {
+        let text = `<strong>${escapeHtml(result.head)}</strong> compared to <strong>${escapeHtml(result.base)}</strong>: `;
+        text += `${result.aheadBy} ahead, ${result.behindBy} behind<br><br>`;
+        if (result.commits.length > 0) {
+            text += '<strong>Commits:</strong><br>';
+            result.commits.forEach(commit => {
+                text += `${commit.sha} ${escapeHtml(commit.message)} (${escapeHtml(commit.author)})<br>`;
+            });
+            text += '<br>';
+        }
+        if (result.files.length > 0) {
+            text += '<strong>Files changed:</strong><br>';
+            result.files.forEach(file => {
+                text += `${escapeHtml(file.path)} (${file.status}, +${file.additions} -${file.deletions})<br>`;
+            });
+        } else {
+            text += 'No file differences.';
+        }
+        return text;
+    }
+};
+
+// Chat-ready HTML for one tool call, or null when the result is best left to the model to describe
+function formatToolCall({ name, args, result }) {
+    if (result.error) {
+        return null;
+    }
+    if (name === 'list_tools' && result.tools) {
+        let text = "<strong>Here's what I can do:</strong><br><br>";
+        result.tools.forEach((tool, index) => {
+            text += `${index + 1}. <strong>${tool.name}</strong>: ${tool.description}<br>`;
+        });
+        return text + "<br>You can use these tools by clicking them in the sidebar, or by asking me in plain English!<br>For example: \"create a new repo called my-project\" or \"list my repositories\"";
+    }
+    if (name === 'list_repos') {
+        let text = result.owner && result.owner !== hostingAccounts[0].username
+            ? `<strong>Repositories in ${escapeHtml(result.owner)}:</strong><br><br>`
+            : "<strong>Your GitHub Repositories:</strong><br><br>";
+        if (!result.repos || result.repos.length === 0) {
+            return text + "You don't have any repositories yet.<br><br>Want to create one? Just ask!";
+        }
+        result.repos.forEach((repo, index) => {
+            text += `${index + 1}. <strong>${repo.name}</strong><br>`;
+        });
+        return text + `<br>Total: ${result.repos.length} ${result.repos.length === 1 ? 'repository' : 'repositories'}` + truncationNote(result);
+    }
+    if (name === 'create_repo' && result.success) {
+        return result.template
+            ? `Repository <strong>${args.name}</strong> created from template <strong>${result.template}</strong>.`
+            : `Repository <strong>${args.name}</strong> created successfully.`;
+    }
+    if (name === 'delete_repo' && result.success) {
+        return result.success;
+    }
+    if (name === 'update_file' && result.success) {
+        return `File <strong>${args.path}</strong> ${result.success.includes('updated') ? 'updated' : 'created'} successfully.`;
+    }
+    if (name === 'delete_file' && result.success) {
+        return `File <strong>${args.path}</strong> deleted successfully.`;
+    }
+    if (toolFormatters[name]) {
+        return toolFormatters[name](result, args);
+    }
+    return null;
+}
 
-                if (!prResponse.ok) {
-                    return { error: 'Failed to create PR' };
-                }
+// Chat conversations, kept in one JSON file so threads survive reloads and restarts:
+//   { id, owner, title, createdAt, updatedAt, history }  history holds the Gemini-style turns the model sees
+// owner is the name of the login that started the thread (null with login turned off), and every
+// lookup below only sees the threads of the owner it is given.
+const conversationsFile = path.resolve(process.env.CONVERSATIONS_FILE || path.join(__dirname, '..', 'data', 'conversations.json'));
+let conversationsLoad = null;
+let conversationsWrite = Promise.resolve();
 
-                const pr = await prResponse.json();
-                return { success: `PR created: #${pr.number}`, url: pr.html_url, number: pr.number };
+// All conversations by id, read from the file on first use and kept in memory after that
+function loadConversations() {
+    conversationsLoad ||= fs.promises.readFile(conversationsFile, 'utf8')
+        .then(json => new Map(JSON.parse(json).map(conversation => [conversation.id, conversation])))
+        .catch(error => {
+            if (error.code === 'ENOENT') {
+                return new Map();
             }
+            conversationsLoad = null;
+            throw error;
+        });
+    return conversationsLoad;
+}
 
-            case 'list_prs': {
-                const response = await githubFetch(`/repos/${args.repo}/pulls?state=open`);
-                if (!response.ok) {
-                    return { error: 'Failed to list PRs' };
-                }
-                const prs = await response.json();
-                return { prs: prs.map(pr => ({ number: pr.number, title: pr.title, body: pr.body, url: pr.html_url })) };
-            }
+// Writes one after the other, each through a temporary file so a crash never leaves half a file
+async function saveConversations() {
+    const json = JSON.stringify([...(await loadConversations()).values()]);
+    const write = conversationsWrite.then(async () => {
+        await fs.promises.mkdir(path.dirname(conversationsFile), { recursive: true });
+        await fs.promises.writeFile(`${conversationsFile}.tmp`, json);
+        await fs.promises.rename(`${conversationsFile}.tmp`, conversationsFile);
+    });
+    conversationsWrite = write.catch(() => {});
+    return write;
+}
 
-            case 'merge_pr': {
-                const response = await githubFetch(`/repos/${args.repo}/pulls/${args.prNumber}/merge`, {
-                    method: 'PUT',
-                    body: JSON.stringify({
-                        commit_title: `Merge pull request #${args.prNumber}`,
-                        merge_method: 'merge'
-                    })
-                });
+function ownedBy(conversation, owner) {
+    return (conversation.owner ?? null) === (owner ?? null);
+}
 
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    return { error: `Failed to merge PR: ${response.statusText} - ${errorText}` };
-                }
+async function findConversation(id, owner) {
+    const conversation = (await loadConversations()).get(id);
+    return conversation && ownedBy(conversation, owner) ? conversation : null;
+}
 
-                return { success: `PR #${args.prNumber} merged successfully` };
-            }
+async function createConversation(title, owner) {
+    const now = new Date().toISOString();
+    const conversation = { id: randomUUID(), owner: owner ?? null, title: (title || '').trim(), createdAt: now, updatedAt: now, history: [] };
+    (await loadConversations()).set(conversation.id, conversation);
+    await saveConversations();
+    return conversation;
+}
 
-            case 'delete_file': {
-                // Get the file to get its SHA
-                const fileResponse = await githubFetch(`/repos/${args.repo}/contents/${args.path}`);
-                if (!fileResponse.ok) {
-                    const statusText = await fileResponse.text();
-                    return { error: `Failed to get file info: ${statusText}` };
-                }
-                const fileData = await fileResponse.json();
+function conversationSummary(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title || 'New conversation',
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        messages: conversation.history.filter(turn => turn.parts.some(part => part.text)).length
+    };
+}
 
-                // Delete the file
-                const deleteResponse = await githubFetch(`/repos/${args.repo}/contents/${args.path}`, {
-                    method: 'DELETE',
-                    body: JSON.stringify({
-                        message: args.message || `Delete ${args.path}`,
-                        sha: fileData.sha
-                    })
-                });
+// Most recently used first; a query matches the title or the text of any message
+async function listConversations(query, owner) {
+    const needle = (query || '').trim().toLowerCase();
+    return [...(await loadConversations()).values()]
+        .filter(conversation => ownedBy(conversation, owner))
+        .filter(conversation => !needle
+            || conversation.title.toLowerCase().includes(needle)
+            || conversation.history.some(turn => turn.parts.some(part => part.text && part.text.toLowerCase().includes(needle))))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(conversationSummary);
+}
 
-                if (!deleteResponse.ok) {
-                    const errorText = await deleteResponse.text();
-                    return { error: `Failed to delete file: ${errorText}` };
-                }
+// The turns a chat reply adds after the user's message: the agent's tool turns and answer,
+// or just the answer. A confirmation question is left out until it has been answered.
+function replyTurns(result) {
+    if (result.history) {
+        return result.history;
+    }
+    return result.pendingDeletion ? [] : [{ role: 'model', parts: [{ text: result.response }] }];
+}
 
-                return { success: `File ${args.path} deleted successfully` };
-            }
+// Runs a chat message in a stored conversation of owner, whose history comes from the store rather
+// than from the client; the message and the reply are added to it. Without a conversationId the
+// message is answered on its own.
+async function chatInConversation({ conversationId, history, ...request }, { owner, ...options } = {}) {
+    if (!conversationId) {
+        return runChat(request, options);
+    }
+    const conversation = await findConversation(conversationId, owner);
+    if (!conversation) {
+        return { error: `Conversation ${conversationId} not found` };
+    }
 
-            default:
-                return { error: `Unknown tool: ${toolName}` };
+    const result = await runChat({ ...request, history: conversation.history }, options);
+    if (!result.error) {
+        conversation.history.push({ role: 'user', parts: [{ text: request.message }] }, ...replyTurns(result));
+        if (!conversation.title) {
+            const message = request.message.trim();
+            conversation.title = message.length > 60 ? `${message.slice(0, 57)}...` : message;
         }
-    } catch (error) {
-        return { error: error.message };
+        conversation.updatedAt = new Date().toISOString();
+        await saveConversations();
     }
+    return { ...result, conversationId };
 }
 
-// Chat endpoint with AI
-app.post('/chat', async (req, res) => {
+// Chat with the AI: answers one message and returns what /chat responds with.
+// Progress is reported as it happens through emit(event, data), which /chat/stream relays:
+//   token        { text }                                  model text as it arrives
+//   tool_call    { step, name, args }                      before a tool runs
+//   tool_result  { step, name, args, result, summary }     after it ran
+// Aborting signal stops the work before the next model or tool call.
+async function runChat(body, { emit, signal } = {}) {
     try {
-        let { message, history, context, pendingAction } = req.body;
+        let { message, history, context, pendingAction } = body;
         
         // Parse history if it's a string
         console.log('=== INITIAL HISTORY CHECK ===');
@@ -542,12 +6387,17 @@ app.post('/chat', async (req, res) => {
         console.log('Context type AFTER:', typeof context);
         console.log('Context value AFTER:', context);
 
-        if (!geminiApiKey) {
-            return res.json({ error: 'GEMINI_API_KEY not configured' });
+        // Bare repo names resolve against the owner picked in the sidebar
+        const owner = context?.currentOwner || hostingAccounts[0].username;
+        const ownerIsOrg = owner !== hostingAccounts[0].username;
+
+        const llmError = llmConfigError();
+        if (llmError) {
+            return { error: llmError };
         }
 
-        if (!githubToken) {
-            return res.json({ error: 'GITHUB_TOKEN not configured' });
+        if (!hostingAccounts.some(account => account.token || account.root)) {
+            return { error: 'No hosting account configured: set GITHUB_TOKEN, HOSTING_ACCOUNTS or WORKSPACE_DIR' };
         }
 
         // Handle pending actions (user providing follow-up info)
@@ -559,22 +6409,23 @@ app.post('/chat', async (req, res) => {
             const repoName = message.trim();
             
             // Create the repo
-            const result = await executeTool('create_repo', { name: repoName });
+            const createArgs = ownerIsOrg ? { name: repoName, organization: owner } : { name: repoName };
+            const result = await executeTool('create_repo', createArgs);
             
             if (result.error) {
-                return res.json({
+                return {
                     response: `Failed to create repository: ${result.error}`
-                });
+                };
             }
             
-            return res.json({
+            return {
                 response: `Repository <strong>${repoName}</strong> created successfully.`,
                 toolCalls: [{
                     name: 'create_repo',
-                    args: { name: repoName },
+                    args: createArgs,
                     result
                 }]
-            });
+            };
         }
         
         if (pendingAction === 'repo_name_for_delete') {
@@ -583,74 +6434,65 @@ app.post('/chat', async (req, res) => {
             
             // User is providing the repo name for deletion
             const repoName = message.trim();
-            const fullRepoName = `${githubUsername}/${repoName}`;
-            
-            // Check if repo exists
-            const repoCheckResponse = await githubFetch(`/repos/${fullRepoName}`);
-            if (!repoCheckResponse.ok) {
-                if (repoCheckResponse.status === 404) {
-                    return res.json({
-                        response: `Repository "${repoName}" not found.`
-                    });
-                } else {
-                    return res.json({
-                        response: `Error checking repository: ${repoCheckResponse.statusText}`
-                    });
-                }
-            }
+            const fullRepoName = qualifyRepoName(repoName, owner);
             
-            // Repo exists, ask for confirmation
-            return res.json({
-                response: `DANGER: You are about to PERMANENTLY DELETE "${fullRepoName}"\n\nThis will delete ALL code, issues, and history forever.\n\nType "yes" to confirm deletion, or anything else to cancel.`,
-                pendingDeletion: fullRepoName
-            });
+            // Check the repo exists, then ask for confirmation
+            return await repoDeletionConfirmation(fullRepoName);
         }
         
         // Handle force delete file command
         if (message.startsWith('FORCE_DELETE_FILE:')) {
-            const parts = message.replace('FORCE_DELETE_FILE:', '').split(':');
-            const repo = parts[0];
-            const path = parts.slice(1).join(':'); // In case path contains ':'
+            // ":::" like pendingDeletion, since repos on other accounts contain ':'
+            const [repo, ...pathParts] = message.replace('FORCE_DELETE_FILE:', '').split(':::');
+            const path = pathParts.join(':::');
             
             const result = await executeTool('delete_file', { repo, path });
             
             if (result.error) {
-                return res.json({ error: result.error });
+                return { error: result.error };
             }
             
-            return res.json({
+            return {
                 response: result.success,
                 toolCalls: [{
                     name: 'delete_file',
                     args: { repo, path },
                     result
                 }]
-            });
+            };
         }
 
-        const ai = new GoogleGenAI({ apiKey: geminiApiKey });
-        
         // Parse context
+        // context was already parsed into an object above
         let contextInfo = '';
         if (context) {
-            try {
-                const ctx = JSON.parse(context);
-                if (ctx.currentFile) {
-                    contextInfo = `\n\nCURRENT CONTEXT:
-- Currently editing: ${ctx.currentFile.path} in ${ctx.currentFile.repo}
-- Current file content: ${ctx.currentFile.content}
+            const ctx = context;
+            const branchInfo = ctx.currentBranch
+                ? `\n- Selected branch: ${ctx.currentBranch} (pass it as ref/branch to file tools unless the user names another branch)`
+                : '';
+            if (ctx.currentFile) {
+                contextInfo = `\n\nCURRENT CONTEXT:
+- Currently editing: ${ctx.currentFile.path} in ${ctx.currentFile.repo}${branchInfo}
+- Current file content: ${ctx.currentFile.binary ? '(binary file, not shown)' : ctx.currentFile.content}
 
 When user says "update the file", "change this file", "the readme", etc., they mean THIS file: ${ctx.currentFile.path} in repo ${ctx.currentFile.repo}.`;
-                } else if (ctx.currentRepo) {
-                    contextInfo = `\n\nCURRENT CONTEXT:
-- Currently viewing repo: ${ctx.currentRepo}
+            } else if (ctx.currentRepo) {
+                contextInfo = `\n\nCURRENT CONTEXT:
+- Currently viewing repo: ${ctx.currentRepo}${branchInfo}
 
 When user mentions files without specifying repo, assume they mean repo: ${ctx.currentRepo}`;
-                }
-            } catch (e) {
-                console.error('Failed to parse context:', e);
             }
         }
+        if (ownerIsOrg) {
+            contextInfo += `\n\nSELECTED OWNER: ${owner} (an organization or another account)
+- Repository names without an owner mean ${owner}/name
+- Pass owner: "${owner}" to list_repos and search_code, and organization: "${owner}" to create_repo and fork_repo, unless the user names another account`;
+        }
+        if (hostingAccounts.length > 1) {
+            contextInfo += `\n\nHOSTING ACCOUNTS: ${hostingAccounts.map(account => `${account.id} (${hostingProviders[account.provider].name})`).join(', ')}
+- Repositories and owners on any account but ${hostingAccounts[0].id} are written account:owner/name, e.g. ${hostingAccounts[1].id}:${hostingAccounts[1].username}/project
+- Always pass that prefix along to tools`;
+        }
         
         const systemPrompt = `You are a helpful GitHub AI assistant. You can have natural conversations and help users with GitHub operations.
 
@@ -695,187 +6537,115 @@ Just have natural conversations. I'll handle the GitHub operations behind the sc
         console.log('=== TOTAL CONTENTS FOR AI ===');
         console.log('Contents length:', contents.length);
 
+        const toolDeclarations = tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+
+        // Runs a tool once the stream has announced it
+        const callTool = (name, args, step) => {
+            signal?.throwIfAborted();
+            emit?.('tool_call', { step, name, args });
+            return executeTool(name, args);
+        };
+        // Only a listener needs the model's reply streamed
+        const onText = emit && (text => emit('token', { text }));
+
         // Initial AI call with tools
-        let response = await ai.models.generateContent({
-            model: 'gemini-flash-lite-latest',
-            contents: [
-                { role: 'user', parts: [{ text: systemPrompt }] },
-                ...contents
-            ],
-            config: {
-                thinkingConfig: { thinkingBudget: 0 }
-            },
-            tools: [{
-                functionDeclarations: tools.map(tool => ({
-                    name: tool.name,
-                    description: tool.description,
-                    parameters: tool.parameters
-                }))
-            }]
+        let response = await generateText('chat', {
+            system: systemPrompt,
+            contents,
+            tools: toolDeclarations,
+            onText,
+            signal
         });
 
         let responseText = '';
         const toolCalls = [];
 
-        // Check for function calls in response
         console.log('Full response:', JSON.stringify(response, null, 2));
-        
-        // Check different possible function call structures
-        let functionCalls = null;
-
-        if (response.functionCalls) {
-            functionCalls = response.functionCalls;
-            console.log('Found functionCalls:', functionCalls);
-        } else if (response.candidates && response.candidates[0] && response.candidates[0].content && response.candidates[0].content.parts) {
-            // Check if function calls are in parts
-            const parts = response.candidates[0].content.parts;
-            console.log('Content parts:', JSON.stringify(parts, null, 2));
-            
-            for (const part of parts) {
-                if (part.functionCall) {
-                    functionCalls = [part.functionCall];
-                    console.log('Found functionCall in parts:', functionCalls);
-                    break;
+
+        if (response.functionCalls.length > 0) {
+            // Agent loop: run the calls, hand the results back and repeat until the model answers in text.
+            // The model and function turns it adds go back to the client, so the next message sees them too.
+            const turns = [];
+            let step = 0;
+
+            // A step the model asked for, as far as it ran, becomes a call turn and its response turn
+            const recordStep = (text, stepCalls) => {
+                if (stepCalls.length === 0) {
+                    return;
                 }
-            }
-        }
-        
-        console.log('Final functionCalls:', functionCalls);
-
-        console.log('=== FUNCTION CALL DETECTION ===');
-        console.log('Function calls detected:', functionCalls);
-        console.log('Function calls length:', functionCalls ? functionCalls.length : 0);
-
-        if (functionCalls && functionCalls.length > 0) {
-            console.log('=== EXECUTING FUNCTION CALLS ===');
-            // Execute all function calls
-            for (const functionCall of functionCalls) {
-                console.log('Executing:', functionCall.name, 'with args:', functionCall.args);
-                const result = await executeTool(functionCall.name, functionCall.args);
-                console.log('Execution result:', result);
-                toolCalls.push({
-                    name: functionCall.name,
-                    args: functionCall.args,
-                    result
-                });
-                console.log('Added to toolCalls:', toolCalls[toolCalls.length - 1]);
-            }
+                turns.push(
+                    { role: 'model', parts: [...(text ? [{ text }] : []), ...stepCalls.map(tc => ({ functionCall: { name: tc.name, args: tc.args } }))] },
+                    { role: 'function', parts: stepCalls.map(tc => ({ functionResponse: { name: tc.name, response: tc.result } })) }
+                );
+            };
+            // Confirmations end the loop; what already ran is still reported and kept
+            const stopForConfirmation = (confirmation, text, stepCalls) => {
+                recordStep(text, stepCalls);
+                return { ...confirmation, toolCalls: toolCalls.length > 0 ? toolCalls : undefined, history: turns };
+            };
 
-            // Make another call with the function results
-            const functionResponseParts = toolCalls.map(tc => ({
-                functionResponse: {
-                    name: tc.name,
-                    response: tc.result
+            while (response.functionCalls.length > 0) {
+                if (step === agentMaxSteps) {
+                    responseText = `Stopped after ${agentMaxSteps} ${agentMaxSteps === 1 ? 'step' : 'steps'} without finishing. Say "continue" to let me carry on.`;
+                    break;
                 }
-            }));
+                step++;
+                console.log(`=== AGENT STEP ${step} ===`);
 
-            console.log('=== FORMATTING CHECK ===');
-            console.log('Tool calls after execution:', toolCalls.length);
-            console.log('Tool calls:', toolCalls.map(tc => ({ name: tc.name, result: tc.result })));
-
-            // Format certain tool responses directly without AI follow-up
-            if (toolCalls.length === 1) {
-                console.log('Single tool call detected, checking formatting...');
-                const toolCall = toolCalls[0];
-                console.log('Tool call name:', toolCall.name);
-                console.log('Tool call result keys:', Object.keys(toolCall.result));
-                console.log('Tool call result:', toolCall.result);
-                
-                // Format list_tools
-                if (toolCall.name === 'list_tools' && toolCall.result.tools) {
-                    console.log('=== FORMATTING LIST_TOOLS ===');
-                    responseText = "<strong>Here's what I can do:</strong><br><br>";
-                    toolCall.result.tools.forEach((tool, index) => {
-                        responseText += `${index + 1}. <strong>${tool.name}</strong>: ${tool.description}<br>`;
-                    });
-                    responseText += "<br>You can use these tools by clicking them in the sidebar, or by asking me in plain English!<br>For example: \"create a new repo called my-project\" or \"list my repositories\"";
-                } 
-                // Format list_repos
-                else if (toolCall.name === 'list_repos') {
-                    console.log('=== FORMATTING LIST_REPOS ===');
-                    console.log('list_repos result:', toolCall.result);
-                    console.log('list_repos result.repos:', toolCall.result.repos);
-                    responseText = "<strong>Your GitHub Repositories:</strong><br><br>";
-                    if (!toolCall.result.repos || toolCall.result.repos.length === 0) {
-                        responseText += "You don't have any repositories yet.<br><br>Want to create one? Just ask!";
-                    } else {
-                        toolCall.result.repos.forEach((repo, index) => {
-                            responseText += `${index + 1}. <strong>${repo.name}</strong><br>`;
-                        });
-                        responseText += `<br>Total: ${toolCall.result.repos.length} ${toolCall.result.repos.length === 1 ? 'repository' : 'repositories'}`;
+                const stepCalls = [];
+                for (const functionCall of response.functionCalls) {
+                    if (functionCall.name === 'delete_repo') {
+                        return stopForConfirmation(await repoDeletionConfirmation(functionCall.args.repo), response.text, stepCalls);
                     }
+                    if (functionCall.name === 'remove_collaborator') {
+                        return stopForConfirmation(collaboratorRemovalConfirmation(functionCall.args.repo, functionCall.args.username), response.text, stepCalls);
+                    }
+                    console.log('Executing:', functionCall.name, 'with args:', functionCall.args);
+                    const result = await callTool(functionCall.name, functionCall.args, step);
+                    console.log('Execution result:', result);
+                    if (['move_file', 'move_directory'].includes(functionCall.name) && result.conflicts) {
+                        return stopForConfirmation(moveOverwriteConfirmation(functionCall.name, functionCall.args, result.conflicts), response.text, stepCalls);
+                    }
+                    const toolCall = { step, name: functionCall.name, args: functionCall.args, result };
+                    toolCall.summary = formatToolCall(toolCall);
+                    emit?.('tool_result', toolCall);
+                    stepCalls.push(toolCall);
+                    toolCalls.push(toolCall);
                 }
-                // Format create_repo
-                else if (toolCall.name === 'create_repo' && toolCall.result.success) {
-                    console.log('=== FORMATTING CREATE_REPO ===');
-                    console.log('Create repo args:', toolCall.args);
-                    console.log('Create repo result:', toolCall.result);
-                    const repoName = toolCall.args.name;
-                    responseText = `Repository <strong>${repoName}</strong> created successfully.`;
-                }
-                // Format delete_repo
-                else if (toolCall.name === 'delete_repo' && toolCall.result.success) {
-                    console.log('=== FORMATTING DELETE_REPO ===');
-                    responseText = `${toolCall.result.success}`;
-                }
-                // Format update_file
-                else if (toolCall.name === 'update_file' && toolCall.result.success) {
-                    console.log('=== FORMATTING UPDATE_FILE ===');
-                    const fileName = toolCall.args.path;
-                    responseText = `File <strong>${fileName}</strong> ${toolCall.result.success.includes('updated') ? 'updated' : 'created'} successfully.`;
-                }
-                // Format delete_file
-                else if (toolCall.name === 'delete_file' && toolCall.result.success) {
-                    console.log('=== FORMATTING DELETE_FILE ===');
-                    const fileName = toolCall.args.path;
-                    responseText = `File <strong>${fileName}</strong> deleted successfully.`;
-                } else {
-                    // For other single tool calls, let AI generate response
-                    const followUpResponse = await ai.models.generateContent({
-                        model: 'gemini-flash-lite-latest',
-                        contents: [
-                            { role: 'user', parts: [{ text: systemPrompt }] },
-                            ...contents,
-                            { role: 'model', parts: functionCalls.map(fc => ({ functionCall: fc })) },
-                            { role: 'function', parts: functionResponseParts }
-                        ],
-                        config: {
-                            thinkingConfig: { thinkingBudget: 0 }
-                        }
-                    });
-                    responseText = followUpResponse.text || 'Action completed';
-                }
-            } else {
-                // For other tools, let the AI generate a natural response
-            const followUpResponse = await ai.models.generateContent({
-                model: 'gemini-flash-lite-latest',
-                contents: [
-                    { role: 'user', parts: [{ text: systemPrompt }] },
-                    ...contents,
-                    { role: 'model', parts: functionCalls.map(fc => ({ functionCall: fc })) },
-                    { role: 'function', parts: functionResponseParts }
-                ],
-                config: {
-                    thinkingConfig: { thinkingBudget: 0 }
-                }
-            });
+                recordStep(response.text, stepCalls);
 
-            responseText = followUpResponse.text || 'Action completed';
+                response = await generateText('chat', {
+                    system: systemPrompt,
+                    contents: [...contents, ...turns],
+                    tools: toolDeclarations,
+                    onText,
+                    signal
+                });
             }
-        } else {
-            console.log('=== NO FUNCTION CALLS FROM AI ===');
-            // Check if response has candidates structure
-            let responseTextContent = response.text || '';
 
-            if (response.candidates && response.candidates[0] && response.candidates[0].content) {
-                const content = response.candidates[0].content;
-                if (content.parts && content.parts[0] && content.parts[0].text) {
-                    responseTextContent = content.parts[0].text;
-                }
+            if (!responseText) {
+                // Without closing words from the model, the last step speaks for itself
+                const lastStep = toolCalls.filter(tc => tc.step === step);
+                responseText = response.text
+                    || lastStep.map(tc => tc.summary).filter(Boolean).join('<br><br>')
+                    || 'Action completed';
             }
+            turns.push({ role: 'model', parts: [{ text: responseText }] });
+
+            return {
+                response: responseText,
+                toolCalls,
+                history: turns
+            };
+        } else {
+            console.log('=== NO FUNCTION CALLS FROM AI ===');
+            const responseTextContent = response.text;
 
             console.log('Response text content:', responseTextContent);
-            console.log('Full response object:', JSON.stringify(response, null, 2));
 
             // Check if the response is JSON that contains tool calls
             let jsonMatch = null;
@@ -889,18 +6659,30 @@ Just have natural conversations. I'll handle the GitHub operations behind the sc
 
             if (jsonMatch && (jsonMatch.tool_calls || jsonMatch.toolCalls)) {
                 const calls = jsonMatch.tool_calls || jsonMatch.toolCalls;
+                // The same confirmations as real tool calls; the calls before one are still reported
+                const stopForConfirmation = confirmation => ({ ...confirmation, toolCalls: toolCalls.length > 0 ? toolCalls : undefined });
 
                 for (const call of calls) {
                     const functionName = call.function || call.name;
                     const args = call.args || {};
 
                     if (tools.find(t => t.name === functionName)) {
-                        const result = await executeTool(functionName, args);
+                        if (functionName === 'delete_repo') {
+                            return stopForConfirmation(await repoDeletionConfirmation(args.repo));
+                        }
+                        if (functionName === 'remove_collaborator') {
+                            return stopForConfirmation(collaboratorRemovalConfirmation(args.repo, args.username));
+                        }
+                        const result = await callTool(functionName, args);
+                        if (['move_file', 'move_directory'].includes(functionName) && result.conflicts) {
+                            return stopForConfirmation(moveOverwriteConfirmation(functionName, args, result.conflicts));
+                        }
                         toolCalls.push({
                             name: functionName,
                             args: args,
                             result
                         });
+                        emit?.('tool_result', toolCalls[toolCalls.length - 1]);
                     }
                 }
 
@@ -948,20 +6730,113 @@ Current repository context: ${context?.currentRepo || 'none'}
 
 Respond ONLY with JSON in this format:
 {
-  "intent": "create_repo" | "delete_repo" | "list_repos" | "list_tools" | "create_file" | "update_file" | "delete_file" | "none",
+  "intent": "create_repo" | "fork_repo" | "delete_repo" | "list_repos" | "list_tools" | "create_file" | "update_file" | "delete_file" | "move_file" | "move_directory" | "list_issues" | "create_issue" | "comment_issue" | "update_issue" | "close_issue" | "reopen_issue" | "list_branches" | "create_branch" | "delete_branch" | "compare_branches" | "review_pr" | "list_pr_files" | "list_pr_reviews" | "merge_pr" | "check_pr_merge" | "search_code" | "list_tree" | "list_workflows" | "list_workflow_runs" | "get_workflow_run" | "get_job_log" | "rerun_workflow" | "dispatch_workflow" | "list_tags" | "create_tag" | "delete_tag" | "list_releases" | "draft_release_notes" | "publish_release" | "delete_release" | "get_repo_settings" | "update_repo" | "list_collaborators" | "add_collaborator" | "update_collaborator" | "remove_collaborator" | "list_invitations" | "cancel_invitation" | "none",
   "repo_name": "extracted-name" | null,
   "file_name": "extracted-filename" | null,
-  "file_content": "extracted-content" | null
+  "file_content": "extracted-content" | null,
+  "new_path": "destination/path" | null,
+  "issue_number": 12 | null,
+  "issue_title": "extracted-title" | null,
+  "issue_body": "extracted-text" | null,
+  "issue_state": "open" | "closed" | "all" | null,
+  "labels": ["label"] | null,
+  "remove_labels": ["label"] | null,
+  "assignees": ["login"] | null,
+  "remove_assignees": ["login"] | null,
+  "branch_name": "extracted-branch" | null,
+  "base_branch": "extracted-branch" | null,
+  "pr_number": 12 | null,
+  "review_event": "APPROVE" | "REQUEST_CHANGES" | null,
+  "merge_method": "merge" | "squash" | "rebase" | null,
+  "force": true | null,
+  "search_query": "text to find" | null,
+  "language": "javascript" | null,
+  "search_path": "src/" | null,
+  "run_id": 123456789 | null,
+  "workflow_name": "ci.yml" | null,
+  "tag_name": "v1.2.0" | null,
+  "previous_tag": "v1.1.0" | null,
+  "create_draft": true | null,
+  "new_name": "new-repo-name" | null,
+  "visibility": "public" | "private" | null,
+  "description": "extracted-description" | null,
+  "homepage": "https://example.com" | null,
+  "topics": ["topic"] | null,
+  "archive": true | false | null,
+  "template": "template-repo" | null,
+  "gitignore_template": "Node" | null,
+  "license": "mit" | null,
+  "organization": "org-name" | null,
+  "username": "github-login" | null,
+  "permission": "read" | "triage" | "write" | "maintain" | "admin" | null
 }
 
+Fields that are not mentioned in the examples below are null.
+
 Examples:
 - "create a repo called hello-world" → {"intent": "create_repo", "repo_name": "hello-world", "file_name": null, "file_content": null}
+- "make a new repo called blog from my static-site template" → {"intent": "create_repo", "repo_name": "blog", "template": "static-site"}
+- "create a python repo called scraper with an MIT license" → {"intent": "create_repo", "repo_name": "scraper", "gitignore_template": "Python", "license": "mit"}
+- "create a repo called api in the acme org" → {"intent": "create_repo", "repo_name": "api", "organization": "acme"}
+- "fork facebook/react" → {"intent": "fork_repo", "repo_name": "facebook/react"}
+- "fork octocat/hello-world into acme as hello" → {"intent": "fork_repo", "repo_name": "octocat/hello-world", "organization": "acme", "new_name": "hello"}
 - "delete the test-repo" → {"intent": "delete_repo", "repo_name": "test-repo", "file_name": null, "file_content": null}
 - "delete this repo" with context "compusophy-bot/newest" → {"intent": "delete_repo", "repo_name": "compusophy-bot/newest", "file_name": null, "file_content": null}
 - "list my repositories" → {"intent": "list_repos", "repo_name": null, "file_name": null, "file_content": null}
 - "create index.html file" → {"intent": "create_file", "repo_name": null, "file_name": "index.html", "file_content": null}
 - "create index.html with hello world" → {"intent": "create_file", "repo_name": null, "file_name": "index.html", "file_content": "hello world"}
 - "delete the README.md file" → {"intent": "delete_file", "repo_name": null, "file_name": "README.md", "file_content": null}
+- "rename notes.txt to docs/notes.md" → {"intent": "move_file", "file_name": "notes.txt", "new_path": "docs/notes.md"}
+- "move the src/utils folder to lib/utils" → {"intent": "move_directory", "file_name": "src/utils", "new_path": "lib/utils"}
+- "show open issues labeled bug" → {"intent": "list_issues", "issue_state": "open", "labels": ["bug"]}
+- "which issues are assigned to octocat in my-app" → {"intent": "list_issues", "repo_name": "my-app", "assignees": ["octocat"]}
+- "open an issue titled Login is broken" → {"intent": "create_issue", "issue_title": "Login is broken"}
+- "comment on #4 saying fixed in main" → {"intent": "comment_issue", "issue_number": 4, "issue_body": "fixed in main"}
+- "label issue 7 as bug and remove wontfix" → {"intent": "update_issue", "issue_number": 7, "labels": ["bug"], "remove_labels": ["wontfix"]}
+- "assign #3 to octocat" → {"intent": "update_issue", "issue_number": 3, "assignees": ["octocat"]}
+- "close issue 9, it's a duplicate" → {"intent": "close_issue", "issue_number": 9, "issue_body": "Closing as duplicate"}
+- "reopen #9" → {"intent": "reopen_issue", "issue_number": 9}
+- "what branches does my-app have" → {"intent": "list_branches", "repo_name": "my-app"}
+- "create a branch called feature/login off develop" → {"intent": "create_branch", "branch_name": "feature/login", "base_branch": "develop"}
+- "delete the old-experiment branch" → {"intent": "delete_branch", "branch_name": "old-experiment"}
+- "how does feature/login differ from main" → {"intent": "compare_branches", "branch_name": "feature/login", "base_branch": "main"}
+- "review PR #12" → {"intent": "review_pr", "pr_number": 12}
+- "review pull request 3 and approve it if it looks good" → {"intent": "review_pr", "pr_number": 3, "review_event": "APPROVE"}
+- "what files does PR 8 touch" → {"intent": "list_pr_files", "pr_number": 8}
+- "what did reviewers say on #8" → {"intent": "list_pr_reviews", "pr_number": 8}
+- "squash merge PR 8" → {"intent": "merge_pr", "pr_number": 8, "merge_method": "squash"}
+- "merge #8 even though CI is red" → {"intent": "merge_pr", "pr_number": 8, "force": true}
+- "can PR 8 be merged?" → {"intent": "check_pr_merge", "pr_number": 8}
+- "where do we call githubFetch" → {"intent": "search_code", "search_query": "githubFetch"}
+- "find useState in my-app's javascript under src" → {"intent": "search_code", "repo_name": "my-app", "search_query": "useState", "language": "javascript", "search_path": "src"}
+- "show every file in my-app" → {"intent": "list_tree", "repo_name": "my-app"}
+- "list all files under src on develop" → {"intent": "list_tree", "search_path": "src", "branch_name": "develop"}
+- "what workflows does my-app have" → {"intent": "list_workflows", "repo_name": "my-app"}
+- "did CI pass on feature/login" → {"intent": "list_workflow_runs", "branch_name": "feature/login"}
+- "show the jobs of run 123456789" → {"intent": "get_workflow_run", "run_id": 123456789}
+- "why did run 123456789 fail" → {"intent": "get_job_log", "run_id": 123456789}
+- "re-run the failed jobs of run 123456789" → {"intent": "rerun_workflow", "run_id": 123456789}
+- "trigger deploy.yml on main" → {"intent": "dispatch_workflow", "workflow_name": "deploy.yml", "branch_name": "main"}
+- "list the tags of my-app" → {"intent": "list_tags", "repo_name": "my-app"}
+- "tag main as v1.2.0" → {"intent": "create_tag", "tag_name": "v1.2.0", "branch_name": "main"}
+- "delete tag v1.2.0-rc1" → {"intent": "delete_tag", "tag_name": "v1.2.0-rc1"}
+- "show releases" → {"intent": "list_releases"}
+- "draft release notes since v1.1.0" → {"intent": "draft_release_notes", "previous_tag": "v1.1.0"}
+- "prepare the v1.2.0 release" → {"intent": "draft_release_notes", "tag_name": "v1.2.0", "create_draft": true}
+- "publish v1.2.0" → {"intent": "publish_release", "tag_name": "v1.2.0"}
+- "delete the v1.2.0 release" → {"intent": "delete_release", "tag_name": "v1.2.0"}
+- "show the settings of my-app" → {"intent": "get_repo_settings", "repo_name": "my-app"}
+- "rename this repo to my-tool" → {"intent": "update_repo", "new_name": "my-tool"}
+- "make my-app private" → {"intent": "update_repo", "repo_name": "my-app", "visibility": "private"}
+- "set the description to A CLI for notes and add topics cli and notes" → {"intent": "update_repo", "description": "A CLI for notes", "topics": ["cli", "notes"]}
+- "make develop the default branch" → {"intent": "update_repo", "branch_name": "develop"}
+- "archive old-site" → {"intent": "update_repo", "repo_name": "old-site", "archive": true}
+- "who has access to my-app" → {"intent": "list_collaborators", "repo_name": "my-app"}
+- "invite octocat with read access" → {"intent": "add_collaborator", "username": "octocat", "permission": "read"}
+- "give octocat admin on this repo" → {"intent": "update_collaborator", "username": "octocat", "permission": "admin"}
+- "remove octocat from my-app" → {"intent": "remove_collaborator", "repo_name": "my-app", "username": "octocat"}
+- "show pending invitations" → {"intent": "list_invitations"}
+- "cancel the invitation for octocat" → {"intent": "cancel_invitation", "username": "octocat"}
 - "hello how are you" → {"intent": "none", "repo_name": null, "file_name": null, "file_content": null}
 
 Note: 
@@ -970,22 +6845,18 @@ Note:
 
 JSON:`;
 
-                    const intentResponse = await ai.models.generateContent({
-                        model: 'gemini-flash-lite-latest',
-                        contents: [{ role: 'user', parts: [{ text: intentPrompt }] }],
-                        config: { thinkingConfig: { thinkingBudget: 0 } }
-                    });
+                    const intentResponse = await generateFromPrompt('intent', intentPrompt);
 
                     let intentData = { intent: 'none', repo_name: null, file_name: null, file_content: null };
                     try {
-                        const intentText = intentResponse.text?.trim() || '{}';
+                        const intentText = intentResponse.trim() || '{}';
                         // Remove markdown code blocks if present
                         const cleanedIntent = intentText.replace(/```json\n?|\n?```/g, '').trim();
                         intentData = JSON.parse(cleanedIntent);
                         console.log('AI parsed intent:', intentData);
                     } catch (e) {
                         console.error('Failed to parse intent JSON:', e);
-                        console.log('Raw intent response:', intentResponse.text);
+                        console.log('Raw intent response:', intentResponse);
                     }
 
                     // Handle based on intent
@@ -993,14 +6864,32 @@ JSON:`;
                         if (intentData.repo_name) {
                             functionName = 'create_repo';
                             args.name = intentData.repo_name;
+                            if (intentData.template) args.template = intentData.template;
+                            if (intentData.gitignore_template) args.gitignoreTemplate = intentData.gitignore_template;
+                            if (intentData.license) args.licenseTemplate = intentData.license;
+                            if (intentData.organization) args.organization = intentData.organization;
+                            else if (ownerIsOrg) args.organization = owner;
                             console.log('Create repo with extracted name:', args);
                         } else {
                             console.log('Create repo intent but no name - asking for repo name');
-                            return res.json({
+                            return {
                                 response: `What would you like to name your new repository?<br><br>Just provide the repository name (e.g., "my-awesome-project")`,
                                 awaitingInput: 'repo_name_for_create'
-                            });
+                            };
+                        }
+                    }
+                    else if (intentData.intent === 'fork_repo') {
+                        if (!intentData.repo_name || !intentData.repo_name.includes('/')) {
+                            return {
+                                response: `Which repository would you like to fork?<br><br>Please include its owner (e.g., "fork octocat/hello-world")`
+                            };
                         }
+
+                        functionName = 'fork_repo';
+                        args.repo = intentData.repo_name;
+                        if (intentData.organization) args.organization = intentData.organization;
+                        if (intentData.new_name) args.name = intentData.new_name;
+                        console.log('Fork repo with extracted params:', args);
                     }
                     else if (intentData.intent === 'delete_repo') {
                         // Use extracted repo_name, or fall back to current repo context
@@ -1009,20 +6898,19 @@ JSON:`;
                         if (repoToDelete) {
                             functionName = 'delete_repo';
                             // Check if repo_name already has username prefix
-                            args.repo = repoToDelete.includes('/') 
-                                ? repoToDelete 
-                                : `${githubUsername}/${repoToDelete}`;
+                            args.repo = qualifyRepoName(repoToDelete, owner);
                             console.log('Delete repo with extracted name:', args);
                         } else {
                             console.log('Delete repo intent but no name - asking for repo name');
-                            return res.json({
+                            return {
                                 response: `Which repository would you like to delete?<br><br>Just provide the repository name (e.g., "hello-world")`,
                                 awaitingInput: 'repo_name_for_delete'
-                            });
+                            };
                         }
                     }
                     else if (intentData.intent === 'list_repos') {
                         functionName = 'list_repos';
+                        if (ownerIsOrg) args.owner = owner;
                         console.log('List repos intent detected');
                     }
                     else if (intentData.intent === 'list_tools') {
@@ -1036,14 +6924,14 @@ JSON:`;
                             let targetRepo = context?.currentRepo;
                             if (intentData.repo_name) {
                                 // Check if repo_name already has username prefix
-                                targetRepo = intentData.repo_name.includes('/') ? intentData.repo_name : `${githubUsername}/${intentData.repo_name}`;
+                                targetRepo = qualifyRepoName(intentData.repo_name, owner);
                             }
                             
                             if (!targetRepo) {
                                 console.log('File creation intent but no repo context');
-                                return res.json({
+                                return {
                                     response: `Which repository should I create this file in?<br><br>Please select a repository first or specify it in your request.`
-                                });
+                                };
                             }
                             
                             // Generate appropriate file content using AI coding agent
@@ -1060,44 +6948,321 @@ User request: ${originalMessage}
 
 Based on the file extension, generate ONLY the file content with NO explanations, NO markdown code blocks, NO additional text.
 
-Rules:
-- For .html files: Create a modern, clean HTML5 boilerplate
-- For .css files: Create a basic CSS reset and starter styles
-- For .js files: Create a clean JavaScript file with comments
-- For .py files: Create a Python file with proper structure
-- For .md files: Create a README with appropriate structure
-- For .json files: Create valid JSON structure
-- For .txt files: Create simple text content
-- For other files: Generate appropriate content based on extension
+Rules:
+- For .html files: Create a modern, clean HTML5 boilerplate
+- For .css files: Create a basic CSS reset and starter styles
+- For .js files: Create a clean JavaScript file with comments
+- For .py files: Create a Python file with proper structure
+- For .md files: Create a README with appropriate structure
+- For .json files: Create valid JSON structure
+- For .txt files: Create simple text content
+- For other files: Generate appropriate content based on extension
+
+Generate the raw file content NOW (no markdown, no explanations):`;
+
+                                const codingResponse = await generateFromPrompt('codegen', codingPrompt);
+
+                                fileContent = codingResponse.trim();
+                                
+                                // Remove markdown code blocks if AI added them despite instructions
+                                fileContent = fileContent.replace(/```[\w]*\n?/g, '').replace(/```/g, '').trim();
+                                
+                                console.log('Generated content length:', fileContent.length);
+                                console.log('Generated content preview:', fileContent.substring(0, 200));
+                            }
+                            
+                            args.repo = targetRepo;
+                            args.path = intentData.file_name;
+                            args.content = fileContent;
+                            args.message = `Create ${intentData.file_name}`;
+                            if (context?.currentBranch && targetRepo === context.currentRepo) {
+                                args.branch = context.currentBranch;
+                            }
+                            console.log('Create file with extracted params:', args);
+                        } else {
+                            console.log('File creation intent but no filename');
+                            return {
+                                response: `What would you like to name the file?<br><br>Example: "index.html", "README.md", "script.js"`
+                            };
+                        }
+                    }
+                    else if (['list_issues', 'create_issue', 'comment_issue', 'update_issue', 'close_issue', 'reopen_issue'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Issue intent but no repo context');
+                            return {
+                                response: `Which repository are these issues in?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        if (intentData.intent !== 'list_issues' && intentData.intent !== 'create_issue' && !intentData.issue_number) {
+                            return {
+                                response: `Which issue do you mean?<br><br>Please include the issue number (e.g., "#12").`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+
+                        if (intentData.intent === 'list_issues') {
+                            if (intentData.issue_state) args.state = intentData.issue_state;
+                            if (intentData.labels && intentData.labels.length > 0) args.labels = intentData.labels.join(',');
+                            if (intentData.assignees && intentData.assignees.length > 0) args.assignee = intentData.assignees[0];
+                        } else if (intentData.intent === 'create_issue') {
+                            if (!intentData.issue_title) {
+                                return {
+                                    response: `What should the issue be titled?<br><br>Example: "open an issue titled Login page is broken"`
+                                };
+                            }
+                            args.title = intentData.issue_title;
+                            if (intentData.issue_body) args.body = intentData.issue_body;
+                            if (intentData.labels) args.labels = intentData.labels;
+                            if (intentData.assignees) args.assignees = intentData.assignees;
+                        } else {
+                            args.issueNumber = Number(intentData.issue_number);
+                            if (intentData.intent === 'comment_issue') {
+                                if (!intentData.issue_body) {
+                                    return {
+                                        response: `What would you like the comment to say?`
+                                    };
+                                }
+                                args.body = intentData.issue_body;
+                            } else if (intentData.intent === 'update_issue') {
+                                if (intentData.issue_title) args.title = intentData.issue_title;
+                                if (intentData.labels) args.addLabels = intentData.labels;
+                                if (intentData.remove_labels) args.removeLabels = intentData.remove_labels;
+                                if (intentData.assignees) args.addAssignees = intentData.assignees;
+                                if (intentData.remove_assignees) args.removeAssignees = intentData.remove_assignees;
+                            } else if (intentData.intent === 'close_issue' && intentData.issue_body) {
+                                args.comment = intentData.issue_body;
+                            }
+                        }
+                        console.log('Issue intent with extracted params:', args);
+                    }
+                    else if (['list_branches', 'create_branch', 'delete_branch', 'compare_branches'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Branch intent but no repo context');
+                            return {
+                                response: `Which repository do you mean?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        if (intentData.intent !== 'list_branches' && !intentData.branch_name) {
+                            return {
+                                response: `Which branch do you mean?<br><br>Please include the branch name.`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        if (intentData.intent === 'create_branch') {
+                            args.branch = intentData.branch_name;
+                            if (intentData.base_branch) args.from = intentData.base_branch;
+                        } else if (intentData.intent === 'delete_branch') {
+                            args.branch = intentData.branch_name;
+                        } else if (intentData.intent === 'compare_branches') {
+                            args.head = intentData.branch_name;
+                            if (intentData.base_branch) args.base = intentData.base_branch;
+                        }
+                        console.log('Branch intent with extracted params:', args);
+                    }
+                    else if (['review_pr', 'list_pr_files', 'list_pr_reviews', 'merge_pr', 'check_pr_merge'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('PR intent but no repo context');
+                            return {
+                                response: `Which repository is this pull request in?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        if (!intentData.pr_number) {
+                            return {
+                                response: `Which pull request do you mean?<br><br>Please include the PR number (e.g., "PR #12").`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        args.prNumber = Number(intentData.pr_number);
+                        if (intentData.intent === 'review_pr' && intentData.review_event) {
+                            args.event = intentData.review_event;
+                        }
+                        if (intentData.intent === 'merge_pr') {
+                            if (intentData.merge_method) args.method = intentData.merge_method;
+                            if (intentData.force) args.force = true;
+                        }
+                        console.log('PR intent with extracted params:', args);
+                    }
+                    else if (intentData.intent === 'search_code') {
+                        if (!intentData.search_query) {
+                            return {
+                                response: `What would you like to search for?<br><br>Example: "where is handleChatSubmit defined"`
+                            };
+                        }
+
+                        functionName = 'search_code';
+                        args.query = intentData.search_query;
+                        // Only narrow to a repo when the user named one
+                        if (intentData.repo_name) args.repo = qualifyRepoName(intentData.repo_name, owner);
+                        if (intentData.language) args.language = intentData.language;
+                        if (intentData.search_path) args.path = intentData.search_path;
+                        if (ownerIsOrg) args.owner = owner;
+                        console.log('Search code with extracted params:', args);
+                    }
+                    else if (intentData.intent === 'list_tree') {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Tree intent but no repo context');
+                            return {
+                                response: `Which repository do you mean?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        functionName = 'list_tree';
+                        args.repo = targetRepo;
+                        if (intentData.search_path) args.path = intentData.search_path;
+                        if (intentData.branch_name) {
+                            args.ref = intentData.branch_name;
+                        } else if (context?.currentBranch && targetRepo === context.currentRepo) {
+                            args.ref = context.currentBranch;
+                        }
+                        console.log('Tree intent with extracted params:', args);
+                    }
+                    else if (['list_workflows', 'list_workflow_runs', 'get_workflow_run', 'get_job_log', 'rerun_workflow', 'dispatch_workflow'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Actions intent but no repo context');
+                            return {
+                                response: `Which repository's workflows do you mean?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        if (['get_workflow_run', 'get_job_log', 'rerun_workflow'].includes(intentData.intent) && !intentData.run_id) {
+                            return {
+                                response: `Which workflow run do you mean?<br><br>Ask me to list recent runs to find its ID.`
+                            };
+                        }
+
+                        if (intentData.intent === 'dispatch_workflow' && !intentData.workflow_name) {
+                            return {
+                                response: `Which workflow should I trigger?<br><br>Please include its file name (e.g., "deploy.yml").`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        if (intentData.run_id) args.runId = Number(intentData.run_id);
+                        if (intentData.intent === 'list_workflow_runs') {
+                            if (intentData.branch_name) args.branch = intentData.branch_name;
+                            if (intentData.workflow_name) args.workflow = intentData.workflow_name;
+                        }
+                        if (intentData.intent === 'dispatch_workflow') {
+                            args.workflow = intentData.workflow_name;
+                            if (intentData.branch_name) args.ref = intentData.branch_name;
+                        }
+                        console.log('Actions intent with extracted params:', args);
+                    }
+                    else if (['list_tags', 'create_tag', 'delete_tag', 'list_releases', 'draft_release_notes', 'publish_release', 'delete_release'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Release intent but no repo context');
+                            return {
+                                response: `Which repository do you mean?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        if (['create_tag', 'delete_tag', 'publish_release', 'delete_release'].includes(intentData.intent) && !intentData.tag_name) {
+                            return {
+                                response: `Which tag do you mean?<br><br>Please include the tag name (e.g., "v1.2.0").`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        if (intentData.tag_name) args.tag = intentData.tag_name;
+                        if (intentData.intent === 'create_tag' && intentData.branch_name) {
+                            args.from = intentData.branch_name;
+                        }
+                        if (intentData.intent === 'draft_release_notes') {
+                            if (intentData.previous_tag) args.previousTag = intentData.previous_tag;
+                            if (intentData.branch_name) args.target = intentData.branch_name;
+                            if (intentData.create_draft) args.createDraft = true;
+                        }
+                        console.log('Release intent with extracted params:', args);
+                    }
+                    else if (['get_repo_settings', 'update_repo'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Repo settings intent but no repo context');
+                            return {
+                                response: `Which repository do you mean?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        if (intentData.intent === 'update_repo') {
+                            if (intentData.new_name) args.name = intentData.new_name;
+                            if (intentData.visibility) args.private = intentData.visibility === 'private';
+                            if (intentData.description) args.description = intentData.description;
+                            if (intentData.homepage) args.homepage = intentData.homepage;
+                            if (intentData.topics) args.topics = intentData.topics;
+                            if (intentData.branch_name) args.defaultBranch = intentData.branch_name;
+                            if (typeof intentData.archive === 'boolean') args.archived = intentData.archive;
+                        }
+                        console.log('Repo settings intent with extracted params:', args);
+                    }
+                    else if (['list_collaborators', 'add_collaborator', 'update_collaborator', 'remove_collaborator', 'list_invitations', 'cancel_invitation'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
 
-Generate the raw file content NOW (no markdown, no explanations):`;
+                        if (!targetRepo) {
+                            console.log('Collaborator intent but no repo context');
+                            return {
+                                response: `Which repository do you mean?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
 
-                                const codingResponse = await ai.models.generateContent({
-                                    model: 'gemini-flash-lite-latest',
-                                    contents: [{ role: 'user', parts: [{ text: codingPrompt }] }],
-                                    config: { thinkingConfig: { thinkingBudget: 0 } }
-                                });
+                        if (!['list_collaborators', 'list_invitations'].includes(intentData.intent) && !intentData.username) {
+                            return {
+                                response: `Which GitHub user do you mean?<br><br>Please include their username (e.g., "invite octocat").`
+                            };
+                        }
 
-                                fileContent = codingResponse.text?.trim() || '';
-                                
-                                // Remove markdown code blocks if AI added them despite instructions
-                                fileContent = fileContent.replace(/```[\w]*\n?/g, '').replace(/```/g, '').trim();
-                                
-                                console.log('Generated content length:', fileContent.length);
-                                console.log('Generated content preview:', fileContent.substring(0, 200));
-                            }
-                            
-                            args.repo = targetRepo;
-                            args.path = intentData.file_name;
-                            args.content = fileContent;
-                            args.message = `Create ${intentData.file_name}`;
-                            console.log('Create file with extracted params:', args);
-                        } else {
-                            console.log('File creation intent but no filename');
-                            return res.json({
-                                response: `What would you like to name the file?<br><br>Example: "index.html", "README.md", "script.js"`
-                            });
+                        if (intentData.intent === 'update_collaborator' && !intentData.permission) {
+                            return {
+                                response: `Which permission should ${intentData.username} have?<br><br>Choose read, triage, write, maintain or admin.`
+                            };
                         }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        if (intentData.username) args.username = intentData.username;
+                        if (intentData.permission) args.permission = intentData.permission;
+                        console.log('Collaborator intent with extracted params:', args);
                     }
                     else if (intentData.intent === 'delete_file') {
                         if (intentData.file_name) {
@@ -1106,26 +7271,56 @@ Generate the raw file content NOW (no markdown, no explanations):`;
                             let targetRepo = context?.currentRepo;
                             if (intentData.repo_name) {
                                 // Check if repo_name already has username prefix
-                                targetRepo = intentData.repo_name.includes('/') ? intentData.repo_name : `${githubUsername}/${intentData.repo_name}`;
+                                targetRepo = qualifyRepoName(intentData.repo_name, owner);
                             }
                             
                             if (!targetRepo) {
                                 console.log('File deletion intent but no repo context');
-                                return res.json({
+                                return {
                                     response: `Which repository is this file in?<br><br>Please select a repository first or specify it in your request.`
-                                });
+                                };
                             }
                             
                             args.repo = targetRepo;
                             args.path = intentData.file_name;
                             args.message = `Delete ${intentData.file_name}`;
+                            if (context?.currentBranch && targetRepo === context.currentRepo) {
+                                args.branch = context.currentBranch;
+                            }
                             console.log('Delete file with extracted params:', args);
                         } else {
                             console.log('File deletion intent but no filename');
-                            return res.json({
+                            return {
                                 response: `Which file would you like to delete?<br><br>Please specify the filename.`
-                            });
+                            };
+                        }
+                    }
+                    else if (['move_file', 'move_directory'].includes(intentData.intent)) {
+                        const targetRepo = intentData.repo_name
+                            ? qualifyRepoName(intentData.repo_name, owner)
+                            : context?.currentRepo;
+
+                        if (!targetRepo) {
+                            console.log('Move intent but no repo context');
+                            return {
+                                response: `Which repository is this in?<br><br>Please select a repository first or specify it in your request.`
+                            };
+                        }
+
+                        if (!intentData.file_name || !intentData.new_path) {
+                            return {
+                                response: `What should be moved, and where to?<br><br>Example: "rename notes.txt to docs/notes.md"`
+                            };
+                        }
+
+                        functionName = intentData.intent;
+                        args.repo = targetRepo;
+                        args.path = intentData.file_name;
+                        args.newPath = intentData.new_path;
+                        if (context?.currentBranch && targetRepo === context.currentRepo) {
+                            args.branch = context.currentBranch;
                         }
+                        console.log('Move intent with extracted params:', args);
                     }
 
                     // If function was detected by manual parsing, execute it
@@ -1134,30 +7329,19 @@ Generate the raw file content NOW (no markdown, no explanations):`;
                         console.log('Executing manually detected function:', functionName, 'with args:', args);
                         
                         // Handle delete_repo confirmation
-                    if (functionName === 'delete_repo') {
-                            // Check if repo exists
-                        const repoCheckResponse = await githubFetch(`/repos/${args.repo}`);
-                        if (!repoCheckResponse.ok) {
-                            if (repoCheckResponse.status === 404) {
-                                    return res.json({
-                                        response: `Repository "${args.repo}" not found.`
-                                    });
-                            } else {
-                            return res.json({
-                                        response: `Error checking repository: ${repoCheckResponse.statusText}`
-                            });
-                                }
+                        if (functionName === 'delete_repo') {
+                            return await repoDeletionConfirmation(args.repo);
                         }
-                        
-                        // Repo exists, ask for confirmation
-                        return res.json({
-                                response: `DANGER: You are about to PERMANENTLY DELETE "${args.repo}"\n\nThis will delete ALL code, issues, and history forever.\n\nType "yes" to confirm deletion, or anything else to cancel.`,
-                            pendingDeletion: args.repo
-                        });
+
+                        if (functionName === 'remove_collaborator') {
+                            return collaboratorRemovalConfirmation(args.repo, args.username);
                         }
                         
-                        const result = await executeTool(functionName, args);
+                        const result = await callTool(functionName, args);
                         console.log('Manual execution result:', result);
+                        if (['move_file', 'move_directory'].includes(functionName) && result.conflicts) {
+                            return moveOverwriteConfirmation(functionName, args, result.conflicts);
+                        }
 
                         toolCalls.push({
                             name: functionName,
@@ -1166,6 +7350,7 @@ Generate the raw file content NOW (no markdown, no explanations):`;
                         });
 
                         console.log('Added manual tool call to toolCalls:', toolCalls[toolCalls.length - 1]);
+                        emit?.('tool_result', toolCalls[toolCalls.length - 1]);
                         
                         // Format the response based on the tool
                         const toolCall = toolCalls[0];
@@ -1180,19 +7365,23 @@ Generate the raw file content NOW (no markdown, no explanations):`;
                         } else if (functionName === 'list_repos') {
                             console.log('=== FORMATTING LIST_REPOS (MANUAL) ===');
                             console.log('list_repos result:', toolCall.result);
-                            responseText = "<strong>Your GitHub Repositories:</strong><br><br>";
+                            responseText = toolCall.result.owner && toolCall.result.owner !== hostingAccounts[0].username
+                                ? `<strong>Repositories in ${escapeHtml(toolCall.result.owner)}:</strong><br><br>`
+                                : "<strong>Your GitHub Repositories:</strong><br><br>";
                             if (!toolCall.result.repos || toolCall.result.repos.length === 0) {
                                 responseText += "You don't have any repositories yet.<br><br>Want to create one? Just ask!";
                             } else {
                                 toolCall.result.repos.forEach((repo, index) => {
                                     responseText += `${index + 1}. <strong>${repo.name}</strong><br>`;
                                 });
-                                responseText += `<br>Total: ${toolCall.result.repos.length} ${toolCall.result.repos.length === 1 ? 'repository' : 'repositories'}`;
+                                responseText += `<br>Total: ${toolCall.result.repos.length} ${toolCall.result.repos.length === 1 ? 'repository' : 'repositories'}` + truncationNote(toolCall.result);
                             }
                         } else if (functionName === 'create_repo' && toolCall.result.success) {
                             console.log('=== FORMATTING CREATE_REPO (MANUAL) ===');
                             const repoName = args.name;
-                            responseText = `Repository <strong>${repoName}</strong> created successfully.`;
+                            responseText = toolCall.result.template
+                                ? `Repository <strong>${repoName}</strong> created from template <strong>${toolCall.result.template}</strong>.`
+                                : `Repository <strong>${repoName}</strong> created successfully.`;
                         } else if (functionName === 'delete_repo') {
                             console.log('=== FORMATTING DELETE_REPO (MANUAL) ===');
                             if (toolCall.result.error) {
@@ -1215,6 +7404,19 @@ Generate the raw file content NOW (no markdown, no explanations):`;
                             console.log('=== FORMATTING DELETE_FILE (MANUAL) ===');
                             const fileName = args.path;
                             responseText = `File <strong>${fileName}</strong> deleted successfully.`;
+                        } else if (functionName === 'get_job_log' && !toolCall.result.error) {
+                            // Let the model read the trimmed log and explain the failure
+                            const explainResponse = await generateFromPrompt('chat', `The user asked: "${originalMessage}"
+
+Explain briefly why this GitHub Actions job${toolCall.result.jobName ? ` (${toolCall.result.jobName})` : ''} failed and suggest a fix. Use <br> for line breaks and <strong> for emphasis, no markdown.
+
+Log:
+${toolCall.result.log}`);
+                            responseText = explainResponse || 'Could not explain the job log.';
+                        } else if (toolFormatters[functionName] && !toolCall.result.error) {
+                            responseText = toolFormatters[functionName](toolCall.result, args);
+                        } else if (toolCall.result.error) {
+                            responseText = `Something went wrong: ${escapeHtml(toolCall.result.error)}`;
                         } else {
                             // For other tools, let AI handle response
                             responseText = responseTextContent;
@@ -1223,9 +7425,9 @@ Generate the raw file content NOW (no markdown, no explanations):`;
                         // If no function was called by AI, return the AI's natural response
                         console.log('No function detected - returning AI response');
                         responseText = responseTextContent;
-                        return res.json({
+                        return {
                             response: responseText
-                        });
+                        };
                     }
                 }
 
@@ -1233,21 +7435,153 @@ Generate the raw file content NOW (no markdown, no explanations):`;
         }
 
         console.log('Reached end - responseText:', responseText);
-        res.json({
+        return {
             response: responseText,
             toolCalls: toolCalls.length > 0 ? toolCalls : undefined
-        });
+        };
+
+    } catch (error) {
+        if (signal?.aborted) {
+            console.log('Chat stopped by the client');
+            return { error: 'Stopped' };
+        }
+        console.error('Chat error:', error);
+        return { error: error.message };
+    }
+}
+
+// Chat endpoint with AI
+app.post('/chat', async (req, res) => {
+    try {
+        res.json(await chatInConversation(req.body, { owner: req.user }));
+    } catch (error) {
+        console.error('Chat error:', error);
+        res.json({ error: error.message });
+    }
+});
+
+// The same chat as Server-Sent Events: the runChat progress events, then "done" with the
+// /chat response, or with { error } when the chat could not run. Closing the connection (the Stop
+// button) cancels the remaining work.
+app.post('/chat/stream', async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
 
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    const send = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    let result;
+    try {
+        result = await chatInConversation(req.body, { owner: req.user, emit: send, signal: controller.signal });
     } catch (error) {
         console.error('Chat error:', error);
+        result = { error: error.message };
+    }
+    if (!controller.signal.aborted) {
+        send('done', result);
+    }
+    res.end();
+});
+
+// Chat threads: list and search, create, read, rename and delete, each user only their own
+app.get('/conversations', async (req, res) => {
+    try {
+        res.json({ conversations: await listConversations(req.query.q, req.user) });
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.post('/conversations', async (req, res) => {
+    try {
+        res.json(conversationSummary(await createConversation(req.body.title, req.user)));
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.get('/conversation', async (req, res) => {
+    try {
+        const conversation = await findConversation(req.query.id, req.user);
+        if (!conversation) {
+            return res.json({ error: `Conversation ${req.query.id} not found` });
+        }
+        res.json({ ...conversationSummary(conversation), history: conversation.history });
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.post('/conversations/rename', async (req, res) => {
+    try {
+        const { id, title } = req.body;
+        if (!title || !title.trim()) {
+            return res.json({ error: 'Title required' });
+        }
+        const conversation = await findConversation(id, req.user);
+        if (!conversation) {
+            return res.json({ error: `Conversation ${id} not found` });
+        }
+        conversation.title = title.trim();
+        await saveConversations();
+        res.json(conversationSummary(conversation));
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.post('/conversations/delete', async (req, res) => {
+    try {
+        const { id } = req.body;
+        if (!(await findConversation(id, req.user))) {
+            return res.json({ error: `Conversation ${id} not found` });
+        }
+        (await loadConversations()).delete(id);
+        await saveConversations();
+        res.json({ success: 'Conversation deleted' });
+    } catch (error) {
         res.json({ error: error.message });
     }
 });
 
 // Direct API endpoints (kept for compatibility)
+// Without an owner the sidebar lists the repositories of every configured account
 app.get('/repos', async (req, res) => {
     try {
-        const result = await executeTool('list_repos', {});
+        if (req.query.owner) {
+            return res.json(await executeTool('list_repos', { owner: req.query.owner }));
+        }
+
+        const { results, warnings } = await acrossAccounts(async () => {
+            const result = await runTool('list_repos', {});
+            if (result.error) {
+                throw new Error(result.error);
+            }
+            return result;
+        });
+        res.json({
+            repos: results.flatMap(result => result.repos),
+            truncated: results.some(result => result.truncated),
+            accounts: hostingAccounts.map(account => ({ id: account.id, provider: hostingProviders[account.provider].name })),
+            warnings
+        });
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.get('/owners', async (req, res) => {
+    try {
+        const result = await executeTool('list_owners', {});
         res.json(result);
     } catch (error) {
         res.json({ error: error.message });
@@ -1262,7 +7596,8 @@ app.get('/files', async (req, res) => {
         }
         
         const path = req.query.path || '';
-        const result = await executeTool('list_files', { repo, path });
+        const ref = req.query.ref || undefined;
+        const result = await executeTool('list_files', { repo, path, ref });
         res.json(result);
     } catch (error) {
         res.json({ error: error.message });
@@ -1278,16 +7613,45 @@ app.get('/file', async (req, res) => {
             return res.json({ error: 'Repository and path parameters required' });
         }
 
-        const result = await executeTool('read_file', { repo, path });
+        const ref = req.query.ref || undefined;
+        const result = await executeTool('read_file', { repo, path, ref });
         res.json(result);
     } catch (error) {
         res.json({ error: error.message });
     }
 });
 
+// Raw bytes of a file, for image previews and downloads of binaries
+app.get('/file/raw', async (req, res) => {
+    try {
+        const repo = req.query.repo;
+        const path = req.query.path;
+
+        if (!repo || !path) {
+            return res.status(400).json({ error: 'Repository and path parameters required' });
+        }
+
+        const file = await withAccount({ repo }, args => fetchFileBuffer(args.repo, path, req.query.ref || undefined));
+        if (file.error) {
+            return res.status(file.status === 404 ? 404 : 502).json({ error: file.error });
+        }
+
+        // Served from the app's origin, so never let the browser run an SVG's scripts or sniff a type
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type(mimeType(path));
+        if (req.query.download) {
+            res.attachment(path.split('/').pop());
+        }
+        res.send(file.buffer);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.post('/commit', async (req, res) => {
     try {
-        const { repo, content, filePath, message } = req.body;
+        const { repo, content, filePath, message, ref } = req.body;
         if (!repo) {
             return res.json({ error: 'Repository parameter required' });
         }
@@ -1296,7 +7660,119 @@ app.post('/commit', async (req, res) => {
             repo,
             path: filePath, 
             content, 
-            message: message || `Update ${filePath}` 
+            message: message || `Update ${filePath}`,
+            branch: ref || undefined
+        });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.get('/search', async (req, res) => {
+    try {
+        const query = req.query.q;
+        if (!query) {
+            return res.json({ error: 'Search query parameter q required' });
+        }
+
+        const result = await executeTool('search_code', {
+            query,
+            repo: req.query.repo || undefined,
+            language: req.query.language || undefined,
+            path: req.query.path || undefined,
+            scope: req.query.scope || undefined
+        });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.get('/commits', async (req, res) => {
+    try {
+        const repo = req.query.repo;
+        if (!repo) {
+            return res.json({ error: 'Repository parameter required (format: username/repo-name)' });
+        }
+
+        const result = await executeTool('list_commits', {
+            repo,
+            path: req.query.path || undefined,
+            ref: req.query.ref || undefined,
+            limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+        });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.get('/diff', async (req, res) => {
+    try {
+        const { repo, base, head } = req.query;
+        if (!repo || !base || !head) {
+            return res.json({ error: 'Repository, base and head parameters required' });
+        }
+
+        const result = await executeTool('diff_revisions', { repo, base, head, path: req.query.path || undefined });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.post('/restore', async (req, res) => {
+    try {
+        const { repo, path, sha, ref } = req.body;
+        if (!repo || !path || !sha) {
+            return res.json({ error: 'Repository, path and sha parameters required' });
+        }
+
+        const result = await executeTool('restore_file', { repo, path, sha, branch: ref || undefined });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+// Atomic multi-file commit
+app.post('/commit-changes', async (req, res) => {
+    try {
+        const { repo, ref, message, changes, baseSha } = req.body;
+        if (!repo) {
+            return res.json({ error: 'Repository parameter required' });
+        }
+        if (!Array.isArray(changes) || changes.length === 0) {
+            return res.json({ error: 'Changes parameter required (list of { action, path, content, newPath })' });
+        }
+
+        const result = await executeTool('commit_changes', {
+            repo,
+            branch: ref || undefined,
+            message,
+            changes,
+            baseSha
+        });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.post('/move', async (req, res) => {
+    try {
+        const { repo, path, newPath, ref, directory, overwrite } = req.body;
+        if (!repo || !path || !newPath) {
+            return res.json({ error: 'Repository, path and newPath parameters required' });
+        }
+
+        const result = await executeTool(directory ? 'move_directory' : 'move_file', {
+            repo,
+            path,
+            newPath,
+            branch: ref || undefined,
+            overwrite: Boolean(overwrite)
         });
         res.json(result);
     } catch (error) {
@@ -1304,6 +7780,48 @@ app.post('/commit', async (req, res) => {
     }
 });
 
+app.get('/branches', async (req, res) => {
+    try {
+        const repo = req.query.repo;
+        if (!repo) {
+            return res.json({ error: 'Repository parameter required (format: username/repo-name)' });
+        }
+
+        const result = await executeTool('list_branches', { repo });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.get('/repo-settings', async (req, res) => {
+    try {
+        const repo = req.query.repo;
+        if (!repo) {
+            return res.json({ error: 'Repository parameter required (format: username/repo-name)' });
+        }
+
+        const result = await executeTool('get_repo_settings', { repo });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
+app.post('/repo-settings', async (req, res) => {
+    try {
+        const { repo, ...settings } = req.body;
+        if (!repo) {
+            return res.json({ error: 'Repository parameter required (format: username/repo-name)' });
+        }
+
+        const result = await executeTool('update_repo', { repo, ...settings });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
+});
+
 // Direct deletion endpoint (after confirmation)
 app.post('/delete', async (req, res) => {
     try {
@@ -1319,18 +7837,48 @@ app.post('/delete', async (req, res) => {
     }
 });
 
-// Serve index.html for root route
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'index.html'));
-});
+// Direct collaborator removal endpoint (after confirmation)
+app.post('/collaborators/remove', async (req, res) => {
+    try {
+        const { repo, username } = req.body;
+        if (!repo || !username) {
+            return res.json({ error: 'Repository and username parameters required' });
+        }
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`GitHub Token: ${githubToken ? '✓ Configured' : '✗ Missing'}`);
-    console.log(`Gemini API Key: ${geminiApiKey ? '✓ Configured' : '✗ Missing'}`);
-    console.log(`GitHub Username: ${githubUsername}`);
+        const result = await executeTool('remove_collaborator', { repo, username });
+        res.json(result);
+    } catch (error) {
+        res.json({ error: error.message });
+    }
 });
 
+// `node api/index.js hash-password <password>` prints a hash for AUTH_USERS.
+// Otherwise start the server, unless the app was required by tests or a serverless host.
+if (require.main === module && process.argv[2] === 'hash-password') {
+    if (!process.argv[3]) {
+        console.error('Usage: npm run hash-password -- <password>');
+        process.exit(1);
+    }
+    hashPassword(process.argv[3]).then(hash => console.log(hash));
+} else if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        hostingAccounts.forEach(account => {
+            console.log(`Hosting account ${account.id}: ${hostingProviders[account.provider].name} at ${account.apiUrl || account.root} as ${account.username}${account.token || account.root ? '' : ' (✗ no token)'}`);
+        });
+        console.log(`Gemini API Key: ${geminiApiKey ? '✓ Configured' : '✗ Missing'}`);
+        if (authDisabled) {
+            console.log('Login: ✗ Disabled (AUTH_DISABLED=true), anyone who can reach this port can use it');
+        } else {
+            console.log(`Login: ${authConfigError() || `✓ ${[authUsers.length > 0 && `${authUsers.length} local user(s)`, authSecret && 'shared secret'].filter(Boolean).join(' and ')}`}`);
+        }
+        console.log(`CORS origins: ${corsOrigins.length > 0 ? corsOrigins.join(', ') : 'this site only'}`);
+        LLM_TASKS.forEach(task => {
+            const { provider, model } = llmConfig(task);
+            console.log(`LLM for ${task}: ${provider} (${model})`);
+        });
+    });
+}
+
 module.exports = app;
 
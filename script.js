@@ -1,9 +1,17 @@
 let currentFile = null;
 let currentRepo = null;
-let chatHistory = [];
+let currentBranch = null;
+let currentOwner = null; // Account or organization shown in the repo sidebar, null for the configured account
+let historyOpen = false;
+let viewingRevision = null; // { sha } while the editor shows an older version
+let settingsOpen = false;
+let repoSettings = null; // Settings shown in the settings view, to send only what changed
+let currentConversationId = null; // Chat thread shown in the chat panel; its history is kept on the server
 let pendingDeletion = null;
-let pendingDeletionType = null; // 'repo' or 'file'
+let pendingDeletionType = null; // 'repo', 'file', 'collaborator' or 'move'
 let pendingAction = null; // Tracks actions waiting for user input (e.g., 'awaiting_repo_name_for_delete')
+let chatStream = null; // AbortController of the chat reply being streamed, for the Stop button
+let csrfToken = null; // Sent with every POST; comes with the session from /session or /login
 
 // Prefill the chat input with a command
 function prefillChat(command) {
@@ -25,7 +33,13 @@ function showToolsList() {
         4. <strong>Delete Repository</strong> - Deletes a repository (requires confirmation)<br>
         5. <strong>Create File</strong> - Creates a new file in the current repository<br>
         6. <strong>Save File</strong> - Saves changes to the currently open file<br>
-        7. <strong>Delete File</strong> - Deletes the currently selected file (requires confirmation)<br><br>
+        7. <strong>Delete File</strong> - Deletes the currently selected file (requires confirmation)<br>
+        8. <strong>List Issues</strong> - Shows issues in the current repository, filtered by state, label or assignee<br>
+        9. <strong>Create Issue</strong> - Opens a new issue; you can also comment on, label, assign, close and reopen issues<br>
+        10. <strong>Search Code</strong> - Searches code across your repositories; click a result to open it in the editor<br>
+        11. <strong>CI Status</strong> - Shows recent GitHub Actions runs; ask why a run failed, re-run it or trigger a workflow<br>
+        12. <strong>Draft Release</strong> - Drafts categorized release notes from the PRs merged since the last tag, for review before publishing<br>
+        13. <strong>Collaborators</strong> - Lists who has access; invite users, change permissions, cancel invitations or remove access (requires confirmation)<br><br>
         You can use these tools by clicking them in the sidebar, or by asking me in plain English!<br>
         For example: "create a new repo called my-project" or "list my repositories"`;
     
@@ -47,10 +61,10 @@ async function executeTool(toolName, args = {}) {
 
         const response = await fetch('/chat', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
             body: JSON.stringify({
                 message: `Execute ${toolName} with args: ${JSON.stringify(args)}`,
-                history: chatHistory
+                conversationId: currentConversationId
             })
         });
 
@@ -80,11 +94,10 @@ async function executeTool(toolName, args = {}) {
 
             chatMessages.appendChild(assistantMsg);
 
-            // Add to history
-            chatHistory.push({
-                role: 'model',
-                parts: [{ text: result.response }]
-            });
+            // The conversation moved to the top of the thread list
+            if (result.conversationId) {
+                loadConversations();
+            }
         }
 
         chatMessages.scrollTop = chatMessages.scrollHeight;
@@ -161,6 +174,56 @@ function showDeleteFileDialog() {
     chatInput.setSelectionRange(chatInput.value.length, chatInput.value.length);
 }
 
+// Load the accounts and organizations for the owner dropdown
+async function loadOwners() {
+    const ownerSelect = document.getElementById('owner-select');
+    if (!ownerSelect) return;
+
+    try {
+        const response = await fetch('/owners');
+        const data = await response.json();
+
+        if (data.error || !data.owners) {
+            console.error('Error loading owners:', data.error);
+            ownerSelect.innerHTML = '<option value="">Your repositories</option>';
+            ownerSelect.disabled = true;
+            return;
+        }
+
+        // With several accounts the first entry shows the repositories of all of them
+        const multipleAccounts = new Set(data.owners.map(owner => owner.account)).size > 1;
+        ownerSelect.innerHTML = data.owners.map((owner, index) => `
+            <option value="${index === 0 ? '' : owner.login}" ${(currentOwner || '') === (index === 0 ? '' : owner.login) ? 'selected' : ''}>
+                ${index === 0 && multipleAccounts ? 'All accounts' : owner.login}${owner.type === 'Organization' ? ' (organization)' : ''}
+            </option>
+        `).join('');
+        ownerSelect.disabled = data.owners.length < 2;
+    } catch (error) {
+        console.error('Error loading owners:', error.message);
+    }
+}
+
+async function selectOwner(login) {
+    currentOwner = login || null;
+
+    // The selected repo belongs to the previous owner
+    currentRepo = null;
+    currentBranch = null;
+    currentFile = null;
+    renderBranchSelect([]);
+    if (settingsOpen) {
+        closeSettings();
+    }
+    document.getElementById('settings-toggle').disabled = true;
+    document.getElementById('files-list').innerHTML = '<div class="empty-state">Select a repository to view files</div>';
+    document.getElementById('editor').value = '';
+    document.getElementById('editor').disabled = true;
+    resetHistoryView();
+    hideFilePreview();
+
+    await loadRepositories();
+}
+
 // Load repositories
 async function loadRepositories() {
     const repoList = document.getElementById('repo-list');
@@ -169,13 +232,13 @@ async function loadRepositories() {
     repoList.innerHTML = '';
     
     try {
-        const response = await fetch('/repos');
+        const response = await fetch(currentOwner ? `/repos?owner=${encodeURIComponent(currentOwner)}` : '/repos');
         const data = await response.json();
         
         if (data.error) {
             repoList.innerHTML = `<div class="status error">${data.error}</div>`;
         } else if (data.repos) {
-            renderRepoList(data.repos);
+            renderRepoList(data.repos, data.truncated, data.accounts, data.warnings);
         } else {
             repoList.innerHTML = '<div class="empty-state">No repositories found</div>';
         }
@@ -184,28 +247,45 @@ async function loadRepositories() {
     }
 }
 
-function renderRepoList(repos) {
+// accounts and warnings come with the all-accounts listing: repos are grouped under their
+// account when there is more than one, and accounts that could not be reached are noted
+function renderRepoList(repos, truncated = false, accounts = [], warnings = []) {
     const repoList = document.getElementById('repo-list');
+    const notes = warnings.map(warning => `<div class="list-note">Could not list ${warning}</div>`).join('');
     if (repos.length === 0) {
-        repoList.innerHTML = '<div class="empty-state">No repositories found</div>';
+        repoList.innerHTML = '<div class="empty-state">No repositories found</div>' + notes;
         return;
     }
 
     let html = '';
+    let group = null;
     repos.forEach(repo => {
         const icon = repo.private ? '🔒' : '';
         const repoId = repo.fullName.replace('/', '-');
+        if (accounts.length > 1 && repo.account !== group) {
+            group = repo.account;
+            const account = accounts.find(a => a.id === group);
+            html += `<div class="repo-group">${group}${account ? ` (${account.provider})` : ''}</div>`;
+        }
         html += `
             <div class="repo-item" data-repo-name="${repo.fullName}" onclick="selectRepository('${repo.fullName}')">
                 ${icon}${icon ? ' ' : ''}${repo.name}
             </div>
         `;
     });
-    repoList.innerHTML = html;
+    if (truncated) {
+        html += `<div class="list-note">Showing the first ${repos.length} repositories; there are more.</div>`;
+    }
+    repoList.innerHTML = html + notes;
     htmx.process(repoList);
 }
 
 async function selectRepository(repoFullName) {
+    // Keep the selected branch when refreshing the same repo
+    if (repoFullName !== currentRepo) {
+        currentBranch = null;
+    }
+
     // Remove active class from all repos
     document.querySelectorAll('.repo-item').forEach(item => {
         item.classList.remove('expanded');
@@ -224,19 +304,85 @@ async function selectRepository(repoFullName) {
     currentFile = null;
     document.getElementById('editor').value = '';
     document.getElementById('editor').disabled = true;
+    resetHistoryView();
+    hideFilePreview();
+
+    document.getElementById('settings-toggle').disabled = false;
+    if (settingsOpen) {
+        loadSettings();
+    }
+
+    await loadBranches(repoFullName);
+    await loadFilesList();
+}
+
+// Load the branch dropdown and fall back to the default branch if needed
+async function loadBranches(repoFullName) {
+    try {
+        const response = await fetch(`/branches?repo=${encodeURIComponent(repoFullName)}`);
+        const data = await response.json();
+
+        if (data.error || !data.branches) {
+            console.error('Error loading branches:', data.error);
+            renderBranchSelect([]);
+            return;
+        }
+
+        if (!currentBranch || !data.branches.some(b => b.name === currentBranch)) {
+            currentBranch = data.defaultBranch;
+        }
+        renderBranchSelect(data.branches, data.truncated);
+    } catch (error) {
+        console.error('Error loading branches:', error.message);
+        renderBranchSelect([]);
+    }
+}
+
+function renderBranchSelect(branches, truncated = false) {
+    const branchSelect = document.getElementById('branch-select');
+    if (!branchSelect) return;
+
+    if (branches.length === 0) {
+        branchSelect.innerHTML = `<option value="">${currentRepo ? 'Default branch' : 'No repository selected'}</option>`;
+        branchSelect.disabled = true;
+        return;
+    }
+
+    branchSelect.innerHTML = branches.map(branch => `
+        <option value="${escapeHtml(branch.name)}" ${branch.name === currentBranch ? 'selected' : ''}>
+            ${escapeHtml(branch.name)}${branch.isDefault ? ' (default)' : ''}
+        </option>
+    `).join('') + (truncated ? '<option value="" disabled>More branches not shown</option>' : '');
+    branchSelect.disabled = false;
+}
+
+async function selectBranch(branchName) {
+    currentBranch = branchName || null;
+
+    // The open file may not exist on the new branch
+    currentFile = null;
+    document.getElementById('editor').value = '';
+    document.getElementById('editor').disabled = true;
+    resetHistoryView();
+    hideFilePreview();
 
-    // Load files for this repository
+    await loadFilesList();
+}
+
+// Load files for the current repository and branch
+async function loadFilesList() {
     const filesList = document.getElementById('files-list');
     filesList.innerHTML = '';
 
     try {
-        const response = await fetch(`/files?repo=${encodeURIComponent(repoFullName)}`);
+        const refParam = currentBranch ? `&ref=${encodeURIComponent(currentBranch)}` : '';
+        const response = await fetch(`/files?repo=${encodeURIComponent(currentRepo)}${refParam}`);
         const data = await response.json();
 
         if (data.error) {
             filesList.innerHTML = `<div class="status error">${data.error}</div>`;
         } else if (data.files) {
-            renderFilesList(data.files);
+            renderFilesList(data.files, data.truncated);
         } else {
             filesList.innerHTML = '<div class="empty-state">No files found</div>';
         }
@@ -245,7 +391,7 @@ async function selectRepository(repoFullName) {
     }
 }
 
-function renderFilesList(files) {
+function renderFilesList(files, truncated = false) {
     const filesList = document.getElementById('files-list');
     
     if (files.length === 0) {
@@ -260,20 +406,117 @@ function renderFilesList(files) {
             html += `
                 <div class="file-item ${isActive}" data-file-path="${file.path}" onclick="loadFile('${file.path}')">
                     ${file.name}
+                    <span class="item-action" onclick="event.stopPropagation(); renameItem('${file.path}', false)">Rename</span>
                 </div>
             `;
         } else if (file.type === 'dir') {
             html += `
                 <div class="dir-item">
                     ${file.name}/
+                    <span class="item-action" onclick="event.stopPropagation(); renameItem('${file.path}', true)">Rename</span>
                 </div>
             `;
         }
     });
+    if (truncated) {
+        html += `<div class="list-note">Showing the first ${files.length} entries; ask the chat to list the full tree.</div>`;
+    }
     filesList.innerHTML = html;
 }
 
 
+// Move or rename a file or directory from the files sidebar
+async function renameItem(path, isDirectory) {
+    if (!currentRepo) return;
+
+    const input = prompt(`Move or rename ${path}${isDirectory ? '/' : ''} to:`, path);
+    const newPath = input ? input.trim() : '';
+    if (!newPath || newPath === path) return;
+
+    const chatMessages = document.getElementById('chat-messages');
+    const userMsg = document.createElement('div');
+    userMsg.className = 'message user';
+    userMsg.textContent = `Move ${path} to ${newPath}`;
+    chatMessages.appendChild(userMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    await moveItem(currentRepo, currentBranch, path, newPath, isDirectory, false);
+}
+
+async function moveItem(repo, branch, path, newPath, isDirectory, overwrite) {
+    const chatMessages = document.getElementById('chat-messages');
+
+    const loadingMsg = document.createElement('div');
+    loadingMsg.className = 'message assistant';
+    loadingMsg.innerHTML = '<span class="loading"></span> Moving...';
+    chatMessages.appendChild(loadingMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+        const response = await fetch('/move', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify({ repo, ref: branch, path, newPath, directory: isDirectory, overwrite })
+        });
+        const result = await response.json();
+        loadingMsg.remove();
+
+        // Existing destinations are only replaced once the user agrees
+        if (result.conflicts && !overwrite) {
+            const shown = result.conflicts.slice(0, 10).join('\n');
+            const more = result.conflicts.length > 10 ? `\n...and ${result.conflicts.length - 10} more` : '';
+            if (confirm(`These files already exist and would be overwritten:\n\n${shown}${more}\n\nOverwrite them?`)) {
+                await moveItem(repo, branch, path, newPath, isDirectory, true);
+                return;
+            }
+            const cancelMsg = document.createElement('div');
+            cancelMsg.className = 'message system';
+            cancelMsg.textContent = ' Move cancelled';
+            chatMessages.appendChild(cancelMsg);
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+            return;
+        }
+
+        const resultMsg = document.createElement('div');
+        if (result.error) {
+            resultMsg.className = 'message system';
+            resultMsg.textContent = ` Error: ${result.error}`;
+        } else {
+            resultMsg.className = 'message assistant';
+            resultMsg.textContent = ` ${result.success}`;
+            followMove(repo, result.path, result.newPath, isDirectory);
+        }
+        chatMessages.appendChild(resultMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    } catch (error) {
+        loadingMsg.remove();
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'message system';
+        errorMsg.textContent = ` Error: ${error.message}`;
+        chatMessages.appendChild(errorMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+// Keep the open file in the editor when it, or a directory containing it, was moved.
+// A pure rename keeps the blob, so the loaded content and SHA stay valid.
+function followMove(repo, path, newPath, isDirectory) {
+    if (repo !== currentRepo) return;
+
+    if (currentFile && currentFile.repo === repo) {
+        if (!isDirectory && currentFile.path === path) {
+            currentFile.path = newPath;
+        } else if (isDirectory && currentFile.path.startsWith(`${path}/`)) {
+            currentFile.path = newPath + currentFile.path.substring(path.length);
+        }
+        if (historyOpen) {
+            loadHistory();
+        }
+    }
+
+    loadFilesList();
+}
+
 // Create new file in specific repo
 function createNewFileInRepo(repoFullName) {
     const chatInput = document.getElementById('chat-input');
@@ -297,7 +540,8 @@ async function loadFile(filePath) {
     console.log('Loading file:', filePath);
 
     try {
-        const response = await fetch(`/file?repo=${encodeURIComponent(currentRepo)}&path=${encodeURIComponent(filePath)}`);
+        const refParam = currentBranch ? `&ref=${encodeURIComponent(currentBranch)}` : '';
+        const response = await fetch(`/file?repo=${encodeURIComponent(currentRepo)}&path=${encodeURIComponent(filePath)}${refParam}`);
         const data = await response.json();
 
         if (data.error) {
@@ -307,14 +551,33 @@ async function loadFile(filePath) {
 
         currentFile = {
             repo: currentRepo,
+            branch: currentBranch,
             path: filePath,
             content: data.content,
-            sha: data.sha
+            sha: data.sha,
+            binary: Boolean(data.binary)
         };
 
         // File loaded successfully
-        document.getElementById('editor').value = data.content;
-        document.getElementById('editor').disabled = false;
+        if (settingsOpen) {
+            closeSettings();
+        }
+        if (data.binary) {
+            document.getElementById('editor').value = '';
+            document.getElementById('editor').disabled = true;
+            showFilePreview(data, currentBranch);
+        } else {
+            hideFilePreview();
+            document.getElementById('editor').value = data.content;
+            document.getElementById('editor').disabled = false;
+        }
+
+        viewingRevision = null;
+        document.getElementById('revision-banner').style.display = 'none';
+        document.getElementById('history-toggle').disabled = false;
+        if (historyOpen) {
+            loadHistory();
+        }
 
         // Update active file highlighting
         document.querySelectorAll('.file-item').forEach(item => {
@@ -331,48 +594,194 @@ async function loadFile(filePath) {
     }
 }
 
-let pendingCommit = false;
+// Binary files get an image preview or a download panel instead of the text editor
+function showFilePreview(file, ref) {
+    const refParam = ref ? `&ref=${encodeURIComponent(ref)}` : '';
+    const rawUrl = `/file/raw?repo=${encodeURIComponent(currentFile.repo)}&path=${encodeURIComponent(currentFile.path)}${refParam}`;
+    const preview = document.getElementById('file-preview');
 
-async function saveFile() {
+    let html = '';
+    if (file.mimeType.startsWith('image/')) {
+        html += `<img src="${rawUrl}" alt="${currentFile.path}">`;
+    }
+    html += `
+        <div class="file-preview-info">
+            Binary file, ${file.size.toLocaleString()} bytes<br>
+            <a class="toolbar-btn" href="${rawUrl}&download=1">Download</a>
+        </div>
+    `;
+    preview.innerHTML = html;
+    preview.style.display = 'flex';
+    document.getElementById('editor').style.display = 'none';
+}
+
+function hideFilePreview() {
+    const preview = document.getElementById('file-preview');
+    preview.innerHTML = '';
+    preview.style.display = 'none';
+    document.getElementById('editor').style.display = '';
+}
+
+// Clear the history timeline when no file is open
+function resetHistoryView() {
+    viewingRevision = null;
+    document.getElementById('revision-banner').style.display = 'none';
+    document.getElementById('history-toggle').disabled = true;
+    document.getElementById('history-panel').innerHTML = '';
+}
+
+async function toggleHistory() {
+    historyOpen = !historyOpen;
+    document.getElementById('history-toggle').classList.toggle('active', historyOpen);
+    document.getElementById('history-panel').style.display = historyOpen ? 'block' : 'none';
+
+    if (historyOpen) {
+        await loadHistory();
+    }
+}
+
+// Load the commit timeline of the open file
+async function loadHistory() {
+    const historyPanel = document.getElementById('history-panel');
+    if (!currentFile) {
+        historyPanel.innerHTML = '';
+        return;
+    }
+
+    historyPanel.innerHTML = '<div class="empty-state"><span class="loading"></span></div>';
+
+    try {
+        const refParam = currentFile.branch ? `&ref=${encodeURIComponent(currentFile.branch)}` : '';
+        const response = await fetch(`/commits?repo=${encodeURIComponent(currentFile.repo)}&path=${encodeURIComponent(currentFile.path)}${refParam}`);
+        const data = await response.json();
+
+        if (data.error) {
+            historyPanel.innerHTML = `<div class="status error">${data.error}</div>`;
+        } else if (!data.commits || data.commits.length === 0) {
+            historyPanel.innerHTML = '<div class="empty-state">No history</div>';
+        } else {
+            renderHistory(data.commits);
+        }
+    } catch (error) {
+        historyPanel.innerHTML = `<div class="status error">Error: ${error.message}</div>`;
+    }
+}
+
+// Escape text taken from the API before putting it into innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderHistory(commits) {
+    const historyPanel = document.getElementById('history-panel');
+
+    let html = '';
+    commits.forEach((commit, index) => {
+        // The newest commit is the version already open in the editor
+        const isActive = viewingRevision ? viewingRevision.sha === commit.sha : index === 0;
+        const sha = escapeHtml(commit.sha);
+        const onClick = index === 0 ? 'showLatestVersion()' : `viewRevision('${sha}')`;
+        html += `
+            <div class="history-item ${isActive ? 'active' : ''}" data-sha="${sha}" onclick="${onClick}">
+                <span class="history-sha">${escapeHtml(commit.shortSha)}</span> ${escapeHtml(commit.message)}<br>
+                <span class="history-meta">${escapeHtml(commit.author)}, ${escapeHtml(new Date(commit.date).toLocaleString())}</span>
+            </div>
+        `;
+    });
+    historyPanel.innerHTML = html;
+}
+
+// Show the file as it was at an older commit (read-only)
+async function viewRevision(sha) {
     if (!currentFile) return;
 
-    const content = document.getElementById('editor').value;
-    const defaultMessage = `Update ${currentFile.path}`;
-    
-    // Send to chat as AI command
+    const editor = document.getElementById('editor');
+    if (!viewingRevision && !currentFile.binary && editor.value !== currentFile.content &&
+        !confirm('You have unsaved changes in the editor. Discard them and view this version?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/file?repo=${encodeURIComponent(currentFile.repo)}&path=${encodeURIComponent(currentFile.path)}&ref=${encodeURIComponent(sha)}`);
+        const data = await response.json();
+
+        if (data.error) {
+            console.error('Error loading revision:', data.error);
+            return;
+        }
+
+        viewingRevision = { sha };
+        editor.disabled = true;
+        if (data.binary) {
+            editor.value = '';
+            showFilePreview(data, sha);
+        } else {
+            hideFilePreview();
+            editor.value = data.content;
+        }
+
+        document.querySelectorAll('.history-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.sha === sha);
+        });
+
+        const banner = document.getElementById('revision-banner');
+        banner.innerHTML = `
+            Viewing <strong>${currentFile.path}</strong> at <strong>${sha.substring(0, 7)}</strong> (read-only)<br>
+            ${data.binary ? '' : '<button class="toolbar-btn" onclick="restoreRevision()">Restore this version</button>'}
+            <button class="toolbar-btn" onclick="showLatestVersion()">Back to latest</button>
+        `;
+        banner.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading revision:', error.message);
+    }
+}
+
+function showLatestVersion() {
+    if (currentFile && viewingRevision) {
+        loadFile(currentFile.path);
+    }
+}
+
+// Commit the version being viewed back as the latest content
+async function restoreRevision() {
+    if (!currentFile || !viewingRevision) return;
+
+    const sha = viewingRevision.sha;
     const chatMessages = document.getElementById('chat-messages');
-    const chatInput = document.getElementById('chat-input');
-    
-    // Show in chat what we're doing
+
     const userMsg = document.createElement('div');
     userMsg.className = 'message user';
-    userMsg.textContent = `Save file ${currentFile.path}`;
+    userMsg.textContent = `Restore ${currentFile.path} to ${sha.substring(0, 7)}`;
     chatMessages.appendChild(userMsg);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
 
     const loadingMsg = document.createElement('div');
     loadingMsg.className = 'message assistant';
-    loadingMsg.innerHTML = '<span class="loading"></span> Saving file...';
-    loadingMsg.id = 'save-loading';
+    loadingMsg.innerHTML = '<span class="loading"></span> Restoring file...';
+    loadingMsg.id = 'restore-loading';
     chatMessages.appendChild(loadingMsg);
     chatMessages.scrollTop = chatMessages.scrollHeight;
 
     try {
-        const response = await fetch('/commit', {
+        const response = await fetch('/restore', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
             body: JSON.stringify({
                 repo: currentFile.repo,
-                content: content,
-                filePath: currentFile.path,
-                message: defaultMessage
+                ref: currentFile.branch,
+                path: currentFile.path,
+                sha
             })
         });
 
         const result = await response.json();
 
-        const saveMsgEl = document.getElementById('save-loading');
-        if (saveMsgEl) saveMsgEl.remove();
+        const restoreMsgEl = document.getElementById('restore-loading');
+        if (restoreMsgEl) restoreMsgEl.remove();
 
         const resultMsg = document.createElement('div');
         if (result.error) {
@@ -380,16 +789,16 @@ async function saveFile() {
             resultMsg.textContent = ` Error: ${result.error}`;
         } else {
             resultMsg.className = 'message assistant';
-            resultMsg.textContent = ` File saved successfully!`;
-            // Reload the file to get new SHA
+            resultMsg.textContent = ` ${result.success}`;
+            // Reload the file to show the restored content and the new commit
             setTimeout(() => loadFile(currentFile.path), 500);
         }
         chatMessages.appendChild(resultMsg);
         chatMessages.scrollTop = chatMessages.scrollHeight;
 
     } catch (error) {
-        const saveMsgEl = document.getElementById('save-loading');
-        if (saveMsgEl) saveMsgEl.remove();
+        const restoreMsgEl = document.getElementById('restore-loading');
+        if (restoreMsgEl) restoreMsgEl.remove();
 
         const errorMsg = document.createElement('div');
         errorMsg.className = 'message system';
@@ -399,56 +808,342 @@ async function saveFile() {
     }
 }
 
-function handleChatSubmit(event) {
-    const input = document.getElementById('chat-input');
-    const message = input.value.trim();
-    
-    if (!message) {
-        event.preventDefault();
+// Show the settings of the selected repository in place of the editor
+async function toggleSettings() {
+    if (settingsOpen) {
+        closeSettings();
         return;
     }
+    if (!currentRepo) return;
 
-    // Check for direct tool list request
-    const lowerMessage = message.toLowerCase();
-    if (lowerMessage === 'list tools' || lowerMessage === 'show tools' || 
-        lowerMessage === 'what can you do' || lowerMessage === 'what can you do?' ||
-        lowerMessage === 'help' || lowerMessage === 'tools') {
-        event.preventDefault();
-        
-        const chatMessages = document.getElementById('chat-messages');
-        
-        // Add user message to chat
-        const userMsg = document.createElement('div');
-        userMsg.className = 'message user';
-        userMsg.textContent = message;
-        chatMessages.appendChild(userMsg);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-        
-        // Add to history
-        chatHistory.push({
-            role: 'user',
-            parts: [{ text: message }]
-        });
-        
-        // Clear input
-        input.value = '';
-        
-        // Show the tools list directly
-        showToolsList();
-        
-        // Add assistant response to history
-        chatHistory.push({
-            role: 'model',
-            parts: [{ text: 'Here are the available tools...' }]
-        });
-        
+    settingsOpen = true;
+    document.getElementById('settings-toggle').classList.add('active');
+    document.querySelector('.editor-body').style.display = 'none';
+    document.getElementById('settings-panel').style.display = 'block';
+    await loadSettings();
+}
+
+function closeSettings() {
+    settingsOpen = false;
+    repoSettings = null;
+    document.getElementById('settings-toggle').classList.remove('active');
+    document.querySelector('.editor-body').style.display = '';
+    const settingsPanel = document.getElementById('settings-panel');
+    settingsPanel.style.display = 'none';
+    settingsPanel.innerHTML = '';
+}
+
+async function loadSettings() {
+    const settingsPanel = document.getElementById('settings-panel');
+    settingsPanel.innerHTML = '<div class="empty-state"><span class="loading"></span></div>';
+
+    try {
+        const [settingsResponse, branchesResponse] = await Promise.all([
+            fetch(`/repo-settings?repo=${encodeURIComponent(currentRepo)}`),
+            fetch(`/branches?repo=${encodeURIComponent(currentRepo)}`)
+        ]);
+        const data = await settingsResponse.json();
+        const branchData = await branchesResponse.json();
+
+        if (data.error) {
+            settingsPanel.innerHTML = `<div class="status error">${data.error}</div>`;
+            return;
+        }
+
+        repoSettings = data.settings;
+        renderSettings(data.settings, branchData.branches || []);
+    } catch (error) {
+        settingsPanel.innerHTML = `<div class="status error">Error: ${error.message}</div>`;
+    }
+}
+
+function renderSettings(settings, branches) {
+    const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const checkbox = (id, label, checked) => `
+        <label class="settings-check"><input type="checkbox" id="${id}" ${checked ? 'checked' : ''}> ${label}</label>
+    `;
+    const branchNames = branches.length > 0 ? branches.map(b => b.name) : [settings.defaultBranch];
+
+    document.getElementById('settings-panel').innerHTML = `
+        <label class="settings-label" for="settings-name">Name</label>
+        <input id="settings-name" class="settings-input" value="${attr(settings.name)}">
+
+        <label class="settings-label" for="settings-description">Description</label>
+        <input id="settings-description" class="settings-input" value="${attr(settings.description)}">
+
+        <label class="settings-label" for="settings-homepage">Homepage</label>
+        <input id="settings-homepage" class="settings-input" value="${attr(settings.homepage)}">
+
+        <label class="settings-label" for="settings-topics">Topics (comma separated)</label>
+        <input id="settings-topics" class="settings-input" value="${attr(settings.topics.join(', '))}">
+
+        <label class="settings-label" for="settings-visibility">Visibility</label>
+        <select id="settings-visibility" class="settings-input">
+            <option value="public" ${settings.private ? '' : 'selected'}>Public</option>
+            <option value="private" ${settings.private ? 'selected' : ''}>Private</option>
+        </select>
+
+        <label class="settings-label" for="settings-default-branch">Default branch</label>
+        <select id="settings-default-branch" class="settings-input">
+            ${branchNames.map(name => `<option value="${attr(name)}" ${name === settings.defaultBranch ? 'selected' : ''}>${attr(name)}</option>`).join('')}
+        </select>
+
+        <div class="settings-label">Merge button</div>
+        ${checkbox('settings-merge-commit', 'Allow merge commits', settings.allowMergeCommit)}
+        ${checkbox('settings-squash-merge', 'Allow squash merging', settings.allowSquashMerge)}
+        ${checkbox('settings-rebase-merge', 'Allow rebase merging', settings.allowRebaseMerge)}
+        ${checkbox('settings-delete-branch', 'Delete head branches after merging', settings.deleteBranchOnMerge)}
+
+        <div class="settings-label">Archive</div>
+        ${checkbox('settings-archived', 'Archived (read-only)', settings.archived)}
+
+        <div class="editor-toolbar settings-actions">
+            <button class="toolbar-btn" onclick="saveSettings()">Save Settings</button>
+            <button class="toolbar-btn" onclick="closeSettings()">Cancel</button>
+        </div>
+    `;
+}
+
+async function saveSettings() {
+    if (!currentRepo || !repoSettings) return;
+
+    const topics = document.getElementById('settings-topics').value
+        .split(',').map(topic => topic.trim()).filter(Boolean);
+    const form = {
+        name: document.getElementById('settings-name').value.trim(),
+        description: document.getElementById('settings-description').value,
+        homepage: document.getElementById('settings-homepage').value.trim(),
+        private: document.getElementById('settings-visibility').value === 'private',
+        defaultBranch: document.getElementById('settings-default-branch').value,
+        allowMergeCommit: document.getElementById('settings-merge-commit').checked,
+        allowSquashMerge: document.getElementById('settings-squash-merge').checked,
+        allowRebaseMerge: document.getElementById('settings-rebase-merge').checked,
+        deleteBranchOnMerge: document.getElementById('settings-delete-branch').checked,
+        archived: document.getElementById('settings-archived').checked
+    };
+
+    // Only send what changed so an archived repo can be unarchived on its own
+    const changes = {};
+    Object.entries(form).forEach(([key, value]) => {
+        if (value !== repoSettings[key]) changes[key] = value;
+    });
+    if (topics.join(',') !== repoSettings.topics.join(',')) {
+        changes.topics = topics;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        closeSettings();
+        return;
+    }
+    if (changes.private === false &&
+        !confirm(`Make ${currentRepo} public? Everyone will be able to see its code.`)) {
         return;
     }
 
-    // Check if we're waiting for deletion confirmation
-    if (pendingDeletion) {
-        event.preventDefault();
+    const chatMessages = document.getElementById('chat-messages');
+    const loadingMsg = document.createElement('div');
+    loadingMsg.className = 'message assistant';
+    loadingMsg.innerHTML = '<span class="loading"></span> Saving repository settings...';
+    loadingMsg.id = 'settings-loading';
+    chatMessages.appendChild(loadingMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+        const response = await fetch('/repo-settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify({ repo: currentRepo, ...changes })
+        });
+
+        const result = await response.json();
+
+        const settingsMsgEl = document.getElementById('settings-loading');
+        if (settingsMsgEl) settingsMsgEl.remove();
+
+        const resultMsg = document.createElement('div');
+        if (result.error) {
+            resultMsg.className = 'message system';
+            resultMsg.textContent = ` Error: ${result.error}`;
+        } else {
+            resultMsg.className = 'message assistant';
+            resultMsg.textContent = ` ${result.success}`;
+            if (result.renamed) {
+                await applyRepoRename(result.previousRepo, result.repo);
+            } else if (changes.private !== undefined) {
+                // The lock icon in the repo list shows the visibility
+                loadRepositories();
+            }
+            if (changes.defaultBranch) {
+                loadBranches(currentRepo);
+            }
+            loadSettings();
+        }
+        chatMessages.appendChild(resultMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    } catch (error) {
+        const settingsMsgEl = document.getElementById('settings-loading');
+        if (settingsMsgEl) settingsMsgEl.remove();
+
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'message system';
+        errorMsg.textContent = ` Error: ${error.message}`;
+        chatMessages.appendChild(errorMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+// Point the selection and the repo list at a repository's new name
+async function applyRepoRename(previousRepo, newRepo) {
+    if (currentRepo === previousRepo) {
+        currentRepo = newRepo;
+        if (currentFile && currentFile.repo === previousRepo) {
+            currentFile.repo = newRepo;
+        }
+    }
+
+    await loadRepositories();
+
+    const selectedRepo = currentRepo && document.querySelector(`.repo-item[data-repo-name="${currentRepo}"]`);
+    if (selectedRepo) {
+        selectedRepo.classList.add('expanded');
+    }
+}
+
+// Open a code search hit from the chat and jump to the matching line
+async function openSearchResult(element) {
+    const { repo, path, term } = element.dataset;
+
+    // Search only covers the default branch
+    if (repo === currentRepo) {
+        currentBranch = null;
+    }
+    await selectRepository(repo);
+    await loadFile(path);
+
+    if (!currentFile || currentFile.path !== path) return;
+    jumpToText(term);
+}
+
+function jumpToText(term) {
+    const editor = document.getElementById('editor');
+    const lines = editor.value.split('\n');
+    const lineIndex = lines.findIndex(line => line.includes(term));
+    if (lineIndex === -1) return;
+
+    const start = lines.slice(0, lineIndex).reduce((offset, line) => offset + line.length + 1, 0);
+    editor.focus();
+    editor.setSelectionRange(start, start + lines[lineIndex].length);
+
+    const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+    editor.scrollTop = Math.max(0, (lineIndex - 3) * lineHeight);
+}
+
+let pendingCommit = false;
+
+async function saveFile() {
+    // The editor only holds text, so saving it over a binary would corrupt the file
+    if (!currentFile || viewingRevision || currentFile.binary) return;
+
+    const content = document.getElementById('editor').value;
+    const defaultMessage = `Update ${currentFile.path}`;
+    
+    // Send to chat as AI command
+    const chatMessages = document.getElementById('chat-messages');
+    const chatInput = document.getElementById('chat-input');
+    
+    // Show in chat what we're doing
+    const userMsg = document.createElement('div');
+    userMsg.className = 'message user';
+    userMsg.textContent = `Save file ${currentFile.path}`;
+    chatMessages.appendChild(userMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    const loadingMsg = document.createElement('div');
+    loadingMsg.className = 'message assistant';
+    loadingMsg.innerHTML = '<span class="loading"></span> Saving file...';
+    loadingMsg.id = 'save-loading';
+    chatMessages.appendChild(loadingMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+        const response = await fetch('/commit', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify({
+                repo: currentFile.repo,
+                ref: currentFile.branch,
+                content: content,
+                filePath: currentFile.path,
+                message: defaultMessage
+            })
+        });
+
+        const result = await response.json();
+
+        const saveMsgEl = document.getElementById('save-loading');
+        if (saveMsgEl) saveMsgEl.remove();
+
+        const resultMsg = document.createElement('div');
+        if (result.error) {
+            resultMsg.className = 'message system';
+            resultMsg.textContent = ` Error: ${result.error}`;
+        } else {
+            resultMsg.className = 'message assistant';
+            resultMsg.textContent = ` File saved successfully!`;
+            // Reload the file to get new SHA
+            setTimeout(() => loadFile(currentFile.path), 500);
+        }
+        chatMessages.appendChild(resultMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    } catch (error) {
+        const saveMsgEl = document.getElementById('save-loading');
+        if (saveMsgEl) saveMsgEl.remove();
+
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'message system';
+        errorMsg.textContent = ` Error: ${error.message}`;
+        chatMessages.appendChild(errorMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+function handleChatSubmit(event) {
+    event.preventDefault();
+
+    const input = document.getElementById('chat-input');
+    const message = input.value.trim();
+    
+    if (!message || chatStream) {
+        return;
+    }
+
+    // Check for direct tool list request
+    const lowerMessage = message.toLowerCase();
+    if (lowerMessage === 'list tools' || lowerMessage === 'show tools' || 
+        lowerMessage === 'what can you do' || lowerMessage === 'what can you do?' ||
+        lowerMessage === 'help' || lowerMessage === 'tools') {
+        const chatMessages = document.getElementById('chat-messages');
         
+        // Add user message to chat
+        const userMsg = document.createElement('div');
+        userMsg.className = 'message user';
+        userMsg.textContent = message;
+        chatMessages.appendChild(userMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        
+        // Clear input
+        input.value = '';
+        
+        // Show the tools list directly
+        showToolsList();
+        
+        return;
+    }
+
+    // Check if we're waiting for deletion confirmation
+    if (pendingDeletion) {
         const chatMessages = document.getElementById('chat-messages');
         
         // Add user message to chat
@@ -463,27 +1158,103 @@ function handleChatSubmit(event) {
         
         if (message.toLowerCase() === 'yes') {
             const isFileDelete = pendingDeletionType === 'file';
+            const isCollaboratorRemoval = pendingDeletionType === 'collaborator';
+            const isMove = pendingDeletionType === 'move';
             const itemType = isFileDelete ? 'file' : 'repository';
             
             // Execute the deletion via direct endpoint
             const loadingMsg = document.createElement('div');
             loadingMsg.className = 'message assistant';
-            loadingMsg.innerHTML = `<span class="loading"></span> Deleting ${itemType}...`;
+            if (isMove) {
+                loadingMsg.innerHTML = '<span class="loading"></span> Moving...';
+            } else {
+                loadingMsg.innerHTML = isCollaboratorRemoval
+                    ? '<span class="loading"></span> Removing collaborator...'
+                    : `<span class="loading"></span> Deleting ${itemType}...`;
+            }
             loadingMsg.id = 'delete-loading';
             chatMessages.appendChild(loadingMsg);
             chatMessages.scrollTop = chatMessages.scrollHeight;
             
-            if (isFileDelete) {
+            if (isMove) {
+                const [repo, path, newPath, branch, kind] = pendingDeletion.split(':::');
+
+                fetch('/move', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+                    body: JSON.stringify({ repo, ref: branch || null, path, newPath, directory: kind === 'dir', overwrite: true })
+                })
+                .then(response => response.json())
+                .then(result => {
+                    const deleteMsgEl = document.getElementById('delete-loading');
+                    if (deleteMsgEl) deleteMsgEl.remove();
+
+                    const resultMsg = document.createElement('div');
+                    if (result.error) {
+                        resultMsg.className = 'message system';
+                        resultMsg.textContent = ` Error: ${result.error}`;
+                    } else {
+                        resultMsg.className = 'message assistant';
+                        resultMsg.textContent = ` ${result.success}`;
+                        followMove(repo, result.path, result.newPath, kind === 'dir');
+                    }
+                    chatMessages.appendChild(resultMsg);
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                })
+                .catch(error => {
+                    const deleteMsgEl = document.getElementById('delete-loading');
+                    if (deleteMsgEl) deleteMsgEl.remove();
+
+                    const errorMsg = document.createElement('div');
+                    errorMsg.className = 'message system';
+                    errorMsg.textContent = ` Error: ${error.message}`;
+                    chatMessages.appendChild(errorMsg);
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                });
+            } else if (isCollaboratorRemoval) {
+                const [repo, username] = pendingDeletion.split(':::');
+
+                fetch('/collaborators/remove', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+                    body: JSON.stringify({ repo, username })
+                })
+                .then(response => response.json())
+                .then(result => {
+                    const deleteMsgEl = document.getElementById('delete-loading');
+                    if (deleteMsgEl) deleteMsgEl.remove();
+
+                    const resultMsg = document.createElement('div');
+                    if (result.error) {
+                        resultMsg.className = 'message system';
+                        resultMsg.textContent = ` Error: ${result.error}`;
+                    } else {
+                        resultMsg.className = 'message assistant';
+                        resultMsg.textContent = ` ${result.success}`;
+                    }
+                    chatMessages.appendChild(resultMsg);
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                })
+                .catch(error => {
+                    const deleteMsgEl = document.getElementById('delete-loading');
+                    if (deleteMsgEl) deleteMsgEl.remove();
+
+                    const errorMsg = document.createElement('div');
+                    errorMsg.className = 'message system';
+                    errorMsg.textContent = ` Error: ${error.message}`;
+                    chatMessages.appendChild(errorMsg);
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                });
+            } else if (isFileDelete) {
                 // Parse repo and path from pendingDeletion
                 const [repo, path] = pendingDeletion.split(':::');
                 
                 // Call delete_file via executeTool
                 fetch('/chat', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
                     body: JSON.stringify({ 
-                        message: `FORCE_DELETE_FILE:${repo}:${path}`,
-                        history: chatHistory
+                        message: `FORCE_DELETE_FILE:${repo}:::${path}`
                     })
                 })
                 .then(response => response.json())
@@ -504,6 +1275,8 @@ function handleChatSubmit(event) {
                             currentFile = null;
                             document.getElementById('editor').value = '';
                             document.getElementById('editor').disabled = true;
+                            resetHistoryView();
+                            hideFilePreview();
                             setTimeout(() => selectRepository(currentRepo), 500);
                         }
                     }
@@ -524,7 +1297,7 @@ function handleChatSubmit(event) {
                 // Call the delete repo endpoint directly
                 fetch('/delete', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
                     body: JSON.stringify({ repo: pendingDeletion })
                 })
                 .then(response => response.json())
@@ -548,7 +1321,9 @@ function handleChatSubmit(event) {
                         
                         // Clear state
                         currentRepo = null;
+                        currentBranch = null;
                         currentFile = null;
+                        renderBranchSelect([]);
                         
                         // Clear files list
                         const filesList = document.getElementById('files-list');
@@ -558,6 +1333,8 @@ function handleChatSubmit(event) {
                         const editor = document.getElementById('editor');
                         editor.value = '';
                         editor.disabled = true;
+                        resetHistoryView();
+                        hideFilePreview();
                         
                         // Update editor title
                         const editorPanel = document.querySelector('.editor-panel h2');
@@ -591,7 +1368,8 @@ function handleChatSubmit(event) {
             // Cancelled
             const cancelMsg = document.createElement('div');
             cancelMsg.className = 'message system';
-            cancelMsg.textContent = ' Deletion cancelled';
+            const cancelled = { collaborator: 'Removal', move: 'Move' }[pendingDeletionType] || 'Deletion';
+            cancelMsg.textContent = ` ${cancelled} cancelled`;
             chatMessages.appendChild(cancelMsg);
             chatMessages.scrollTop = chatMessages.scrollHeight;
             pendingDeletion = null;
@@ -602,18 +1380,14 @@ function handleChatSubmit(event) {
     }
 
     // Normal message flow
+    const body = chatRequestBody(message);
+
     // Add user message to chat
     const chatMessages = document.getElementById('chat-messages');
     const userMsg = document.createElement('div');
     userMsg.className = 'message user';
     userMsg.textContent = message;
     chatMessages.appendChild(userMsg);
-    
-    // Add to history
-    chatHistory.push({
-        role: 'user',
-        parts: [{ text: message }]
-    });
 
     // Scroll to bottom
     chatMessages.scrollTop = chatMessages.scrollHeight;
@@ -628,103 +1402,294 @@ function handleChatSubmit(event) {
     loadingMsg.id = 'loading-msg';
     chatMessages.appendChild(loadingMsg);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    streamChat(body);
 }
 
-function handleChatResponse(event) {
-    const chatMessages = document.getElementById('chat-messages');
+// The /chat request for a message: its conversation, what is open in the editor and any pending action
+function chatRequestBody(message) {
+    const body = {
+        message,
+        conversationId: currentConversationId,
+        context: {
+            currentRepo: currentRepo,
+            currentBranch: currentBranch,
+            currentOwner: currentOwner,
+            currentFile: currentFile ? {
+                repo: currentFile.repo,
+                path: currentFile.path,
+                binary: currentFile.binary,
+                content: currentFile.binary ? null : document.getElementById('editor').value
+            } : null
+        }
+    };
+    if (pendingAction) {
+        body.pendingAction = pendingAction;
+    }
+    return body;
+}
 
-    // Remove loading message
+// Sends a message to /chat/stream and shows the reply as it comes in: the model's words in the
+// loading message, each tool call in a step log above it, then the final response
+async function streamChat(body) {
+    const chatMessages = document.getElementById('chat-messages');
     const loadingMsg = document.getElementById('loading-msg');
-    if (loadingMsg) {
+    const controller = new AbortController();
+    let stepsLog = null;
+    let runningStep = null;
+    let finished = false;
+
+    chatStream = controller;
+    setChatBusy(true);
+
+    const handleEvent = (event, data) => {
+        if (event === 'token') {
+            // Words of a step that turns into tool calls are replaced by its progress
+            if (loadingMsg.querySelector('.loading')) {
+                loadingMsg.textContent = '';
+            }
+            loadingMsg.textContent += data.text;
+        } else if (event === 'tool_call') {
+            if (!stepsLog) {
+                stepsLog = createToolStepsLog();
+                chatMessages.insertBefore(stepsLog, loadingMsg);
+            }
+            runningStep = addToolStep(stepsLog, data);
+            loadingMsg.innerHTML = '<span class="loading"></span> ';
+            loadingMsg.appendChild(document.createTextNode(`Running ${data.name}...`));
+        } else if (event === 'tool_result') {
+            const entry = addToolStep(stepsLog, data);
+            if (runningStep) {
+                runningStep.replaceWith(entry);
+                runningStep = null;
+            }
+            loadingMsg.innerHTML = '<span class="loading"></span> Thinking...';
+        } else if (event === 'done') {
+            finished = true;
+            loadingMsg.remove();
+            if (stepsLog) {
+                stepsLog.remove();
+            }
+            showChatResponse(data);
+        }
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    };
+
+    try {
+        // A new thread is stored once its first message is sent
+        if (!body.conversationId) {
+            body.conversationId = await startConversation();
+        }
+
+        const response = await fetch('/chat/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            blocks.forEach(block => {
+                const event = block.match(/^event: (.*)$/m);
+                const data = block.match(/^data: (.*)$/m);
+                if (event && data) {
+                    handleEvent(event[1], JSON.parse(data[1]));
+                }
+            });
+        }
+        if (!finished) {
+            throw new Error('The connection closed before the reply was complete');
+        }
+    } catch (error) {
         loadingMsg.remove();
+        if (runningStep) {
+            runningStep.querySelector('.tool-step-result').textContent = 'Not finished.';
+        }
+
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'message system';
+        errorMsg.textContent = error.name === 'AbortError'
+            ? 'Stopped. Steps that already ran are not undone.'
+            : `Error: ${error.message}`;
+        chatMessages.appendChild(errorMsg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    } finally {
+        chatStream = null;
+        setChatBusy(false);
     }
+}
 
-            if (event.detail.successful) {
-        try {
-            const response = JSON.parse(event.detail.xhr.responseText);
-
-            if (response.error) {
-                const errorMsg = document.createElement('div');
-                errorMsg.className = 'message system';
-                errorMsg.textContent = `Error: ${response.error}`;
-                chatMessages.appendChild(errorMsg);
-            } else if (response.response) {
-                const assistantMsg = document.createElement('div');
-                assistantMsg.className = 'message assistant';
-
-                // Check if this is awaiting user input
-                if (response.awaitingInput) {
-                    pendingAction = response.awaitingInput;
-                    assistantMsg.style.background = '#e3f2fd';
-                    assistantMsg.style.color = '#1565c0';
-                    assistantMsg.style.borderLeft = '3px solid #2196f3';
-                } else {
-                    // Clear pending action if no new awaiting input
-                    pendingAction = null;
-                }
-                
-                // Check if this is a deletion confirmation request
-                if (response.pendingDeletion) {
-                    assistantMsg.style.background = '#fff3cd';
-                    assistantMsg.style.color = '#856404';
-                    assistantMsg.style.borderLeft = '3px solid #ff9800';
-                    assistantMsg.style.fontWeight = '600';
-                    pendingDeletion = response.pendingDeletion;
-                    pendingDeletionType = response.deletionType || 'repo';
-                }
+// Closing the stream cancels the work the server still had to do for it
+function stopChat() {
+    if (chatStream) {
+        chatStream.abort();
+    }
+}
 
-                // Clean up the response - extract clean text from any JSON structure
-                let cleanResponse = response.response;
+// Swaps the Send button for Stop while a reply is streaming
+function setChatBusy(busy) {
+    document.getElementById('chat-send').hidden = busy;
+    document.getElementById('chat-stop').hidden = !busy;
+}
 
-                // Handle different response formats
-                if (typeof cleanResponse === 'string') {
-                    // If it's already a clean string, use it
-                    if (!cleanResponse.startsWith('{')) {
-                        // Already clean text
-                    } else {
-                        // Try to parse as JSON
-                        try {
-                            const jsonResponse = JSON.parse(cleanResponse);
-                            if (jsonResponse && typeof jsonResponse === 'object') {
-                                if (jsonResponse.response) {
-                                    cleanResponse = jsonResponse.response;
-                                } else if (jsonResponse.message) {
-                                    cleanResponse = jsonResponse.message;
-                                } else if (jsonResponse.text) {
-                                    cleanResponse = jsonResponse.text;
-                                } else {
-                                    // If it's a JSON object but doesn't have response/message/text, use the original
-                                    cleanResponse = response.response;
-                                }
+// One collapsible entry per tool call, grouped by agent step. A summary that already
+// is the answer is not repeated.
+function renderToolSteps(toolCalls, answer) {
+    const stepped = (toolCalls || []).filter(tc => tc.step);
+    if (stepped.length === 0) {
+        return null;
+    }
+
+    const log = createToolStepsLog();
+    stepped.forEach(tc => addToolStep(log, tc, answer));
+    return log;
+}
+
+function createToolStepsLog() {
+    const log = document.createElement('div');
+    log.className = 'message tool-steps';
+    return log;
+}
+
+// Appends a tool call to the log, under a heading for its step, and returns its entry.
+// A call without a result yet is shown as running.
+function addToolStep(log, tc, answer) {
+    if (tc.step && String(tc.step) !== log.dataset.step) {
+        log.dataset.step = tc.step;
+        const heading = document.createElement('div');
+        heading.className = 'tool-step-heading';
+        heading.textContent = `Step ${tc.step}`;
+        log.appendChild(heading);
+    }
+
+    const entry = document.createElement('details');
+    entry.className = tc.result && tc.result.error ? 'tool-step failed' : 'tool-step';
+    const title = document.createElement('summary');
+    title.textContent = `${tc.name}(${JSON.stringify(tc.args)})`;
+    entry.appendChild(title);
+
+    const body = document.createElement('div');
+    body.className = 'tool-step-result';
+    if (!tc.result) {
+        body.textContent = 'Running...';
+    } else if (tc.result.error) {
+        body.textContent = `Error: ${tc.result.error}`;
+    } else if (tc.summary && tc.summary !== answer) {
+        body.innerHTML = tc.summary;
+    } else {
+        body.textContent = tc.summary ? 'Shown below.' : 'Done.';
+    }
+    entry.appendChild(body);
+    log.appendChild(entry);
+    return entry;
+}
+
+// Shows the final /chat response and applies what its tool calls changed
+function showChatResponse(response) {
+    const chatMessages = document.getElementById('chat-messages');
+
+    try {
+        if (response.error) {
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'message system';
+            errorMsg.textContent = `Error: ${response.error}`;
+            chatMessages.appendChild(errorMsg);
+        } else if (response.response) {
+            const assistantMsg = document.createElement('div');
+            assistantMsg.className = 'message assistant';
+
+            // Check if this is awaiting user input
+            if (response.awaitingInput) {
+                pendingAction = response.awaitingInput;
+                assistantMsg.style.background = '#e3f2fd';
+                assistantMsg.style.color = '#1565c0';
+                assistantMsg.style.borderLeft = '3px solid #2196f3';
+            } else {
+                // Clear pending action if no new awaiting input
+                pendingAction = null;
+            }
+            
+            // Check if this is a deletion confirmation request
+            if (response.pendingDeletion) {
+                assistantMsg.style.background = '#fff3cd';
+                assistantMsg.style.color = '#856404';
+                assistantMsg.style.borderLeft = '3px solid #ff9800';
+                assistantMsg.style.fontWeight = '600';
+                pendingDeletion = response.pendingDeletion;
+                pendingDeletionType = response.deletionType || 'repo';
+            }
+
+            // Clean up the response - extract clean text from any JSON structure
+            let cleanResponse = response.response;
+
+            // Handle different response formats
+            if (typeof cleanResponse === 'string') {
+                // If it's already a clean string, use it
+                if (!cleanResponse.startsWith('{')) {
+                    // Already clean text
+                } else {
+                    // Try to parse as JSON
+                    try {
+                        const jsonResponse = JSON.parse(cleanResponse);
+                        if (jsonResponse && typeof jsonResponse === 'object') {
+                            if (jsonResponse.response) {
+                                cleanResponse = jsonResponse.response;
+                            } else if (jsonResponse.message) {
+                                cleanResponse = jsonResponse.message;
+                            } else if (jsonResponse.text) {
+                                cleanResponse = jsonResponse.text;
                             } else {
-                                // If parsed JSON is not an object, use the original
+                                // If it's a JSON object but doesn't have response/message/text, use the original
                                 cleanResponse = response.response;
                             }
-                        } catch (e) {
-                            // If parsing fails, use the original response
-                            console.log('Failed to parse response as JSON:', e);
+                        } else {
+                            // If parsed JSON is not an object, use the original
+                            cleanResponse = response.response;
                         }
-                    }
-                } else if (typeof cleanResponse === 'object') {
-                    // If it's an object, try to extract the response text
-                    if (cleanResponse.response) {
-                        cleanResponse = cleanResponse.response;
-                    } else if (cleanResponse.message) {
-                        cleanResponse = cleanResponse.message;
-                    } else if (cleanResponse.text) {
-                        cleanResponse = cleanResponse.text;
-                    } else {
-                        // If it's an object but doesn't have response/message/text, use the original
-                        cleanResponse = response.response;
+                    } catch (e) {
+                        // If parsing fails, use the original response
+                        console.log('Failed to parse response as JSON:', e);
                     }
                 }
-
-                // Use innerHTML if response contains HTML tags, otherwise use textContent
-                if (cleanResponse.includes('<br>') || cleanResponse.includes('<strong>')) {
-                    assistantMsg.innerHTML = cleanResponse;
+            } else if (typeof cleanResponse === 'object') {
+                // If it's an object, try to extract the response text
+                if (cleanResponse.response) {
+                    cleanResponse = cleanResponse.response;
+                } else if (cleanResponse.message) {
+                    cleanResponse = cleanResponse.message;
+                } else if (cleanResponse.text) {
+                    cleanResponse = cleanResponse.text;
                 } else {
-                    assistantMsg.textContent = cleanResponse;
+                    // If it's an object but doesn't have response/message/text, use the original
+                    cleanResponse = response.response;
                 }
+            }
+
+            // Use innerHTML if response contains HTML tags, otherwise use textContent
+            if (cleanResponse.includes('<br>') || cleanResponse.includes('<strong>')) {
+                assistantMsg.innerHTML = cleanResponse;
+            } else {
+                assistantMsg.textContent = cleanResponse;
+            }
+
+            // Show the tool steps the agent took before its answer
+            const stepsLog = renderToolSteps(response.toolCalls, cleanResponse);
+            if (stepsLog) {
+                chatMessages.appendChild(stepsLog);
+            }
 
             chatMessages.appendChild(assistantMsg);
 
@@ -732,30 +1697,38 @@ function handleChatResponse(event) {
             if (response.toolCalls && response.toolCalls.length > 0) {
                 response.toolCalls.forEach(tc => {
                     if (tc.result && !tc.result.error) {
-                        // Refresh repository list after creating a repo
-                        if (tc.name === 'create_repo') {
-                            const newRepoName = tc.args.name;
+                        // Refresh repository list after creating or forking a repo
+                        if (tc.name === 'create_repo' || tc.name === 'fork_repo') {
+                            const newRepoName = tc.result.fullName;
                             setTimeout(() => {
                                 loadRepositories();
                                 // Expand the newly created repo after a short delay
                                 setTimeout(() => {
-                                    const newRepoElement = Array.from(document.querySelectorAll('.repo-item')).find(el =>
-                                        el.textContent.trim().includes(newRepoName)
-                                    );
+                                    const newRepoElement = document.querySelector(`.repo-item[data-repo-name="${newRepoName}"]`);
                                     if (newRepoElement && !newRepoElement.classList.contains('expanded')) {
                                         newRepoElement.click();
                                     }
                                 }, 500);
                             }, 500);
                         }
-                        // Refresh file list after creating a file
-                        else if (tc.name === 'update_file' && tc.args.path) {
+                        // Refresh file list after creating a file or committing a changeset
+                        else if ((tc.name === 'update_file' && tc.args.path) || tc.name === 'commit_changes') {
                             if (currentRepo) {
                                 console.log('File created/updated, refreshing file list for:', currentRepo);
                                 // Refresh the files list
                                 setTimeout(() => selectRepository(currentRepo), 500);
                             }
                         }
+                        // Let the open file follow a move of it or of its directory
+                        else if (tc.name === 'move_file' || tc.name === 'move_directory') {
+                            followMove(tc.args.repo, tc.result.path, tc.result.newPath, tc.name === 'move_directory');
+                        }
+                        // Reload the open file after restoring an older version of it
+                        else if (tc.name === 'restore_file') {
+                            if (currentFile && currentFile.repo === tc.args.repo && currentFile.path === tc.args.path) {
+                                setTimeout(() => loadFile(currentFile.path), 500);
+                            }
+                        }
                         // Refresh file list after deleting a file
                         else if (tc.name === 'delete_file') {
                             if (currentRepo) {
@@ -763,30 +1736,64 @@ function handleChatResponse(event) {
                                 currentFile = null;
                                 document.getElementById('editor').value = '';
                                 document.getElementById('editor').disabled = true;
+                                resetHistoryView();
+                                hideFilePreview();
                                 // Refresh the files list
                                 setTimeout(() => selectRepository(currentRepo), 500);
                             }
                         }
+                        // Refresh the branch dropdown after branch changes
+                        else if (['create_branch', 'delete_branch', 'create_pr', 'merge_pr'].includes(tc.name) && tc.args.repo === currentRepo) {
+                            if (tc.name === 'delete_branch' && tc.args.branch === currentBranch) {
+                                // The selected branch is gone, fall back to the default branch
+                                currentBranch = null;
+                                setTimeout(() => selectRepository(currentRepo), 500);
+                            } else {
+                                setTimeout(() => loadBranches(currentRepo), 500);
+                            }
+                        }
+                        // Follow renames and visibility changes of a repo
+                        else if (tc.name === 'update_repo') {
+                            if (tc.result.renamed) {
+                                applyRepoRename(tc.result.previousRepo, tc.result.repo);
+                            } else if (tc.args.private !== undefined) {
+                                loadRepositories();
+                            }
+                            if (settingsOpen && tc.result.repo === currentRepo) {
+                                loadSettings();
+                            }
+                            if (tc.args.defaultBranch && tc.result.repo === currentRepo) {
+                                loadBranches(currentRepo);
+                            }
+                        }
                         // Clear files and editor after deleting a repo
                         else if (tc.name === 'delete_repo') {
                             const deletedRepo = tc.args.repo;
                             console.log('Repository deleted:', deletedRepo);
-                            
+                        
                             // If the deleted repo was the currently selected one, clear the UI
                             if (currentRepo === deletedRepo) {
                                 console.log('Clearing files and editor for deleted repo:', deletedRepo);
                                 currentRepo = null;
+                                currentBranch = null;
                                 currentFile = null;
-                                
+                                renderBranchSelect([]);
+                                if (settingsOpen) {
+                                    closeSettings();
+                                }
+                                document.getElementById('settings-toggle').disabled = true;
+                            
                                 // Clear files list
                                 const filesList = document.getElementById('files-list');
                                 filesList.innerHTML = '<div class="empty-state">Select a repository to view files</div>';
-                                
+                            
                                 // Clear and disable editor
                                 const editor = document.getElementById('editor');
                                 editor.value = '';
                                 editor.disabled = true;
-                                
+                                resetHistoryView();
+                                hideFilePreview();
+                            
                                 // Update editor title
                                 const editorPanel = document.querySelector('.editor-panel h2');
                                 if (editorPanel) {
@@ -798,63 +1805,348 @@ function handleChatResponse(event) {
                 });
             }
 
-            // Add to history (unless it's a pending deletion)
-            if (!response.pendingDeletion) {
-                chatHistory.push({
-                    role: 'model',
-                    parts: [{ text: response.response }]
-                });
-            }
+            // The server added the message and reply to the conversation; it may have a new title
+            if (response.conversationId) {
+                loadConversations();
             }
-        } catch (parseError) {
-            const errorMsg = document.createElement('div');
-            errorMsg.className = 'message system';
-            errorMsg.textContent = `Error parsing response: ${parseError.message}`;
-            chatMessages.appendChild(errorMsg);
         }
-    } else {
+    } catch (displayError) {
         const errorMsg = document.createElement('div');
         errorMsg.className = 'message system';
-        errorMsg.textContent = `Request failed: ${event.detail.xhr.status} ${event.detail.xhr.statusText}`;
+        errorMsg.textContent = `Error showing response: ${displayError.message}`;
         chatMessages.appendChild(errorMsg);
     }
 
     // Scroll to bottom
     chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Chat threads: the list above the chat, most recently used first
+async function loadConversations() {
+    const threadList = document.getElementById('thread-list');
+    const query = document.getElementById('thread-search').value.trim();
+
+    try {
+        const response = await fetch(query ? `/conversations?q=${encodeURIComponent(query)}` : '/conversations');
+        const data = await response.json();
+        if (data.error) {
+            threadList.innerHTML = '';
+            const errorEl = document.createElement('div');
+            errorEl.className = 'status error';
+            errorEl.textContent = data.error;
+            threadList.appendChild(errorEl);
+            return [];
+        }
+        renderConversationList(data.conversations, query);
+        return data.conversations;
+    } catch (error) {
+        threadList.innerHTML = `<div class="status error">Error: ${error.message}</div>`;
+        return [];
+    }
+}
 
-    // Prevent htmx from doing its own swap
+let threadSearchTimer = null;
+
+// Searches as the user types, once they pause
+function searchConversations() {
+    clearTimeout(threadSearchTimer);
+    threadSearchTimer = setTimeout(loadConversations, 250);
+}
+
+function renderConversationList(conversations, query) {
+    const threadList = document.getElementById('thread-list');
+    threadList.innerHTML = '';
+    if (conversations.length === 0) {
+        threadList.innerHTML = query
+            ? '<div class="empty-state">No matching conversations</div>'
+            : '<div class="empty-state">No conversations yet</div>';
+        return;
+    }
+
+    conversations.forEach(conversation => {
+        const item = document.createElement('div');
+        item.className = conversation.id === currentConversationId ? 'thread-item active' : 'thread-item';
+        item.onclick = () => openConversation(conversation.id);
+
+        const title = document.createElement('span');
+        title.className = 'thread-title';
+        title.textContent = conversation.title;
+        title.title = `${conversation.title} (${conversation.messages} messages)`;
+        item.appendChild(title);
+
+        const rename = document.createElement('button');
+        rename.type = 'button';
+        rename.className = 'thread-action';
+        rename.title = 'Rename';
+        rename.textContent = '✎';
+        rename.onclick = event => {
+            event.stopPropagation();
+            renameConversation(conversation.id, conversation.title);
+        };
+        item.appendChild(rename);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'thread-action';
+        remove.title = 'Delete';
+        remove.textContent = '✕';
+        remove.onclick = event => {
+            event.stopPropagation();
+            deleteConversation(conversation.id, conversation.title);
+        };
+        item.appendChild(remove);
+
+        threadList.appendChild(item);
+    });
+}
+
+// Stores a new, empty conversation and makes it the current one
+async function startConversation() {
+    const response = await fetch('/conversations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+        body: JSON.stringify({})
+    });
+    const conversation = await response.json();
+    if (conversation.error) {
+        throw new Error(conversation.error);
+    }
+    currentConversationId = conversation.id;
+    return conversation.id;
+}
+
+// Questions the assistant was waiting on belong to the thread they were asked in
+function resetChatState() {
+    pendingAction = null;
+    pendingDeletion = null;
+    pendingDeletionType = null;
+}
+
+function newConversation() {
+    if (chatStream) {
+        return;
+    }
+    currentConversationId = null;
+    resetChatState();
+    document.getElementById('chat-messages').innerHTML = '';
+    document.getElementById('chat-input').focus();
+    loadConversations();
+}
+
+async function openConversation(id) {
+    if (chatStream) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/conversation?id=${encodeURIComponent(id)}`);
+        const conversation = await response.json();
+        if (conversation.error) {
+            throw new Error(conversation.error);
+        }
+        currentConversationId = conversation.id;
+        resetChatState();
+        renderConversation(conversation.history);
+        loadConversations();
+    } catch (error) {
+        showChatError(error.message);
+    }
+}
+
+function showChatError(message) {
+    const chatMessages = document.getElementById('chat-messages');
+    const errorMsg = document.createElement('div');
+    errorMsg.className = 'message system';
+    errorMsg.textContent = `Error: ${message}`;
+    chatMessages.appendChild(errorMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Rebuilds the chat from a stored conversation: messages as bubbles, each run of tool turns as
+// a step log with the results it got
+function renderConversation(history) {
+    const chatMessages = document.getElementById('chat-messages');
+    chatMessages.innerHTML = '';
+    let stepsLog = null;
+    let step = 0;
+
+    history.forEach((turn, index) => {
+        const calls = turn.parts.filter(part => part.functionCall);
+        if (turn.role === 'function') {
+            // Shown with the calls they answer
+            return;
+        }
+        if (calls.length > 0) {
+            const next = history[index + 1];
+            const responses = next && next.role === 'function' ? next.parts : [];
+            if (!stepsLog) {
+                stepsLog = createToolStepsLog();
+                chatMessages.appendChild(stepsLog);
+                step = 0;
+            }
+            step++;
+            calls.forEach((part, callIndex) => addToolStep(stepsLog, {
+                step,
+                name: part.functionCall.name,
+                args: part.functionCall.args,
+                result: responses[callIndex] && responses[callIndex].functionResponse.response
+            }));
+            return;
+        }
+
+        stepsLog = null;
+        const text = turn.parts.filter(part => part.text).map(part => part.text).join('');
+        const messageEl = document.createElement('div');
+        if (turn.role === 'user') {
+            messageEl.className = 'message user';
+            messageEl.textContent = text;
+        } else {
+            messageEl.className = 'message assistant';
+            if (text.includes('<br>') || text.includes('<strong>')) {
+                messageEl.innerHTML = text;
+            } else {
+                messageEl.textContent = text;
+            }
+        }
+        chatMessages.appendChild(messageEl);
+    });
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+async function renameConversation(id, title) {
+    const newTitle = prompt('Rename conversation:', title);
+    if (!newTitle || !newTitle.trim() || newTitle.trim() === title) {
+        return;
+    }
+
+    const response = await fetch('/conversations/rename', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+        body: JSON.stringify({ id, title: newTitle })
+    });
+    const result = await response.json();
+    if (result.error) {
+        showChatError(result.error);
+    }
+    loadConversations();
+}
+
+async function deleteConversation(id, title) {
+    if (!confirm(`Delete the conversation "${title}"? This cannot be undone.`)) {
+        return;
+    }
+
+    const response = await fetch('/conversations/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+        body: JSON.stringify({ id })
+    });
+    const result = await response.json();
+    if (result.error) {
+        showChatError(result.error);
+    } else if (id === currentConversationId) {
+        newConversation();
+        return;
+    }
+    loadConversations();
+}
+
+// Login: the app loads once /session says we are logged in, the login form otherwise
+async function checkSession() {
+    try {
+        const response = await fetch('/session');
+        const session = await response.json();
+        if (session.authenticated) {
+            csrfToken = session.csrfToken;
+            showApp(session);
+        } else {
+            showLogin(session);
+        }
+    } catch (error) {
+        document.body.textContent = `Error: ${error.message}`;
+    }
+}
+
+function showApp(session) {
+    htmx.ajax('GET', 'app.html', { target: 'body', swap: 'innerHTML' }).then(() => {
+        const sessionUser = document.getElementById('session-user');
+        if (session.loginDisabled) {
+            document.getElementById('session-bar').style.display = 'none';
+        } else {
+            sessionUser.textContent = `Logged in as ${session.username}`;
+        }
+    });
+}
+
+function showLogin(session) {
+    htmx.ajax('GET', 'login.html', { target: 'body', swap: 'innerHTML' }).then(() => {
+        // The shared secret needs no username
+        if (!session.askUsername) {
+            document.getElementById('login-username-row').style.display = 'none';
+        }
+        if (session.error) {
+            document.getElementById('login-error').textContent = session.error;
+        }
+        document.getElementById(session.askUsername ? 'login-username' : 'login-password').focus();
+    });
+}
+
+async function handleLogin(event) {
     event.preventDefault();
+    const errorEl = document.getElementById('login-error');
+    const password = document.getElementById('login-password');
+    errorEl.textContent = '';
+
+    try {
+        const response = await fetch('/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: password.value
+            })
+        });
+        const result = await response.json();
+        if (result.error) {
+            errorEl.textContent = result.error;
+            password.value = '';
+            password.focus();
+            return;
+        }
+        csrfToken = result.csrfToken;
+        showApp({ username: result.username });
+    } catch (error) {
+        errorEl.textContent = `Error: ${error.message}`;
+    }
 }
 
+async function logout() {
+    if (chatStream) {
+        chatStream.abort();
+    }
+    await fetch('/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken }
+    });
+    // Start from a clean page, without the state of the session that ended
+    window.location.reload();
+}
+
+document.addEventListener('DOMContentLoaded', checkSession);
+
 // Auto-load repositories after htmx loads the app
 document.addEventListener('htmx:afterSwap', function(event) {
-    // Only run on initial page load (when body swaps in app.html)
-    if (event.target.tagName === 'BODY') {
+    // Only run when body swaps in app.html, not the login form
+    if (event.target.tagName === 'BODY' && document.getElementById('chat-form')) {
+        loadOwners();
         loadRepositories();
-        
-        // Now that the form exists, attach the config listener
-        const chatForm = document.getElementById('chat-form');
-        if (chatForm) {
-            htmx.on(chatForm, 'htmx:configRequest', function(event) {
-                event.detail.parameters.history = JSON.stringify(chatHistory);
-                
-                // Add context about current state
-                const context = {
-                    currentRepo: currentRepo,
-                    currentFile: currentFile ? {
-                        repo: currentFile.repo,
-                        path: currentFile.path,
-                        content: document.getElementById('editor').value
-                    } : null
-                };
-                event.detail.parameters.context = JSON.stringify(context);
-                
-                // Add pending action if exists
-                if (pendingAction) {
-                    event.detail.parameters.pendingAction = pendingAction;
-                }
-            });
-        }
+
+        // Pick up the most recent conversation where it was left
+        loadConversations().then(conversations => {
+            if (conversations.length > 0 && !currentConversationId) {
+                openConversation(conversations[0].id);
+            }
+        });
     }
 });
 
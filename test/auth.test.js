@@ -0,0 +1,176 @@
+// Login, sessions, CSRF tokens and CORS in front of every route
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startApp } = require('./helpers');
+
+let app;
+
+// A local user, hashed the way the README tells operators to
+const aliceHash = execFileSync(process.execPath, [path.join(__dirname, '..', 'api', 'index.js'), 'hash-password', 'alice-password'], { encoding: 'utf8' }).trim();
+
+before(async () => {
+    app = await startApp({
+        login: false,
+        env: {
+            AUTH_USERS: JSON.stringify([{ username: 'alice', password: aliceHash }]),
+            CORS_ORIGINS: 'https://tools.example.com'
+        }
+    });
+});
+
+after(() => app.close());
+
+beforeEach(() => app.reset());
+
+function send(route, { method = 'GET', body, headers = {} } = {}) {
+    return fetch(`${app.baseUrl}${route}`, {
+        method,
+        headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+async function login(username, password) {
+    const response = await send('/login', { method: 'POST', body: { username, password } });
+    const result = await response.json();
+    const cookie = response.headers.getSetCookie()[0];
+    return { response, result, cookie, session: cookie && cookie.split(';')[0] };
+}
+
+describe('login', () => {
+    it('hashes passwords with scrypt', () => {
+        assert.match(aliceHash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+    });
+
+    it('asks for a username when there are local users', async () => {
+        const session = await (await send('/session')).json();
+        assert.deepEqual(session, { authenticated: false, username: null, csrfToken: null, askUsername: true });
+    });
+
+    it('logs a local user in with a session cookie', async () => {
+        const { result, cookie, session } = await login('alice', 'alice-password');
+        assert.equal(result.username, 'alice');
+        assert.match(cookie, /^session=[\w-]+\.[\w-]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=43200$/);
+
+        const current = await (await send('/session', { headers: { Cookie: session } })).json();
+        assert.equal(current.authenticated, true);
+        assert.equal(current.username, 'alice');
+        assert.equal(current.csrfToken, result.csrfToken);
+    });
+
+    it('refuses a wrong password', async () => {
+        const { response, result, cookie } = await login('alice', 'not-it');
+        assert.equal(response.status, 401);
+        assert.equal(result.error, 'Wrong username or password');
+        assert.equal(cookie, undefined);
+    });
+
+    it('logs everyone with the shared secret in as the same user, never as a local user', async () => {
+        assert.equal((await login('bob', 'test-secret')).result.username, 'user');
+        assert.equal((await login('', 'test-secret')).result.username, 'user');
+        assert.equal((await login('alice', 'test-secret')).response.status, 401);
+    });
+
+    it('ends the session on logout', async () => {
+        const { session, result } = await login('alice', 'alice-password');
+        const response = await send('/logout', { method: 'POST', headers: { Cookie: session, 'X-CSRF-Token': result.csrfToken } });
+        assert.match(response.headers.getSetCookie()[0], /^session=; .*Max-Age=0/);
+    });
+
+    it('needs the CSRF token to log out', async () => {
+        const { session } = await login('alice', 'alice-password');
+        const response = await send('/logout', { method: 'POST', headers: { Cookie: session } });
+        assert.equal(response.status, 403);
+        assert.deepEqual(response.headers.getSetCookie(), []);
+    });
+});
+
+describe('protected routes', () => {
+    it('rejects requests without a session before any tool runs', async () => {
+        app.github.addRepo('test-user/doomed');
+
+        const deleted = await send('/delete', { method: 'POST', body: { repo: 'test-user/doomed' } });
+        assert.equal(deleted.status, 401);
+        assert.deepEqual(await deleted.json(), { error: 'Not logged in' });
+
+        const chat = await send('/chat', { method: 'POST', body: { message: 'delete doomed' } });
+        assert.equal(chat.status, 401);
+        assert.equal((await send('/repos')).status, 401);
+
+        assert.ok(app.github.repo('test-user/doomed'));
+        assert.equal(app.github.requests.length, 0);
+        assert.equal(app.model.requests.length, 0);
+    });
+
+    it('rejects a forged or tampered session cookie', async () => {
+        const { session } = await login('alice', 'alice-password');
+        const [payload, signature] = session.replace('session=', '').split('.');
+        const forged = Buffer.from(JSON.stringify({ username: 'admin', expires: Date.now() + 60000 })).toString('base64url');
+
+        assert.equal((await send('/repos', { headers: { Cookie: `session=${forged}.${signature}` } })).status, 401);
+        assert.equal((await send('/repos', { headers: { Cookie: `session=${payload}.${signature.slice(1)}x` } })).status, 401);
+    });
+
+    it('needs the CSRF token for POST requests', async () => {
+        app.github.addRepo('test-user/project', { files: { 'README.md': 'old\n' } });
+        const { session, result } = await login('alice', 'alice-password');
+        const body = { repo: 'test-user/project', filePath: 'README.md', content: 'new\n' };
+
+        const missing = await send('/commit', { method: 'POST', body, headers: { Cookie: session } });
+        assert.equal(missing.status, 403);
+        assert.deepEqual(await missing.json(), { error: 'Missing or invalid CSRF token' });
+        const wrong = await send('/commit', { method: 'POST', body, headers: { Cookie: session, 'X-CSRF-Token': 'guess' } });
+        assert.equal(wrong.status, 403);
+        assert.equal(app.github.repo('test-user/project').readFile('README.md'), 'old\n');
+
+        const allowed = await send('/commit', { method: 'POST', body, headers: { Cookie: session, 'X-CSRF-Token': result.csrfToken } });
+        assert.equal((await allowed.json()).success, 'File README.md updated successfully');
+
+        // Reading needs the session only
+        assert.equal((await send('/repos', { headers: { Cookie: session } })).status, 200);
+    });
+
+    it('serves the web interface to everyone and nothing else from the project', async () => {
+        const page = await send('/');
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /<script src="script.js">/);
+        assert.equal((await send('/login.html')).status, 200);
+
+        assert.equal((await send('/package.json')).status, 401);
+        const { session } = await login('alice', 'alice-password');
+        for (const file of ['/package.json', '/api/index.js', '/data/conversations.json', '/README.md']) {
+            assert.equal((await send(file, { headers: { Cookie: session } })).status, 404, file);
+        }
+    });
+});
+
+describe('CORS', () => {
+    it('answers allowed origins only', async () => {
+        const allowed = await send('/session', { headers: { Origin: 'https://tools.example.com' } });
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://tools.example.com');
+        assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+
+        const other = await send('/session', { headers: { Origin: 'https://evil.example.com' } });
+        assert.equal(other.headers.get('access-control-allow-origin'), null);
+    });
+
+    it('refuses POST requests from other sites, logins included', async () => {
+        const response = await send('/login', {
+            method: 'POST',
+            body: { username: 'alice', password: 'alice-password' },
+            headers: { Origin: 'https://evil.example.com' }
+        });
+        assert.equal(response.status, 403);
+        assert.deepEqual(await response.json(), { error: 'Cross-origin request refused' });
+        assert.deepEqual(response.headers.getSetCookie(), []);
+
+        const sameSite = await send('/login', {
+            method: 'POST',
+            body: { username: 'alice', password: 'alice-password' },
+            headers: { Origin: app.baseUrl }
+        });
+        assert.equal(sameSite.status, 200);
+    });
+});
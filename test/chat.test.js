@@ -0,0 +1,330 @@
+// POST /chat end to end: the scripted model picks the tools, the fake GitHub carries them out
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp({ env: { AGENT_MAX_STEPS: '3' } });
+});
+
+after(() => app.close());
+
+beforeEach(() => app.reset());
+
+// Every scripted reply should have been asked for
+afterEach(() => assert.equal(app.model.pending, 0, 'unused scripted model replies'));
+
+describe('POST /chat', () => {
+    it('answers small talk with the model\'s text', async () => {
+        app.model.reply({ text: 'Hello! How can I help?' }, { text: '{"intent": "none"}' });
+
+        const result = await app.post('/chat', { message: 'hi there', history: [] });
+        assert.equal(result.response, 'Hello! How can I help?');
+        assert.equal(app.model.requests.length, 2);
+        assert.ok(app.model.requests[0].tools.some(tool => tool.function.name === 'list_repos'));
+    });
+
+    it('passes the conversation and the selected repo to the model', async () => {
+        const { id } = await app.post('/conversations', {});
+        app.model.reply({ text: 'earlier answer' }, { text: '{"intent": "none"}' }, { text: 'Sure.' }, { text: '{"intent": "none"}' });
+        await app.post('/chat', { message: 'earlier question', conversationId: id });
+
+        const result = await app.post('/chat', {
+            message: 'and now?',
+            conversationId: id,
+            // What the client claims was said is not what the model sees
+            history: JSON.stringify([{ role: 'user', parts: [{ text: 'something else entirely' }] }]),
+            context: JSON.stringify({ currentRepo: 'test-user/project' })
+        });
+        assert.equal(result.conversationId, id);
+        const { messages } = app.model.requests[2];
+        assert.equal(messages[0].role, 'system');
+        assert.match(messages[0].content, /Currently viewing repo: test-user\/project/);
+        assert.deepEqual(messages.slice(1).map(m => [m.role, m.content]), [
+            ['user', 'earlier question'],
+            ['assistant', 'earlier answer'],
+            ['user', 'and now?']
+        ]);
+    });
+
+    it('answers a message without a conversation on its own', async () => {
+        app.model.reply({ text: 'Hi.' }, { text: '{"intent": "none"}' });
+
+        await app.post('/chat', { message: 'hello', history: [{ role: 'user', parts: [{ text: 'injected' }] }] });
+        assert.deepEqual(app.model.requests[0].messages.slice(1).map(m => m.content), ['hello']);
+    });
+
+    it('reports an unknown conversation', async () => {
+        const result = await app.post('/chat', { message: 'hello', conversationId: 'nope' });
+        assert.equal(result.error, 'Conversation nope not found');
+        assert.equal(app.model.requests.length, 0);
+    });
+
+    it('lists repositories through a tool call', async () => {
+        app.github.addRepo('test-user/alpha');
+        app.model.reply({ calls: [{ name: 'list_repos', args: {} }] }, { text: 'You have one repository, alpha.' });
+
+        const result = await app.post('/chat', { message: 'list my repos' });
+        assert.equal(result.response, 'You have one repository, alpha.');
+        assert.equal(result.toolCalls[0].name, 'list_repos');
+        assert.equal(result.toolCalls[0].step, 1);
+        assert.equal(result.toolCalls[0].result.repos[0].fullName, 'test-user/alpha');
+        assert.match(result.toolCalls[0].summary, /1\. <strong>alpha<\/strong>/);
+    });
+
+    it('edits the file that is open in the editor', async () => {
+        app.github.addRepo('test-user/project', { files: { 'README.md': 'old\n' } });
+        // No closing words from the model: the formatted tool result is the answer
+        app.model.reply({ calls: [{ name: 'update_file', args: { repo: 'test-user/project', path: 'README.md', content: 'new\n', message: 'Update README' } }] }, {});
+
+        const result = await app.post('/chat', {
+            message: 'replace the readme with "new"',
+            context: { currentFile: { repo: 'test-user/project', path: 'README.md', content: 'old\n' } }
+        });
+        assert.equal(result.response, 'File <strong>README.md</strong> updated successfully.');
+        assert.equal(app.github.repo('test-user/project').readFile('README.md'), 'new\n');
+        assert.match(app.model.requests[0].messages[0].content, /Currently editing: README.md in test-user\/project/);
+    });
+
+    it('asks before deleting a repository', async () => {
+        app.github.addRepo('test-user/doomed');
+        app.model.reply({ calls: [{ name: 'delete_repo', args: { repo: 'test-user/doomed' } }] });
+
+        const result = await app.post('/chat', { message: 'delete doomed' });
+        assert.equal(result.pendingDeletion, 'test-user/doomed');
+        assert.match(result.response, /PERMANENTLY DELETE/);
+        assert.ok(app.github.repo('test-user/doomed'), 'nothing is deleted before the confirmation');
+
+        const confirmed = await app.post('/delete', { repo: result.pendingDeletion });
+        assert.equal(confirmed.success, 'Repository test-user/doomed deleted successfully');
+        assert.equal(app.github.repo('test-user/doomed'), null);
+    });
+
+    it('deletes a file on FORCE_DELETE_FILE without asking the model', async () => {
+        app.github.addRepo('test-user/project', { files: { 'README.md': 'keep\n', 'old.txt': 'bye\n' } });
+
+        const result = await app.post('/chat', { message: 'FORCE_DELETE_FILE:test-user/project:::old.txt' });
+        assert.equal(result.response, 'File old.txt deleted successfully');
+        assert.equal(app.github.repo('test-user/project').readFile('old.txt'), null);
+        assert.equal(app.model.requests.length, 0);
+    });
+
+    it('creates the repository named in a follow-up message', async () => {
+        const result = await app.post('/chat', { message: 'fresh-start', pendingAction: 'repo_name_for_create' });
+        assert.equal(result.response, 'Repository <strong>fresh-start</strong> created successfully.');
+        assert.equal(app.github.repo('test-user/fresh-start').readFile('README.md'), '# fresh-start\n');
+    });
+
+    it('opens and merges a pull request, then lets the model sum it up', async () => {
+        app.github.addRepo('test-user/project', { files: { 'README.md': '# Project\n', 'src/app.js': 'start();\n' } });
+        app.model.reply(
+            {
+                calls: [
+                    {
+                        name: 'create_pr',
+                        args: {
+                            repo: 'test-user/project',
+                            title: 'Add stop',
+                            head: 'ai-agent-1',
+                            changes: [
+                                { action: 'edit', path: 'src/app.js', content: 'start();\nstop();\n' },
+                                { action: 'add', path: 'CHANGELOG.md', content: '- stop\n' }
+                            ]
+                        }
+                    },
+                    { name: 'merge_pr', args: { repo: 'test-user/project', prNumber: 1, method: 'squash' } }
+                ]
+            },
+            request => {
+                // The follow-up carries both tool results back to the model
+                const results = request.messages.filter(m => m.role === 'tool').map(m => JSON.parse(m.content));
+                return { text: `Done: ${results[0].success}, ${results[1].success}` };
+            }
+        );
+
+        const result = await app.post('/chat', { message: 'add a stop call in a PR and merge it' });
+        assert.equal(result.response, 'Done: PR created: #1, PR #1 merged successfully');
+
+        const [created, merged] = result.toolCalls.map(call => call.result);
+        assert.equal(created.diff.files.length, 2);
+        assert.deepEqual([created.diff.additions, created.diff.deletions], [2, 0]);
+        assert.equal(merged.deletedBranch, 'ai-agent-1');
+
+        const repo = app.github.repo('test-user/project');
+        assert.equal(repo.readFile('src/app.js'), 'start();\nstop();\n');
+        assert.equal(repo.readFile('CHANGELOG.md'), '- stop\n');
+        assert.equal(repo.refs.has('heads/ai-agent-1'), false);
+        assert.equal(repo.object(repo.refs.get('heads/main'), 'commit').message, 'Add stop (#1)');
+    });
+
+    it('refuses to merge a conflicting pull request', async () => {
+        const repo = app.github.addRepo('test-user/project', { files: { 'README.md': 'base\n' } });
+        repo.refs.set('heads/topic', repo.refs.get('heads/main'));
+        repo.commitFiles('topic', { 'README.md': 'topic\n' }, 'Topic change');
+        repo.commitFiles('main', { 'README.md': 'main\n' }, 'Main change');
+        repo.pulls.push({ number: 1, title: 'Topic', body: null, head: 'topic', base: 'main', draft: false, state: 'open', merged: false });
+        app.model.reply({ calls: [{ name: 'merge_pr', args: { repo: 'test-user/project', prNumber: 1 } }] }, { text: 'It conflicts.' });
+
+        const result = await app.post('/chat', { message: 'merge PR 1' });
+        assert.match(result.toolCalls[0].result.error, /merge conflicts with main/);
+        assert.equal(result.response, 'It conflicts.');
+        assert.equal(repo.readFile('README.md'), 'main\n');
+    });
+
+    it('keeps calling tools until the model answers in text', async () => {
+        app.github.addRepo('test-user/project', { files: { 'VERSION': '1.0.0\n' } });
+        app.model.reply(
+            { calls: [{ name: 'read_file', args: { repo: 'test-user/project', path: 'VERSION' } }] },
+            request => {
+                // The second step is planned from what the first one read
+                const read = JSON.parse(request.messages.at(-1).content);
+                const next = read.content.trim().replace(/\d+$/, patch => Number(patch) + 1);
+                return { calls: [{ name: 'update_file', args: { repo: 'test-user/project', path: 'VERSION', content: `${next}\n`, message: 'Bump version' } }] };
+            },
+            { text: 'Bumped the version to 1.0.1.' }
+        );
+
+        const result = await app.post('/chat', { message: 'bump the patch version' });
+        assert.equal(result.response, 'Bumped the version to 1.0.1.');
+        assert.deepEqual(result.toolCalls.map(tc => [tc.step, tc.name]), [[1, 'read_file'], [2, 'update_file']]);
+        assert.equal(app.github.repo('test-user/project').readFile('VERSION'), '1.0.1\n');
+
+        // Both rounds go back to the client as Gemini-style turns, ending with the answer
+        assert.deepEqual(result.history.map(turn => [turn.role, Object.keys(turn.parts[0])[0]]), [
+            ['model', 'functionCall'],
+            ['function', 'functionResponse'],
+            ['model', 'functionCall'],
+            ['function', 'functionResponse'],
+            ['model', 'text']
+        ]);
+        assert.equal(result.history[1].parts[0].functionResponse.response.content, '1.0.0\n');
+    });
+
+    it('sends earlier tool calls and results back to the model', async () => {
+        app.github.addRepo('test-user/project', { files: { 'VERSION': '1.0.0\n' } });
+        const { id } = await app.post('/conversations', {});
+        app.model.reply({ calls: [{ name: 'read_file', args: { repo: 'test-user/project', path: 'VERSION' } }] }, { text: 'It is 1.0.0.' });
+        await app.post('/chat', { message: 'which version is it?', conversationId: id });
+
+        app.model.reply({ text: 'It was read from VERSION.' }, { text: '{"intent": "none"}' });
+        await app.post('/chat', { message: 'where from?', conversationId: id });
+
+        const { messages } = app.model.requests[2];
+        assert.deepEqual(messages.slice(1).map(m => m.role), ['user', 'assistant', 'tool', 'assistant', 'user']);
+        assert.equal(messages[2].tool_calls[0].function.name, 'read_file');
+        assert.equal(messages[3].tool_call_id, messages[2].tool_calls[0].id);
+        assert.equal(JSON.parse(messages[3].content).content, '1.0.0\n');
+    });
+
+    it('stops after the configured number of steps', async () => {
+        app.github.addRepo('test-user/alpha');
+        const listAgain = { calls: [{ name: 'list_repos', args: {} }] };
+        app.model.reply(listAgain, listAgain, listAgain, listAgain);
+
+        const result = await app.post('/chat', { message: 'keep listing' });
+        assert.equal(result.response, 'Stopped after 3 steps without finishing. Say "continue" to let me carry on.');
+        assert.deepEqual(result.toolCalls.map(tc => tc.step), [1, 2, 3]);
+        // The calls of the step that never ran are left out of the history
+        assert.equal(result.history.length, 7);
+        assert.equal(result.history.at(-1).parts[0].text, result.response);
+    });
+
+    it('keeps the steps that ran before a confirmation', async () => {
+        app.github.addRepo('test-user/doomed');
+        app.model.reply(
+            { calls: [{ name: 'list_repos', args: {} }] },
+            { calls: [{ name: 'delete_repo', args: { repo: 'test-user/doomed' } }] }
+        );
+
+        const result = await app.post('/chat', { message: 'delete my only repo' });
+        assert.equal(result.pendingDeletion, 'test-user/doomed');
+        assert.deepEqual(result.toolCalls.map(tc => tc.name), ['list_repos']);
+        assert.deepEqual(result.history.map(turn => turn.role), ['model', 'function']);
+        assert.ok(app.github.repo('test-user/doomed'));
+    });
+
+    it('asks the same questions when the model writes its tool calls as JSON text', async () => {
+        app.github.addRepo('test-user/doomed');
+        app.model.reply(
+            { text: JSON.stringify({ tool_calls: [{ name: 'list_repos', args: {} }, { name: 'delete_repo', args: { repo: 'test-user/doomed' } }] }) },
+            { text: JSON.stringify({ tool_calls: [{ name: 'remove_collaborator', args: { repo: 'test-user/doomed', username: 'octocat' } }] }) }
+        );
+
+        const deletion = await app.post('/chat', { message: 'delete my only repo' });
+        assert.equal(deletion.pendingDeletion, 'test-user/doomed');
+        assert.deepEqual(deletion.toolCalls.map(tc => tc.name), ['list_repos']);
+        assert.ok(app.github.repo('test-user/doomed'));
+
+        const removal = await app.post('/chat', { message: 'remove octocat' });
+        assert.equal(removal.pendingDeletion, 'test-user/doomed:::octocat');
+        assert.equal(removal.deletionType, 'collaborator');
+        assert.deepEqual(app.github.requests.filter(r => r.method === 'DELETE'), []);
+    });
+
+    it('reports a failing model', async () => {
+        const result = await app.post('/chat', { message: 'hello' });
+        assert.match(result.error, /Model request failed: 500/);
+    });
+});
+
+describe('POST /chat/stream', () => {
+    it('streams tool progress, the model\'s words and the final reply', async () => {
+        app.github.addRepo('test-user/project', { files: { 'VERSION': '1.0.0\n' } });
+        app.model.reply(
+            { calls: [{ name: 'read_file', args: { repo: 'test-user/project', path: 'VERSION' } }] },
+            { text: 'The version is 1.0.0.' }
+        );
+
+        const events = await app.stream('/chat/stream', { message: 'which version is it?' });
+        assert.equal(app.model.requests[0].stream, true);
+        assert.deepEqual([...new Set(events.map(e => e.event))], ['tool_call', 'tool_result', 'token', 'done']);
+
+        const [call, result] = events;
+        assert.deepEqual(call.data, { step: 1, name: 'read_file', args: { repo: 'test-user/project', path: 'VERSION' } });
+        assert.equal(result.data.result.content, '1.0.0\n');
+
+        const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+        assert.ok(tokens.length > 1, 'the text arrives in pieces');
+        assert.equal(tokens.join(''), 'The version is 1.0.0.');
+
+        const done = events.at(-1).data;
+        assert.equal(done.response, 'The version is 1.0.0.');
+        assert.equal(done.toolCalls[0].name, 'read_file');
+        assert.equal(done.history.length, 3);
+    });
+
+    it('reports a failing model in the final event', async () => {
+        const events = await app.stream('/chat/stream', { message: 'hello' });
+        assert.equal(events.length, 1);
+        assert.match(events[0].data.error, /Model request failed: 500/);
+    });
+
+    it('stops the remaining work when the client disconnects', async () => {
+        app.github.addRepo('test-user/project', { files: { 'a.txt': 'a\n', 'b.txt': 'b\n' } });
+        const stop = new AbortController();
+        let planned;
+        const secondStep = new Promise(resolve => { planned = resolve; });
+        app.model.reply(
+            { calls: [{ name: 'update_file', args: { repo: 'test-user/project', path: 'a.txt', content: 'A\n' } }] },
+            // The user presses Stop while the second step is still being planned
+            async () => {
+                stop.abort();
+                await new Promise(resolve => setTimeout(resolve, 200));
+                planned();
+                return { calls: [{ name: 'update_file', args: { repo: 'test-user/project', path: 'b.txt', content: 'B\n' } }] };
+            }
+        );
+
+        const events = await app.stream('/chat/stream', { message: 'shout both files' }, { signal: stop.signal });
+        assert.equal(events[0].event, 'tool_call');
+        assert.ok(!events.some(e => e.event === 'done'), 'a stopped chat never finishes');
+
+        await secondStep;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const repo = app.github.repo('test-user/project');
+        assert.equal(repo.readFile('a.txt'), 'A\n');
+        assert.equal(repo.readFile('b.txt'), 'b\n');
+    });
+});
@@ -0,0 +1,44 @@
+// A conversations file the server cannot read: the chat routes answer with the error and the
+// server keeps running. The store is read once per process, hence a test file of its own.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-ai-agent-store-'));
+const file = path.join(dir, 'conversations.json');
+
+let app;
+
+before(async () => {
+    fs.writeFileSync(file, '[{"id": "broken"');
+    app = await startApp({ env: { CONVERSATIONS_FILE: file } });
+});
+
+after(async () => {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => assert.equal(app.model.pending, 0, 'unused scripted model replies'));
+
+describe('unreadable conversations file', () => {
+    it('answers a chat in a thread with the error', async () => {
+        const result = await app.post('/chat', { message: 'hello', conversationId: 'broken' });
+        assert.match(result.error, /JSON/);
+        assert.equal(app.model.requests.length, 0);
+
+        // Still up, and the file is left as it was
+        assert.match((await app.get('/conversations')).error, /JSON/);
+        assert.equal(fs.readFileSync(file, 'utf8'), '[{"id": "broken"');
+    });
+
+    it('ends a streamed chat in a thread with the error', async () => {
+        const events = await app.stream('/chat/stream', { message: 'hello', conversationId: 'broken' });
+        assert.deepEqual(events.map(e => e.event), ['done']);
+        assert.match(events[0].data.error, /JSON/);
+        assert.equal(app.model.requests.length, 0);
+    });
+});
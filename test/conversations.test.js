@@ -0,0 +1,134 @@
+// Stored chat threads: the /conversations routes and what /chat adds to them
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startApp } = require('./helpers');
+
+let app;
+
+// Two local users next to the shared secret the other tests log in with
+const hash = password => execFileSync(process.execPath, [path.join(__dirname, '..', 'api', 'index.js'), 'hash-password', password], { encoding: 'utf8' }).trim();
+
+before(async () => {
+    app = await startApp({
+        env: {
+            AUTH_USERS: JSON.stringify([
+                { username: 'alice', password: hash('alice-password') },
+                { username: 'bob', password: hash('bob-password') }
+            ])
+        }
+    });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+    app.reset();
+    // Every test starts without threads
+    const { conversations } = await app.get('/conversations');
+    for (const conversation of conversations) {
+        await app.post('/conversations/delete', { id: conversation.id });
+    }
+});
+
+afterEach(() => assert.equal(app.model.pending, 0, 'unused scripted model replies'));
+
+describe('conversations', () => {
+    it('creates, renames and deletes a thread', async () => {
+        const created = await app.post('/conversations', { title: ' Release plan ' });
+        assert.equal(created.title, 'Release plan');
+        assert.equal(created.messages, 0);
+
+        const renamed = await app.post('/conversations/rename', { id: created.id, title: 'Release 2.0' });
+        assert.equal(renamed.title, 'Release 2.0');
+        assert.deepEqual((await app.get('/conversations')).conversations.map(c => c.title), ['Release 2.0']);
+
+        assert.equal((await app.post('/conversations/delete', { id: created.id })).success, 'Conversation deleted');
+        assert.deepEqual((await app.get('/conversations')).conversations, []);
+        assert.equal((await app.get('/conversation', { id: created.id })).error, `Conversation ${created.id} not found`);
+    });
+
+    it('keeps the messages and tool turns of a chat, titled after its first message', async () => {
+        app.github.addRepo('test-user/project', { files: { 'VERSION': '1.0.0\n' } });
+        const { id } = await app.post('/conversations', {});
+        app.model.reply({ calls: [{ name: 'read_file', args: { repo: 'test-user/project', path: 'VERSION' } }] }, { text: 'It is 1.0.0.' });
+
+        await app.post('/chat', { message: 'which version is test-user/project at?', conversationId: id });
+        const conversation = await app.get('/conversation', { id });
+        assert.equal(conversation.title, 'which version is test-user/project at?');
+        assert.equal(conversation.messages, 2);
+        assert.deepEqual(conversation.history.map(turn => [turn.role, Object.keys(turn.parts[0])[0]]), [
+            ['user', 'text'],
+            ['model', 'functionCall'],
+            ['function', 'functionResponse'],
+            ['model', 'text']
+        ]);
+
+        // Written to the file, for the next start of the server
+        const saved = JSON.parse(fs.readFileSync(process.env.CONVERSATIONS_FILE, 'utf8'));
+        assert.deepEqual(saved.find(c => c.id === id).history, conversation.history);
+    });
+
+    it('leaves a failed message out of the thread', async () => {
+        const { id } = await app.post('/conversations', {});
+
+        const result = await app.post('/chat', { message: 'hello', conversationId: id });
+        assert.match(result.error, /Model request failed/);
+        assert.deepEqual((await app.get('/conversation', { id })).history, []);
+    });
+
+    it('keeps a streamed chat too', async () => {
+        const { id } = await app.post('/conversations', {});
+        app.model.reply({ text: 'Hello there.' }, { text: '{"intent": "none"}' });
+
+        const events = await app.stream('/chat/stream', { message: 'hi', conversationId: id });
+        assert.equal(events.at(-1).data.conversationId, id);
+        assert.deepEqual((await app.get('/conversation', { id })).history.map(turn => turn.parts[0].text), ['hi', 'Hello there.']);
+    });
+
+    it('lists the most recently used first and searches titles and messages', async () => {
+        const older = await app.post('/conversations', { title: 'Older' });
+        const newer = await app.post('/conversations', { title: 'Newer' });
+        app.model.reply({ text: 'The deploy key is rotated.' }, { text: '{"intent": "none"}' });
+        await app.post('/chat', { message: 'rotate the key', conversationId: older.id });
+
+        assert.deepEqual((await app.get('/conversations')).conversations.map(c => c.title), ['Older', 'Newer']);
+        assert.deepEqual((await app.get('/conversations', { q: 'DEPLOY KEY' })).conversations.map(c => c.id), [older.id]);
+        assert.deepEqual((await app.get('/conversations', { q: 'newer' })).conversations.map(c => c.id), [newer.id]);
+    });
+
+    it('needs a title to rename and a known thread', async () => {
+        const { id } = await app.post('/conversations', {});
+        assert.equal((await app.post('/conversations/rename', { id, title: '  ' })).error, 'Title required');
+        assert.equal((await app.post('/conversations/rename', { id: 'nope', title: 'x' })).error, 'Conversation nope not found');
+        assert.equal((await app.post('/conversations/delete', { id: 'nope' })).error, 'Conversation nope not found');
+    });
+
+    it('keeps each user\'s threads to themselves', async () => {
+        const alice = await app.loginAs('alice', 'alice-password');
+        const bob = await app.loginAs('bob', 'bob-password');
+        const { id } = await alice.post('/conversations', { title: 'Alice\'s plans' });
+        app.model.reply({ text: 'Noted.' }, { text: '{"intent": "none"}' });
+        await alice.post('/chat', { message: 'the secret launch date is friday', conversationId: id });
+
+        assert.deepEqual((await bob.get('/conversations')).conversations, []);
+        assert.deepEqual((await bob.get('/conversations', { q: 'launch' })).conversations, []);
+        assert.equal((await bob.get('/conversation', { id })).error, `Conversation ${id} not found`);
+        assert.equal((await bob.post('/conversations/rename', { id, title: 'Mine now' })).error, `Conversation ${id} not found`);
+        assert.equal((await bob.post('/conversations/delete', { id })).error, `Conversation ${id} not found`);
+        assert.equal((await bob.post('/chat', { message: 'what did I say?', conversationId: id })).error, `Conversation ${id} not found`);
+        assert.equal(app.model.requests.length, 2, 'bob\'s chat never reaches the model');
+        // Nor does anyone who logs in with the shared secret, whatever name they give
+        const impostor = await app.loginAs('mallory', 'test-secret');
+        assert.deepEqual((await impostor.get('/conversations')).conversations, []);
+        assert.equal((await impostor.get('/conversation', { id })).error, `Conversation ${id} not found`);
+
+        const own = await alice.get('/conversation', { id });
+        assert.equal(own.title, 'Alice\'s plans');
+        assert.equal(own.messages, 2);
+        assert.deepEqual((await alice.get('/conversations')).conversations.map(c => c.id), [id]);
+        assert.equal((await alice.post('/conversations/delete', { id })).success, 'Conversation deleted');
+    });
+});
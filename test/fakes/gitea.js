@@ -0,0 +1,462 @@
+// In-memory stand-in for the parts of Gitea's API the app's gitea adapter uses: repositories,
+// the contents API with its change-files call, trees, commits and comparisons, branches and pull requests.
+// Start it with startFakeGitea() and add it to HOSTING_ACCOUNTS with its url; the API lives
+// under /api/v1 like on a real server.
+const express = require('express');
+const { FakeRepo, lineStats, sha1 } = require('./github');
+
+async function startFakeGitea({ username = 'gitea-user', token = 'gitea-token' } = {}) {
+    const app = express();
+    const api = express.Router();
+    const repos = new Map();
+    const requests = [];
+    const interceptors = [];
+    let server;
+    let url;
+
+    app.use(express.json({ limit: '50mb' }));
+    app.use('/api/v1', api);
+    app.use((req, res) => notFound(res));
+
+    // Every request is recorded, and all of them need the configured token
+    api.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+        if (req.get('authorization') !== `token ${token}`) {
+            return res.status(401).json({ message: 'token is required' });
+        }
+        const index = interceptors.findIndex(i => i.method === req.method && i.pattern.test(req.path));
+        if (index !== -1) {
+            interceptors.splice(index, 1)[0].fn(req);
+        }
+        next();
+    });
+
+    function notFound(res) {
+        res.status(404).json({ message: 'The target couldn\'t be found.', errors: [] });
+    }
+
+    function repoJson(repo) {
+        return {
+            name: repo.name,
+            full_name: repo.fullName,
+            owner: { login: repo.owner, username: repo.owner },
+            description: repo.description,
+            private: repo.private,
+            html_url: `${url}/${repo.fullName}`,
+            updated_at: repo.updatedAt,
+            default_branch: repo.defaultBranch
+        };
+    }
+
+    function commitJson(repo, sha) {
+        const commit = repo.object(sha, 'commit');
+        return {
+            sha,
+            html_url: `${url}/${repo.fullName}/commit/${sha}`,
+            author: { login: username },
+            parents: commit.parents.map(parent => ({ sha: parent })),
+            commit: { tree: { sha: commit.tree }, message: commit.message, author: { name: username, date: commit.date } }
+        };
+    }
+
+    function pullJson(repo, pull) {
+        const headSha = pull.merged ? pull.headSha : repo.refs.get(`heads/${pull.head}`);
+        const baseSha = repo.refs.get(`heads/${pull.base}`);
+        return {
+            number: pull.number,
+            title: pull.title,
+            body: pull.body,
+            state: pull.state,
+            merged: pull.merged,
+            mergeable: pull.state === 'open' && headSha && baseSha ? repo.mergeTrees(baseSha, headSha) !== null : false,
+            merge_commit_sha: pull.mergeCommitSha || null,
+            html_url: `${url}/${repo.fullName}/pulls/${pull.number}`,
+            user: { login: username },
+            head: { ref: pull.head, sha: headSha, repo: { full_name: repo.fullName } },
+            base: { ref: pull.base, sha: baseSha }
+        };
+    }
+
+    // Pages of limit items with a Link header to the next one, like Gitea
+    function sendPage(req, res, items) {
+        const limit = Math.min(Number(req.query.limit || req.query.per_page) || 30, 50);
+        const page = Number(req.query.page) || 1;
+        if (page * limit < items.length) {
+            const next = new URL(req.originalUrl, url);
+            next.searchParams.set('page', page + 1);
+            res.set('Link', `<${next}>; rel="next"`);
+        }
+        res.json(items.slice((page - 1) * limit, page * limit));
+    }
+
+    const decode = content => Buffer.from(content || '', 'base64').toString('utf8');
+
+    api.get('/user/orgs', (req, res) => sendPage(req, res, []));
+
+    // Everything the user can see, whoever owns it
+    api.get('/user/repos', (req, res) => {
+        const list = [...repos.values()].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        sendPage(req, res, list.map(repoJson));
+    });
+
+    // Everything under /repos/:owner/:repo needs the repo
+    const repoRouter = express.Router({ mergeParams: true });
+    api.use('/repos/:owner/:repo', (req, res, next) => {
+        req.repo = repos.get(`${req.params.owner}/${req.params.repo}`.toLowerCase());
+        if (!req.repo) {
+            return notFound(res);
+        }
+        next();
+    }, repoRouter);
+
+    repoRouter.get('/', (req, res) => res.json(repoJson(req.repo)));
+
+    repoRouter.get(['/contents', '/contents/*'], (req, res) => {
+        const repo = req.repo;
+        const filePath = (req.params[0] || '').replace(/\/+$/, '');
+        const commitSha = repo.resolve(req.query.ref);
+        if (!commitSha) {
+            return notFound(res);
+        }
+        const files = repo.filesAt(commitSha);
+        if (files[filePath]) {
+            const { buffer } = repo.object(files[filePath].sha, 'blob');
+            return res.json({
+                type: 'file',
+                name: filePath.split('/').pop(),
+                path: filePath,
+                sha: files[filePath].sha,
+                size: buffer.length,
+                encoding: 'base64',
+                content: buffer.toString('base64')
+            });
+        }
+
+        const prefix = filePath ? `${filePath}/` : '';
+        const entries = new Map();
+        Object.entries(files).filter(([p]) => p.startsWith(prefix)).forEach(([p, file]) => {
+            const [name, ...rest] = p.slice(prefix.length).split('/');
+            entries.set(name, rest.length > 0
+                ? { type: 'dir', name, path: `${prefix}${name}`, sha: sha1(`${commitSha}:${prefix}${name}`) }
+                : { type: 'file', name, path: p, sha: file.sha });
+        });
+        if (entries.size === 0 && filePath) {
+            return notFound(res);
+        }
+        res.json([...entries.values()].sort((a, b) => a.name.localeCompare(b.name)));
+    });
+
+    // Creating (POST) and updating (PUT) a single file; updates need the current sha
+    repoRouter.post('/contents/*', (req, res) => writeFile(req, res, false));
+    repoRouter.put('/contents/*', (req, res) => writeFile(req, res, true));
+
+    function writeFile(req, res, update) {
+        const repo = req.repo;
+        const filePath = req.params[0];
+        const branch = req.body.branch || repo.defaultBranch;
+        if (!repo.refs.has(`heads/${branch}`)) {
+            return notFound(res);
+        }
+        const current = repo.filesAt(repo.refs.get(`heads/${branch}`))[filePath];
+        if (!update && current) {
+            return res.status(422).json({ message: `repository file already exists [path: ${filePath}]` });
+        }
+        if (update && (!current || req.body.sha !== current.sha)) {
+            return res.status(current ? 409 : 404).json({ message: `sha does not match [given: ${req.body.sha}]` });
+        }
+        const sha = repo.commitFiles(branch, { [filePath]: decode(req.body.content) }, req.body.message);
+        res.status(update ? 200 : 201).json({ content: { path: filePath, sha: repo.filesAt(sha)[filePath].sha }, commit: commitJson(repo, sha) });
+    }
+
+    repoRouter.delete('/contents/*', (req, res) => {
+        const repo = req.repo;
+        const filePath = req.params[0];
+        const branch = req.body.branch || repo.defaultBranch;
+        const current = repo.filesAt(repo.refs.get(`heads/${branch}`))[filePath];
+        if (!current) {
+            return notFound(res);
+        }
+        if (req.body.sha !== current.sha) {
+            return res.status(409).json({ message: `sha does not match [given: ${req.body.sha}]` });
+        }
+        const sha = repo.commitFiles(branch, { [filePath]: null }, req.body.message);
+        res.json({ content: null, commit: commitJson(repo, sha) });
+    });
+
+    // change-files: every operation is checked against the branch, then all of them become one commit
+    repoRouter.post('/contents', (req, res) => {
+        const repo = req.repo;
+        const branch = req.body.branch || repo.defaultBranch;
+        const head = repo.refs.get(`heads/${branch}`);
+        if (!head) {
+            return notFound(res);
+        }
+        const files = repo.filesAt(head);
+        const changes = {};
+        for (const file of req.body.files || []) {
+            const current = files[file.from_path || file.path];
+            if (file.operation === 'create') {
+                if (files[file.path]) {
+                    return res.status(422).json({ message: `repository file already exists [path: ${file.path}]` });
+                }
+                changes[file.path] = decode(file.content);
+                continue;
+            }
+            if (!current) {
+                return notFound(res);
+            }
+            if (file.sha !== current.sha) {
+                return res.status(409).json({ message: `sha does not match [given: ${file.sha}, expected: ${current.sha}]` });
+            }
+            if (file.operation === 'delete') {
+                changes[file.path] = null;
+            } else {
+                if (file.from_path) {
+                    changes[file.from_path] = null;
+                }
+                changes[file.path] = decode(file.content);
+            }
+        }
+        const sha = repo.commitFiles(branch, changes, req.body.message);
+        res.status(201).json({ commit: commitJson(repo, sha) });
+    });
+
+    repoRouter.get('/git/blobs/:sha', (req, res) => {
+        const blob = req.repo.object(req.params.sha, 'blob');
+        if (!blob) {
+            return notFound(res);
+        }
+        res.json({ sha: req.params.sha, size: blob.buffer.length, encoding: 'base64', content: blob.buffer.toString('base64') });
+    });
+
+    // Everything fits on the first page here
+    repoRouter.get('/git/trees/:sha', (req, res) => {
+        const repo = req.repo;
+        const tree = repo.object(req.params.sha, 'tree');
+        if (!tree) {
+            return notFound(res);
+        }
+        const dirs = new Set();
+        Object.keys(tree.files).forEach(p => p.split('/').slice(0, -1).forEach((part, i, parts) => dirs.add(parts.slice(0, i + 1).join('/'))));
+        const entries = Number(req.query.page || 1) > 1 ? [] : [
+            ...[...dirs].map(dir => ({ path: dir, mode: '040000', type: 'tree', sha: sha1(`${req.params.sha}:${dir}`) })),
+            ...Object.entries(tree.files).map(([p, file]) => ({
+                path: p,
+                mode: file.mode,
+                type: 'blob',
+                sha: file.sha,
+                size: repo.object(file.sha, 'blob').buffer.length
+            }))
+        ].sort((a, b) => a.path.localeCompare(b.path));
+        res.json({ sha: req.params.sha, truncated: false, tree: entries });
+    });
+
+    // Newest first from sha (a branch, tag or commit), only commits that changed path when given
+    repoRouter.get('/commits', (req, res) => {
+        const repo = req.repo;
+        let sha = repo.resolve(req.query.sha);
+        if (!sha) {
+            return notFound(res);
+        }
+        const read = (commitSha, filePath) => {
+            const file = repo.filesAt(commitSha)[filePath];
+            return file ? file.sha : null;
+        };
+        const list = [];
+        while (sha) {
+            const commit = repo.object(sha, 'commit');
+            const parent = commit.parents[0] || null;
+            if (!req.query.path || read(sha, req.query.path) !== (parent ? read(parent, req.query.path) : null)) {
+                list.push(commitJson(repo, sha));
+            }
+            sha = parent;
+        }
+        sendPage(req, res, list);
+    });
+
+    // The commits head has over base, newest first; like Gitea, no files
+    repoRouter.get('/compare/*', (req, res) => {
+        const repo = req.repo;
+        const [baseSha, headSha] = req.params[0].split('...').map(ref => repo.resolve(ref));
+        if (!baseSha || !headSha) {
+            return notFound(res);
+        }
+        const inBase = repo.ancestors(baseSha);
+        const commits = [...repo.ancestors(headSha)].filter(sha => !inBase.has(sha)).map(sha => commitJson(repo, sha));
+        res.json({ total_commits: commits.length, commits });
+    });
+
+    repoRouter.get('/commits/:ref/status',(req, res) => res.json({ state: 'success', statuses: [] }));
+
+    repoRouter.get('/branches', (req, res) => {
+        const branches = [...req.repo.refs].filter(([name]) => name.startsWith('heads/'))
+            .map(([name, sha]) => ({ name: name.slice('heads/'.length), commit: { id: sha }, protected: false }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        sendPage(req, res, branches);
+    });
+
+    repoRouter.get('/branches/:branch', (req, res) => {
+        const sha = req.repo.refs.get(`heads/${req.params.branch}`);
+        if (!sha) {
+            return notFound(res);
+        }
+        res.json({ name: req.params.branch, commit: { id: sha }, protected: false });
+    });
+
+    repoRouter.post('/branches', (req, res) => {
+        const repo = req.repo;
+        const { new_branch_name: name, old_ref_name: from } = req.body;
+        if (repo.refs.has(`heads/${name}`)) {
+            return res.status(409).json({ message: 'The branch already exists.' });
+        }
+        const sha = repo.resolve(from);
+        if (!sha) {
+            return notFound(res);
+        }
+        repo.refs.set(`heads/${name}`, sha);
+        res.status(201).json({ name, commit: { id: sha }, protected: false });
+    });
+
+    repoRouter.delete('/branches/:branch', (req, res) => {
+        if (!req.repo.refs.delete(`heads/${req.params.branch}`)) {
+            return notFound(res);
+        }
+        res.status(204).end();
+    });
+
+    repoRouter.get('/branch_protections/:branch', (req, res) => notFound(res));
+
+    repoRouter.get('/pulls', (req, res) => {
+        const state = req.query.state || 'open';
+        const pulls = req.repo.pulls.filter(pull => state === 'all' || pull.state === state);
+        sendPage(req, res, pulls.map(pull => pullJson(req.repo, pull)));
+    });
+
+    repoRouter.post('/pulls', (req, res) => {
+        const repo = req.repo;
+        const { title, body, head, base } = req.body;
+        if (!title || !repo.refs.has(`heads/${head}`) || !repo.refs.has(`heads/${base}`)) {
+            return res.status(422).json({ message: 'Validation Failed' });
+        }
+        if (repo.pulls.some(pull => pull.state === 'open' && pull.head === head && pull.base === base)) {
+            return res.status(409).json({ message: 'pull request already exists for these targets' });
+        }
+        const pull = { number: repo.pulls.length + 1, title, body: body || null, head, base, state: 'open', merged: false };
+        repo.pulls.push(pull);
+        res.status(201).json(pullJson(repo, pull));
+    });
+
+    function findPull(req, res) {
+        const pull = req.repo.pulls.find(p => p.number === Number(req.params.number));
+        if (!pull) {
+            notFound(res);
+        }
+        return pull;
+    }
+
+    repoRouter.get('/pulls/:number', (req, res) => {
+        const pull = findPull(req, res);
+        if (pull) {
+            res.json(pullJson(req.repo, pull));
+        }
+    });
+
+    repoRouter.get('/pulls/:number/reviews', (req, res) => {
+        if (findPull(req, res)) {
+            sendPage(req, res, []);
+        }
+    });
+
+    repoRouter.get('/pulls/:number/files', (req, res) => {
+        const repo = req.repo;
+        const pull = findPull(req, res);
+        if (!pull) {
+            return;
+        }
+        const headSha = pull.merged ? pull.headSha : repo.refs.get(`heads/${pull.head}`);
+        const baseSha = pull.merged ? pull.baseSha : repo.refs.get(`heads/${pull.base}`);
+        const before = repo.filesAt(repo.mergeBase(baseSha, headSha));
+        const after = repo.filesAt(headSha);
+        const read = file => (file ? repo.object(file.sha, 'blob').buffer.toString('utf8') : null);
+        const files = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+            .filter(p => (before[p] && before[p].sha) !== (after[p] && after[p].sha))
+            .map(p => ({
+                filename: p,
+                status: !before[p] ? 'added' : !after[p] ? 'deleted' : 'changed',
+                ...lineStats(read(before[p]), read(after[p]))
+            }));
+        sendPage(req, res, files);
+    });
+
+    // Answers without a body; the merge commit shows up on the PR afterwards
+    repoRouter.post('/pulls/:number/merge', (req, res) => {
+        const repo = req.repo;
+        const pull = findPull(req, res);
+        if (!pull) {
+            return;
+        }
+        const headSha = repo.refs.get(`heads/${pull.head}`);
+        const baseSha = repo.refs.get(`heads/${pull.base}`);
+        if (pull.state !== 'open') {
+            return res.status(405).json({ message: 'The PR is not mergeable' });
+        }
+        if (req.body.head_commit_id && req.body.head_commit_id !== headSha) {
+            return res.status(409).json({ message: 'head out of date' });
+        }
+        const files = repo.mergeTrees(baseSha, headSha);
+        if (!files) {
+            return res.status(405).json({ message: 'Please try again later' });
+        }
+        const method = req.body.Do || 'merge';
+        const title = req.body.MergeTitleField || (method === 'merge' ? `Merge pull request '${pull.title}' (#${pull.number})` : `${pull.title} (#${pull.number})`);
+        const message = [title, req.body.MergeMessageField].filter(Boolean).join('\n\n');
+        const sha = repo.writeCommitObject({
+            tree: repo.writeTree(files),
+            parents: method === 'merge' ? [baseSha, headSha] : [baseSha],
+            message
+        });
+        repo.refs.set(`heads/${pull.base}`, sha);
+        Object.assign(pull, { state: 'closed', merged: true, mergeCommitSha: sha, headSha, baseSha });
+        res.status(200).end();
+    });
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        username,
+        token,
+        requests,
+        // Seeds a repository with files on its default branch
+        addRepo(fullName, { files = { 'README.md': '# Test\n' }, description = null, isPrivate = false, defaultBranch = 'main' } = {}) {
+            const [owner, name] = fullName.split('/');
+            const repo = new FakeRepo({ owner, name, description, isPrivate, defaultBranch });
+            if (Object.keys(files).length > 0) {
+                repo.commitFiles(defaultBranch, files, 'Initial commit');
+            }
+            repos.set(fullName.toLowerCase(), repo);
+            return repo;
+        },
+        repo(fullName) {
+            return repos.get(fullName.toLowerCase()) || null;
+        },
+        // Runs fn(req) once, before the next request whose method and API path match
+        intercept(method, pattern, fn) {
+            interceptors.push({ method, pattern, fn });
+        },
+        reset() {
+            repos.clear();
+            requests.length = 0;
+            interceptors.length = 0;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startFakeGitea };
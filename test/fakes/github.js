@@ -0,0 +1,654 @@
+// In-memory stand-in for the parts of GitHub's REST API the app uses: repositories, the contents
+// API, the Git Data API (blobs, trees, commits, refs), branches and pull requests.
+// Start it with startFakeGitHub() and point GITHUB_API_URL at its url. The fake Gitea keeps its
+// repositories in the same FakeRepo.
+const crypto = require('crypto');
+const express = require('express');
+
+function sha1(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Blobs get git's own ids; trees and commits just need stable, unique 40-hex ones
+function blobSha(buffer) {
+    return sha1(Buffer.concat([Buffer.from(`blob ${buffer.length}\0`), buffer]));
+}
+
+class FakeRepo {
+    constructor({ owner, name, description = null, isPrivate = false, defaultBranch = 'main' }) {
+        this.owner = owner;
+        this.name = name;
+        this.description = description;
+        this.private = isPrivate;
+        this.defaultBranch = defaultBranch;
+        this.updatedAt = new Date().toISOString();
+        this.objects = new Map();
+        this.refs = new Map();
+        this.pulls = [];
+    }
+
+    get fullName() {
+        return `${this.owner}/${this.name}`;
+    }
+
+    // Trees are kept flat: every file under its full path
+    writeBlob(buffer) {
+        const sha = blobSha(buffer);
+        this.objects.set(sha, { type: 'blob', buffer });
+        return sha;
+    }
+
+    writeTree(files) {
+        const sorted = Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+        const sha = sha1(`tree ${JSON.stringify(sorted)}`);
+        this.objects.set(sha, { type: 'tree', files: sorted });
+        return sha;
+    }
+
+    writeCommitObject({ tree, parents, message }) {
+        const date = new Date().toISOString();
+        const sha = sha1(`commit ${tree} ${parents.join(' ')} ${message} ${date} ${this.objects.size}`);
+        this.objects.set(sha, { type: 'commit', tree, parents, message, date });
+        this.updatedAt = date;
+        return sha;
+    }
+
+    object(sha, type) {
+        const object = this.objects.get(sha);
+        return object && object.type === type ? object : null;
+    }
+
+    // Branch names, "HEAD" and commit SHAs, like the commits endpoint accepts them
+    resolve(ref) {
+        if (!ref || ref === 'HEAD') {
+            return this.refs.get(`heads/${this.defaultBranch}`) || null;
+        }
+        if (this.refs.has(`heads/${ref}`)) {
+            return this.refs.get(`heads/${ref}`);
+        }
+        if (this.refs.has(`tags/${ref}`)) {
+            return this.refs.get(`tags/${ref}`);
+        }
+        return this.object(ref, 'commit') ? ref : null;
+    }
+
+    filesAt(commitSha) {
+        return commitSha ? this.object(this.object(commitSha, 'commit').tree, 'tree').files : {};
+    }
+
+    // Commits { path: content | null } on top of a branch, creating it when it has no commits yet
+    commitFiles(branch, changes, message) {
+        const head = this.refs.get(`heads/${branch}`) || null;
+        const files = { ...this.filesAt(head) };
+        Object.entries(changes).forEach(([filePath, content]) => {
+            if (content === null) {
+                delete files[filePath];
+            } else {
+                files[filePath] = { mode: '100644', sha: this.writeBlob(Buffer.from(content)) };
+            }
+        });
+        const sha = this.writeCommitObject({ tree: this.writeTree(files), parents: head ? [head] : [], message });
+        this.refs.set(`heads/${branch}`, sha);
+        return sha;
+    }
+
+    readFile(filePath, ref) {
+        const file = this.filesAt(this.resolve(ref))[filePath];
+        return file ? this.object(file.sha, 'blob').buffer.toString('utf8') : null;
+    }
+
+    ancestors(sha) {
+        const seen = new Set();
+        const queue = [sha];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current && !seen.has(current)) {
+                seen.add(current);
+                queue.push(...this.object(current, 'commit').parents);
+            }
+        }
+        return seen;
+    }
+
+    mergeBase(a, b) {
+        const ofA = this.ancestors(a);
+        const queue = [b];
+        const seen = new Set();
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (ofA.has(current)) {
+                return current;
+            }
+            if (!seen.has(current)) {
+                seen.add(current);
+                queue.push(...this.object(current, 'commit').parents);
+            }
+        }
+        return null;
+    }
+
+    // Three-way merge of flat trees; null when both sides changed the same file differently
+    mergeTrees(baseSha, headSha) {
+        const ancestor = this.filesAt(this.mergeBase(baseSha, headSha));
+        const ours = this.filesAt(baseSha);
+        const theirs = this.filesAt(headSha);
+        const merged = { ...ours };
+        const paths = new Set([...Object.keys(ancestor), ...Object.keys(ours), ...Object.keys(theirs)]);
+        for (const filePath of paths) {
+            const [a, o, t] = [ancestor[filePath], ours[filePath], theirs[filePath]].map(f => (f ? f.sha : null));
+            if (t === a || t === o) {
+                continue;
+            }
+            if (o !== a) {
+                return null;
+            }
+            if (t) {
+                merged[filePath] = theirs[filePath];
+            } else {
+                delete merged[filePath];
+            }
+        }
+        return merged;
+    }
+}
+
+// Line counts of a file change, good enough for PR file summaries
+function lineStats(before, after) {
+    const lines = text => (text ? text.split('\n').filter((line, i, all) => i < all.length - 1 || line !== '') : []);
+    const remaining = lines(before);
+    let additions = 0;
+    lines(after).forEach(line => {
+        const index = remaining.indexOf(line);
+        if (index === -1) {
+            additions++;
+        } else {
+            remaining.splice(index, 1);
+        }
+    });
+    return { additions, deletions: remaining.length };
+}
+
+async function startFakeGitHub({ username = 'test-user', token = 'test-token', orgs = [] } = {}) {
+    const app = express();
+    const repos = new Map();
+    const requests = [];
+    let server;
+    let url;
+
+    app.use(express.json({ limit: '50mb' }));
+
+    // Every request is recorded, and all of them need the configured token
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+        if (req.get('authorization') !== `token ${token}`) {
+            return res.status(401).json({ message: 'Bad credentials' });
+        }
+        next();
+    });
+
+    function notFound(res) {
+        res.status(404).json({ message: 'Not Found' });
+    }
+
+    function repoJson(repo) {
+        return {
+            name: repo.name,
+            full_name: repo.fullName,
+            owner: { login: repo.owner },
+            description: repo.description,
+            private: repo.private,
+            html_url: `${url}/${repo.fullName}`,
+            updated_at: repo.updatedAt,
+            default_branch: repo.defaultBranch
+        };
+    }
+
+    function commitJson(repo, sha) {
+        const commit = repo.object(sha, 'commit');
+        return {
+            sha,
+            html_url: `${url}/${repo.fullName}/commit/${sha}`,
+            tree: { sha: commit.tree },
+            message: commit.message,
+            parents: commit.parents.map(parent => ({ sha: parent })),
+            commit: { tree: { sha: commit.tree }, message: commit.message, author: { name: username, date: commit.date } }
+        };
+    }
+
+    function pullJson(repo, pull) {
+        const headSha = pull.merged ? pull.headSha : repo.refs.get(`heads/${pull.head}`);
+        const baseSha = repo.refs.get(`heads/${pull.base}`);
+        const mergeable = pull.state === 'open' && headSha && baseSha ? repo.mergeTrees(baseSha, headSha) !== null : null;
+        return {
+            number: pull.number,
+            title: pull.title,
+            body: pull.body,
+            state: pull.state,
+            draft: pull.draft,
+            merged: pull.merged,
+            mergeable,
+            mergeable_state: mergeable === false ? 'dirty' : 'clean',
+            merge_commit_sha: pull.mergeCommitSha || null,
+            html_url: `${url}/${repo.fullName}/pull/${pull.number}`,
+            user: { login: username },
+            head: { ref: pull.head, sha: headSha, repo: { full_name: repo.fullName } },
+            base: { ref: pull.base, sha: baseSha }
+        };
+    }
+
+    // Pages of per_page items with a Link header to the next one, like GitHub
+    function sendPage(req, res, items) {
+        const perPage = Math.min(Number(req.query.per_page) || 30, 100);
+        const page = Number(req.query.page) || 1;
+        if (page * perPage < items.length) {
+            const next = new URL(req.originalUrl, url);
+            next.searchParams.set('page', page + 1);
+            res.set('Link', `<${next}>; rel="next"`);
+        }
+        res.json(items.slice((page - 1) * perPage, page * perPage));
+    }
+
+    function createRepo(owner, body) {
+        if (!body.name) {
+            return null;
+        }
+        const repo = new FakeRepo({ owner, name: body.name, description: body.description || null, isPrivate: Boolean(body.private) });
+        if (body.auto_init) {
+            repo.commitFiles(repo.defaultBranch, { 'README.md': `# ${body.name}\n` }, 'Initial commit');
+        }
+        repos.set(repo.fullName.toLowerCase(), repo);
+        return repo;
+    }
+
+    app.get('/user', (req, res) => res.json({ login: username }));
+
+    app.get('/user/orgs', (req, res) => sendPage(req, res, orgs.map(login => ({ login, description: null }))));
+
+    app.get('/user/repos', (req, res) => {
+        const type = req.query.type || 'owner';
+        const list = [...repos.values()]
+            .filter(repo => (type === 'owner' ? repo.owner === username : true))
+            .filter(repo => (type === 'public' ? !repo.private : type === 'private' ? repo.private : true))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        sendPage(req, res, list.map(repoJson));
+    });
+
+    app.get('/orgs/:org/repos', (req, res) => {
+        if (!orgs.includes(req.params.org)) {
+            return notFound(res);
+        }
+        sendPage(req, res, [...repos.values()].filter(repo => repo.owner === req.params.org).map(repoJson));
+    });
+
+    app.post(['/user/repos', '/orgs/:org/repos'], (req, res) => {
+        const owner = req.params.org || username;
+        if (req.params.org && !orgs.includes(owner)) {
+            return notFound(res);
+        }
+        if (repos.has(`${owner}/${req.body.name}`.toLowerCase())) {
+            return res.status(422).json({ message: 'Repository creation failed.', errors: [{ message: 'name already exists on this account' }] });
+        }
+        const repo = createRepo(owner, req.body);
+        if (!repo) {
+            return res.status(422).json({ message: 'Repository creation failed.' });
+        }
+        res.status(201).json(repoJson(repo));
+    });
+
+    // Everything under /repos/:owner/:repo needs the repo
+    const repoRouter = express.Router({ mergeParams: true });
+    app.use('/repos/:owner/:repo', (req, res, next) => {
+        req.repo = repos.get(`${req.params.owner}/${req.params.repo}`.toLowerCase());
+        if (!req.repo) {
+            return notFound(res);
+        }
+        next();
+    }, repoRouter);
+
+    repoRouter.get('/', (req, res) => res.json(repoJson(req.repo)));
+
+    repoRouter.delete('/', (req, res) => {
+        repos.delete(req.repo.fullName.toLowerCase());
+        res.status(204).end();
+    });
+
+    repoRouter.get('/contents/*', (req, res) => contents(req, res));
+    repoRouter.get('/contents', (req, res) => contents(req, res));
+
+    function contents(req, res) {
+        const repo = req.repo;
+        const filePath = (req.params[0] || '').replace(/\/+$/, '');
+        const commitSha = repo.resolve(req.query.ref);
+        if (!commitSha) {
+            return notFound(res);
+        }
+        const files = repo.filesAt(commitSha);
+        if (files[filePath]) {
+            const { buffer } = repo.object(files[filePath].sha, 'blob');
+            return res.json({
+                type: 'file',
+                name: filePath.split('/').pop(),
+                path: filePath,
+                sha: files[filePath].sha,
+                size: buffer.length,
+                encoding: 'base64',
+                content: buffer.toString('base64')
+            });
+        }
+
+        const prefix = filePath ? `${filePath}/` : '';
+        const entries = new Map();
+        Object.entries(files).filter(([p]) => p.startsWith(prefix)).forEach(([p, file]) => {
+            const [name, ...rest] = p.slice(prefix.length).split('/');
+            entries.set(name, rest.length > 0
+                ? { type: 'dir', name, path: `${prefix}${name}`, sha: sha1(`${commitSha}:${prefix}${name}`) }
+                : { type: 'file', name, path: p, sha: file.sha, size: repo.object(file.sha, 'blob').buffer.length });
+        });
+        if (entries.size === 0 && filePath) {
+            return notFound(res);
+        }
+        res.json([...entries.values()].sort((a, b) => a.name.localeCompare(b.name)));
+    }
+
+    // Creates and updates need the current sha of an existing file, like GitHub
+    repoRouter.put('/contents/*', (req, res) => {
+        const repo = req.repo;
+        const filePath = req.params[0];
+        const branch = req.body.branch || repo.defaultBranch;
+        if (req.body.branch && !repo.refs.has(`heads/${branch}`)) {
+            return notFound(res);
+        }
+        const current = repo.filesAt(repo.refs.get(`heads/${branch}`))[filePath];
+        if (current && req.body.sha !== current.sha) {
+            return res.status(current && req.body.sha ? 409 : 422).json({ message: `"sha" wasn't supplied or does not match ${filePath}` });
+        }
+        const sha = repo.commitFiles(branch, { [filePath]: Buffer.from(req.body.content || '', 'base64').toString('utf8') }, req.body.message);
+        res.status(current ? 200 : 201).json({ content: { path: filePath, sha: repo.filesAt(sha)[filePath].sha }, commit: commitJson(repo, sha) });
+    });
+
+    repoRouter.delete('/contents/*', (req, res) => {
+        const repo = req.repo;
+        const filePath = req.params[0];
+        const branch = req.body.branch || repo.defaultBranch;
+        const current = repo.filesAt(repo.refs.get(`heads/${branch}`))[filePath];
+        if (!current) {
+            return notFound(res);
+        }
+        if (req.body.sha !== current.sha) {
+            return res.status(409).json({ message: `${filePath} does not match ${req.body.sha}` });
+        }
+        const sha = repo.commitFiles(branch, { [filePath]: null }, req.body.message);
+        res.json({ content: null, commit: commitJson(repo, sha) });
+    });
+
+    repoRouter.get('/git/blobs/:sha', (req, res) => {
+        const blob = req.repo.object(req.params.sha, 'blob');
+        if (!blob) {
+            return notFound(res);
+        }
+        res.json({ sha: req.params.sha, size: blob.buffer.length, encoding: 'base64', content: blob.buffer.toString('base64') });
+    });
+
+    repoRouter.post('/git/blobs', (req, res) => {
+        const buffer = Buffer.from(req.body.content || '', req.body.encoding === 'base64' ? 'base64' : 'utf8');
+        res.status(201).json({ sha: req.repo.writeBlob(buffer) });
+    });
+
+    repoRouter.get('/git/trees/:sha', (req, res) => {
+        const repo = req.repo;
+        const treeSha = repo.object(req.params.sha, 'tree') ? req.params.sha : null;
+        if (!treeSha) {
+            return notFound(res);
+        }
+        const files = repo.object(treeSha, 'tree').files;
+        const dirs = new Set();
+        Object.keys(files).forEach(p => p.split('/').slice(0, -1).forEach((part, i, parts) => dirs.add(parts.slice(0, i + 1).join('/'))));
+        res.json({
+            sha: treeSha,
+            truncated: false,
+            tree: [
+                ...[...dirs].map(dir => ({ path: dir, mode: '040000', type: 'tree', sha: sha1(`${treeSha}:${dir}`) })),
+                ...Object.entries(files).map(([p, file]) => ({
+                    path: p,
+                    mode: file.mode,
+                    type: 'blob',
+                    sha: file.sha,
+                    size: repo.object(file.sha, 'blob').buffer.length
+                }))
+            ].sort((a, b) => a.path.localeCompare(b.path))
+        });
+    });
+
+    repoRouter.post('/git/trees', (req, res) => {
+        const repo = req.repo;
+        const base = req.body.base_tree ? repo.object(req.body.base_tree, 'tree') : { files: {} };
+        if (!base) {
+            return res.status(422).json({ message: 'base_tree is not a valid tree' });
+        }
+        const files = { ...base.files };
+        for (const entry of req.body.tree || []) {
+            if (entry.sha === null) {
+                delete files[entry.path];
+            } else if (entry.content !== undefined) {
+                files[entry.path] = { mode: entry.mode, sha: repo.writeBlob(Buffer.from(entry.content)) };
+            } else if (repo.object(entry.sha, 'blob')) {
+                files[entry.path] = { mode: entry.mode, sha: entry.sha };
+            } else {
+                return res.status(422).json({ message: `tree.sha ${entry.sha} is not a valid blob` });
+            }
+        }
+        res.status(201).json({ sha: repo.writeTree(files) });
+    });
+
+    repoRouter.get('/git/commits/:sha', (req, res) => {
+        if (!req.repo.object(req.params.sha, 'commit')) {
+            return notFound(res);
+        }
+        res.json(commitJson(req.repo, req.params.sha));
+    });
+
+    repoRouter.post('/git/commits', (req, res) => {
+        const repo = req.repo;
+        const parents = req.body.parents || [];
+        if (!repo.object(req.body.tree, 'tree') || parents.some(parent => !repo.object(parent, 'commit'))) {
+            return res.status(422).json({ message: 'Invalid tree or parent' });
+        }
+        const sha = repo.writeCommitObject({ tree: req.body.tree, parents, message: req.body.message });
+        res.status(201).json(commitJson(repo, sha));
+    });
+
+    repoRouter.get('/git/ref/*', (req, res) => {
+        const sha = req.repo.refs.get(req.params[0]);
+        if (!sha) {
+            return notFound(res);
+        }
+        res.json({ ref: `refs/${req.params[0]}`, object: { sha, type: 'commit' } });
+    });
+
+    repoRouter.post('/git/refs', (req, res) => {
+        const repo = req.repo;
+        const name = String(req.body.ref || '').replace(/^refs\//, '');
+        if (repo.refs.has(name)) {
+            return res.status(422).json({ message: 'Reference already exists' });
+        }
+        if (!repo.object(req.body.sha, 'commit')) {
+            return res.status(422).json({ message: 'Object does not exist' });
+        }
+        repo.refs.set(name, req.body.sha);
+        res.status(201).json({ ref: `refs/${name}`, object: { sha: req.body.sha, type: 'commit' } });
+    });
+
+    // Without force, a ref only moves forward
+    repoRouter.patch('/git/refs/*', (req, res) => {
+        const repo = req.repo;
+        const current = repo.refs.get(req.params[0]);
+        if (!current) {
+            return res.status(422).json({ message: 'Reference does not exist' });
+        }
+        if (!repo.object(req.body.sha, 'commit')) {
+            return res.status(422).json({ message: 'Object does not exist' });
+        }
+        if (!req.body.force && !repo.ancestors(req.body.sha).has(current)) {
+            return res.status(422).json({ message: 'Update is not a fast forward' });
+        }
+        repo.refs.set(req.params[0], req.body.sha);
+        res.json({ ref: `refs/${req.params[0]}`, object: { sha: req.body.sha, type: 'commit' } });
+    });
+
+    repoRouter.delete('/git/refs/*', (req, res) => {
+        if (!req.repo.refs.delete(req.params[0])) {
+            return res.status(422).json({ message: 'Reference does not exist' });
+        }
+        res.status(204).end();
+    });
+
+    repoRouter.get('/commits/:ref/check-runs', (req, res) => res.json({ total_count: 0, check_runs: [] }));
+    repoRouter.get('/commits/:ref/status', (req, res) => res.json({ state: 'success', statuses: [] }));
+
+    repoRouter.get('/commits/:ref', (req, res) => {
+        const sha = req.repo.resolve(req.params.ref);
+        if (!sha) {
+            return res.status(422).json({ message: `No commit found for SHA: ${req.params.ref}` });
+        }
+        res.json(commitJson(req.repo, sha));
+    });
+
+    repoRouter.get('/branches', (req, res) => {
+        const branches = [...req.repo.refs].filter(([name]) => name.startsWith('heads/'))
+            .map(([name, sha]) => ({ name: name.slice('heads/'.length), commit: { sha }, protected: false }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        sendPage(req, res, branches);
+    });
+
+    repoRouter.get('/branches/:branch/protection/required_pull_request_reviews', (req, res) => notFound(res));
+
+    repoRouter.get('/pulls', (req, res) => {
+        const state = req.query.state || 'open';
+        const pulls = req.repo.pulls.filter(pull => state === 'all' || pull.state === state);
+        sendPage(req, res, pulls.map(pull => pullJson(req.repo, pull)));
+    });
+
+    repoRouter.post('/pulls', (req, res) => {
+        const repo = req.repo;
+        const { title, body, head, base, draft } = req.body;
+        if (!title || !repo.refs.has(`heads/${head}`) || !repo.refs.has(`heads/${base}`)) {
+            return res.status(422).json({ message: 'Validation Failed' });
+        }
+        if (repo.pulls.some(pull => pull.state === 'open' && pull.head === head && pull.base === base)) {
+            return res.status(422).json({ message: `A pull request already exists for ${repo.owner}:${head}.` });
+        }
+        const pull = { number: repo.pulls.length + 1, title, body: body || null, head, base, draft: Boolean(draft), state: 'open', merged: false };
+        repo.pulls.push(pull);
+        res.status(201).json(pullJson(repo, pull));
+    });
+
+    function findPull(req, res) {
+        const pull = req.repo.pulls.find(p => p.number === Number(req.params.number));
+        if (!pull) {
+            notFound(res);
+        }
+        return pull;
+    }
+
+    repoRouter.get('/pulls/:number', (req, res) => {
+        const pull = findPull(req, res);
+        if (pull) {
+            res.json(pullJson(req.repo, pull));
+        }
+    });
+
+    repoRouter.get('/pulls/:number/reviews', (req, res) => {
+        if (findPull(req, res)) {
+            sendPage(req, res, []);
+        }
+    });
+
+    repoRouter.get('/pulls/:number/files', (req, res) => {
+        const repo = req.repo;
+        const pull = findPull(req, res);
+        if (!pull) {
+            return;
+        }
+        const headSha = pull.merged ? pull.headSha : repo.refs.get(`heads/${pull.head}`);
+        const baseSha = pull.merged ? pull.baseSha : repo.refs.get(`heads/${pull.base}`);
+        const before = repo.filesAt(repo.mergeBase(baseSha, headSha));
+        const after = repo.filesAt(headSha);
+        const read = file => (file ? repo.object(file.sha, 'blob').buffer.toString('utf8') : null);
+        const files = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+            .filter(p => (before[p] && before[p].sha) !== (after[p] && after[p].sha))
+            .map(p => ({
+                filename: p,
+                status: !before[p] ? 'added' : !after[p] ? 'removed' : 'modified',
+                ...lineStats(read(before[p]), read(after[p]))
+            }));
+        sendPage(req, res, files);
+    });
+
+    repoRouter.put('/pulls/:number/merge', (req, res) => {
+        const repo = req.repo;
+        const pull = findPull(req, res);
+        if (!pull) {
+            return;
+        }
+        const headSha = repo.refs.get(`heads/${pull.head}`);
+        const baseSha = repo.refs.get(`heads/${pull.base}`);
+        if (pull.state !== 'open' || pull.draft) {
+            return res.status(405).json({ message: 'Pull Request is not mergeable' });
+        }
+        if (req.body.sha && req.body.sha !== headSha) {
+            return res.status(409).json({ message: 'Head branch was modified. Review and try the merge again.' });
+        }
+        const files = repo.mergeTrees(baseSha, headSha);
+        if (!files) {
+            return res.status(405).json({ message: 'Pull Request is not mergeable' });
+        }
+        const method = req.body.merge_method || 'merge';
+        const title = req.body.commit_title || (method === 'merge' ? `Merge pull request #${pull.number}` : `${pull.title} (#${pull.number})`);
+        const message = [title, req.body.commit_message].filter(Boolean).join('\n\n');
+        const sha = repo.writeCommitObject({
+            tree: repo.writeTree(files),
+            parents: method === 'merge' ? [baseSha, headSha] : [baseSha],
+            message
+        });
+        repo.refs.set(`heads/${pull.base}`, sha);
+        Object.assign(pull, { state: 'closed', merged: true, mergeCommitSha: sha, headSha, baseSha });
+        res.json({ sha, merged: true, message: 'Pull Request successfully merged' });
+    });
+
+    app.use((req, res) => notFound(res));
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        username,
+        token,
+        requests,
+        // Seeds a repository with files on its default branch
+        addRepo(fullName, { files = { 'README.md': '# Test\n' }, description = null, isPrivate = false, defaultBranch = 'main' } = {}) {
+            const [owner, name] = fullName.split('/');
+            const repo = new FakeRepo({ owner, name, description, isPrivate, defaultBranch });
+            if (Object.keys(files).length > 0) {
+                repo.commitFiles(defaultBranch, files, 'Initial commit');
+            }
+            repos.set(fullName.toLowerCase(), repo);
+            return repo;
+        },
+        repo(fullName) {
+            return repos.get(fullName.toLowerCase()) || null;
+        },
+        reset() {
+            repos.clear();
+            requests.length = 0;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startFakeGitHub, FakeRepo, lineStats, sha1 };
@@ -0,0 +1,80 @@
+// Scripted stand-in for an OpenAI-compatible chat completions server. The app reaches it through
+// its openai provider (LLM_PROVIDER=openai, OPENAI_BASE_URL=<url>/v1).
+//
+// Replies are queued in the order the app will ask for them:
+//   model.reply({ text: 'Hello' })
+//   model.reply({ calls: [{ name: 'list_repos', args: {} }] })
+//   model.reply(request => ({ text: `seen ${request.messages.length} messages` }))
+//   model.reply(async request => { await later; return { text: 'Sorry for the wait' }; })
+// A request with nothing queued fails with a 500, so an unexpected model call fails the test.
+// Streamed requests get the same reply as chunks: the text word by word, each tool call's
+// arguments split in two, the way real servers cut them up.
+const express = require('express');
+
+async function startFakeModel() {
+    const app = express();
+    const queue = [];
+    const requests = [];
+    let server;
+
+    app.use(express.json({ limit: '50mb' }));
+
+    app.post('/v1/chat/completions', async (req, res) => {
+        requests.push(req.body);
+        const next = queue.shift();
+        if (!next) {
+            return res.status(500).json({ error: { message: 'No scripted reply left for this request' } });
+        }
+        const reply = typeof next === 'function' ? await next(req.body) : next;
+        const message = { role: 'assistant', content: reply.text ?? null };
+        if (reply.calls) {
+            message.tool_calls = reply.calls.map((call, index) => ({
+                id: `call_${requests.length}_${index}`,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+            }));
+        }
+        if (req.body.stream) {
+            return streamMessage(res, message);
+        }
+        res.json({ id: `chatcmpl-${requests.length}`, object: 'chat.completion', choices: [{ index: 0, message, finish_reason: reply.calls ? 'tool_calls' : 'stop' }] });
+    });
+
+    function streamMessage(res, message) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const send = delta => res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+        (message.content?.match(/\S+\s*/g) || []).forEach(word => send({ content: word }));
+        (message.tool_calls || []).forEach((call, index) => {
+            const half = Math.ceil(call.function.arguments.length / 2);
+            send({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: call.function.arguments.slice(0, half) } }] });
+            send({ tool_calls: [{ index, function: { arguments: call.function.arguments.slice(half) } }] });
+        });
+        res.end('data: [DONE]\n\n');
+    }
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        reply(...replies) {
+            queue.push(...replies);
+        },
+        // Replies still queued; a finished test should have used all of its script
+        get pending() {
+            return queue.length;
+        },
+        reset() {
+            queue.length = 0;
+            requests.length = 0;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startFakeModel };
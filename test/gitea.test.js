@@ -0,0 +1,158 @@
+// A Gitea account next to the GitHub one, end to end against the fake Gitea
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { startFakeGitea } = require('./fakes/gitea');
+
+let app;
+let gitea;
+
+before(async () => {
+    gitea = await startFakeGitea();
+    app = await startApp({
+        env: {
+            HOSTING_ACCOUNTS: JSON.stringify([{ id: 'forge', provider: 'gitea', url: gitea.url, token: gitea.token, username: gitea.username }])
+        }
+    });
+});
+
+after(async () => {
+    await app.close();
+    await gitea.close();
+});
+
+let repo;
+
+beforeEach(() => {
+    app.reset();
+    gitea.reset();
+    repo = gitea.addRepo('gitea-user/project', { files: { 'README.md': '# Project\n', 'src/app.js': 'start();\n' } });
+});
+
+afterEach(() => assert.equal(app.model.pending, 0, 'unused scripted model replies'));
+
+describe('gitea account', () => {
+    it('lists its repositories next to GitHub\'s, under the account id', async () => {
+        app.github.addRepo('test-user/alpha');
+
+        const result = await app.get('/repos');
+        assert.deepEqual(result.repos.map(r => r.fullName), ['test-user/alpha', 'forge:gitea-user/project']);
+        assert.deepEqual(result.accounts, [{ id: 'github', provider: 'GitHub' }, { id: 'forge', provider: 'Gitea' }]);
+    });
+
+    it('lists and reads files', async () => {
+        const files = await app.get('/files', { repo: 'forge:gitea-user/project' });
+        assert.deepEqual(files.files.map(f => f.path), ['README.md', 'src']);
+
+        const file = await app.get('/file', { repo: 'forge:gitea-user/project', path: 'src/app.js' });
+        assert.equal(file.content, 'start();\n');
+        assert.equal(file.sha, repo.filesAt(repo.refs.get('heads/main'))['src/app.js'].sha);
+    });
+
+    it('commits several changes at once through change-files', async () => {
+        const result = await app.post('/commit-changes', {
+            repo: 'forge:gitea-user/project',
+            message: 'Rework',
+            changes: [
+                { action: 'edit', path: 'README.md', content: '# Reworked\n' },
+                { action: 'rename', path: 'src/app.js', newPath: 'src/main.js' },
+                { action: 'add', path: 'docs/guide.md', content: 'Guide\n' }
+            ]
+        });
+        assert.equal(result.success, 'Committed 3 changes to main');
+        assert.equal(result.sha, repo.refs.get('heads/main'));
+        assert.deepEqual(Object.keys(repo.filesAt(result.sha)).sort(), ['README.md', 'docs/guide.md', 'src/main.js']);
+        assert.equal(repo.readFile('src/main.js'), 'start();\n');
+        assert.equal(gitea.requests.filter(r => r.method === 'POST' && r.path === '/repos/gitea-user/project/contents').length, 1);
+    });
+
+    it('refuses a commit when the branch moved after the plan was made', async () => {
+        // Someone else pushes while the files are being checked
+        gitea.intercept('GET', /\/git\/trees\//, () => repo.commitFiles('main', { 'other.txt': 'theirs\n' }, 'Concurrent push'));
+
+        const result = await app.post('/commit-changes', {
+            repo: 'forge:gitea-user/project',
+            changes: [{ action: 'add', path: 'mine.txt', content: 'mine\n' }]
+        });
+        assert.match(result.error, /Branch main moved while committing. No changes were applied/);
+        assert.equal(repo.readFile('mine.txt'), null);
+        assert.equal(repo.object(repo.refs.get('heads/main'), 'commit').message, 'Concurrent push');
+    });
+
+    it('creates branches and commits to them', async () => {
+        const created = await app.tool('create_branch', { repo: 'forge:gitea-user/project', branch: 'topic' });
+        assert.equal(created.success, 'Branch topic created from main');
+
+        const saved = await app.post('/commit', { repo: 'forge:gitea-user/project', filePath: 'README.md', content: 'topic\n', ref: 'topic' });
+        assert.equal(saved.success, 'File README.md updated successfully on topic');
+        assert.equal(repo.readFile('README.md', 'topic'), 'topic\n');
+        assert.equal(repo.readFile('README.md', 'main'), '# Project\n');
+
+        const branches = await app.get('/branches', { repo: 'forge:gitea-user/project' });
+        assert.deepEqual(branches.branches.map(b => b.name), ['main', 'topic']);
+    });
+
+    it('opens and squash-merges a pull request', async () => {
+        const created = await app.tool('create_pr', {
+            repo: 'forge:gitea-user/project',
+            title: 'Add stop',
+            head: 'ai-agent-1',
+            changes: [{ action: 'edit', path: 'src/app.js', content: 'start();\nstop();\n' }]
+        });
+        assert.equal(created.success, 'PR created: #1');
+        assert.deepEqual(created.diff.files.map(f => [f.path, f.additions, f.deletions]), [['src/app.js', 1, 0]]);
+
+        const merged = await app.tool('merge_pr', { repo: 'forge:gitea-user/project', prNumber: 1, method: 'squash' });
+        assert.equal(merged.success, 'PR #1 merged successfully');
+        assert.equal(merged.sha, repo.refs.get('heads/main'));
+        assert.equal(merged.deletedBranch, 'ai-agent-1');
+        assert.equal(repo.readFile('src/app.js'), 'start();\nstop();\n');
+        assert.equal(repo.refs.has('heads/ai-agent-1'), false);
+    });
+
+    it('shows a file\'s history and restores an older version', async () => {
+        const first = repo.refs.get('heads/main');
+        repo.commitFiles('main', { 'README.md': '# Changed\n' }, 'Change readme');
+        repo.commitFiles('main', { 'src/app.js': 'changed();\n' }, 'Change app');
+
+        const history = await app.get('/commits', { repo: 'forge:gitea-user/project', path: 'README.md' });
+        assert.deepEqual(history.commits.map(c => c.message), ['Change readme', 'Initial commit']);
+        assert.equal(history.commits[1].sha, first);
+
+        const restored = await app.post('/restore', { repo: 'forge:gitea-user/project', path: 'README.md', sha: first });
+        assert.equal(restored.success, `File README.md restored to ${first.substring(0, 7)}`);
+        assert.equal(repo.readFile('README.md'), '# Project\n');
+    });
+
+    it('compares branches and diffs revisions', async () => {
+        const first = repo.refs.get('heads/main');
+        repo.refs.set('heads/topic', first);
+        const topic = repo.commitFiles('topic', { 'src/app.js': 'start();\nstop();\n' }, 'Add stop');
+        repo.commitFiles('main', { 'README.md': '# Changed\n' }, 'Change readme');
+
+        const comparison = await app.tool('compare_branches', { repo: 'forge:gitea-user/project', head: 'topic' });
+        assert.equal(comparison.base, 'main');
+        assert.equal(comparison.status, 'diverged');
+        assert.deepEqual([comparison.aheadBy, comparison.behindBy], [1, 1]);
+        assert.deepEqual(comparison.commits.map(c => [c.sha, c.message]), [[topic.substring(0, 7), 'Add stop']]);
+        assert.deepEqual(comparison.files, [{ path: 'src/app.js', status: 'modified', additions: 1, deletions: 0 }]);
+
+        const diff = await app.tool('diff_revisions', { repo: 'forge:gitea-user/project', base: first, head: 'main', path: 'README.md' });
+        assert.deepEqual(diff.files.map(f => [f.path, f.status, f.patch]), [['README.md', 'modified', '@@ -1 +1 @@\n-# Project\n+# Changed']]);
+        assert.deepEqual((await app.tool('diff_revisions', { repo: 'forge:gitea-user/project', base: first, head: 'main', path: 'src' })).files, []);
+
+        // Once topic has merged main, main's changes are no longer topic's
+        const main = repo.refs.get('heads/main');
+        const merge = repo.writeCommitObject({ tree: repo.writeTree(repo.mergeTrees(topic, main)), parents: [topic, main], message: 'Merge main' });
+        repo.refs.set('heads/topic', merge);
+        const merged = await app.tool('compare_branches', { repo: 'forge:gitea-user/project', head: 'topic' });
+        assert.equal(merged.status, 'ahead');
+        assert.deepEqual(merged.commits.map(c => c.message), ['Add stop', 'Merge main']);
+        assert.deepEqual(merged.files.map(f => f.path), ['src/app.js']);
+    });
+
+    it('still refuses tools that need GitHub', async () => {
+        const result = await app.tool('list_issues', { repo: 'forge:gitea-user/project' });
+        assert.equal(result.error, 'list_issues is only available on GitHub, and forge is a Gitea account');
+    });
+});
@@ -0,0 +1,159 @@
+// Runs the app against the fake GitHub and model servers. The app reads its settings once, when
+// it is first required, so every test file starts one app (node --test gives each file a process).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeGitHub } = require('./fakes/github');
+const { startFakeModel } = require('./fakes/model');
+
+// Nothing may leave the machine: a request to anything but the local servers fails the test
+const realFetch = global.fetch;
+global.fetch = (input, options) => {
+    const target = new URL(input instanceof Request ? input.url : input);
+    if (target.hostname !== '127.0.0.1') {
+        throw new Error(`Test tried to reach ${target.origin}`);
+    }
+    return realFetch(input, options);
+};
+
+// The chat route logs every step it takes; keep that out of the test report
+console.log = () => {};
+
+// Logs in with the shared secret unless login is false; every request then carries the
+// session cookie and the CSRF token
+async function startApp({ username = 'test-user', orgs = [], env = {}, login = true } = {}) {
+    const github = await startFakeGitHub({ username, orgs });
+    const model = await startFakeModel();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-ai-agent-test-'));
+
+    // Set everything a developer's .env could set, since dotenv never overrides what is already here
+    Object.assign(process.env, {
+        GITHUB_TOKEN: github.token,
+        GITHUB_USERNAME: username,
+        GITHUB_API_URL: github.url,
+        HOSTING_ACCOUNTS: '[]',
+        WORKSPACE_DIR: '',
+        CONVERSATIONS_FILE: path.join(dataDir, 'conversations.json'),
+        AUTH_SECRET: 'test-secret',
+        AUTH_USERS: '[]',
+        AUTH_DISABLED: '',
+        SESSION_SECRET: 'test-session-secret',
+        CORS_ORIGINS: '',
+        LLM_PROVIDER: 'openai',
+        CHAT_PROVIDER: 'openai',
+        INTENT_PROVIDER: 'openai',
+        CODEGEN_PROVIDER: 'openai',
+        OPENAI_BASE_URL: model.url,
+        OPENAI_API_KEY: 'test-key',
+        ...env
+    });
+    const app = require('../api/index.js');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const session = { cookie: null, csrfToken: null };
+
+    function sessionHeaders(as = session) {
+        return as.cookie ? { 'Cookie': as.cookie, 'X-CSRF-Token': as.csrfToken } : {};
+    }
+
+    async function request(method, route, body, as = session) {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method,
+            headers: { ...sessionHeaders(as), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return response.json();
+    }
+
+    async function logIn(username, password = 'test-secret') {
+        const response = await fetch(`${baseUrl}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        return {
+            cookie: response.headers.getSetCookie()[0].split(';')[0],
+            csrfToken: (await response.json()).csrfToken
+        };
+    }
+
+    if (login) {
+        Object.assign(session, await logIn());
+    }
+
+    // POSTs to a Server-Sent Events route and collects its events until the stream ends or the
+    // signal aborts it; onEvent sees each one as it arrives
+    async function stream(route, body, { signal, onEvent = () => {} } = {}) {
+        const events = [];
+        try {
+            const response = await fetch(`${baseUrl}${route}`, {
+                method: 'POST',
+                headers: { ...sessionHeaders(), 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal
+            });
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                for (const block of blocks) {
+                    const event = {
+                        event: block.match(/^event: (.*)$/m)[1],
+                        data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+                    };
+                    events.push(event);
+                    onEvent(event);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+        }
+        return events;
+    }
+
+    // Has the scripted model call one tool, with nothing to add afterwards, and returns its result
+    async function tool(name, args) {
+        model.reply({ calls: [{ name, args }] }, {});
+        const result = await request('POST', '/chat', { message: `run ${name}` });
+        return result.toolCalls[0].result;
+    }
+
+    return {
+        github,
+        model,
+        baseUrl,
+        session,
+        get: (route, query = {}) => request('GET', `${route}?${new URLSearchParams(query)}`),
+        post: (route, body) => request('POST', route, body),
+        stream,
+        tool,
+        // Another user with a session of their own, for the routes that keep users apart. The shared
+        // secret logs everyone in as the same user, so they need an AUTH_USERS entry and its password.
+        async loginAs(username, password) {
+            const other = await logIn(username, password);
+            return {
+                get: (route, query = {}) => request('GET', `${route}?${new URLSearchParams(query)}`, undefined, other),
+                post: (route, body) => request('POST', route, body, other)
+            };
+        },
+        reset() {
+            github.reset();
+            model.reset();
+        },
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await github.close();
+            await model.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,181 @@
+// The sidebar and editor endpoints, end to end against the fake GitHub
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp({ orgs: ['acme'] });
+});
+
+after(() => app.close());
+
+beforeEach(() => app.reset());
+
+describe('GET /repos', () => {
+    it('lists the account\'s own repositories', async () => {
+        app.github.addRepo('test-user/alpha');
+        app.github.addRepo('test-user/beta', { isPrivate: true });
+        app.github.addRepo('someone-else/gamma');
+
+        const result = await app.get('/repos');
+        assert.deepEqual(result.repos.map(repo => repo.fullName).sort(), ['test-user/alpha', 'test-user/beta']);
+        assert.equal(result.repos.find(repo => repo.name === 'beta').private, true);
+        assert.equal(result.truncated, false);
+        assert.deepEqual(result.accounts, [{ id: 'github', provider: 'GitHub' }]);
+        assert.deepEqual(result.warnings, []);
+    });
+
+    it('follows pagination to the end', async () => {
+        for (let i = 0; i < 130; i++) {
+            app.github.addRepo(`test-user/repo-${i}`, { files: {} });
+        }
+
+        const result = await app.get('/repos');
+        assert.equal(result.repos.length, 130);
+        assert.equal(result.truncated, false);
+        assert.equal(app.github.requests.filter(r => r.path === '/user/repos').length, 2);
+    });
+
+    it('lists an organization\'s repositories', async () => {
+        app.github.addRepo('acme/site');
+        app.github.addRepo('test-user/alpha');
+
+        const result = await app.get('/repos', { owner: 'acme' });
+        assert.equal(result.owner, 'acme');
+        assert.deepEqual(result.repos.map(repo => repo.fullName), ['acme/site']);
+    });
+
+    it('reports an unknown organization', async () => {
+        const result = await app.get('/repos', { owner: 'nobody' });
+        assert.match(result.error, /Failed to list repos/);
+    });
+});
+
+describe('GET /files', () => {
+    beforeEach(() => {
+        app.github.addRepo('test-user/project', {
+            files: { 'README.md': '# Project\n', 'src/index.js': 'main();\n', 'src/lib/util.js': 'util();\n' }
+        });
+    });
+
+    it('lists the top directory', async () => {
+        const result = await app.get('/files', { repo: 'test-user/project' });
+        assert.deepEqual(result.files, [
+            { name: 'README.md', type: 'file', path: 'README.md' },
+            { name: 'src', type: 'dir', path: 'src' }
+        ]);
+    });
+
+    it('lists a subdirectory on another branch', async () => {
+        const repo = app.github.repo('test-user/project');
+        repo.refs.set('heads/feature', repo.refs.get('heads/main'));
+        repo.commitFiles('feature', { 'src/feature.js': 'feature();\n' }, 'Add feature');
+
+        const onFeature = await app.get('/files', { repo: 'test-user/project', path: 'src', ref: 'feature' });
+        assert.deepEqual(onFeature.files.map(f => f.name), ['feature.js', 'index.js', 'lib']);
+
+        const onMain = await app.get('/files', { repo: 'test-user/project', path: 'src' });
+        assert.deepEqual(onMain.files.map(f => f.name), ['index.js', 'lib']);
+    });
+
+    it('needs a repository', async () => {
+        const result = await app.get('/files');
+        assert.match(result.error, /Repository parameter required/);
+    });
+
+    it('reports a missing repository', async () => {
+        const result = await app.get('/files', { repo: 'test-user/missing' });
+        assert.match(result.error, /Failed to list files: Not Found/);
+    });
+});
+
+describe('GET /file', () => {
+    beforeEach(() => {
+        app.github.addRepo('test-user/project', { files: { 'docs/guide.md': 'Read me\n' } });
+    });
+
+    it('reads a file with its sha', async () => {
+        const result = await app.get('/file', { repo: 'test-user/project', path: 'docs/guide.md' });
+        assert.equal(result.content, 'Read me\n');
+        assert.equal(result.size, 8);
+        assert.match(result.sha, /^[0-9a-f]{40}$/);
+        assert.equal(result.ref, null);
+    });
+
+    it('reads a file at a ref', async () => {
+        const repo = app.github.repo('test-user/project');
+        const first = repo.refs.get('heads/main');
+        repo.commitFiles('main', { 'docs/guide.md': 'Changed\n' }, 'Change guide');
+
+        const result = await app.get('/file', { repo: 'test-user/project', path: 'docs/guide.md', ref: first });
+        assert.equal(result.content, 'Read me\n');
+    });
+
+    it('reports a missing file', async () => {
+        const result = await app.get('/file', { repo: 'test-user/project', path: 'nope.txt' });
+        assert.equal(result.error, 'Failed to read file: Not Found');
+    });
+
+    it('needs a repository and a path', async () => {
+        const result = await app.get('/file', { repo: 'test-user/project' });
+        assert.match(result.error, /Repository and path parameters required/);
+    });
+});
+
+describe('POST /commit', () => {
+    beforeEach(() => {
+        app.github.addRepo('test-user/project', { files: { 'README.md': 'old\n' } });
+    });
+
+    it('updates an existing file', async () => {
+        const result = await app.post('/commit', { repo: 'test-user/project', filePath: 'README.md', content: 'new\n', message: 'Edit readme' });
+        assert.equal(result.success, 'File README.md updated successfully');
+
+        const repo = app.github.repo('test-user/project');
+        assert.equal(repo.readFile('README.md'), 'new\n');
+        assert.equal(repo.object(repo.refs.get('heads/main'), 'commit').message, 'Edit readme');
+    });
+
+    it('creates a file on a branch', async () => {
+        const repo = app.github.repo('test-user/project');
+        repo.refs.set('heads/draft', repo.refs.get('heads/main'));
+
+        const result = await app.post('/commit', { repo: 'test-user/project', filePath: 'notes.txt', content: 'notes\n', ref: 'draft' });
+        assert.equal(result.success, 'File notes.txt created successfully on draft');
+        assert.equal(repo.readFile('notes.txt', 'draft'), 'notes\n');
+        assert.equal(repo.readFile('notes.txt', 'main'), null);
+        assert.equal(repo.object(repo.refs.get('heads/draft'), 'commit').message, 'Update notes.txt');
+    });
+
+    it('reports a missing branch', async () => {
+        const result = await app.post('/commit', { repo: 'test-user/project', filePath: 'README.md', content: 'x', ref: 'nope' });
+        assert.match(result.error, /Failed to update file: Not Found/);
+    });
+
+    it('needs a repository', async () => {
+        const result = await app.post('/commit', { filePath: 'README.md', content: 'x' });
+        assert.equal(result.error, 'Repository parameter required');
+    });
+});
+
+describe('POST /delete', () => {
+    it('deletes a repository', async () => {
+        app.github.addRepo('test-user/doomed');
+
+        const result = await app.post('/delete', { repo: 'test-user/doomed' });
+        assert.equal(result.success, 'Repository test-user/doomed deleted successfully');
+        assert.equal(app.github.repo('test-user/doomed'), null);
+    });
+
+    it('reports a missing repository', async () => {
+        const result = await app.post('/delete', { repo: 'test-user/ghost' });
+        assert.match(result.error, /Failed to delete repo: Not Found/);
+    });
+
+    it('needs a repository', async () => {
+        const result = await app.post('/delete', {});
+        assert.equal(result.error, 'Repository parameter required');
+    });
+});
@@ -0,0 +1,178 @@
+// The local workspace provider, end to end against real git repositories in a temporary directory
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startApp } = require('./helpers');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'github-ai-agent-workspace-'));
+const dir = path.join(root, 'project');
+
+function git(...args) {
+    return execFileSync('git', args, { cwd: dir, encoding: 'utf8' }).trim();
+}
+
+let app;
+
+// Without a GitHub token the workspace is the default account, so its repos are plain owner/name
+before(async () => {
+    app = await startApp({ env: { GITHUB_TOKEN: '', WORKSPACE_DIR: root, WORKSPACE_OWNER: 'me' } });
+});
+
+after(async () => {
+    await app.close();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A checked-out repository with one commit on main
+beforeEach(() => {
+    app.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+    git('init', '--quiet', '--initial-branch=main');
+    git('config', 'user.name', 'Workspace Owner');
+    git('config', 'user.email', 'owner@example.com');
+    fs.writeFileSync(path.join(dir, 'README.md'), '# Project\n');
+    fs.writeFileSync(path.join(dir, 'src/app.js'), 'start();\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'Initial commit');
+});
+
+afterEach(() => assert.equal(app.model.pending, 0, 'unused scripted model replies'));
+
+describe('workspace repositories', () => {
+    it('lists the repositories in the workspace directory', async () => {
+        fs.mkdirSync(path.join(root, 'not-a-repo'), { recursive: true });
+
+        const result = await app.get('/repos');
+        assert.deepEqual(result.repos.map(r => r.fullName), ['me/project']);
+        assert.deepEqual(result.accounts, [{ id: 'workspace', provider: 'Local workspace' }]);
+    });
+
+    it('lists and reads files', async () => {
+        const files = await app.get('/files', { repo: 'me/project' });
+        assert.deepEqual(files.files.map(f => [f.path, f.type]), [['README.md', 'file'], ['src', 'dir']]);
+
+        const file = await app.get('/file', { repo: 'me/project', path: 'src/app.js' });
+        assert.equal(file.content, 'start();\n');
+        assert.equal(file.sha, git('rev-parse', 'HEAD:src/app.js'));
+    });
+
+    it('commits a file and updates the checked-out working tree', async () => {
+        const result = await app.post('/commit', { repo: 'me/project', filePath: 'README.md', content: '# Edited\n', message: 'Edit readme' });
+        assert.equal(result.success, 'File README.md updated successfully');
+        assert.equal(git('log', '-1', '--format=%s'), 'Edit readme');
+        assert.equal(fs.readFileSync(path.join(dir, 'README.md'), 'utf8'), '# Edited\n');
+        assert.equal(git('status', '--porcelain'), '');
+    });
+
+    it('commits several changes at once', async () => {
+        const result = await app.post('/commit-changes', {
+            repo: 'me/project',
+            message: 'Rework',
+            changes: [
+                { action: 'edit', path: 'README.md', content: '# Reworked\n' },
+                { action: 'rename', path: 'src/app.js', newPath: 'src/main.js' },
+                { action: 'add', path: 'docs/guide.md', content: 'Guide\n' }
+            ]
+        });
+        assert.equal(result.success, 'Committed 3 changes to main');
+        assert.equal(result.sha, git('rev-parse', 'HEAD'));
+        assert.deepEqual(git('show', '--name-status', '-M', '--format=', 'HEAD').split('\n'), [
+            'M\tREADME.md',
+            'A\tdocs/guide.md',
+            'R100\tsrc/app.js\tsrc/main.js'
+        ]);
+    });
+
+    it('refuses paths git cannot store and commits nothing', async () => {
+        const head = git('rev-parse', 'HEAD');
+
+        const outside = await app.post('/commit', { repo: 'me/project', filePath: '../evil.txt', content: 'x' });
+        assert.match(outside.error, /Cannot add \.\.\/evil\.txt: the path must not leave the repository/);
+        const absolute = await app.post('/commit-changes', { repo: 'me/project', changes: [{ action: 'add', path: '/tmp/evil.txt', content: 'x' }] });
+        assert.match(absolute.error, /Cannot add \/tmp\/evil\.txt: the path must be relative/);
+        const gitDir = await app.post('/commit-changes', { repo: 'me/project', changes: [{ action: 'rename', path: 'README.md', newPath: '.git/hooks/post-commit' }] });
+        assert.match(gitDir.error, /Cannot rename \.git\/hooks\/post-commit: files inside \.git cannot be committed/);
+
+        assert.equal(git('rev-parse', 'HEAD'), head);
+        assert.equal(fs.existsSync(path.join(root, 'evil.txt')), false);
+    });
+
+    it('refuses a commit that changes nothing', async () => {
+        const head = git('rev-parse', 'HEAD');
+
+        const result = await app.post('/commit', { repo: 'me/project', filePath: 'README.md', content: '# Project\n' });
+        assert.match(result.error, /Nothing to commit/);
+        assert.equal(git('rev-parse', 'HEAD'), head);
+    });
+
+    it('commits to another branch without touching the working tree', async () => {
+        const created = await app.tool('create_branch', { repo: 'me/project', branch: 'topic' });
+        assert.equal(created.success, 'Branch topic created from main');
+
+        const saved = await app.post('/commit', { repo: 'me/project', filePath: 'README.md', content: 'topic\n', ref: 'topic' });
+        assert.equal(saved.success, 'File README.md updated successfully on topic');
+        assert.equal(git('show', 'topic:README.md'), 'topic');
+        assert.equal(fs.readFileSync(path.join(dir, 'README.md'), 'utf8'), '# Project\n');
+
+        const branches = await app.get('/branches', { repo: 'me/project' });
+        assert.deepEqual(branches.branches.map(b => b.name), ['main', 'topic']);
+    });
+
+    it('opens and squash-merges a pull request', async () => {
+        const created = await app.tool('create_pr', {
+            repo: 'me/project',
+            title: 'Add stop',
+            head: 'ai-agent-1',
+            changes: [{ action: 'edit', path: 'src/app.js', content: 'start();\nstop();\n' }]
+        });
+        assert.equal(created.success, 'PR created: #1');
+        assert.deepEqual(created.diff.files.map(f => [f.path, f.status, f.additions, f.deletions]), [['src/app.js', 'modified', 1, 0]]);
+
+        const merged = await app.tool('merge_pr', { repo: 'me/project', prNumber: 1, method: 'squash' });
+        assert.equal(merged.success, 'PR #1 merged successfully');
+        assert.equal(merged.sha, git('rev-parse', 'main'));
+        assert.equal(merged.deletedBranch, 'ai-agent-1');
+        assert.equal(git('rev-list', '--parents', '-n', '1', 'main').split(' ').length, 2, 'a squash has one parent');
+        assert.equal(git('log', '-1', '--format=%s', 'main'), 'Add stop (#1)');
+        assert.equal(fs.readFileSync(path.join(dir, 'src/app.js'), 'utf8'), 'start();\nstop();\n');
+        assert.equal(git('branch', '--list', 'ai-agent-1'), '');
+    });
+
+    it('shows a file\'s history and restores an older version', async () => {
+        const first = git('rev-parse', 'HEAD');
+        await app.post('/commit', { repo: 'me/project', filePath: 'README.md', content: '# Changed\n', message: 'Change readme' });
+        await app.post('/commit', { repo: 'me/project', filePath: 'src/app.js', content: 'changed();\n', message: 'Change app' });
+
+        const history = await app.get('/commits', { repo: 'me/project', path: 'README.md' });
+        assert.deepEqual(history.commits.map(c => [c.message, c.author]), [['Change readme', 'Workspace Owner'], ['Initial commit', 'Workspace Owner']]);
+        assert.equal(history.commits[1].sha, first);
+        assert.equal(history.truncated, false);
+
+        const restored = await app.post('/restore', { repo: 'me/project', path: 'README.md', sha: first });
+        assert.equal(restored.success, `File README.md restored to ${first.substring(0, 7)}`);
+        assert.equal(fs.readFileSync(path.join(dir, 'README.md'), 'utf8'), '# Project\n');
+        assert.equal(git('log', '-1', '--format=%s'), `Restore README.md to ${first.substring(0, 7)}`);
+    });
+
+    it('compares branches and diffs revisions', async () => {
+        const first = git('rev-parse', 'HEAD');
+        await app.tool('create_branch', { repo: 'me/project', branch: 'topic' });
+        await app.post('/commit', { repo: 'me/project', filePath: 'src/app.js', content: 'start();\nstop();\n', message: 'Add stop', ref: 'topic' });
+        await app.post('/commit', { repo: 'me/project', filePath: 'README.md', content: '# Changed\n', message: 'Change readme' });
+
+        const comparison = await app.tool('compare_branches', { repo: 'me/project', head: 'topic' });
+        assert.equal(comparison.base, 'main');
+        assert.equal(comparison.status, 'diverged');
+        assert.deepEqual([comparison.aheadBy, comparison.behindBy], [1, 1]);
+        assert.deepEqual(comparison.commits.map(c => [c.sha, c.message]), [[git('rev-parse', '--short=7', 'topic'), 'Add stop']]);
+        assert.deepEqual(comparison.files, [{ path: 'src/app.js', status: 'modified', additions: 1, deletions: 0 }]);
+
+        const diff = await app.tool('diff_revisions', { repo: 'me/project', base: first, head: 'main', path: 'README.md' });
+        assert.deepEqual(diff.files.map(f => [f.path, f.status, f.patch]), [['README.md', 'modified', '@@ -1 +1 @@\n-# Project\n+# Changed']]);
+        assert.deepEqual((await app.tool('diff_revisions', { repo: 'me/project', base: first, head: 'main', path: 'src' })).files, []);
+    });
+});